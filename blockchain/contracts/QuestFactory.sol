@@ -4,7 +4,11 @@ pragma solidity ^0.8.19;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title QuestFactory
@@ -15,8 +19,10 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
  * - Manage quest lifecycle (open -> active -> completed)
  * - Integration with EscrowVault for fund management
  * - Crew-based quest organization
+ * - Daily Merkle roots of validated runs, posted by the run oracle
+ * - Settlement authorised by EIP-712 signatures from an M-of-N oracle signer set
  */
-contract QuestFactory is Ownable, ReentrancyGuard {
+contract QuestFactory is Ownable, ReentrancyGuard, EIP712 {
     using SafeERC20 for IERC20;
     
     // Quest status enumeration
@@ -87,6 +93,16 @@ contract QuestFactory is Ownable, ReentrancyGuard {
         uint256 totalStaked
     );
     
+    event RunOracleChanged(address indexed oldOracle, address indexed newOracle);
+    
+    event SettlementSignersChanged(address[] signers, uint256 threshold);
+    
+    event RunRootPosted(
+        uint256 indexed day,
+        bytes32 root,
+        uint256 runCount
+    );
+    
     // State variables
     mapping(uint256 => Quest) public quests;
     mapping(uint256 => mapping(address => Participation)) public participations;
@@ -104,7 +120,18 @@ contract QuestFactory is Ownable, ReentrancyGuard {
     // Supported tokens for staking
     mapping(address => bool) public supportedTokens;
     
-    constructor(address _daoTreasury) {
+    // Run attestations: the backend oracle commits each UTC day's validated runs
+    address public runOracle;
+    mapping(uint256 => bytes32) public runRoots; // day (timestamp / 1 days) => Merkle root
+    
+    // Settlement oracles: completing a quest takes signatures from `settlementThreshold` of them
+    bytes32 public constant SETTLEMENT_TYPEHASH =
+        keccak256("Settlement(uint256 questId,bytes32 winnersRoot,uint256 deadline)");
+    address[] private settlementSigners;
+    mapping(address => bool) public isSettlementSigner;
+    uint256 public settlementThreshold;
+    
+    constructor(address _daoTreasury) EIP712("RUN DAO QuestFactory", "1") {
         daoTreasury = _daoTreasury;
     }
     
@@ -122,6 +149,131 @@ contract QuestFactory is Ownable, ReentrancyGuard {
         supportedTokens[token] = supported;
     }
     
+    /**
+     * @dev Set the account allowed to post run roots
+     */
+    function setRunOracle(address _runOracle) external onlyOwner {
+        emit RunOracleChanged(runOracle, _runOracle);
+        runOracle = _runOracle;
+    }
+    
+    /**
+     * @dev Commit the Merkle root of a finished day's validated runs (once per day)
+     * @param _day Days since the Unix epoch (UTC)
+     * @param _runCount Number of leaves in the tree
+     */
+    function postRunRoot(uint256 _day, bytes32 _root, uint256 _runCount) external {
+        require(msg.sender == runOracle, "Not run oracle");
+        require(_root != bytes32(0), "Empty root");
+        require(_day < block.timestamp / 1 days, "Day not over");
+        require(runRoots[_day] == bytes32(0), "Root already posted");
+        
+        runRoots[_day] = _root;
+        
+        emit RunRootPosted(_day, _root, _runCount);
+    }
+    
+    /**
+     * @dev Leaf of a run in the daily tree (hashed twice, so no inner node can pass as a leaf)
+     * @param _distance Distance in meters
+     * @param _duration Duration in seconds
+     * @param _gpsPathHash keccak256 of the GPS path as recorded by the backend
+     */
+    function runLeaf(
+        address _runner,
+        uint256 _questId,
+        uint256 _distance,
+        uint256 _duration,
+        bytes32 _gpsPathHash
+    ) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(_runner, _questId, _distance, _duration, _gpsPathHash))));
+    }
+    
+    /**
+     * @dev Check that a run is part of a posted day's root
+     */
+    function verifyRun(
+        uint256 _day,
+        address _runner,
+        uint256 _questId,
+        uint256 _distance,
+        uint256 _duration,
+        bytes32 _gpsPathHash,
+        bytes32[] calldata _proof
+    ) external view returns (bool) {
+        bytes32 root = runRoots[_day];
+        if (root == bytes32(0)) {
+            return false;
+        }
+        return MerkleProof.verifyCalldata(
+            _proof,
+            root,
+            runLeaf(_runner, _questId, _distance, _duration, _gpsPathHash)
+        );
+    }
+    
+    /**
+     * @dev Replace the settlement oracle set and the number of signatures a settlement needs
+     */
+    function setSettlementSigners(address[] calldata _signers, uint256 _threshold) external onlyOwner {
+        require(_threshold > 0 && _threshold <= _signers.length, "Invalid threshold");
+        
+        for (uint256 i = 0; i < settlementSigners.length; i++) {
+            isSettlementSigner[settlementSigners[i]] = false;
+        }
+        for (uint256 i = 0; i < _signers.length; i++) {
+            require(_signers[i] != address(0), "Invalid signer");
+            require(!isSettlementSigner[_signers[i]], "Duplicate signer");
+            isSettlementSigner[_signers[i]] = true;
+        }
+        settlementSigners = _signers;
+        settlementThreshold = _threshold;
+        
+        emit SettlementSignersChanged(_signers, _threshold);
+    }
+    
+    /**
+     * @dev Get the settlement oracle set
+     */
+    function getSettlementSigners() external view returns (address[] memory) {
+        return settlementSigners;
+    }
+    
+    /**
+     * @dev Merkle root of a winner list, built like the run roots (leaves hashed twice,
+     * smaller node first, an unpaired node moves up a level); zero for no winners
+     */
+    function winnersRoot(address[] memory _winners) public pure returns (bytes32) {
+        uint256 count = _winners.length;
+        if (count == 0) {
+            return bytes32(0);
+        }
+        
+        bytes32[] memory level = new bytes32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            level[i] = keccak256(bytes.concat(keccak256(abi.encode(_winners[i]))));
+        }
+        while (count > 1) {
+            uint256 next = 0;
+            for (uint256 i = 0; i < count; i += 2) {
+                level[next++] = i + 1 < count ? _hashPair(level[i], level[i + 1]) : level[i];
+            }
+            count = next;
+        }
+        return level[0];
+    }
+    
+    /**
+     * @dev EIP-712 digest the settlement oracles sign
+     */
+    function settlementDigest(
+        uint256 _questId,
+        bytes32 _winnersRoot,
+        uint256 _deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(SETTLEMENT_TYPEHASH, _questId, _winnersRoot, _deadline)));
+    }
+    
     /**
      * @dev Create a new quest
      */
@@ -171,9 +323,49 @@ contract QuestFactory is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Join a quest by staking required amount
+     * @dev Join a quest by staking required amount (approve the stake to this contract first)
      */
     function joinQuest(uint256 _questId) external nonReentrant {
+        _joinQuest(_questId);
+    }
+    
+    /**
+     * @dev Join a quest with an EIP-2612 permit for the stake instead of a separate approve
+     * @param _deadline Permit deadline
+     */
+    function joinQuestWithPermit(
+        uint256 _questId,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant {
+        Quest storage quest = quests[_questId];
+        require(quest.id != 0, "Quest does not exist");
+        
+        // A permit submitted by someone else first still leaves the allowance in place
+        try IERC20Permit(quest.stakeToken).permit(
+            msg.sender,
+            address(this),
+            quest.stakeAmount,
+            _deadline,
+            _v,
+            _r,
+            _s
+        ) {} catch {
+            require(
+                IERC20(quest.stakeToken).allowance(msg.sender, address(this)) >= quest.stakeAmount,
+                "Permit failed"
+            );
+        }
+        
+        _joinQuest(_questId);
+    }
+    
+    /**
+     * @dev Internal function to stake and record a participation
+     */
+    function _joinQuest(uint256 _questId) internal {
         Quest storage quest = quests[_questId];
         require(quest.id != 0, "Quest does not exist");
         require(quest.status == QuestStatus.Open, "Quest not open for joining");
@@ -200,27 +392,73 @@ contract QuestFactory is Ownable, ReentrancyGuard {
         quest.participantCount++;
         
         emit QuestJoined(_questId, msg.sender, quest.stakeAmount);
+    }
+    
+    /**
+     * @dev Activate an open quest once its start time has passed. Joining closes at the
+     * start, so anyone can move the quest on; completion does this itself if nobody did.
+     */
+    function activateQuest(uint256 _questId) external {
+        Quest storage quest = quests[_questId];
+        require(quest.id != 0, "Quest does not exist");
+        require(quest.status == QuestStatus.Open, "Quest not open");
+        require(block.timestamp >= quest.startTime, "Quest not started yet");
         
-        // Auto-activate quest if it reaches start time and has participants
-        if (block.timestamp >= quest.startTime && quest.status == QuestStatus.Open) {
-            _changeQuestStatus(_questId, QuestStatus.Active);
-        }
+        _changeQuestStatus(_questId, QuestStatus.Active);
     }
     
     /**
-     * @dev Complete quest and distribute rewards
+     * @dev Complete quest and distribute rewards, as signed by the settlement oracles.
+     * Anyone can relay the payload; a quest completes once, so it cannot be replayed.
      * @param _questId Quest ID to complete
-     * @param _winners Array of winner addresses
+     * @param _winners Winner addresses in ascending order
+     * @param _deadline Last timestamp the signatures are valid
+     * @param _signatures Oracle signatures over the Settlement, ordered by signer address
      */
     function completeQuest(
         uint256 _questId,
-        address[] calldata _winners
-    ) external onlyOwner {
+        address[] calldata _winners,
+        uint256 _deadline,
+        bytes[] calldata _signatures
+    ) external nonReentrant {
+        require(block.timestamp <= _deadline, "Settlement expired");
+        require(settlementThreshold > 0, "No settlement signers");
+        require(_signatures.length >= settlementThreshold, "Not enough signatures");
+        
+        bytes32 digest = settlementDigest(_questId, winnersRoot(_winners), _deadline);
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            address signer = ECDSA.recover(digest, _signatures[i]);
+            require(isSettlementSigner[signer], "Invalid signer");
+            require(signer > lastSigner, "Signers not sorted");
+            lastSigner = signer;
+        }
+        
+        _completeQuest(_questId, _winners);
+    }
+    
+    /**
+     * @dev Internal function to split the stakes between winners and losers
+     */
+    function _completeQuest(uint256 _questId, address[] calldata _winners) internal {
         Quest storage quest = quests[_questId];
         require(quest.id != 0, "Quest does not exist");
-        require(quest.status == QuestStatus.Active, "Quest not active");
+        require(
+            quest.status == QuestStatus.Active || quest.status == QuestStatus.Open,
+            "Quest not active"
+        );
         require(block.timestamp >= quest.endTime, "Quest not ended yet");
         
+        // The end is after the start, so an open quest here was never activated
+        if (quest.status == QuestStatus.Open) {
+            _changeQuestStatus(_questId, QuestStatus.Active);
+        }
+        
+        for (uint256 i = 0; i < _winners.length; i++) {
+            require(i == 0 || _winners[i] > _winners[i - 1], "Winners not sorted");
+            require(participations[_questId][_winners[i]].isActive, "Winner not a participant");
+        }
+        
         address[] memory allParticipants = questParticipants[_questId];
         uint256 totalStaked = quest.participantCount * quest.stakeAmount;
         
@@ -305,6 +543,13 @@ contract QuestFactory is Ownable, ReentrancyGuard {
         return questParticipants[_questId];
     }
     
+    /**
+     * @dev Hash a Merkle node pair, smaller hash first
+     */
+    function _hashPair(bytes32 _a, bytes32 _b) private pure returns (bytes32) {
+        return _a < _b ? keccak256(abi.encodePacked(_a, _b)) : keccak256(abi.encodePacked(_b, _a));
+    }
+    
     /**
      * @dev Internal function to change quest status
      */
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockERC20
+ * @dev Stake token with EIP-2612 permit for tests and local networks; anyone can mint
+ */
+contract MockERC20 is ERC20, ERC20Permit {
+    uint8 private immutable _tokenDecimals;
+    
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals
+    ) ERC20(_name, _symbol) ERC20Permit(_name) {
+        _tokenDecimals = _decimals;
+    }
+    
+    function decimals() public view override returns (uint8) {
+        return _tokenDecimals;
+    }
+    
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
@@ -28,6 +28,11 @@ const config: HardhatUserConfig = {
     hardhat: {
       chainId: 1337,
     },
+    // Standalone node (`npm run node`), e.g. for the Worker's event indexer
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 1337,
+    },
   },
   etherscan: {
     apiKey: {
@@ -1,5 +1,99 @@
-import { ethers } from "hardhat";
+import { artifacts, ethers, network } from "hardhat";
 import { Contract, ContractFactory } from "ethers";
+import { mkdirSync, readdirSync, writeFileSync } from "fs";
+
+// Manifests are bundled into the Worker (through deployments/index.ts) and served to the frontend
+const DEPLOYMENTS_DIR = new URL("../../deployments/", import.meta.url);
+
+/**
+ * Regenerate deployments/index.ts so it imports every <network>.json manifest
+ */
+function writeManifestIndex() {
+  const networks = readdirSync(DEPLOYMENTS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length))
+    .sort();
+  const source = [
+    "// Generated by blockchain/scripts/deploy.ts: the deployment manifests bundled into the Worker",
+    "",
+    ...networks.map((name) => `import ${name} from './${name}.json'`),
+    ...(networks.length > 0 ? [""] : []),
+    `export default {${networks.length > 0 ? ` ${networks.join(", ")} ` : ""}} as Record<string, unknown>`,
+  ];
+  writeFileSync(new URL("index.ts", DEPLOYMENTS_DIR), source.join("\n") + "\n");
+}
+
+/**
+ * keccak256 of runtime code with the immutable ranges zeroed. The compiler leaves
+ * immutables (EIP712's cached domain separator, for one) zero in the artifact and
+ * the constructor fills them in, so only the rest can be compared.
+ */
+function runtimeCodeHash(code: string, immutableRanges: { start: number; length: number }[]) {
+  const bytes = ethers.getBytes(code).slice();
+  for (const { start, length } of immutableRanges) {
+    bytes.fill(0, start, start + length);
+  }
+  return ethers.keccak256(bytes);
+}
+
+/**
+ * Address, ABI, runtime code hash (with the immutable ranges it skips) and deploy
+ * block of a deployed contract
+ */
+async function describeContract(name: string, contract: Contract) {
+  const artifact = await artifacts.readArtifact(name);
+  const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const references = buildInfo?.output.contracts[artifact.sourceName][artifact.contractName]
+    .evm.deployedBytecode.immutableReferences ?? {};
+  const immutableRanges = Object.values(references).flat().sort((a, b) => a.start - b.start);
+  const receipt = await contract.deploymentTransaction()!.wait();
+  return {
+    address: await contract.getAddress(),
+    abi: artifact.abi,
+    codeHash: runtimeCodeHash(artifact.deployedBytecode, immutableRanges),
+    immutableRanges,
+    blockNumber: receipt!.blockNumber,
+  };
+}
+
+/**
+ * Stake tokens by symbol (the `stake_token` of quests in D1). Local networks get a
+ * mock USDC with permit, minted to the first signers; other networks list existing
+ * tokens in STAKE_TOKENS, e.g. "USDC=0x...,DAI=0x...".
+ */
+async function setUpStakeTokens() {
+  const tokens: Record<string, { address: string; decimals: number; permit: boolean }> = {};
+  
+  if (network.name === "hardhat" || network.name === "localhost") {
+    const MockERC20Factory: ContractFactory = await ethers.getContractFactory("MockERC20");
+    const usdc: Contract = await MockERC20Factory.deploy("USD Coin", "USDC", 6);
+    await usdc.waitForDeployment();
+    for (const signer of (await ethers.getSigners()).slice(0, 5)) {
+      await (await usdc.mint(signer.address, ethers.parseUnits("10000", 6))).wait();
+    }
+    tokens.USDC = { address: await usdc.getAddress(), decimals: 6, permit: true };
+    return tokens;
+  }
+  
+  for (const entry of (process.env.STAKE_TOKENS || "").split(",").filter(Boolean)) {
+    const [symbol, address] = entry.split("=").map((part) => part.trim());
+    if (!symbol || !ethers.isAddress(address)) {
+      throw new Error(`Invalid STAKE_TOKENS entry: ${entry}`);
+    }
+    const token = new ethers.Contract(address, [
+      "function decimals() view returns (uint8)",
+      "function nonces(address owner) view returns (uint256)",
+      "function DOMAIN_SEPARATOR() view returns (bytes32)"
+    ], ethers.provider);
+    const permit = await Promise.all([token.nonces(ethers.ZeroAddress), token.DOMAIN_SEPARATOR()])
+      .then(() => true, () => false);
+    tokens[symbol] = { address: ethers.getAddress(address), decimals: Number(await token.decimals()), permit };
+  }
+  if (Object.keys(tokens).length === 0) {
+    console.warn("⚠️ No STAKE_TOKENS configured; quests cannot be created on-chain until a token is supported");
+  }
+  return tokens;
+}
 
 /**
  * Deploy script for RUN DAO smart contracts
@@ -70,14 +164,32 @@ async function main() {
     await authorizeMedalTx.wait();
     console.log("✅ QuestFactory authorized in MedalNFT");
     
-    // 5. Set up supported tokens (example with mock USDC)
+    // 5. Set up supported stake tokens (joinQuest pulls ERC-20s, so no native ETH)
     console.log("\n5️⃣ Setting up supported tokens...");
+    const stakeTokens = await setUpStakeTokens();
+    for (const [symbol, token] of Object.entries(stakeTokens)) {
+      const enableTokenTx = await questFactory.setSupportedToken(token.address, true);
+      await enableTokenTx.wait();
+      console.log(`✅ ${symbol} enabled as supported token: ${token.address}${token.permit ? " (EIP-2612 permit)" : ""}`);
+    }
     
-    // For testnet, we'll need to deploy a mock USDC token or use existing testnet tokens
-    // For now, we'll enable ETH (address(0)) as a supported token
-    const enableETHTx = await questFactory.setSupportedToken(ethers.ZeroAddress, true);
-    await enableETHTx.wait();
-    console.log("✅ ETH enabled as supported token");
+    // The account behind the Worker's RUN_ORACLE_PRIVATE_KEY posts the daily run roots
+    const runOracle = ethers.getAddress(process.env.RUN_ORACLE_ADDRESS || deployer.address);
+    console.log("- Setting run oracle in QuestFactory...");
+    const setRunOracleTx = await questFactory.setRunOracle(runOracle);
+    await setRunOracleTx.wait();
+    console.log("✅ Run oracle set:", runOracle);
+    
+    // Settlement oracles: SETTLEMENT_SIGNERS=0x...,0x... with SETTLEMENT_THRESHOLD of them
+    // required (default: the deployer alone, which suits local networks)
+    const settlementSigners = (process.env.SETTLEMENT_SIGNERS || deployer.address)
+      .split(",")
+      .map(address => ethers.getAddress(address.trim()));
+    const settlementThreshold = Number(process.env.SETTLEMENT_THRESHOLD || 1);
+    console.log("- Setting settlement signers in QuestFactory...");
+    const setSignersTx = await questFactory.setSettlementSigners(settlementSigners, settlementThreshold);
+    await setSignersTx.wait();
+    console.log(`✅ Settlement signers set (${settlementThreshold} of ${settlementSigners.length}):`, settlementSigners.join(", "));
     
     // 6. Display deployment summary
     console.log("\n🎉 Deployment completed successfully!");
@@ -91,32 +203,57 @@ async function main() {
     console.log("└─────────────────┴──────────────────────────────────────────────┘");
     
     console.log("\n🔧 Next Steps:");
-    console.log("1. Update wrangler.jsonc with contract addresses");
-    console.log("2. Update frontend to interact with deployed contracts");
+    console.log(`1. Set CHAIN_NETWORK=${network.name} for the Worker and rebuild (the frontend loads the manifest from /api/chain/deployment)`);
+    console.log("2. Commit the deployment manifest");
     console.log("3. Verify contracts on Polygon zkEVM explorer");
     console.log("4. Set up proper DAO treasury and protocol fee addresses");
-    console.log("5. Deploy and configure supported stablecoin tokens");
+    console.log("5. Add stake tokens with STAKE_TOKENS=USDC=0x... when redeploying");
+    console.log("6. Give the Worker the run oracle key (RUN_ORACLE_PRIVATE_KEY), or redeploy with RUN_ORACLE_ADDRESS");
+    console.log("7. Give the Worker one settlement signer key (SETTLEMENT_SIGNER_PRIVATE_KEY); the other signers co-sign through the API");
+    
+    // 7. Save the deployment manifest (addresses, ABIs, deploy block)
+    const contracts = {
+      QuestFactory: await describeContract("QuestFactory", questFactory),
+      EscrowVault: await describeContract("EscrowVault", escrowVault),
+      MedalNFT: await describeContract("MedalNFT", medalNFT)
+    };
+    
+    // The code at each address must be what the ABIs were compiled from
+    for (const [name, contract] of Object.entries(contracts)) {
+      const code = await ethers.provider.getCode(contract.address);
+      if (runtimeCodeHash(code, contract.immutableRanges) !== contract.codeHash) {
+        throw new Error(`${name} at ${contract.address} does not match its artifact; recompile and redeploy`);
+      }
+    }
     
-    // 7. Save deployment info to file
     const deploymentInfo = {
-      network: (await ethers.provider.getNetwork()).name,
-      chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+      network: network.name,
+      chainId: Number((await ethers.provider.getNetwork()).chainId),
       deployer: deployer.address,
+      deployBlock: Math.min(...Object.values(contracts).map(contract => contract.blockNumber)),
       timestamp: new Date().toISOString(),
-      contracts: {
-        EscrowVault: escrowVaultAddress,
-        QuestFactory: questFactoryAddress,
-        MedalNFT: medalNFTAddress
-      },
+      contracts,
+      tokens: stakeTokens,
       configuration: {
         daoTreasury,
         protocolFeeRecipient,
-        supportedTokens: ["ETH (address(0))"]
+        runOracle,
+        settlementSigners,
+        settlementThreshold,
+        supportedTokens: Object.keys(stakeTokens)
       }
     };
     
-    console.log("\n💾 Deployment info:");
-    console.log(JSON.stringify(deploymentInfo, null, 2));
+    // The in-process hardhat network is gone when the script ends
+    if (network.name === "hardhat") {
+      console.log("\n💾 Skipping deployment manifest for the in-process hardhat network");
+    } else {
+      mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+      const manifestUrl = new URL(`${network.name}.json`, DEPLOYMENTS_DIR);
+      writeFileSync(manifestUrl, JSON.stringify(deploymentInfo, null, 2) + "\n");
+      writeManifestIndex();
+      console.log("\n💾 Deployment manifest written to", manifestUrl.pathname);
+    }
     
   } catch (error) {
     console.error("❌ Deployment failed:", error);
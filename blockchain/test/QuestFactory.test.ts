@@ -2,6 +2,9 @@ import { expect } from "chai";
 import { ethers } from "hardhat";
 import { Contract, ContractFactory } from "ethers";
 import { SignerWithAddress } from "@nomicfoundation/hardhat-ethers/signers";
+import { buildMerkleTree } from "../../src/lib/merkle";
+import { runLeafHash } from "../../src/lib/run-proofs";
+import { winnersRoot } from "../../src/lib/settlement-oracle";
 
 /**
  * Test suite for QuestFactory contract
@@ -112,11 +115,46 @@ describe("QuestFactory", function () {
     });
   });
   
-  describe("Quest Participation", function () {
+  describe("ERC-20 Staking", function () {
+    let token: Contract;
     let questId: number;
+    const stake = ethers.parseUnits("10", 6); // 10 USDC
+    
+    // EIP-2612 permit from `signer` letting QuestFactory pull `value` of the token
+    async function signPermit(signer: SignerWithAddress, owner: string, value: bigint, deadline: number) {
+      const domain = {
+        name: "USD Coin",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress()
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        owner,
+        spender: await questFactory.getAddress(),
+        value,
+        nonce: await token.nonces(owner),
+        deadline
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
     
     beforeEach(async function () {
-      // Create a quest first
+      const MockERC20Factory: ContractFactory = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20Factory.deploy("USD Coin", "USDC", 6);
+      await token.waitForDeployment();
+      await token.mint(alice.address, ethers.parseUnits("100", 6));
+      await token.mint(bob.address, ethers.parseUnits("100", 6));
+      await questFactory.setSupportedToken(await token.getAddress(), true);
+      
       await questFactory.createQuest(
         questParams.title,
         questParams.description,
@@ -124,109 +162,278 @@ describe("QuestFactory", function () {
         questParams.endTime,
         questParams.distanceKm,
         questParams.timesPerWeek,
-        ethers.ZeroAddress,
-        questParams.stakeAmount,
+        await token.getAddress(),
+        stake,
         questParams.maxSlots
       );
       questId = 1;
     });
     
-    it("Should allow user to join quest with proper stake", async function () {
-      const tx = await questFactory.connect(alice).joinQuest(questId, {
-        value: questParams.stakeAmount
-      });
+    it("Should move the stake to the escrow vault after an approve", async function () {
+      await token.connect(alice).approve(await questFactory.getAddress(), stake);
       
-      await expect(tx)
+      await expect(questFactory.connect(alice).joinQuest(questId))
         .to.emit(questFactory, "QuestJoined")
-        .withArgs(questId, alice.address, questParams.stakeAmount);
+        .withArgs(questId, alice.address, stake);
       
-      const participants = await questFactory.getQuestParticipants(questId);
-      expect(participants).to.include(alice.address);
+      expect(await token.balanceOf(await escrowVault.getAddress())).to.equal(stake);
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseUnits("90", 6));
     });
     
-    it("Should reject joining with insufficient stake", async function () {
-      await expect(
-        questFactory.connect(alice).joinQuest(questId, {
-          value: ethers.parseEther("5") // Less than required
-        })
-      ).to.be.reverted;
+    it("Should reject joining without an allowance", async function () {
+      await expect(questFactory.connect(alice).joinQuest(questId)).to.be.reverted;
+    });
+    
+    it("Should reject joining with an allowance below the stake", async function () {
+      await token.connect(alice).approve(await questFactory.getAddress(), stake - 1n);
+      
+      await expect(questFactory.connect(alice).joinQuest(questId)).to.be.reverted;
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseUnits("100", 6));
     });
     
     it("Should reject double joining", async function () {
-      // Join once
-      await questFactory.connect(alice).joinQuest(questId, {
-        value: questParams.stakeAmount
-      });
+      await token.connect(alice).approve(await questFactory.getAddress(), stake * 2n);
+      await questFactory.connect(alice).joinQuest(questId);
+      
+      await expect(questFactory.connect(alice).joinQuest(questId)).to.be.revertedWith("Already joined");
+      
+      const participants = await questFactory.getQuestParticipants(questId);
+      expect([...participants]).to.deep.equal([alice.address]);
+    });
+    
+    it("Should join with a permit instead of an approve", async function () {
+      const deadline = questParams.startTime;
+      const { v, r, s } = await signPermit(alice, alice.address, stake, deadline);
+      
+      await expect(questFactory.connect(alice).joinQuestWithPermit(questId, deadline, v, r, s))
+        .to.emit(questFactory, "QuestJoined")
+        .withArgs(questId, alice.address, stake);
+      
+      expect(await token.balanceOf(await escrowVault.getAddress())).to.equal(stake);
+      expect(await token.allowance(alice.address, await questFactory.getAddress())).to.equal(0);
+    });
+    
+    it("Should still join when someone submitted the permit first", async function () {
+      const deadline = questParams.startTime;
+      const { v, r, s } = await signPermit(alice, alice.address, stake, deadline);
+      await token.connect(bob).permit(alice.address, await questFactory.getAddress(), stake, deadline, v, r, s);
+      
+      await expect(questFactory.connect(alice).joinQuestWithPermit(questId, deadline, v, r, s))
+        .to.emit(questFactory, "QuestJoined")
+        .withArgs(questId, alice.address, stake);
+    });
+    
+    it("Should reject a permit signed by someone else", async function () {
+      const deadline = questParams.startTime;
+      const { v, r, s } = await signPermit(bob, alice.address, stake, deadline);
       
-      // Try to join again
       await expect(
-        questFactory.connect(alice).joinQuest(questId, {
-          value: questParams.stakeAmount
-        })
-      ).to.be.revertedWith("Already joined");
+        questFactory.connect(alice).joinQuestWithPermit(questId, deadline, v, r, s)
+      ).to.be.revertedWith("Permit failed");
     });
   });
   
   describe("Quest Completion", function () {
+    let token: Contract;
+    let oracles: SignerWithAddress[];
     let questId: number;
+    let deadline: number;
+    const stake = ethers.parseUnits("10", 6);
+    
+    const ascending = (a: string, b: string) => (BigInt(a) < BigInt(b) ? -1 : 1);
+    
+    // EIP-712 Settlement signatures, ordered by signer address as completeQuest expects
+    async function signSettlement(signers: SignerWithAddress[], id: number, winners: string[], validUntil: number) {
+      const domain = {
+        name: "RUN DAO QuestFactory",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await questFactory.getAddress()
+      };
+      const types = {
+        Settlement: [
+          { name: "questId", type: "uint256" },
+          { name: "winnersRoot", type: "bytes32" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = { questId: id, winnersRoot: await questFactory.winnersRoot(winners), deadline: validUntil };
+      const sorted = [...signers].sort((a, b) => ascending(a.address, b.address));
+      return Promise.all(sorted.map(signer => signer.signTypedData(domain, types, message)));
+    }
     
     beforeEach(async function () {
-      // Create quest
+      oracles = (await ethers.getSigners()).slice(4, 7);
+      await questFactory.setSettlementSigners(oracles.map(oracle => oracle.address), 2);
+      
+      const MockERC20Factory: ContractFactory = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20Factory.deploy("USD Coin", "USDC", 6);
+      await token.waitForDeployment();
+      await questFactory.setSupportedToken(await token.getAddress(), true);
+      
+      const now = (await ethers.provider.getBlock("latest"))!.timestamp;
       await questFactory.createQuest(
         questParams.title,
         questParams.description,
-        Math.floor(Date.now() / 1000) + 60, // 1 minute from now
-        Math.floor(Date.now() / 1000) + 120, // 2 minutes from now
+        now + 60, // 1 minute from now
+        now + 120, // 2 minutes from now
         questParams.distanceKm,
         questParams.timesPerWeek,
-        ethers.ZeroAddress,
-        questParams.stakeAmount,
+        await token.getAddress(),
+        stake,
         questParams.maxSlots
       );
       questId = 1;
       
       // Alice and Bob join
-      await questFactory.connect(alice).joinQuest(questId, {
-        value: questParams.stakeAmount
-      });
-      await questFactory.connect(bob).joinQuest(questId, {
-        value: questParams.stakeAmount
-      });
-      
-      // Wait for quest to end
+      for (const runner of [alice, bob]) {
+        await token.mint(runner.address, stake);
+        await token.connect(runner).approve(await questFactory.getAddress(), stake);
+        await questFactory.connect(runner).joinQuest(questId);
+      }
+      
+      // Wait for quest to end; nobody activates it, completion does
       await ethers.provider.send("evm_increaseTime", [200]);
       await ethers.provider.send("evm_mine", []);
+      deadline = (await ethers.provider.getBlock("latest"))!.timestamp + 3600;
     });
     
-    it("Should complete quest and distribute rewards", async function () {
+    it("Should complete quest with oracle signatures relayed by anyone", async function () {
       const winners = [alice.address];
+      const signatures = await signSettlement(oracles.slice(0, 2), questId, winners, deadline);
       
-      const tx = await questFactory.completeQuest(questId, winners);
+      const tx = await questFactory.connect(bob).completeQuest(questId, winners, deadline, signatures);
       
       await expect(tx)
         .to.emit(questFactory, "QuestCompleted")
-        .withArgs(questId, winners, [bob.address], questParams.stakeAmount * 2n);
+        .withArgs(questId, winners, [bob.address], stake * 2n);
+      await expect(tx)
+        .to.emit(questFactory, "QuestStatusChanged")
+        .withArgs(questId, 1, 2); // Open -> Active
       
       const quest = await questFactory.getQuest(questId);
       expect(quest.status).to.equal(3); // Completed status
     });
     
+    it("Should let anyone activate a quest once it has started", async function () {
+      await expect(questFactory.connect(bob).activateQuest(questId))
+        .to.emit(questFactory, "QuestStatusChanged")
+        .withArgs(questId, 1, 2); // Open -> Active
+      await expect(questFactory.activateQuest(questId)).to.be.revertedWith("Quest not open");
+      
+      const winners = [alice.address];
+      const signatures = await signSettlement(oracles.slice(0, 2), questId, winners, deadline);
+      await questFactory.completeQuest(questId, winners, deadline, signatures);
+      expect((await questFactory.getQuest(questId)).status).to.equal(3);
+      
+      await questFactory.createQuest(
+        "Future Quest",
+        "A quest in the future",
+        deadline,
+        deadline + 3600,
+        questParams.distanceKm,
+        questParams.timesPerWeek,
+        await token.getAddress(),
+        stake,
+        questParams.maxSlots
+      );
+      await expect(questFactory.activateQuest(2)).to.be.revertedWith("Quest not started yet");
+    });
+    
+    it("Should reject a replayed settlement", async function () {
+      const winners = [alice.address];
+      const signatures = await signSettlement(oracles.slice(0, 2), questId, winners, deadline);
+      await questFactory.completeQuest(questId, winners, deadline, signatures);
+      
+      await expect(
+        questFactory.completeQuest(questId, winners, deadline, signatures)
+      ).to.be.revertedWith("Quest not active");
+      
+      // Signatures for one quest say nothing about another
+      await questFactory.createQuest(
+        "Second Quest",
+        questParams.description,
+        deadline,
+        deadline + 60,
+        questParams.distanceKm,
+        questParams.timesPerWeek,
+        await token.getAddress(),
+        stake,
+        questParams.maxSlots
+      );
+      await expect(
+        questFactory.completeQuest(2, winners, deadline, signatures)
+      ).to.be.revertedWith("Invalid signer");
+    });
+    
+    it("Should reject an expired settlement", async function () {
+      const winners = [alice.address];
+      const signatures = await signSettlement(oracles.slice(0, 2), questId, winners, deadline);
+      
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine", []);
+      
+      await expect(
+        questFactory.completeQuest(questId, winners, deadline, signatures)
+      ).to.be.revertedWith("Settlement expired");
+    });
+    
+    it("Should reject a signature from outside the oracle set", async function () {
+      const winners = [alice.address];
+      const signatures = await signSettlement([oracles[0], alice], questId, winners, deadline);
+      
+      await expect(
+        questFactory.completeQuest(questId, winners, deadline, signatures)
+      ).to.be.revertedWith("Invalid signer");
+    });
+    
+    it("Should reject signatures for other winners", async function () {
+      const signatures = await signSettlement(oracles.slice(0, 2), questId, [alice.address], deadline);
+      const winners = [alice.address, bob.address].sort(ascending);
+      
+      await expect(
+        questFactory.completeQuest(questId, winners, deadline, signatures)
+      ).to.be.revertedWith("Invalid signer");
+    });
+    
+    it("Should require the threshold of distinct signers", async function () {
+      const winners = [alice.address];
+      const [signature] = await signSettlement([oracles[0]], questId, winners, deadline);
+      
+      await expect(
+        questFactory.completeQuest(questId, winners, deadline, [signature])
+      ).to.be.revertedWith("Not enough signatures");
+      await expect(
+        questFactory.completeQuest(questId, winners, deadline, [signature, signature])
+      ).to.be.revertedWith("Signers not sorted");
+    });
+    
+    it("Should only let the owner change the oracle set", async function () {
+      await expect(
+        questFactory.connect(alice).setSettlementSigners([alice.address], 1)
+      ).to.be.reverted;
+      await expect(
+        questFactory.setSettlementSigners([alice.address], 2)
+      ).to.be.revertedWith("Invalid threshold");
+    });
+    
     it("Should reject completion before quest ends", async function () {
       // Create new quest that hasn't ended
       await questFactory.createQuest(
         "Future Quest",
         "A quest in the future",
-        Math.floor(Date.now() / 1000) + 3600,
-        Math.floor(Date.now() / 1000) + 7200,
+        deadline,
+        deadline + 3600,
         questParams.distanceKm,
         questParams.timesPerWeek,
-        ethers.ZeroAddress,
-        questParams.stakeAmount,
+        await token.getAddress(),
+        stake,
         questParams.maxSlots
       );
+      const signatures = await signSettlement(oracles.slice(1), 2, [], deadline);
       
       await expect(
-        questFactory.completeQuest(2, [alice.address])
+        questFactory.completeQuest(2, [], deadline, signatures)
       ).to.be.revertedWith("Quest not ended yet");
     });
   });
@@ -262,4 +469,108 @@ describe("QuestFactory", function () {
       ).to.be.revertedWith("Not authorized");
     });
   });
+  
+  describe("Run Attestation", function () {
+    let day: number;
+    let runs: [string, number, number, number, string][];
+    let leaves: string[];
+    
+    // Same pairing as OpenZeppelin's MerkleProof: the smaller hash goes first
+    const hashPair = (a: string, b: string) =>
+      ethers.keccak256(ethers.concat(BigInt(a) < BigInt(b) ? [a, b] : [b, a]));
+    
+    beforeEach(async function () {
+      await questFactory.setRunOracle(owner.address);
+      day = Math.floor((await ethers.provider.getBlock("latest"))!.timestamp / 86400) - 1;
+      
+      const gpsPathHash = ethers.keccak256(ethers.toUtf8Bytes('[{"lat":37.52,"lng":126.93}]'));
+      runs = [
+        [alice.address, 1, 5200, 1680, gpsPathHash],
+        [bob.address, 1, 5010, 1920, ethers.ZeroHash],
+        [alice.address, 2, 10000, 3300, gpsPathHash]
+      ];
+      leaves = await Promise.all(runs.map(run => questFactory.runLeaf(...run)));
+    });
+    
+    it("Should verify every run of a posted root and reject a changed run", async function () {
+      // Three leaves: the third is carried up a level unpaired
+      const root = hashPair(hashPair(leaves[0], leaves[1]), leaves[2]);
+      await expect(questFactory.postRunRoot(day, root, runs.length))
+        .to.emit(questFactory, "RunRootPosted")
+        .withArgs(day, root, runs.length);
+      
+      const proofs = [[leaves[1], leaves[2]], [leaves[0], leaves[2]], [hashPair(leaves[0], leaves[1])]];
+      for (let i = 0; i < runs.length; i++) {
+        expect(await questFactory.connect(bob).verifyRun(day, ...runs[i], proofs[i])).to.equal(true);
+      }
+      
+      const [runner, questId, , duration, gpsPathHash] = runs[0];
+      expect(await questFactory.verifyRun(day, runner, questId, 9999, duration, gpsPathHash, proofs[0])).to.equal(false);
+      expect(await questFactory.verifyRun(day - 1, ...runs[0], proofs[0])).to.equal(false);
+    });
+    
+    it("Should only accept roots from the run oracle", async function () {
+      await expect(
+        questFactory.connect(alice).postRunRoot(day, leaves[0], 1)
+      ).to.be.revertedWith("Not run oracle");
+    });
+    
+    it("Should accept one root per finished day", async function () {
+      await questFactory.postRunRoot(day, leaves[0], 1);
+      
+      await expect(
+        questFactory.postRunRoot(day, leaves[1], 1)
+      ).to.be.revertedWith("Root already posted");
+      await expect(
+        questFactory.postRunRoot(day + 1, leaves[1], 1)
+      ).to.be.revertedWith("Day not over");
+    });
+  });
+  
+  describe("Worker Merkle Parity", function () {
+    // Odd counts carry an unpaired node up a level, which is where the two sides could disagree
+    const counts = [1, 2, 3, 4, 5, 6, 7];
+    
+    it("Should build the same winner roots as the Worker", async function () {
+      const signers = await ethers.getSigners();
+      
+      for (const count of counts) {
+        const winners = signers.slice(0, count).map(signer => signer.address).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+        expect(winnersRoot(winners)).to.equal(await questFactory.winnersRoot(winners));
+      }
+    });
+    
+    it("Should verify every run against a root and proofs built by the Worker", async function () {
+      const signers = await ethers.getSigners();
+      await questFactory.setRunOracle(owner.address);
+      const today = Math.floor((await ethers.provider.getBlock("latest"))!.timestamp / 86400);
+      
+      for (const count of counts) {
+        const day = today - count;
+        const runs = signers.slice(0, count).map((signer, i) => ({
+          runner: signer.address,
+          quest_id: i % 2 + 1,
+          distance_m: 5000 + i * 100,
+          duration_sec: 1500 + i * 60,
+          gps_path_hash: i % 2 ? ethers.ZeroHash : ethers.keccak256(ethers.toUtf8Bytes(`path-${i}`))
+        }));
+        const leaves = runs.map(run => runLeafHash(run));
+        for (let i = 0; i < count; i++) {
+          const run = runs[i];
+          expect(leaves[i]).to.equal(
+            await questFactory.runLeaf(run.runner, run.quest_id, run.distance_m, run.duration_sec, run.gps_path_hash)
+          );
+        }
+        
+        const { root, proofs } = buildMerkleTree(leaves);
+        await questFactory.postRunRoot(day, root, count);
+        for (let i = 0; i < count; i++) {
+          const run = runs[i];
+          expect(
+            await questFactory.verifyRun(day, run.runner, run.quest_id, run.distance_m, run.duration_sec, run.gps_path_hash, proofs[i])
+          ).to.equal(true);
+        }
+      }
+    });
+  });
 });
\ No newline at end of file
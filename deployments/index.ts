@@ -0,0 +1,3 @@
+// Generated by blockchain/scripts/deploy.ts: the deployment manifests bundled into the Worker
+
+export default {} as Record<string, unknown>
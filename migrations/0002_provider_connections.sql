@@ -0,0 +1,32 @@
+-- 작심삼일 RUN DAO - Fitness provider connections (Strava OAuth)
+-- OAuth tokens per user and provider
+CREATE TABLE IF NOT EXISTS provider_connections (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  provider TEXT NOT NULL CHECK (provider IN ('strava', 'garmin', 'apple_health', 'google_fit')),
+  provider_user_id TEXT NOT NULL, -- e.g. Strava athlete ID
+
+  access_token TEXT NOT NULL,
+  refresh_token TEXT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  scope TEXT,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  UNIQUE(user_id, provider),
+  UNIQUE(provider, provider_user_id)
+);
+
+-- One-time OAuth state values tying an authorization callback to a user
+CREATE TABLE IF NOT EXISTS provider_oauth_states (
+  state TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_provider_connections_user ON provider_connections(user_id);
@@ -0,0 +1,21 @@
+-- 작심삼일 RUN DAO - Review queue for runs held back by anti-cheat scoring
+-- Suspicious runs wait here instead of in quest_runs until a crew leader decides
+CREATE TABLE IF NOT EXISTS run_reviews (
+  id TEXT PRIMARY KEY,
+  run_record_id TEXT NOT NULL,
+  quest_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  status TEXT CHECK (status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending',
+
+  reviewed_by TEXT,
+  review_note TEXT,
+  reviewed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (run_record_id) REFERENCES run_records(id),
+  FOREIGN KEY (quest_id) REFERENCES quests(id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  UNIQUE(quest_id, run_record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_run_reviews_status ON run_reviews(status, quest_id);
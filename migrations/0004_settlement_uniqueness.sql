@@ -0,0 +1,3 @@
+-- 작심삼일 RUN DAO - One settlement per quest batch
+-- The settlement job relies on this to stay idempotent when a cron run repeats
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlements_quest_batch ON settlements(quest_id, batch_number);
@@ -0,0 +1,55 @@
+-- 작심삼일 RUN DAO - Quest lifecycle
+-- Status changes go through src/lib/quest-lifecycle.ts and are recorded here
+
+-- Who created the quest; with the crew leader, the only one allowed to publish or cancel it
+ALTER TABLE quests ADD COLUMN creator_id TEXT REFERENCES users(id);
+
+CREATE TABLE IF NOT EXISTS quest_transitions (
+  id TEXT PRIMARY KEY,
+  quest_id TEXT NOT NULL,
+  from_status TEXT, -- NULL for the creation entry
+  to_status TEXT NOT NULL,
+  actor_id TEXT, -- NULL when the scheduler made the change
+  reason TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (quest_id) REFERENCES quests(id),
+  FOREIGN KEY (actor_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quest_transitions_quest ON quest_transitions(quest_id, created_at);
+
+-- Cancelled quests refund their stakes, which needs its own participation status.
+-- SQLite cannot alter a CHECK constraint, so the table is rebuilt.
+PRAGMA defer_foreign_keys = true;
+
+CREATE TABLE participations_new (
+  id TEXT PRIMARY KEY,
+  quest_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  status TEXT CHECK (status IN ('active', 'success', 'fail', 'forfeit', 'refunded')) DEFAULT 'active',
+
+  -- Staking info
+  escrow_id TEXT, -- On-chain escrow ID
+  stake_amount REAL,
+  stake_token TEXT DEFAULT 'USDC',
+  stake_tx_hash TEXT,
+
+  -- Progress tracking
+  completed_sessions INTEGER DEFAULT 0,
+  total_distance_km REAL DEFAULT 0,
+
+  joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME,
+
+  FOREIGN KEY (quest_id) REFERENCES quests(id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  UNIQUE(quest_id, user_id)
+);
+
+INSERT INTO participations_new SELECT * FROM participations;
+DROP TABLE participations;
+ALTER TABLE participations_new RENAME TO participations;
+
+CREATE INDEX IF NOT EXISTS idx_participations_user ON participations(user_id);
+CREATE INDEX IF NOT EXISTS idx_participations_quest ON participations(quest_id);
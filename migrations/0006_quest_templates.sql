@@ -0,0 +1,31 @@
+-- 작심삼일 RUN DAO - Recurring quest templates
+-- A template spawns the next quest of its series whenever the previous one ends
+CREATE TABLE IF NOT EXISTS quest_templates (
+  id TEXT PRIMARY KEY,
+  crew_id TEXT,
+  creator_id TEXT,
+  title TEXT NOT NULL,
+  description TEXT,
+  distance_km REAL NOT NULL,
+  times_per_week INTEGER NOT NULL,
+  stake_token TEXT DEFAULT 'USDC',
+  stake_amount REAL NOT NULL,
+  max_slots INTEGER DEFAULT 20,
+
+  -- Each spawned quest covers one period, in the template's timezone
+  recurrence TEXT CHECK (recurrence IN ('weekly', 'biweekly', 'monthly')) NOT NULL,
+  timezone TEXT DEFAULT 'Asia/Seoul',
+  signup_days INTEGER DEFAULT 2, -- gap between one quest ending and the next starting
+  is_active BOOLEAN DEFAULT TRUE,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (crew_id) REFERENCES crews(id),
+  FOREIGN KEY (creator_id) REFERENCES users(id)
+);
+
+ALTER TABLE quests ADD COLUMN template_id TEXT REFERENCES quest_templates(id);
+
+-- Keeps the spawner idempotent when a cron run repeats
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quests_template_start ON quests(template_id, start_at) WHERE template_id IS NOT NULL;
@@ -0,0 +1,21 @@
+-- 작심삼일 RUN DAO - Sign-In with Ethereum sessions
+-- One-time nonces handed out before the wallet signs the SIWE message
+CREATE TABLE IF NOT EXISTS auth_nonces (
+  nonce TEXT PRIMARY KEY,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Server-side sessions; the cookie holds the token, only its hash is stored
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id TEXT PRIMARY KEY, -- SHA-256 of the session token
+  user_id TEXT NOT NULL,
+  wallet_address TEXT NOT NULL,
+  chain_id INTEGER,
+  user_agent TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
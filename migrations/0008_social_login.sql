@@ -0,0 +1,63 @@
+-- 작심삼일 RUN DAO - Social login (Google, Apple, Kakao over OAuth 2.0 / OIDC)
+PRAGMA defer_foreign_keys = true;
+
+-- Social sign-ups get their custodial wallet later, so wallet_address becomes optional.
+-- SQLite cannot drop a NOT NULL constraint, so the table is rebuilt. The rows are
+-- copied back after the drop: re-inserting parent rows is what clears the deferred
+-- foreign key violations the drop raised for every child table.
+CREATE TABLE users_backup AS SELECT * FROM users;
+DROP TABLE users;
+
+CREATE TABLE users (
+  id TEXT PRIMARY KEY,
+  email TEXT,
+  social_id TEXT,
+  social_provider TEXT CHECK (social_provider IN ('apple', 'google', 'kakao')),
+  wallet_address TEXT,
+  custody_type TEXT CHECK (custody_type IN ('custodial', 'non_custodial')) DEFAULT 'custodial',
+  nickname TEXT,
+  region TEXT,
+  locale TEXT DEFAULT 'ko-KR',
+  timezone TEXT DEFAULT 'Asia/Seoul',
+  device_info TEXT, -- JSON string
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE(email),
+  UNIQUE(social_id, social_provider),
+  UNIQUE(wallet_address)
+);
+
+INSERT INTO users SELECT * FROM users_backup;
+DROP TABLE users_backup;
+
+-- One-time PKCE login attempts, keyed by the OAuth state value
+CREATE TABLE IF NOT EXISTS oauth_login_states (
+  state TEXT PRIMARY KEY,
+  provider TEXT NOT NULL CHECK (provider IN ('apple', 'google', 'kakao')),
+  code_verifier TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  redirect_to TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sessions now record how the user signed in; social sessions have no wallet
+CREATE TABLE auth_sessions_new (
+  id TEXT PRIMARY KEY, -- SHA-256 of the session token
+  user_id TEXT NOT NULL,
+  auth_method TEXT NOT NULL CHECK (auth_method IN ('siwe', 'apple', 'google', 'kakao')),
+  wallet_address TEXT,
+  chain_id INTEGER,
+  user_agent TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+INSERT INTO auth_sessions_new (id, user_id, auth_method, wallet_address, chain_id, user_agent, created_at, expires_at)
+SELECT id, user_id, 'siwe', wallet_address, chain_id, user_agent, created_at, expires_at FROM auth_sessions;
+DROP TABLE auth_sessions;
+ALTER TABLE auth_sessions_new RENAME TO auth_sessions;
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
@@ -0,0 +1,34 @@
+-- 작심삼일 RUN DAO - Server-side custodial wallets
+-- Private keys are encrypted with a per-wallet data key, which is itself wrapped
+-- with the CUSTODY_MASTER_KEY Worker secret. Key columns are cleared on export.
+CREATE TABLE IF NOT EXISTS custodial_wallets (
+  user_id TEXT PRIMARY KEY,
+  address TEXT NOT NULL UNIQUE, -- lowercase, same as users.wallet_address
+  encrypted_key TEXT, -- AES-256-GCM(private key) under the data key, base64url
+  key_iv TEXT,
+  wrapped_data_key TEXT, -- AES-256-GCM(data key) under the master key, base64url
+  data_key_iv TEXT,
+  master_key_id TEXT NOT NULL,
+  daily_limit_wei TEXT NOT NULL, -- decimal string; wei amounts overflow INTEGER
+  status TEXT NOT NULL CHECK (status IN ('active', 'exported')) DEFAULT 'active',
+  exported_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Every transaction signed on a user's behalf; the rolling daily limit is summed from here
+CREATE TABLE IF NOT EXISTS custody_signatures (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  chain_id INTEGER NOT NULL,
+  to_address TEXT NOT NULL,
+  value_wei TEXT NOT NULL,
+  tx_hash TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_custody_signatures_user ON custody_signatures(user_id, created_at);
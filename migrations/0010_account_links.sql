@@ -0,0 +1,16 @@
+-- 작심삼일 RUN DAO - Account linking audit log
+-- One row per wallet link, unlink or account merge. merged_user_id keeps the ID of an
+-- account that was folded into user_id (that user row itself is deleted).
+CREATE TABLE IF NOT EXISTS account_link_events (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('link', 'unlink', 'merge')),
+  wallet_address TEXT,
+  merged_user_id TEXT,
+  details TEXT, -- JSON: rows moved per table, previous wallet, ...
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_link_events_user ON account_link_events(user_id, created_at);
@@ -0,0 +1,39 @@
+-- 작심삼일 RUN DAO - Crew management (roles and join requests)
+PRAGMA defer_foreign_keys = true;
+
+-- Memberships gain a role and record who decided a join request. Private crews
+-- keep requests as 'pending' until a leader approves ('active') or rejects them
+-- ('rejected'). The CHECK constraint changes, so the table is rebuilt.
+CREATE TABLE crew_memberships_new (
+  id TEXT PRIMARY KEY,
+  crew_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('leader', 'co_leader', 'moderator', 'member')) DEFAULT 'member',
+  status TEXT CHECK (status IN ('pending', 'active', 'rejected', 'left')) DEFAULT 'active',
+  requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  joined_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- set when the membership becomes active
+  decided_by TEXT, -- who approved or rejected the request
+  decided_at DATETIME,
+
+  FOREIGN KEY (crew_id) REFERENCES crews(id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (decided_by) REFERENCES users(id),
+  UNIQUE(crew_id, user_id)
+);
+
+INSERT INTO crew_memberships_new (id, crew_id, user_id, status, requested_at, joined_at)
+SELECT id, crew_id, user_id, status, joined_at, joined_at FROM crew_memberships;
+DROP TABLE crew_memberships;
+ALTER TABLE crew_memberships_new RENAME TO crew_memberships;
+
+CREATE INDEX IF NOT EXISTS idx_crew_memberships_user ON crew_memberships(user_id);
+CREATE INDEX IF NOT EXISTS idx_crew_memberships_crew ON crew_memberships(crew_id, status);
+
+-- Every crew leader holds an active 'leader' membership; crews.leader_id stays the quick lookup
+UPDATE crew_memberships SET role = 'leader', status = 'active'
+WHERE user_id = (SELECT leader_id FROM crews WHERE crews.id = crew_memberships.crew_id);
+
+INSERT INTO crew_memberships (id, crew_id, user_id, role, status)
+SELECT 'membership_' || c.id || '_leader', c.id, c.leader_id, 'leader', 'active'
+FROM crews c
+WHERE NOT EXISTS (SELECT 1 FROM crew_memberships cm WHERE cm.crew_id = c.id AND cm.user_id = c.leader_id);
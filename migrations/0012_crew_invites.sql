@@ -0,0 +1,23 @@
+-- 작심삼일 RUN DAO - Crew invite links
+-- Leaders hand out links (or QR codes) that put the holder straight into the crew,
+-- skipping the join request of private crews. Only the SHA-256 of the token is
+-- stored, like auth_sessions.
+CREATE TABLE IF NOT EXISTS crew_invites (
+  id TEXT PRIMARY KEY,
+  crew_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_by TEXT NOT NULL,
+  max_uses INTEGER NOT NULL,
+  use_count INTEGER NOT NULL DEFAULT 0,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (crew_id) REFERENCES crews(id),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crew_invites_crew ON crew_invites(crew_id, created_at);
+
+-- Which invite brought a member in, if any
+ALTER TABLE crew_memberships ADD COLUMN invite_id TEXT REFERENCES crew_invites(id);
@@ -0,0 +1,91 @@
+-- 작심삼일 RUN DAO - Quest visibility and eligibility
+PRAGMA defer_foreign_keys = true;
+
+-- Public quests are open to everyone and need no crew, so crew_id becomes optional.
+-- Crew quests are only visible to, and joinable by, active members of their crew.
+-- Either kind can further limit who may join: a region, a minimum number of past
+-- runs, or invitations only. The quests table has children, so it is rebuilt the
+-- way 0008 rebuilt users.
+CREATE TABLE quests_backup AS SELECT * FROM quests;
+DROP TABLE quests;
+
+CREATE TABLE quests (
+  id TEXT PRIMARY KEY,
+  crew_id TEXT, -- hosting crew; null for public quests without one
+  creator_id TEXT,
+  template_id TEXT,
+  title TEXT NOT NULL,
+  description TEXT,
+  start_at DATETIME NOT NULL,
+  end_at DATETIME NOT NULL,
+  distance_km REAL NOT NULL,
+  times_per_week INTEGER NOT NULL,
+  stake_token TEXT DEFAULT 'USDC',
+  stake_amount REAL NOT NULL,
+  max_slots INTEGER DEFAULT 20,
+  status TEXT CHECK (status IN ('draft', 'open', 'active', 'completed', 'cancelled')) DEFAULT 'draft',
+
+  -- Who can see and join
+  visibility TEXT NOT NULL CHECK (visibility IN ('public', 'crew')) DEFAULT 'public',
+  eligible_region TEXT, -- matched against users.region, ignoring case
+  min_past_runs INTEGER NOT NULL DEFAULT 0,
+  invite_only BOOLEAN NOT NULL DEFAULT 0,
+
+  -- Reward distribution settings
+  success_rate REAL DEFAULT 0.8,
+  dao_rate REAL DEFAULT 0.1,
+  protocol_fee_rate REAL DEFAULT 0.1,
+
+  -- Smart contract info
+  contract_address TEXT,
+  contract_quest_id INTEGER,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (crew_id) REFERENCES crews(id),
+  FOREIGN KEY (creator_id) REFERENCES users(id),
+  FOREIGN KEY (template_id) REFERENCES quest_templates(id)
+);
+
+-- Every existing quest belongs to a crew, some of them private, so they become
+-- crew quests; crews can open them up afterwards
+INSERT INTO quests (
+  id, crew_id, creator_id, template_id, title, description, start_at, end_at,
+  distance_km, times_per_week, stake_token, stake_amount, max_slots, status, visibility,
+  success_rate, dao_rate, protocol_fee_rate, contract_address, contract_quest_id,
+  created_at, updated_at
+)
+SELECT
+  id, crew_id, creator_id, template_id, title, description, start_at, end_at,
+  distance_km, times_per_week, stake_token, stake_amount, max_slots, status,
+  CASE WHEN crew_id IS NOT NULL THEN 'crew' ELSE 'public' END,
+  success_rate, dao_rate, protocol_fee_rate, contract_address, contract_quest_id,
+  created_at, updated_at
+FROM quests_backup;
+DROP TABLE quests_backup;
+
+CREATE INDEX IF NOT EXISTS idx_quests_crew ON quests(crew_id);
+CREATE INDEX IF NOT EXISTS idx_quests_status ON quests(status);
+CREATE INDEX IF NOT EXISTS idx_quests_visibility ON quests(visibility, status, start_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quests_template_start ON quests(template_id, start_at) WHERE template_id IS NOT NULL;
+
+-- Spawned quests copy these from their template
+ALTER TABLE quest_templates ADD COLUMN visibility TEXT NOT NULL CHECK (visibility IN ('public', 'crew')) DEFAULT 'public';
+ALTER TABLE quest_templates ADD COLUMN eligible_region TEXT;
+ALTER TABLE quest_templates ADD COLUMN min_past_runs INTEGER NOT NULL DEFAULT 0;
+UPDATE quest_templates SET visibility = 'crew' WHERE crew_id IS NOT NULL;
+
+-- Who may join an invite-only quest
+CREATE TABLE IF NOT EXISTS quest_invites (
+  id TEXT PRIMARY KEY,
+  quest_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  invited_by TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (quest_id) REFERENCES quests(id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (invited_by) REFERENCES users(id),
+  UNIQUE(quest_id, user_id)
+);
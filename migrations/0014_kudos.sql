@@ -0,0 +1,10 @@
+-- 작심삼일 RUN DAO - Kudos and the crew activity feed
+-- Kudos can now be given for a single run (the one-tap button in the crew feed).
+-- The same person can thank a run only once.
+ALTER TABLE kudos ADD COLUMN run_record_id TEXT REFERENCES run_records(id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kudos_run_giver ON kudos(run_record_id, from_user_id) WHERE run_record_id IS NOT NULL;
+
+-- Daily limits count what a user gave recently; the feed reads a crew's kudos by time
+CREATE INDEX IF NOT EXISTS idx_kudos_from_user ON kudos(from_user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_kudos_crew ON kudos(crew_id, created_at);
@@ -0,0 +1,36 @@
+-- 작심삼일 RUN DAO - Abuse reports and moderation
+-- Every step a moderator takes on a report is logged here: invalidating a run,
+-- forfeiting a participation, or dismissing the report.
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id TEXT PRIMARY KEY,
+  report_id TEXT NOT NULL,
+  actor_id TEXT NOT NULL,
+  action TEXT CHECK (action IN ('invalidate_run', 'forfeit_participation', 'dismiss')) NOT NULL,
+
+  -- What the action touched
+  quest_id TEXT,
+  user_id TEXT,
+  run_record_id TEXT,
+  note TEXT,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (report_id) REFERENCES abuse_reports(id),
+  FOREIGN KEY (actor_id) REFERENCES users(id),
+  FOREIGN KEY (quest_id) REFERENCES quests(id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (run_record_id) REFERENCES run_records(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_report ON moderation_actions(report_id, created_at);
+
+-- The queue lists reports by status, oldest first, per quest
+CREATE INDEX IF NOT EXISTS idx_abuse_reports_queue ON abuse_reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_abuse_reports_quest ON abuse_reports(quest_id, status);
+
+-- Reports route to the moderators of their quest; give older run reports the
+-- quest their run counted for, when there is exactly one
+UPDATE abuse_reports
+SET quest_id = (SELECT quest_id FROM quest_runs WHERE run_record_id = abuse_reports.run_record_id)
+WHERE quest_id IS NULL AND run_record_id IS NOT NULL
+  AND (SELECT COUNT(*) FROM quest_runs WHERE run_record_id = abuse_reports.run_record_id) = 1;
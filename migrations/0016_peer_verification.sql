@@ -0,0 +1,26 @@
+-- 작심삼일 RUN DAO - Community verification of suspicious runs
+-- While a held run waits for review, fellow participants of its quest vote it
+-- valid or invalid until voting_ends_at. Each vote carries the voter's
+-- reputation weight at the time of voting.
+ALTER TABLE run_reviews ADD COLUMN voting_ends_at DATETIME;
+
+UPDATE run_reviews SET voting_ends_at = datetime(created_at, '+48 hours') WHERE voting_ends_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS run_review_votes (
+  id TEXT PRIMARY KEY,
+  review_id TEXT NOT NULL,
+  voter_id TEXT NOT NULL,
+  vote TEXT CHECK (vote IN ('valid', 'invalid')) NOT NULL,
+  weight REAL NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (review_id) REFERENCES run_reviews(id),
+  FOREIGN KEY (voter_id) REFERENCES users(id),
+  UNIQUE (review_id, voter_id)
+);
+
+-- The cron job closes pending reviews whose voting has ended
+CREATE INDEX IF NOT EXISTS idx_run_reviews_voting ON run_reviews(status, voting_ends_at);
+
+-- A run is written to a quest once, whether a leader or the vote decided it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quest_runs_quest_run ON quest_runs(quest_id, run_record_id);
@@ -0,0 +1,41 @@
+-- 작심삼일 RUN DAO - On-chain event indexer
+-- The Worker polls contract logs from an RPC and reconciles them into D1. The
+-- cursor is the last block whose logs have been stored, per chain.
+CREATE TABLE IF NOT EXISTS chain_sync_state (
+  chain_id INTEGER PRIMARY KEY,
+  last_block INTEGER NOT NULL,
+  last_block_hash TEXT, -- to notice a reorg below the confirmation depth
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every decoded log, applied to D1 once the rows it refers to exist
+CREATE TABLE IF NOT EXISTS chain_events (
+  id TEXT PRIMARY KEY,
+  chain_id INTEGER NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  block_time DATETIME NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  contract_address TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  args TEXT NOT NULL, -- JSON, integers as strings
+
+  status TEXT CHECK (status IN ('pending', 'applied', 'unmatched')) DEFAULT 'pending',
+  target_id TEXT, -- D1 row the event was applied to
+  attempts INTEGER DEFAULT 0,
+  applied_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE (chain_id, tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_events_status ON chain_events(chain_id, status, block_number, log_index);
+CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events(chain_id, block_number);
+
+-- Refunds of cancelled quests are recorded next to the stake
+ALTER TABLE participations ADD COLUMN refund_tx_hash TEXT;
+
+-- One D1 quest per on-chain quest, one medal row per token
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quests_contract ON quests(contract_address, contract_quest_id) WHERE contract_quest_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nft_medals_token ON nft_medals(contract_address, token_id) WHERE token_id IS NOT NULL;
@@ -0,0 +1,32 @@
+-- 작심삼일 RUN DAO - Merkle-committed run proofs
+-- Once a day the Worker (the run oracle) puts the runs validated since the last
+-- batch into a Merkle tree over (wallet, on-chain quest id, meters, seconds, GPS
+-- path hash) and posts only the root to QuestFactory.postRunRoot. Each run keeps
+-- its leaf and proof, so anyone can check it with QuestFactory.verifyRun.
+CREATE TABLE IF NOT EXISTS run_proof_batches (
+  id TEXT PRIMARY KEY,
+  chain_id INTEGER NOT NULL,
+  contract_address TEXT NOT NULL, -- QuestFactory the root is posted to
+  day INTEGER NOT NULL, -- days since the Unix epoch (UTC), as on-chain
+  root TEXT NOT NULL,
+  run_count INTEGER NOT NULL,
+
+  -- pending: not sent yet, submitted: sent (or found on-chain), posted: the
+  -- indexer saw RunRootPosted, failed: another root was posted for the day
+  status TEXT CHECK (status IN ('pending', 'submitted', 'posted', 'failed')) DEFAULT 'pending',
+  tx_hash TEXT,
+  block_number INTEGER,
+  last_error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE (chain_id, contract_address, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_run_proof_batches_status ON run_proof_batches(status);
+
+ALTER TABLE run_records ADD COLUMN proof_batch_id TEXT REFERENCES run_proof_batches(id);
+ALTER TABLE run_records ADD COLUMN proof_leaf TEXT; -- JSON: the leaf's fields and hash
+ALTER TABLE run_records ADD COLUMN proof TEXT; -- JSON array of sibling hashes, leaf to root
+
+CREATE INDEX IF NOT EXISTS idx_run_records_proof_batch ON run_records(proof_batch_id);
@@ -0,0 +1,20 @@
+-- 작심삼일 RUN DAO - Oracle-signed settlement
+-- QuestFactory.completeQuest pays out only with EIP-712 signatures from enough
+-- of its settlement oracles. For a settled on-chain quest the Worker fixes the
+-- payload it signs: the winner wallets in ascending order, their Merkle root and
+-- a deadline (unix seconds). A payload that expires unrelayed gets a new deadline.
+ALTER TABLE settlements ADD COLUMN winner_addresses TEXT; -- JSON array, as passed to completeQuest
+ALTER TABLE settlements ADD COLUMN winners_root TEXT;
+ALTER TABLE settlements ADD COLUMN signature_deadline INTEGER;
+
+-- One signature per oracle for the settlement's current payload
+CREATE TABLE IF NOT EXISTS settlement_signatures (
+  id TEXT PRIMARY KEY,
+  settlement_id TEXT NOT NULL,
+  signer TEXT NOT NULL, -- checksummed oracle address
+  signature TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (settlement_id) REFERENCES settlements(id),
+  UNIQUE (settlement_id, signer)
+);
@@ -0,0 +1,11 @@
+-- 작심삼일 RUN DAO - Custodial token and gas limits
+-- Stakes are ERC-20, so a custodial signature can move value with value = 0.
+-- ERC-20 transfer, transferFrom, approve and increaseAllowance calls record the
+-- token and amount, summed per token against CUSTODY_TOKEN_DAILY_LIMITS; the
+-- most gas a transaction can burn (gas_limit * max_fee_per_gas) counts against
+-- the wei limit along with its value.
+ALTER TABLE custody_signatures ADD COLUMN max_fee_wei TEXT NOT NULL DEFAULT '0';
+ALTER TABLE custody_signatures ADD COLUMN token_address TEXT; -- lowercase, null for calls that move no tokens
+ALTER TABLE custody_signatures ADD COLUMN token_amount TEXT; -- base units, decimal string
+
+CREATE INDEX IF NOT EXISTS idx_custody_signatures_token ON custody_signatures(user_id, token_address, created_at);
@@ -0,0 +1,4 @@
+-- 작심삼일 RUN DAO - Reviews handed to the crew leader
+-- When voting ends without a quorum or with a tie, the review stays pending for
+-- the crew leader. The cron job marks it so it does not tally it again.
+ALTER TABLE run_reviews ADD COLUMN handed_to_leader_at DATETIME;
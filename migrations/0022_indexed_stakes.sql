@@ -0,0 +1,18 @@
+-- 작심삼일 RUN DAO - Stakes confirmed by the indexer
+-- stake_tx_hash is what the client reported when joining. The wallet that
+-- actually staked and its transaction come only from indexed QuestJoined
+-- events; settlement payloads pay those addresses.
+ALTER TABLE participations ADD COLUMN staked_address TEXT; -- lowercase QuestJoined participant
+ALTER TABLE participations ADD COLUMN staked_tx_hash TEXT;
+
+UPDATE participations SET
+  staked_address = (
+    SELECT lower(json_extract(e.args, '$.participant')) FROM chain_events e
+    WHERE e.event_name = 'QuestJoined' AND e.status = 'applied' AND e.target_id = participations.id
+    ORDER BY e.block_number DESC, e.log_index DESC LIMIT 1
+  ),
+  staked_tx_hash = (
+    SELECT e.tx_hash FROM chain_events e
+    WHERE e.event_name = 'QuestJoined' AND e.status = 'applied' AND e.target_id = participations.id
+    ORDER BY e.block_number DESC, e.log_index DESC LIMIT 1
+  );
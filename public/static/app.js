@@ -36,6 +36,24 @@ const Utils = {
     return `${minutes}분`;
   },
 
+  // Format pace (seconds per km) as m:ss
+  formatPace(secPerKm) {
+    const seconds = Math.round(secPerKm);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  },
+
+  // Parse a D1 DATETIME (UTC, 'YYYY-MM-DD HH:MM:SS') into a Date
+  parseServerDate(value) {
+    return new Date(value.includes('T') ? value : value.replace(' ', 'T') + 'Z');
+  },
+
+  // Escape user-provided text before putting it into innerHTML
+  escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  },
+
   // Show notification
   showNotification(message, type = 'info') {
     const notification = document.createElement('div');
@@ -55,12 +73,14 @@ const Utils = {
   // API request wrapper
   async apiRequest(endpoint, options = {}) {
     const url = `${window.RunDAO.apiBase}${endpoint}`;
+    // Let the browser set the multipart boundary for file uploads
+    const isFormData = options.body instanceof FormData;
     const config = {
+      ...options,
       headers: {
-        'Content-Type': 'application/json',
+        ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
         ...options.headers
-      },
-      ...options
+      }
     };
 
     try {
@@ -102,8 +122,147 @@ const API = {
     return Utils.apiRequest(`/crews/${crewId}/quests`);
   },
 
+  async browseQuests(params) {
+    return Utils.apiRequest(`/quests?${params}`);
+  },
+
+  async getPublicQuests(status = '') {
+    return Utils.apiRequest(`/quests/public${status ? `?status=${status}` : ''}`);
+  },
+
+  async getCrew(crewId) {
+    return Utils.apiRequest(`/crews/${crewId}`);
+  },
+
+  async getCrewMembers(crewId, status = 'active') {
+    return Utils.apiRequest(`/crews/${crewId}/members?status=${status}`);
+  },
+
+  async createCrew(crewData) {
+    return Utils.apiRequest('/crews', {
+      method: 'POST',
+      body: JSON.stringify(crewData)
+    });
+  },
+
+  async updateCrew(crewId, crewData) {
+    return Utils.apiRequest(`/crews/${crewId}/update`, {
+      method: 'POST',
+      body: JSON.stringify(crewData)
+    });
+  },
+
+  async deleteCrew(crewId) {
+    return Utils.apiRequest(`/crews/${crewId}/delete`, { method: 'POST' });
+  },
+
+  async joinCrew(crewId) {
+    return Utils.apiRequest(`/crews/${crewId}/join`, { method: 'POST' });
+  },
+
+  async leaveCrew(crewId) {
+    return Utils.apiRequest(`/crews/${crewId}/leave`, { method: 'POST' });
+  },
+
+  async decideCrewRequest(crewId, userId, decision) {
+    return Utils.apiRequest(`/crews/${crewId}/requests/${userId}/decision`, {
+      method: 'POST',
+      body: JSON.stringify({ decision })
+    });
+  },
+
+  async setCrewRole(crewId, userId, role) {
+    return Utils.apiRequest(`/crews/${crewId}/members/${userId}/role`, {
+      method: 'POST',
+      body: JSON.stringify({ role })
+    });
+  },
+
+  async createCrewInvite(crewId, inviteData) {
+    return Utils.apiRequest(`/crews/${crewId}/invites`, {
+      method: 'POST',
+      body: JSON.stringify(inviteData)
+    });
+  },
+
+  async getCrewInvites(crewId) {
+    return Utils.apiRequest(`/crews/${crewId}/invites`);
+  },
+
+  async revokeCrewInvite(crewId, inviteId) {
+    return Utils.apiRequest(`/crews/${crewId}/invites/${inviteId}/revoke`, { method: 'POST' });
+  },
+
+  async getCrewFeed(crewId, cursor = null) {
+    return Utils.apiRequest(`/crews/${crewId}/feed${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`);
+  },
+
+  async giveKudos(kudosData) {
+    return Utils.apiRequest('/kudos', {
+      method: 'POST',
+      body: JSON.stringify(kudosData)
+    });
+  },
+
+  async getUserKudos(userId, direction = 'received') {
+    return Utils.apiRequest(`/users/${userId}/kudos?direction=${direction}`);
+  },
+
+  async redeemCrewInvite(token) {
+    return Utils.apiRequest(`/crew-invites/${encodeURIComponent(token)}/redeem`, { method: 'POST' });
+  },
+
+  async transferCrew(crewId, userId) {
+    return Utils.apiRequest(`/crews/${crewId}/transfer`, {
+      method: 'POST',
+      body: JSON.stringify({ user_id: userId })
+    });
+  },
+
   async getQuest(questId) {
     return Utils.apiRequest(`/quests/${questId}`);
+  },
+  
+  async joinQuest(questId, stakeTxHash = null) {
+    return Utils.apiRequest(`/quests/${questId}/join`, {
+      method: 'POST',
+      body: JSON.stringify({ stake_tx_hash: stakeTxHash })
+    });
+  },
+
+  async getQuestProgress(questId, userId) {
+    const query = userId ? `?user_id=${encodeURIComponent(userId)}` : '';
+    return Utils.apiRequest(`/quests/${questId}/progress${query}`);
+  },
+
+  async submitRun(runData) {
+    return Utils.apiRequest('/runs', {
+      method: 'POST',
+      body: JSON.stringify(runData)
+    });
+  },
+
+  async importRun(formData) {
+    return Utils.apiRequest('/runs/import', {
+      method: 'POST',
+      body: formData
+    });
+  },
+
+  async getRun(runId) {
+    return Utils.apiRequest(`/runs/${runId}`);
+  },
+
+  async getRunProof(runId) {
+    return Utils.apiRequest(`/runs/${runId}/proof`);
+  },
+
+  async getSettlementPayload(questId) {
+    return Utils.apiRequest(`/quests/${questId}/settlement`);
+  },
+
+  async getUserRuns(userId) {
+    return Utils.apiRequest(`/users/${userId}/runs`);
   }
 };
 
@@ -126,7 +285,8 @@ const UI = {
       'active': { class: 'status-pending', text: '진행중', icon: '🏃‍♂️' },
       'pending': { class: 'status-pending', text: '대기중', icon: '⏳' },
       'fail': { class: 'status-failed', text: '실패', icon: '❌' },
-      'forfeit': { class: 'status-failed', text: '포기', icon: '🏳️' }
+      'forfeit': { class: 'status-failed', text: '포기', icon: '🏳️' },
+      'refunded': { class: 'bg-gray-100 text-gray-800', text: '환불', icon: '↩️' }
     };
 
     const statusInfo = statusMap[status] || { class: 'bg-gray-100 text-gray-800', text: status, icon: '❓' };
@@ -232,8 +392,9 @@ async function handleWalletConnection() {
         
         Utils.showNotification('지갑이 성공적으로 연결되었습니다!', 'success');
         
-        // Try to load or create user profile
-        await handleUserRegistration(account);
+        // Signing in created the account if needed; complete the profile
+        await handleUserRegistration(connected.user);
+        await redeemPendingInvite();
       }
     }
   } catch (error) {
@@ -242,41 +403,37 @@ async function handleWalletConnection() {
   }
 }
 
-// Handle user registration after wallet connection
-async function handleUserRegistration(walletAddress) {
+// Handle user registration after wallet or social sign-in
+async function handleUserRegistration(sessionUser) {
   try {
-    // Check if user exists
-    const existingUser = await Utils.apiRequest(`/users/wallet/${walletAddress}`);
-    
-    if (existingUser.user) {
-      window.RunDAO.currentUser = existingUser.user;
-      Utils.showNotification(`환영합니다, ${existingUser.user.nickname}님!`, 'success');
+    if (sessionUser.nickname) {
+      window.RunDAO.currentUser = sessionUser;
+      Utils.showNotification(`환영합니다, ${sessionUser.nickname}님!`, 'success');
       
       // Update dashboard with existing user data
-      updateUserDashboard(existingUser.user);
+      updateUserDashboard(sessionUser);
     } else {
       // New user - show registration prompt
       const nickname = prompt('처음 오셨네요! 닉네임을 입력해주세요:', 'Runner');
       
       if (nickname) {
-        const userData = {
-          wallet_address: walletAddress,
-          nickname: nickname,
-          email: null,
-          social_provider: null,
-          social_id: null
-        };
+        // Region-limited quests compare against this
+        const region = prompt('주로 달리는 지역을 입력해주세요 (예: Seoul):', '');
         
         const result = await Utils.apiRequest('/users', {
           method: 'POST',
-          body: JSON.stringify(userData)
+          body: JSON.stringify({
+            nickname: nickname,
+            region: region || null,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+          })
         });
         
-        window.RunDAO.currentUser = userData;
+        window.RunDAO.currentUser = result.user;
         Utils.showNotification(`가입 완료! 환영합니다, ${nickname}님!`, 'success');
         
         // Update dashboard with new user data
-        updateUserDashboard(userData);
+        updateUserDashboard(result.user);
       }
     }
   } catch (error) {
@@ -293,8 +450,16 @@ function updateUserDashboard(userData) {
   
   // Update user info
   document.getElementById('user-nickname').textContent = `${userData.nickname}님, 환영합니다!`;
-  document.getElementById('user-wallet').textContent = 
-    `지갑 주소: ${userData.wallet_address?.slice(0, 8)}...${userData.wallet_address?.slice(-6)}`;
+  // Social accounts have no wallet until one is provisioned for them
+  document.getElementById('user-wallet').textContent = userData.wallet_address
+    ? `지갑 주소: ${userData.wallet_address.slice(0, 8)}...${userData.wallet_address.slice(-6)}`
+    : '지갑 주소: 아직 없음';
+  
+  // Custodial wallets can be exported to move to self-custody
+  const exportButton = document.getElementById('export-key-btn');
+  window.socialManager?.getCustodialWallet().then(wallet => {
+    exportButton?.classList.toggle('hidden', wallet?.status !== 'active');
+  }).catch(console.error);
   
   // Update user avatar with initials
   const avatar = document.getElementById('user-avatar');
@@ -320,7 +485,7 @@ function updateUserDashboard(userData) {
 }
 
 // Social Login Integration
-async function handleSocialLogin(provider) {
+function handleSocialLogin(provider) {
   console.log(`🔑 ${provider} 소셜 로그인 시도...`);
   
   try {
@@ -328,60 +493,38 @@ async function handleSocialLogin(provider) {
       throw new Error('Social Login Manager not initialized');
     }
     
-    const result = await window.socialManager.loginWith(provider);
-    
-    if (result.success) {
-      // Social login successful, now create/get custodial wallet
-      const walletInfo = await window.socialManager.getOrCreateWallet();
-      
-      // Register or login user
-      const userData = {
-        wallet_address: walletInfo.address,
-        email: result.user.email,
-        nickname: result.user.name || result.user.nickname,
-        social_provider: provider,
-        social_id: result.user.id
-      };
-      
-      try {
-        // Try to create new user
-        await Utils.apiRequest('/users', {
-          method: 'POST',
-          body: JSON.stringify(userData)
-        });
-        
-        Utils.showNotification(`${provider} 로그인 성공! 새 계정이 생성되었습니다`, 'success');
-      } catch (error) {
-        // User might already exist, try to get existing user
-        const existingUser = await Utils.apiRequest(`/users/wallet/${walletInfo.address}`);
-        if (existingUser.user) {
-          Utils.showNotification(`${provider} 로그인 성공! 환영합니다`, 'success');
-        }
-      }
-      
-      window.RunDAO.currentUser = userData;
-      
-      // Update wallet UI
-      document.getElementById('account-display').textContent = 
-        `${walletInfo.address.slice(0, 6)}...${walletInfo.address.slice(-4)}`;
-      document.getElementById('balance-display').textContent = `0.0 ETH`;
-      
-      document.getElementById('connect-wallet-btn').textContent = '연결 해제';
-      document.getElementById('wallet-info').classList.remove('hidden');
-      
-      // Update user dashboard
-      updateUserDashboard(userData);
-      
-    } else {
-      throw new Error(result.error || `${provider} 로그인 실패`);
-    }
-    
+    // Leaves the page; initializeWeb3App picks the session up on the way back
+    window.socialManager.loginWith(provider);
   } catch (error) {
     console.error('Social login error:', error);
     Utils.showNotification(`${provider} 로그인 실패: ${error.message}`, 'error');
   }
 }
 
+// Export the custodial private key (one time) and switch to self-custody
+async function exportCustodialKey() {
+  try {
+    const wallet = await window.socialManager.getCustodialWallet();
+    if (!wallet || wallet.status !== 'active') {
+      throw new Error('내보낼 커스터디 지갑이 없습니다');
+    }
+    
+    const confirmAddress = prompt(
+      `개인키를 내보내면 서버에서 키가 삭제되고 직접 보관해야 합니다.\n확인을 위해 지갑 주소를 입력해주세요:\n${wallet.address}`
+    );
+    if (!confirmAddress) return;
+    
+    const privateKey = await window.socialManager.exportCustodialKey(confirmAddress.trim());
+    prompt('개인키를 안전한 곳에 보관하세요. 이 창을 닫으면 다시 볼 수 없습니다:', privateKey);
+    
+    document.getElementById('export-key-btn')?.classList.add('hidden');
+    Utils.showNotification('개인키를 내보냈습니다. 이제 지갑으로 로그인하세요', 'success');
+  } catch (error) {
+    console.error('Key export error:', error);
+    Utils.showNotification(`개인키 내보내기 실패: ${error.message}`, 'error');
+  }
+}
+
 // Contract interaction functions
 async function createQuest(questData) {
   try {
@@ -389,9 +532,10 @@ async function createQuest(questData) {
       throw new Error('지갑이 연결되지 않았습니다');
     }
     
-    // Check if contract addresses are available
-    if (!window.CONTRACT_ADDRESSES.QuestFactory || window.CONTRACT_ADDRESSES.QuestFactory === "0x1234567890123456789012345678901234567890") {
-      console.warn('⚠️ Using test contract addresses - contracts not deployed yet');
+    // Contracts come from the deployment manifest, checked when the wallet connected
+    if (!window.ContractConfig.isDeployed()) {
+      if (window.ContractConfig.error) throw window.ContractConfig.error;
+      console.warn('⚠️ No verified contract deployment - contracts not deployed yet');
       throw new Error('스마트 컨트랙트가 아직 배포되지 않았습니다. 테스트 모드에서는 데이터베이스에만 저장됩니다.');
     }
     
@@ -400,19 +544,20 @@ async function createQuest(questData) {
     // Convert distance to contract format (cm)
     const distanceInCm = window.ContractUtils.kmToCm(questData.distanceKm);
     
+    // Stakes are ERC-20s from the network's token map, in the token's decimals
+    const stakeToken = window.ContractConfig.getStakeToken(questData.stakeToken);
+    
     // Call createQuest function on smart contract
     const tx = await contract.createQuest(
       questData.title,
       questData.description,
-      questData.crewId || 0,
       questData.startTime,
       questData.endTime,
       distanceInCm,
       questData.timesPerWeek,
-      questData.maxSlots,
-      {
-        value: ethers.parseEther(questData.stakeAmount.toString())
-      }
+      stakeToken.address,
+      ethers.parseUnits(questData.stakeAmount.toString(), stakeToken.decimals),
+      questData.maxSlots
     );
     
     Utils.showNotification('퀘스트 생성 트랜잭션을 전송했습니다...', 'info');
@@ -460,49 +605,86 @@ async function createQuest(questData) {
   }
 }
 
-async function joinQuest(questId, stakeAmount) {
+// Stake a quest's ERC-20 and join it on-chain. onStep(step, state, detail) reports
+// the 'token', 'allowance' and 'join' steps to the join modal.
+async function joinQuest(quest, onStep = () => {}) {
+  let step = 'token';
   try {
     if (!window.web3Manager || !window.web3Manager.isConnected()) {
       throw new Error('지갑이 연결되지 않았습니다');
     }
     
-    // Check if contract addresses are available
-    if (!window.CONTRACT_ADDRESSES.QuestFactory || window.CONTRACT_ADDRESSES.QuestFactory === "0x1234567890123456789012345678901234567890") {
-      console.warn('⚠️ Using test contract addresses - contracts not deployed yet');
+    // Contracts come from the deployment manifest, checked when the wallet connected
+    if (!window.ContractConfig.isDeployed()) {
+      if (window.ContractConfig.error) throw window.ContractConfig.error;
       throw new Error('스마트 컨트랙트가 아직 배포되지 않았습니다. 테스트 모드에서는 데이터베이스에만 저장됩니다.');
     }
+    if (quest.contract_quest_id === null || quest.contract_quest_id === undefined) {
+      throw new Error('이 퀘스트는 아직 온체인에 등록되지 않았습니다');
+    }
     
     const contract = window.web3Manager.getContract('QuestFactory');
-    
-    // Get quest info first to validate stake amount
-    const questData = await contract.quests(questId);
-    const formattedQuest = window.ContractUtils.formatQuestData(questData);
-    
-    // Validate stake amount
-    const requiredStake = ethers.parseEther(formattedQuest.stakeAmount.toString());
-    const providedStake = ethers.parseEther(stakeAmount.toString());
-    
-    if (providedStake !== requiredStake) {
-      throw new Error(`스테이킹 금액이 올바르지 않습니다. 필요: ${formattedQuest.stakeAmount} ETH`);
+    const account = window.web3Manager.account;
+    const spender = window.CONTRACT_ADDRESSES.QuestFactory;
+    
+    // 1. The stake token and amount as recorded on-chain, checked against the quest in D1
+    onStep('token', 'active');
+    const onChainQuest = await contract.getQuest(quest.contract_quest_id);
+    if (onChainQuest.stakeToken === ethers.ZeroAddress) {
+      throw new Error('네이티브 ETH 스테이킹은 지원하지 않습니다 (ERC-20 토큰만 가능)');
+    }
+    const stakeToken = window.ContractConfig.getStakeToken(quest.stake_token);
+    if (onChainQuest.stakeToken.toLowerCase() !== stakeToken.address.toLowerCase()) {
+      throw new Error(`온체인 스테이크 토큰이 ${quest.stake_token}(${stakeToken.address})과 다릅니다`);
     }
     
-    // Call joinQuest function on smart contract
-    const tx = await contract.joinQuest(questId, {
-      value: providedStake
-    });
-    
-    Utils.showNotification('퀘스트 참여 트랜잭션을 전송했습니다...', 'info');
+    const token = new ethers.Contract(onChainQuest.stakeToken, window.ERC20_ABI, window.web3Manager.signer);
+    const decimals = Number(await token.decimals());
+    const amount = onChainQuest.stakeAmount;
+    const label = `${ethers.formatUnits(amount, decimals)} ${quest.stake_token}`;
+    if (amount !== ethers.parseUnits(String(quest.stake_amount), decimals)) {
+      throw new Error(`온체인 스테이킹 금액(${label})이 퀘스트 정보와 다릅니다`);
+    }
+    if (await token.balanceOf(account) < amount) {
+      throw new Error(`잔액이 부족합니다. 필요: ${label}`);
+    }
+    onStep('token', 'done', label);
+    
+    // 2. Let QuestFactory pull the stake: enough allowance already, a permit signature, or an approve
+    step = 'allowance';
+    onStep('allowance', 'active');
+    let permit = null;
+    if (await token.allowance(account, spender) >= amount) {
+      onStep('allowance', 'done', '이미 승인되어 있습니다');
+    } else {
+      if (stakeToken.permit && contract.interface.getFunction('joinQuestWithPermit')) {
+        onStep('allowance', 'active', '지갑에서 permit 서명을 확인해주세요');
+        permit = await signStakePermit(token, spender, amount);
+      }
+      if (permit) {
+        onStep('allowance', 'done', 'permit 서명 완료 (EIP-2612)');
+      } else {
+        onStep('allowance', 'active', '지갑에서 approve 트랜잭션을 확인해주세요');
+        const approveTx = await token.approve(spender, amount);
+        onStep('allowance', 'active', '승인 트랜잭션 확인 대기 중...');
+        await approveTx.wait();
+        onStep('allowance', 'done', 'approve 완료');
+      }
+    }
     
+    // 3. Join; QuestFactory moves the stake to the escrow vault
+    step = 'join';
+    onStep('join', 'active', '지갑에서 참여 트랜잭션을 확인해주세요');
+    const tx = permit
+      ? await contract.joinQuestWithPermit(quest.contract_quest_id, permit.deadline, permit.v, permit.r, permit.s)
+      : await contract.joinQuest(quest.contract_quest_id);
+    onStep('join', 'active', '트랜잭션 확인 대기 중...');
     const receipt = await tx.wait();
-    
-    Utils.showNotification('퀘스트에 성공적으로 참여했습니다! 🏃‍♂️', 'success');
-    
-    // Reload active quests
-    loadActiveQuests();
+    onStep('join', 'done', `${receipt.hash.slice(0, 10)}...`);
     
     return {
       receipt,
-      questId,
+      questId: quest.contract_quest_id,
       transactionHash: receipt.hash
     };
     
@@ -510,64 +692,96 @@ async function joinQuest(questId, stakeAmount) {
     console.error('Quest join error:', error);
     
     // Handle specific error cases
+    let message = error.message;
     if (error.code === 'INSUFFICIENT_FUNDS') {
-      Utils.showNotification('잔액이 부족합니다. ETH를 충전해주세요.', 'error');
-    } else if (error.code === 'USER_REJECTED') {
-      Utils.showNotification('트랜잭션이 취소되었습니다.', 'error');
-    } else {
-      Utils.showNotification(`퀘스트 참여 실패: ${error.message}`, 'error');
+      message = '가스비가 부족합니다. ETH를 충전해주세요.';
+    } else if (error.code === 'ACTION_REJECTED' || error.code === 'USER_REJECTED') {
+      message = '지갑에서 요청이 취소되었습니다.';
     }
+    onStep(step, 'error', message);
     
-    throw error;
+    throw new Error(message);
+  }
+}
+
+// EIP-2612 permit for the stake, valid for 20 minutes. The domain comes from the
+// token's EIP-5267 eip712Domain() when it has one; a domain that does not hash to
+// its DOMAIN_SEPARATOR means an unknown permit scheme, and null (approve instead).
+async function signStakePermit(token, spender, amount) {
+  const owner = window.web3Manager.account;
+  const { chainId } = await window.web3Manager.provider.getNetwork();
+  
+  let domain;
+  try {
+    const eip712 = await token.eip712Domain();
+    domain = { name: eip712.name, version: eip712.version, chainId: eip712.chainId, verifyingContract: eip712.verifyingContract };
+  } catch (error) {
+    domain = { name: await token.name(), version: '1', chainId, verifyingContract: await token.getAddress() };
+  }
+  if (ethers.TypedDataEncoder.hashDomain(domain) !== await token.DOMAIN_SEPARATOR()) {
+    console.warn('⚠️ Unknown permit domain, falling back to approve');
+    return null;
   }
+  
+  const deadline = Math.floor(Date.now() / 1000) + 20 * 60;
+  const types = {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  };
+  const message = { owner, spender, value: amount, nonce: await token.nonces(owner), deadline };
+  const signature = ethers.Signature.from(await window.web3Manager.signer.signTypedData(domain, types, message));
+  
+  return { deadline, v: signature.v, r: signature.r, s: signature.s };
 }
 
 // Load active quests and display them
 async function loadActiveQuests() {
   try {
-    const crews = await API.getCrews();
     const questsContainer = document.getElementById('active-quests');
+    if (!questsContainer) return;
     
-    if (!questsContainer || !crews.crews) return;
+    // Crew-only quests stay on their crew page; the home list shows public ones
+    const result = await API.getPublicQuests();
     
     questsContainer.innerHTML = '';
     
-    // Load quests for each crew
-    for (const crew of crews.crews.slice(0, 2)) { // Show first 2 crews
-      try {
-        const quests = await API.getCrewQuests(crew.id);
-        
-        if (quests.quests && quests.quests.length > 0) {
-          const quest = quests.quests[0]; // Show first quest
-          
-          const statusColor = quest.status === 'active' ? 'green' : 
-                             quest.status === 'open' ? 'blue' : 'gray';
-          const statusText = quest.status === 'active' ? '진행중' :
-                           quest.status === 'open' ? '모집중' : '완료';
-          
-          const questCard = document.createElement('div');
-          questCard.className = 'p-4 border border-gray-200 rounded-lg hover:shadow-md transition-shadow cursor-pointer';
-          questCard.innerHTML = `
-            <div class="flex justify-between items-start mb-3">
-              <h3 class="font-semibold text-lg">${quest.title}</h3>
-              <span class="bg-${statusColor}-100 text-${statusColor}-800 px-2 py-1 rounded-full text-sm">${statusText}</span>
-            </div>
-            <p class="text-gray-600 mb-3">${quest.description || '러닝 챌린지에 참여하세요!'}</p>
-            <div class="flex justify-between items-center text-sm text-gray-500">
-              <span>참여자: ${quest.participant_count || 0}명</span>
-              <span>스테이크: ${quest.stake_amount || 0} ${quest.stake_token || 'ETH'}</span>
-            </div>
-          `;
-          
-          questCard.addEventListener('click', () => {
-            showQuestDetails(quest.id);
-          });
-          
-          questsContainer.appendChild(questCard);
-        }
-      } catch (error) {
-        console.error(`Error loading quests for crew ${crew.id}:`, error);
-      }
+    for (const quest of (result.quests || []).slice(0, 4)) { // Show first 4 quests
+      const statusColor = quest.status === 'active' ? 'green' : 
+                         quest.status === 'open' ? 'blue' : 'gray';
+      const statusText = quest.status === 'active' ? '진행중' :
+                       quest.status === 'open' ? '모집중' : '완료';
+      
+      const conditions = [
+        quest.eligible_region ? `📍 ${Utils.escapeHtml(quest.eligible_region)}` : '',
+        quest.min_past_runs > 0 ? `🏃 ${quest.min_past_runs}회 이상` : '',
+        quest.invite_only ? '🔒 초대 전용' : ''
+      ].filter(Boolean).join(' · ');
+      
+      const questCard = document.createElement('div');
+      questCard.className = 'p-4 border border-gray-200 rounded-lg hover:shadow-md transition-shadow cursor-pointer';
+      questCard.innerHTML = `
+        <div class="flex justify-between items-start mb-3">
+          <h3 class="font-semibold text-lg">${quest.title}</h3>
+          <span class="bg-${statusColor}-100 text-${statusColor}-800 px-2 py-1 rounded-full text-sm">${statusText}</span>
+        </div>
+        <p class="text-gray-600 mb-3">${quest.description || '러닝 챌린지에 참여하세요!'}</p>
+        ${conditions ? `<p class="text-xs text-gray-500 mb-3">${conditions}</p>` : ''}
+        <div class="flex justify-between items-center text-sm text-gray-500">
+          <span>참여자: ${quest.participant_count || 0}명</span>
+          <span>스테이크: ${quest.stake_amount || 0} ${quest.stake_token || 'ETH'}</span>
+        </div>
+      `;
+      
+      questCard.addEventListener('click', () => {
+        showQuestDetails(quest.id);
+      });
+      
+      questsContainer.appendChild(questCard);
     }
     
     if (questsContainer.children.length === 0) {
@@ -596,6 +810,15 @@ async function showQuestDetails(questId) {
     // Update modal content
     updateQuestDetailModal(questData);
     
+    // Participants and their weekly progress come from the progress engine
+    try {
+      const progress = await API.getQuestProgress(questId);
+      updateParticipantsList(progress.participants);
+    } catch (progressError) {
+      console.error('Error loading quest progress:', progressError);
+      updateParticipantsList([]);
+    }
+    
     // Check user participation status
     await updateParticipationStatus(questId);
     
@@ -709,9 +932,6 @@ function updateQuestDetailModal(questData) {
   // Status banner
   updateStatusBanner(questData);
   
-  // Participants list
-  updateParticipantsList(questData.participants);
-  
   // Store current quest data for later use
   window.currentQuestData = questData;
 }
@@ -750,7 +970,7 @@ function updateStatusBanner(questData) {
   }
 }
 
-// Update participants list in modal
+// Update participants list in modal (participants from /api/quests/:questId/progress)
 function updateParticipantsList(participants) {
   const container = document.getElementById('quest-participants-list');
   
@@ -768,17 +988,33 @@ function updateParticipantsList(participants) {
   container.innerHTML = participants.map((participant, index) => {
     const colors = ['bg-green-500', 'bg-blue-500', 'bg-purple-500', 'bg-red-500', 'bg-yellow-500'];
     const colorClass = colors[index % colors.length];
-    const initials = participant.nickname.substring(0, 2).toUpperCase();
+    const nickname = participant.nickname || participant.wallet_address.substring(0, 8);
+    const initials = nickname.substring(0, 2).toUpperCase();
+    const joinedDaysAgo = Math.max(0, Math.floor((Date.now() - Utils.parseServerDate(participant.joined_at)) / (1000 * 60 * 60 * 24)));
+    const week = participant.current_week;
+    
+    let weekBadge = '<span class="text-xs text-gray-500">시작 전</span>';
+    if (week) {
+      const badgeClass = week.status === 'met' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700';
+      weekBadge = `<span class="text-xs px-2 py-1 rounded-full ${badgeClass}">이번 주 ${week.sessions}/${week.target}회</span>`;
+    } else if (participant.weeks.length && participant.weeks[0].status !== 'upcoming') {
+      weekBadge = `<span class="text-xs text-gray-500">${participant.goal_met ? '🏅 목표 달성' : '종료'}</span>`;
+    }
     
     return `
-      <div class="flex items-center space-x-3 bg-white rounded p-3">
-        <div class="w-8 h-8 ${colorClass} rounded-full flex items-center justify-center text-white text-sm font-bold">
-          ${initials}
-        </div>
-        <div>
-          <div class="font-medium">${participant.nickname}</div>
-          <div class="text-sm text-gray-600">${participant.joinedDaysAgo}일 전 참여</div>
+      <div class="flex items-center justify-between bg-white rounded p-3">
+        <div class="flex items-center space-x-3">
+          <div class="w-8 h-8 ${colorClass} rounded-full flex items-center justify-center text-white text-sm font-bold">
+            ${initials}
+          </div>
+          <div>
+            <div class="font-medium">${nickname}</div>
+            <div class="text-sm text-gray-600">
+              ${joinedDaysAgo}일 전 참여 · ${participant.weeks_met}/${participant.total_weeks}주 달성${participant.on_track ? '' : ' · ⚠️ 미달 주 있음'}
+            </div>
+          </div>
         </div>
+        ${weekBadge}
       </div>
     `;
   }).join('');
@@ -822,7 +1058,7 @@ function checkUserParticipation(questId, user) {
   return false; // For demo, assume user hasn't participated yet
 }
 
-// Confirm quest join with detailed confirmation
+// Join from the quest detail modal; the join modal shows the steps
 function confirmQuestJoin() {
   const questData = window.currentQuestData;
   if (!questData) {
@@ -830,23 +1066,8 @@ function confirmQuestJoin() {
     return;
   }
   
-  const confirmed = confirm(`
-퀘스트 참여 확인
-
-📋 퀘스트: ${questData.title}
-💰 스테이킹: ${questData.stakeAmount} ETH
-🎯 목표: ${questData.distance}km × 주${questData.frequency}회
-📅 기간: ${questData.duration}일
-
-정말 참여하시겠습니까?
-
-⚠️ 스테이킹한 ETH는 퀘스트 완료 후 성과에 따라 분배됩니다.
-`);
-  
-  if (confirmed) {
-    handleQuestJoin(questData.id, questData.stakeAmount);
-    closeQuestDetailModal();
-  }
+  closeQuestDetailModal();
+  handleQuestJoin(questData.id);
 }
 
 // Navigate to my quests dashboard
@@ -1003,40 +1224,29 @@ async function loadActiveQuestsTab() {
       // Use mock data if no user is logged in
       activeQuests = await getMockActiveQuests();
     } else {
-      // TODO: Get user's active quests from API
-      // For now, get all quests and filter by status
+      // Open/active crew quests the user participates in, with weekly progress
+      const userId = window.RunDAO.currentUser.id;
       const crews = await API.getCrews();
       
       if (crews.crews) {
         for (const crew of crews.crews) {
           try {
             const quests = await API.getCrewQuests(crew.id);
-            if (quests.quests) {
-              const activeCrewQuests = quests.quests.filter(q => 
-                q.status === 'active' || q.status === 'open'
-              ).map(q => ({
-                id: q.id,
-                title: q.title,
-                distance: parseFloat(q.distance_km) || 5.0,
-                frequency: parseInt(q.times_per_week) || 3,
-                status: q.status,
-                endDate: q.end_date,
-                completedSessions: Math.floor(Math.random() * 3), // Mock for now
-                requiredSessions: parseInt(q.times_per_week) || 3,
-                thisWeekRuns: [] // Mock for now
-              }));
-              activeQuests.push(...activeCrewQuests);
+            const openQuests = (quests.quests || []).filter(q => 
+              q.status === 'active' || q.status === 'open'
+            );
+            
+            for (const quest of openQuests) {
+              const progress = await API.getQuestProgress(quest.id, userId);
+              if (progress.participants.length > 0) {
+                activeQuests.push(toActiveQuest(progress.quest, progress.participants[0]));
+              }
             }
           } catch (error) {
             console.error(`Error loading quests for crew ${crew.id}:`, error);
           }
         }
       }
-      
-      // Fallback to mock data if no quests found
-      if (activeQuests.length === 0) {
-        activeQuests = await getMockActiveQuests();
-      }
     }
   } catch (error) {
     console.error('Error loading active quests:', error);
@@ -1061,6 +1271,32 @@ async function loadActiveQuestsTab() {
   container.innerHTML = activeQuests.map(quest => createActiveQuestCard(quest)).join('');
 }
 
+// Shape a quest and the user's progress entry for createActiveQuestCard
+function toActiveQuest(quest, participant) {
+  const week = participant.current_week;
+  
+  return {
+    id: quest.id,
+    title: quest.title,
+    distance: quest.distance_km,
+    frequency: quest.times_per_week,
+    status: quest.status,
+    endDate: Utils.parseServerDate(quest.end_at),
+    completedSessions: week ? week.sessions : 0,
+    requiredSessions: quest.times_per_week,
+    weeksMet: participant.weeks_met,
+    totalWeeks: participant.total_weeks,
+    onTrack: participant.on_track,
+    thisWeekRuns: (week ? week.runs : []).map(run => ({
+      distance: run.distance_km,
+      duration: Utils.formatDuration(run.duration_sec),
+      pace: Utils.formatPace(run.avg_pace_sec_per_km),
+      date: Utils.parseServerDate(run.started_at).toLocaleDateString('ko-KR', { month: 'long', day: 'numeric' }),
+      counts: run.counts
+    }))
+  };
+}
+
 function createActiveQuestCard(quest) {
   const progressPercent = (quest.completedSessions / quest.requiredSessions) * 100;
   const daysLeft = Math.ceil((new Date(quest.endDate) - new Date()) / (1000 * 60 * 60 * 24));
@@ -1102,6 +1338,11 @@ function createActiveQuestCard(quest) {
           </div>
           
           <div class="text-xs text-gray-500 mt-1">${progressPercent.toFixed(1)}% 달성</div>
+          ${quest.totalWeeks ? `
+            <div class="text-xs mt-1 ${quest.onTrack ? 'text-green-600' : 'text-red-600'}">
+              전체 ${quest.weeksMet}/${quest.totalWeeks}주 달성 · ${quest.onTrack ? '순항 중 👍' : '목표 미달 주가 있어요'}
+            </div>
+          ` : ''}
         </div>
 
         <!-- This Week's Runs -->
@@ -1113,7 +1354,7 @@ function createActiveQuestCard(quest) {
                 <div class="flex items-center space-x-3">
                   <span class="w-6 h-6 bg-green-500 rounded-full flex items-center justify-center text-white text-xs font-bold">${index + 1}</span>
                   <div>
-                    <div class="text-sm font-medium">${run.distance}km</div>
+                    <div class="text-sm font-medium">${run.distance}km${run.counts === false ? ' <span class="text-xs text-gray-400">(거리 미달)</span>' : ''}</div>
                     <div class="text-xs text-gray-500">${run.date}</div>
                   </div>
                 </div>
@@ -1498,20 +1739,39 @@ function showQuestSummary(questId) {
 function initializeWeb3App() {
   console.log('🚀 Initializing Web3 App...');
   
-  // Load active quests
-  loadActiveQuests();
+  // Keep a crew invite token from the URL until the user is signed in
+  captureCrewInvite();
   
-  // Check for existing wallet connection
-  if (window.ethereum) {
-    window.ethereum.request({ method: 'eth_accounts' })
-      .then(accounts => {
-        if (accounts.length > 0) {
-          // Auto-reconnect
-          window.web3Manager.connectWallet().catch(console.error);
-        }
-      })
-      .catch(console.error);
-  }
+  // Load active quests and the quest browser
+  loadActiveQuests();
+  loadQuestBrowser();
+  
+  // Restore the signed-in user, then check for an existing wallet connection
+  window.web3Manager.restoreSession()
+    .then(async user => {
+      // Just back from Google / Apple / Kakao: welcome the user and ask for a nickname if needed
+      if (window.socialManager?.handleLoginRedirect(user)) {
+        await handleUserRegistration(user);
+      } else if (user) {
+        window.RunDAO.currentUser = user;
+        updateUserDashboard(user);
+      }
+      
+      // Join the crew of an invite link, or ask the user to sign in first
+      await redeemPendingInvite();
+      
+      if (window.ethereum) {
+        return window.ethereum.request({ method: 'eth_accounts' })
+          .then(accounts => {
+            // Auto-reconnect only while the session matches the account, so nobody
+            // is asked to sign or link on every page load
+            if (accounts.length > 0 && (!user || user.wallet_address === accounts[0].toLowerCase())) {
+              return window.web3Manager.connectWallet();
+            }
+          });
+      }
+    })
+    .catch(console.error);
   
   // Add event listeners for social login buttons
   document.addEventListener('click', function(e) {
@@ -1556,6 +1816,13 @@ function openQuestCreationModal() {
   // Load crews for selection
   loadCrewsForQuestCreation();
   
+  // Quests start at local midnight; the earliest start is tomorrow
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const startDateInput = document.getElementById('quest-start-date');
+  startDateInput.min = tomorrow.toLocaleDateString('en-CA');
+  startDateInput.value = startDateInput.value || startDateInput.min;
+  
   // Show modal
   document.getElementById('quest-creation-modal').classList.remove('hidden');
   
@@ -1615,46 +1882,586 @@ async function loadCrewsForQuestCreation() {
   }
 }
 
-async function handleQuestCreation(event) {
-  event.preventDefault();
+// Crew Page Functions
+const CREW_ROLE_LABELS = {
+  leader: '👑 리더',
+  co_leader: '⭐ 공동 리더',
+  moderator: '🛡️ 운영진',
+  member: '멤버'
+};
+
+function openCrewPage() {
+  document.getElementById('crew-page').classList.remove('hidden');
+  loadCrewList();
   
-  console.log('🚀 Creating new quest...');
+  if (window.RunDAO.currentCrew) {
+    showCrew(window.RunDAO.currentCrew);
+  }
+}
+
+function closeCrewPage() {
+  document.getElementById('crew-page').classList.add('hidden');
+}
+
+async function loadCrewList() {
+  const container = document.getElementById('crew-list');
   
   try {
-    // Get form data
-    const formData = new FormData(event.target);
-    const questData = Object.fromEntries(formData);
+    const { crews } = await API.getCrews();
     
-    // Validate required fields
-    if (!questData.title || !questData.description || !questData.distance_km || !questData.stake_amount) {
-      throw new Error('모든 필수 항목을 입력해주세요');
+    if (!crews || crews.length === 0) {
+      container.innerHTML = '<div class="text-center text-gray-500 py-4">아직 크루가 없습니다</div>';
+      return;
     }
     
-    // Calculate start and end times
-    const startTime = Math.floor(Date.now() / 1000) + (24 * 60 * 60); // Start tomorrow
-    const endTime = startTime + (parseInt(questData.duration_days) * 24 * 60 * 60);
+    container.innerHTML = crews.map(crew => `
+      <button onclick="showCrew('${Utils.escapeHtml(crew.id)}')" class="w-full text-left p-3 border border-gray-200 rounded-lg hover:bg-orange-50 transition-colors">
+        <div class="flex justify-between items-center">
+          <span class="font-medium">${crew.is_private ? '🔒 ' : ''}${Utils.escapeHtml(crew.name)}</span>
+          <span class="text-sm text-gray-500">${crew.member_count || 0}/${crew.max_members}명</span>
+        </div>
+        <div class="text-sm text-gray-500">${Utils.escapeHtml(crew.region || '')} · 리더 ${Utils.escapeHtml(crew.leader_name || '-')}</div>
+      </button>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading crews:', error);
+    container.innerHTML = '<div class="text-center text-red-500 py-4">크루 목록을 불러오지 못했습니다</div>';
+  }
+}
+
+async function showCrew(crewId) {
+  window.RunDAO.currentCrew = crewId;
+  const container = document.getElementById('crew-detail');
+  
+  try {
+    const { crew, membership } = await API.getCrew(crewId);
+    const { members } = await API.getCrewMembers(crewId);
     
-    // Prepare quest data for smart contract
-    const contractQuestData = {
-      title: questData.title,
-      description: questData.description,
-      crewId: questData.quest_scope === 'crew' ? (questData.crew_id || 0) : 0,
-      startTime: startTime,
-      endTime: endTime,
-      distanceKm: Math.floor(parseFloat(questData.distance_km) * 100), // Convert to cm for contract
-      timesPerWeek: parseInt(questData.times_per_week),
-      maxSlots: parseInt(questData.max_slots),
-      stakeAmount: questData.stake_amount
-    };
+    const myRole = membership && membership.status === 'active' ? membership.role : null;
+    const canEdit = myRole === 'leader' || myRole === 'co_leader';
+    const canReview = canEdit || myRole === 'moderator';
+    const requests = canReview ? (await API.getCrewMembers(crewId, 'pending')).members : [];
+    const invites = canEdit ? (await API.getCrewInvites(crewId)).invites : [];
+    // Private crews show their activity to members only
+    const canSeeFeed = !crew.is_private || myRole !== null;
     
-    // Show loading state
-    const submitBtn = event.target.querySelector('button[type="submit"]');
-    const originalText = submitBtn.textContent;
-    submitBtn.textContent = '⏳ 생성 중...';
-    submitBtn.disabled = true;
+    container.innerHTML = `
+      <div class="flex justify-between items-start mb-4">
+        <div>
+          <h2 class="text-2xl font-bold">${crew.is_private ? '🔒 ' : ''}${Utils.escapeHtml(crew.name)}</h2>
+          <p class="text-gray-500">${Utils.escapeHtml(crew.region || '')} · ${crew.member_count}/${crew.max_members}명</p>
+        </div>
+        <div class="flex space-x-2">${renderCrewActions(crew, membership)}</div>
+      </div>
+      <p class="text-gray-700 mb-6">${Utils.escapeHtml(crew.description || '')}</p>
+      
+      ${canReview ? renderCrewRequests(crew, requests) : ''}
+      
+      <h3 class="text-lg font-semibold mb-3">멤버</h3>
+      <div class="divide-y divide-gray-200 mb-6">
+        ${members.map(member => renderCrewMember(crew, member, myRole)).join('')}
+      </div>
+      
+      ${canSeeFeed ? `
+        <h3 class="text-lg font-semibold mb-3">활동</h3>
+        <div id="crew-feed" class="divide-y divide-gray-200 mb-2"></div>
+        <div class="text-center mb-6">
+          <button id="crew-feed-more" onclick="loadCrewFeed('${Utils.escapeHtml(crew.id)}', true)" class="hidden px-4 py-2 border border-gray-300 rounded-lg text-sm">더 보기</button>
+        </div>
+      ` : ''}
+      
+      ${canEdit ? renderCrewInvites(crew, invites) : ''}
+      
+      ${canEdit ? renderCrewSettings(crew) : ''}
+    `;
     
-    try {
-      // Create quest on smart contract (if Web3 is available)
+    if (canSeeFeed) await loadCrewFeed(crewId);
+  } catch (error) {
+    console.error('Error loading crew:', error);
+    container.innerHTML = '<div class="text-center text-red-500 py-12">크루 정보를 불러오지 못했습니다</div>';
+  }
+}
+
+function renderCrewActions(crew, membership) {
+  const crewId = Utils.escapeHtml(crew.id);
+  
+  if (!membership || membership.status === 'left' || membership.status === 'rejected') {
+    return `
+      <button onclick="joinCrew('${crewId}')" class="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg text-sm font-medium">
+        ${crew.is_private ? '가입 신청' : '가입하기'}
+      </button>
+    `;
+  }
+  if (membership.status === 'pending') {
+    return `
+      <span class="px-3 py-2 bg-yellow-100 text-yellow-800 rounded-lg text-sm">승인 대기 중</span>
+      <button onclick="leaveCrew('${crewId}')" class="px-4 py-2 border border-gray-300 rounded-lg text-sm">신청 취소</button>
+    `;
+  }
+  if (membership.role === 'leader') {
+    return `
+      <button onclick="deleteCrew('${crewId}')" class="px-4 py-2 border border-red-300 text-red-600 rounded-lg text-sm">크루 삭제</button>
+    `;
+  }
+  return `
+    <button onclick="leaveCrew('${crewId}')" class="px-4 py-2 border border-gray-300 rounded-lg text-sm">크루 탈퇴</button>
+  `;
+}
+
+function renderCrewRequests(crew, requests) {
+  if (requests.length === 0) return '';
+  const crewId = Utils.escapeHtml(crew.id);
+  
+  return `
+    <h3 class="text-lg font-semibold mb-3">가입 신청 (${requests.length})</h3>
+    <div class="divide-y divide-gray-200 mb-6 bg-yellow-50 rounded-lg px-4">
+      ${requests.map(request => `
+        <div class="flex justify-between items-center py-3">
+          <div>
+            <div class="font-medium">${Utils.escapeHtml(request.nickname || '러너')}</div>
+            <div class="text-sm text-gray-500">${Utils.formatDate(Utils.parseServerDate(request.requested_at))}</div>
+          </div>
+          <div class="flex space-x-2">
+            <button onclick="decideCrewRequest('${crewId}', '${Utils.escapeHtml(request.user_id)}', 'approve')" class="px-3 py-1 bg-green-500 text-white rounded text-sm">승인</button>
+            <button onclick="decideCrewRequest('${crewId}', '${Utils.escapeHtml(request.user_id)}', 'reject')" class="px-3 py-1 bg-gray-200 rounded text-sm">거절</button>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderCrewMember(crew, member, myRole) {
+  const crewId = Utils.escapeHtml(crew.id);
+  const userId = Utils.escapeHtml(member.user_id);
+  const isMe = window.RunDAO.currentUser && window.RunDAO.currentUser.id === member.user_id;
+  
+  // The leader manages everyone; co-leaders only moderators and members
+  const canManage = !isMe && member.role !== 'leader' &&
+    (myRole === 'leader' || (myRole === 'co_leader' && member.role !== 'co_leader'));
+  const roles = myRole === 'leader' ? ['co_leader', 'moderator', 'member'] : ['moderator', 'member'];
+  
+  return `
+    <div class="flex justify-between items-center py-3">
+      <div>
+        <span class="font-medium">${Utils.escapeHtml(member.nickname || '러너')}</span>
+        <span class="ml-2 text-sm text-gray-500">${CREW_ROLE_LABELS[member.role] || member.role}</span>
+      </div>
+      ${canManage ? `
+        <div class="flex space-x-2">
+          <select onchange="changeCrewRole('${crewId}', '${userId}', this.value)" class="px-2 py-1 border border-gray-300 rounded text-sm">
+            ${roles.map(role => `<option value="${role}" ${role === member.role ? 'selected' : ''}>${CREW_ROLE_LABELS[role]}</option>`).join('')}
+          </select>
+          ${myRole === 'leader' ? `
+            <button onclick="transferCrewLeadership('${crewId}', '${userId}')" class="px-3 py-1 border border-gray-300 rounded text-sm">리더 위임</button>
+          ` : ''}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function renderCrewInvites(crew, invites) {
+  const crewId = Utils.escapeHtml(crew.id);
+  
+  return `
+    <h3 class="text-lg font-semibold mb-3">초대 링크</h3>
+    <form onsubmit="handleCrewInviteCreation(event, '${crewId}')" class="flex flex-wrap items-center gap-3 mb-4">
+      <select name="expires_in_hours" class="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+        <option value="3">3시간</option>
+        <option value="24">1일</option>
+        <option value="72" selected>3일</option>
+        <option value="168">7일</option>
+      </select>
+      <input type="number" name="max_uses" min="1" max="500" value="10" class="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm">
+      <span class="text-sm text-gray-500">명까지</span>
+      <button type="submit" class="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg text-sm font-medium">초대 링크 만들기</button>
+    </form>
+    <div id="crew-invite-qr" class="hidden mb-4 p-4 bg-orange-50 rounded-lg text-center"></div>
+    ${invites.length > 0 ? `
+      <div class="divide-y divide-gray-200 mb-6 text-sm">
+        ${invites.map(invite => `
+          <div class="flex justify-between items-center py-2">
+            <div>
+              <span class="${invite.usable ? 'text-green-600' : 'text-gray-400'}">${invite.usable ? '● 사용 가능' : '○ 만료'}</span>
+              <span class="ml-2 text-gray-600">${invite.use_count}/${invite.max_uses}명 사용 · ${Utils.formatDate(Utils.parseServerDate(invite.expires_at))}까지</span>
+            </div>
+            ${invite.usable ? `
+              <button onclick="revokeCrewInvite('${crewId}', '${Utils.escapeHtml(invite.id)}')" class="px-3 py-1 border border-gray-300 rounded text-sm">취소</button>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    ` : ''}
+  `;
+}
+
+function renderCrewSettings(crew) {
+  return `
+    <h3 class="text-lg font-semibold mb-3">크루 설정</h3>
+    <form onsubmit="handleCrewUpdate(event, '${Utils.escapeHtml(crew.id)}')" class="space-y-3">
+      <input type="text" name="name" maxlength="50" value="${Utils.escapeHtml(crew.name)}" class="w-full px-4 py-2 border border-gray-300 rounded-lg">
+      <textarea name="description" rows="2" class="w-full px-4 py-2 border border-gray-300 rounded-lg">${Utils.escapeHtml(crew.description || '')}</textarea>
+      <div class="grid grid-cols-2 gap-3">
+        <input type="text" name="region" value="${Utils.escapeHtml(crew.region || '')}" placeholder="활동 지역" class="px-4 py-2 border border-gray-300 rounded-lg">
+        <input type="number" name="max_members" min="1" max="500" value="${crew.max_members}" class="px-4 py-2 border border-gray-300 rounded-lg">
+      </div>
+      <label class="flex items-center text-gray-700">
+        <input type="checkbox" name="is_private" class="mr-3" ${crew.is_private ? 'checked' : ''}>
+        🔒 비공개 크루
+      </label>
+      <button type="submit" class="px-6 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-medium">설정 저장</button>
+    </form>
+  `;
+}
+
+// Crew form fields as the API expects them
+function getCrewFormData(form) {
+  const formData = new FormData(form);
+  return {
+    name: formData.get('name'),
+    description: formData.get('description'),
+    region: formData.get('region'),
+    max_members: parseInt(formData.get('max_members')) || 50,
+    is_private: formData.get('is_private') === 'on'
+  };
+}
+
+async function handleCrewCreation(event) {
+  event.preventDefault();
+  
+  if (!window.RunDAO.currentUser) {
+    Utils.showNotification('크루를 만들려면 로그인해주세요', 'error');
+    return;
+  }
+  
+  try {
+    const result = await API.createCrew(getCrewFormData(event.target));
+    event.target.reset();
+    Utils.showNotification('크루가 만들어졌습니다! 🎉', 'success');
+    await loadCrewList();
+    await showCrew(result.crew_id);
+  } catch (error) {
+    console.error('Error creating crew:', error);
+  }
+}
+
+async function handleCrewUpdate(event, crewId) {
+  event.preventDefault();
+  
+  try {
+    await API.updateCrew(crewId, getCrewFormData(event.target));
+    Utils.showNotification('크루 설정이 저장되었습니다', 'success');
+    await loadCrewList();
+    await showCrew(crewId);
+  } catch (error) {
+    console.error('Error updating crew:', error);
+  }
+}
+
+async function joinCrew(crewId) {
+  if (!window.RunDAO.currentUser) {
+    Utils.showNotification('크루에 가입하려면 로그인해주세요', 'error');
+    return;
+  }
+  
+  try {
+    const result = await API.joinCrew(crewId);
+    Utils.showNotification(
+      result.status === 'active' ? '크루에 가입했습니다! 🏃‍♂️' : '가입 신청을 보냈습니다. 승인을 기다려주세요',
+      'success'
+    );
+    await loadCrewList();
+    await showCrew(crewId);
+  } catch (error) {
+    console.error('Error joining crew:', error);
+  }
+}
+
+async function leaveCrew(crewId) {
+  if (!confirm('정말 크루를 떠나시겠습니까?')) return;
+  
+  try {
+    await API.leaveCrew(crewId);
+    Utils.showNotification('크루에서 나왔습니다', 'info');
+    await loadCrewList();
+    await showCrew(crewId);
+  } catch (error) {
+    console.error('Error leaving crew:', error);
+  }
+}
+
+async function deleteCrew(crewId) {
+  if (!confirm('크루를 삭제하시겠습니까? 되돌릴 수 없습니다.')) return;
+  
+  try {
+    await API.deleteCrew(crewId);
+    Utils.showNotification('크루가 삭제되었습니다', 'info');
+    window.RunDAO.currentCrew = null;
+    document.getElementById('crew-detail').innerHTML = '<div class="text-center text-gray-500 py-12">크루를 선택하세요</div>';
+    await loadCrewList();
+  } catch (error) {
+    console.error('Error deleting crew:', error);
+  }
+}
+
+async function decideCrewRequest(crewId, userId, decision) {
+  try {
+    await API.decideCrewRequest(crewId, userId, decision);
+    Utils.showNotification(decision === 'approve' ? '가입을 승인했습니다' : '가입 신청을 거절했습니다', 'success');
+    await showCrew(crewId);
+  } catch (error) {
+    console.error('Error deciding crew request:', error);
+  }
+}
+
+async function changeCrewRole(crewId, userId, role) {
+  try {
+    await API.setCrewRole(crewId, userId, role);
+    Utils.showNotification(`역할이 ${CREW_ROLE_LABELS[role]}(으)로 변경되었습니다`, 'success');
+  } catch (error) {
+    console.error('Error changing crew role:', error);
+  }
+  await showCrew(crewId);
+}
+
+async function handleCrewInviteCreation(event, crewId) {
+  event.preventDefault();
+  const formData = new FormData(event.target);
+  
+  try {
+    const invite = await API.createCrewInvite(crewId, {
+      expires_in_hours: parseInt(formData.get('expires_in_hours')),
+      max_uses: parseInt(formData.get('max_uses')) || 10
+    });
+    await showCrew(crewId);
+    
+    // The link is only shown now; the server keeps just its hash
+    const container = document.getElementById('crew-invite-qr');
+    container.innerHTML = `
+      <div class="inline-block bg-white p-2 rounded-lg">${QRCode.toSvg(invite.invite_url)}</div>
+      <div class="mt-3 text-sm text-gray-700 break-all">${Utils.escapeHtml(invite.invite_url)}</div>
+      <button onclick="copyCrewInviteLink('${Utils.escapeHtml(invite.invite_url)}')" class="mt-2 px-4 py-1 border border-orange-300 rounded text-sm">링크 복사</button>
+      <p class="mt-2 text-xs text-gray-500">이 QR 코드와 링크는 지금만 볼 수 있습니다. ${invite.max_uses}명까지 사용할 수 있어요.</p>
+    `;
+    container.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error creating crew invite:', error);
+  }
+}
+
+async function copyCrewInviteLink(url) {
+  try {
+    await navigator.clipboard.writeText(url);
+    Utils.showNotification('초대 링크가 복사되었습니다', 'success');
+  } catch (error) {
+    console.error('Clipboard error:', error);
+    prompt('초대 링크를 복사하세요:', url);
+  }
+}
+
+async function revokeCrewInvite(crewId, inviteId) {
+  if (!confirm('이 초대 링크를 더 이상 사용할 수 없게 할까요?')) return;
+  
+  try {
+    await API.revokeCrewInvite(crewId, inviteId);
+    Utils.showNotification('초대 링크를 취소했습니다', 'info');
+    await showCrew(crewId);
+  } catch (error) {
+    console.error('Error revoking crew invite:', error);
+  }
+}
+
+// Crew activity feed, one cursor page at a time
+const crewFeed = { cursor: null };
+
+function renderCrewFeedItem(crewId, item) {
+  const name = `<strong>${Utils.escapeHtml(item.nickname || '러너')}</strong>`;
+  const quest = `"${Utils.escapeHtml(item.quest_title || '')}"`;
+  const when = Utils.formatDate(Utils.parseServerDate(item.occurred_at));
+  let text;
+  let action = '';
+  
+  if (item.type === 'run') {
+    text = `🏃 ${name}님이 ${Utils.formatDistance(item.distance_km)}를 ${Utils.formatDuration(item.duration_sec)} 동안 달렸어요`;
+    const own = item.user_id === window.RunDAO.currentUser?.id;
+    action = `
+      <button data-kudos-run="${Utils.escapeHtml(item.id)}" onclick="giveRunKudos('${Utils.escapeHtml(crewId)}', '${Utils.escapeHtml(item.id)}')"
+        ${own || item.kudos_given ? 'disabled' : ''}
+        class="px-3 py-1 rounded-full text-sm ${item.kudos_given ? 'bg-orange-100 text-orange-700' : 'border border-gray-300 hover:bg-orange-50'} disabled:cursor-default">
+        👏 <span>${item.kudos_count || 0}</span>
+      </button>
+    `;
+  } else if (item.type === 'quest_join') {
+    text = `🎯 ${name}님이 ${quest} 퀘스트에 참여했어요`;
+  } else if (item.type === 'quest_completed') {
+    text = `🏁 ${name}님이 ${quest} 퀘스트를 완주했어요`;
+  } else if (item.type === 'medal') {
+    text = `🏅 ${name}님이 ${quest} 메달(${Utils.escapeHtml(item.medal_type)})을 받았어요`;
+  } else {
+    text = `👏 <strong>${Utils.escapeHtml(item.from_nickname || '러너')}</strong>님이 ${name}님을 응원했어요` +
+      (item.message ? `: ${Utils.escapeHtml(item.message)}` : '');
+  }
+  
+  return `
+    <div class="flex justify-between items-center py-3">
+      <div>
+        <div class="text-gray-800">${text}</div>
+        <div class="text-xs text-gray-400">${when}</div>
+      </div>
+      ${action}
+    </div>
+  `;
+}
+
+async function loadCrewFeed(crewId, append = false) {
+  const container = document.getElementById('crew-feed');
+  const moreButton = document.getElementById('crew-feed-more');
+  if (!container) return;
+  
+  try {
+    const result = await API.getCrewFeed(crewId, append ? crewFeed.cursor : null);
+    if (!append) container.innerHTML = '';
+    container.insertAdjacentHTML('beforeend', result.items.map(item => renderCrewFeedItem(crewId, item)).join(''));
+    
+    if (container.children.length === 0) {
+      container.innerHTML = '<p class="text-gray-500 py-3">아직 활동이 없습니다</p>';
+    }
+    
+    crewFeed.cursor = result.next_cursor;
+    moreButton?.classList.toggle('hidden', !result.next_cursor);
+  } catch (error) {
+    console.error('Error loading crew feed:', error);
+  }
+}
+
+// One-tap kudos on a run in the feed
+async function giveRunKudos(crewId, runId) {
+  const button = document.querySelector(`[data-kudos-run="${runId}"]`);
+  if (button) button.disabled = true;
+  
+  try {
+    await API.giveKudos({ run_id: runId, crew_id: crewId });
+    if (button) {
+      const count = button.querySelector('span');
+      count.textContent = Number(count.textContent) + 1;
+      button.className = 'px-3 py-1 rounded-full text-sm bg-orange-100 text-orange-700 disabled:cursor-default';
+    }
+  } catch (error) {
+    console.error('Error giving kudos:', error);
+    if (button) button.disabled = false;
+  }
+}
+
+// Crew invite links: /?invite=<token> is kept in sessionStorage so it survives the login redirect
+const CREW_INVITE_KEY = 'rundao_crew_invite';
+
+function captureCrewInvite() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('invite');
+  if (!token) return;
+  
+  sessionStorage.setItem(CREW_INVITE_KEY, token);
+  params.delete('invite');
+  const query = params.toString();
+  window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+}
+
+async function redeemPendingInvite() {
+  const token = sessionStorage.getItem(CREW_INVITE_KEY);
+  if (!token) return;
+  
+  if (!window.RunDAO.currentUser) {
+    // Not signed in yet: say where the link leads (quietly, without an error toast)
+    try {
+      const response = await fetch(`${window.RunDAO.apiBase}/crew-invites/${encodeURIComponent(token)}`);
+      const preview = await response.json();
+      if (!response.ok || !preview.usable) {
+        sessionStorage.removeItem(CREW_INVITE_KEY);
+        Utils.showNotification('초대 링크가 만료되었거나 올바르지 않습니다', 'error');
+        return;
+      }
+      Utils.showNotification(`로그인하면 '${preview.crew.name}' 크루에 바로 가입됩니다`, 'info');
+    } catch (error) {
+      console.error('Error checking crew invite:', error);
+    }
+    return;
+  }
+  
+  sessionStorage.removeItem(CREW_INVITE_KEY);
+  try {
+    const result = await API.redeemCrewInvite(token);
+    Utils.showNotification('초대 링크로 크루에 가입했습니다! 🏃‍♂️', 'success');
+    window.RunDAO.currentCrew = result.crew_id;
+    openCrewPage();
+  } catch (error) {
+    console.error('Error redeeming crew invite:', error);
+  }
+}
+
+async function transferCrewLeadership(crewId, userId) {
+  if (!confirm('리더를 위임하면 공동 리더가 됩니다. 계속하시겠습니까?')) return;
+  
+  try {
+    await API.transferCrew(crewId, userId);
+    Utils.showNotification('리더를 위임했습니다', 'success');
+    await loadCrewList();
+    await showCrew(crewId);
+  } catch (error) {
+    console.error('Error transferring crew leadership:', error);
+  }
+}
+
+async function handleQuestCreation(event) {
+  event.preventDefault();
+  
+  console.log('🚀 Creating new quest...');
+  
+  try {
+    // Get form data
+    const formData = new FormData(event.target);
+    const questData = Object.fromEntries(formData);
+    
+    // Validate required fields
+    if (!questData.title || !questData.description || !questData.distance_km || !questData.stake_amount) {
+      throw new Error('모든 필수 항목을 입력해주세요');
+    }
+    
+    // Calculate start and end times: whole local days from the start date,
+    // one recurrence period for recurring quests
+    const startDate = new Date(`${questData.start_date}T00:00:00`);
+    const endDate = new Date(startDate);
+    if (questData.recurrence === 'monthly') {
+      endDate.setMonth(endDate.getMonth() + 1);
+    } else if (questData.recurrence) {
+      endDate.setDate(endDate.getDate() + (questData.recurrence === 'biweekly' ? 14 : 7));
+    } else {
+      endDate.setDate(endDate.getDate() + parseInt(questData.duration_days));
+    }
+    const startTime = Math.floor(startDate.getTime() / 1000);
+    const endTime = Math.floor(endDate.getTime() / 1000) - 1;
+    
+    // Prepare quest data for smart contract
+    const contractQuestData = {
+      title: questData.title,
+      description: questData.description,
+      startTime: startTime,
+      endTime: endTime,
+      distanceKm: parseFloat(questData.distance_km), // createQuest converts to the contract format
+      timesPerWeek: parseInt(questData.times_per_week),
+      maxSlots: parseInt(questData.max_slots),
+      stakeAmount: questData.stake_amount,
+      stakeToken: window.ContractConfig.defaultStakeToken()
+    };
+    
+    // Show loading state
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    const originalText = submitBtn.textContent;
+    submitBtn.textContent = '⏳ 생성 중...';
+    submitBtn.disabled = true;
+    
+    try {
+      // Create quest on smart contract (if Web3 is available)
       if (window.web3Manager && window.web3Manager.isConnected()) {
         const receipt = await createQuest(contractQuestData);
         console.log('✅ Quest created on blockchain:', receipt);
@@ -1663,24 +2470,22 @@ async function handleQuestCreation(event) {
         await saveQuestToDatabase({
           ...questData,
           quest_id: receipt.events?.QuestCreated?.returnValues?.questId,
-          tx_hash: receipt.transactionHash,
-          creator_address: window.web3Manager.account
+          tx_hash: receipt.transactionHash
         });
         
         Utils.showNotification('퀘스트가 성공적으로 생성되었습니다! 🎉', 'success');
       } else {
         // Fallback: Save to database only (for testing)
-        const result = await saveQuestToDatabase({
-          ...questData,
-          creator_address: window.RunDAO.currentUser?.wallet_address
-        });
+        // The signed-in session user becomes the quest creator
+        const result = await saveQuestToDatabase(questData);
         
         Utils.showNotification('퀘스트가 생성되었습니다 (테스트 모드)', 'success');
       }
       
-      // Close modal and refresh quest list
+      // Close modal and refresh quest lists
       closeQuestModal();
       loadActiveQuests();
+      filterQuests();
       
     } catch (contractError) {
       console.error('Contract error:', contractError);
@@ -1708,13 +2513,29 @@ async function saveQuestToDatabase(questData) {
     distance_km: parseFloat(questData.distance_km),
     times_per_week: parseInt(questData.times_per_week),
     stake_amount: parseFloat(questData.stake_amount),
-    stake_token: 'ETH',
+    stake_token: window.ContractConfig.defaultStakeToken(),
     max_slots: parseInt(questData.max_slots),
-    crew_id: questData.quest_scope === 'crew' ? questData.crew_id : null,
-    creator_address: questData.creator_address,
+    crew_id: questData.crew_id || null,
+    visibility: questData.quest_scope,
+    eligible_region: questData.eligible_region || null,
+    min_past_runs: parseInt(questData.min_past_runs) || 0,
+    invite_only: questData.invite_only === 'on',
+    start_date: questData.start_date,
+    duration_days: parseInt(questData.duration_days),
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
     status: 'open'
   };
   
+  // Recurring quests are created through a template that spawns each period
+  if (questData.recurrence) {
+    payload.recurrence = questData.recurrence;
+    console.log('Quest template to be saved:', payload);
+    return await Utils.apiRequest('/quest-templates', {
+      method: 'POST',
+      body: JSON.stringify(payload)
+    });
+  }
+  
   // Call the actual API endpoint
   console.log('Quest data to be saved:', payload);
   return await Utils.apiRequest('/quests', {
@@ -1723,58 +2544,229 @@ async function saveQuestToDatabase(questData) {
   });
 }
 
-function filterQuests(filter) {
-  console.log(`🔍 Filtering quests by: ${filter}`);
+// Quest browser: GET /api/quests with the filter form, one cursor page at a time
+const questBrowser = { cursor: null, loading: false };
+
+const QUEST_STATUS_BADGES = {
+  open: ['blue', '📢 모집중'],
+  active: ['green', '🏃‍♂️ 진행중'],
+  completed: ['gray', '🏁 완료'],
+  cancelled: ['red', '취소됨']
+};
+
+function getQuestBrowserParams() {
+  const params = new URLSearchParams();
+  const status = document.getElementById('quest-filter')?.value || 'all';
+  params.set('status', status === 'all' ? 'open,active,completed' : status);
   
-  const questCards = document.querySelectorAll('.quest-card');
-  questCards.forEach(card => {
-    // This is a placeholder - would implement actual filtering logic
-    card.style.display = 'block';
-  });
+  const form = document.getElementById('quest-search-form');
+  if (form) {
+    for (const [key, value] of new FormData(form)) {
+      if (String(value).trim() !== '') params.set(key, String(value).trim());
+    }
+  }
+  return params;
+}
+
+function renderQuestBrowserCard(quest) {
+  const [color, label] = QUEST_STATUS_BADGES[quest.status] || ['gray', quest.status];
+  const days = (date) => Math.max(0, Math.ceil((new Date(`${date.replace(' ', 'T')}Z`) - Date.now()) / 86400000));
+  const timing = quest.status === 'open' ? `⏰ ${days(quest.start_at)}일 후 시작` :
+                 quest.status === 'active' ? `⏰ ${days(quest.end_at)}일 남음` : '';
+  const conditions = [
+    quest.eligible_region ? `📍 ${Utils.escapeHtml(quest.eligible_region)}` : '',
+    quest.min_past_runs > 0 ? `🏃 ${quest.min_past_runs}회 이상` : '',
+    quest.invite_only ? '🔒 초대 전용' : ''
+  ].filter(Boolean).join(' · ');
   
-  Utils.showNotification(`${filter} 퀘스트 필터 적용됨`, 'info');
+  return `
+    <div class="quest-card p-6 border border-gray-200 rounded-lg hover:shadow-lg transition-shadow cursor-pointer" onclick="showQuestDetails('${quest.id}')">
+      <div class="flex justify-between items-start mb-4">
+        <div>
+          <h3 class="font-bold text-lg text-gray-900">${Utils.escapeHtml(quest.title)}</h3>
+          <p class="text-sm text-gray-500">${quest.crew_name ? `👥 ${Utils.escapeHtml(quest.crew_name)}` : '🌍 전체 공개'}</p>
+        </div>
+        <span class="bg-${color}-100 text-${color}-800 px-3 py-1 rounded-full text-sm font-medium">${label}</span>
+      </div>
+      
+      <p class="text-gray-600 mb-4">${Utils.escapeHtml(quest.description || '')}</p>
+      ${conditions ? `<p class="text-xs text-gray-500 mb-4">${conditions}</p>` : ''}
+      
+      <div class="grid grid-cols-2 gap-4 mb-4 text-sm">
+        <div class="bg-blue-50 rounded-lg p-3">
+          <div class="text-blue-600 font-medium">거리/횟수</div>
+          <div class="text-blue-900 font-bold">${quest.distance_km}km × 주${quest.times_per_week}회</div>
+        </div>
+        <div class="bg-purple-50 rounded-lg p-3">
+          <div class="text-purple-600 font-medium">스테이킹 (총 ${Number(quest.pot.toFixed(4))} ${quest.stake_token || 'ETH'})</div>
+          <div class="text-purple-900 font-bold">${quest.stake_amount} ${quest.stake_token || 'ETH'}</div>
+        </div>
+      </div>
+      
+      <div class="flex justify-between items-center">
+        <div class="flex items-center space-x-4 text-sm text-gray-500">
+          <span>👥 ${quest.participant_count}/${quest.max_slots}명 참여</span>
+          <span>${timing}</span>
+        </div>
+        ${quest.status === 'open' && quest.open_slots > 0 ? `
+          <button onclick="event.stopPropagation(); handleQuestJoin('${quest.id}')" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium">
+            참여하기
+          </button>
+        ` : ''}
+      </div>
+    </div>
+  `;
 }
 
-// Quest join handler for UI buttons
-async function handleQuestJoin(questId, stakeAmount) {
-  console.log(`🎯 Joining quest ${questId} with stake ${stakeAmount} ETH`);
+async function loadQuestBrowser(append = false) {
+  const container = document.getElementById('quest-browser');
+  const moreButton = document.getElementById('quest-browser-more');
+  if (!container || questBrowser.loading) return;
   
+  questBrowser.loading = true;
+  try {
+    const params = getQuestBrowserParams();
+    if (append && questBrowser.cursor) params.set('cursor', questBrowser.cursor);
+    
+    const result = await API.browseQuests(params);
+    if (!append) container.innerHTML = '';
+    container.insertAdjacentHTML('beforeend', result.quests.map(renderQuestBrowserCard).join(''));
+    
+    if (container.children.length === 0) {
+      container.innerHTML = `
+        <div class="col-span-full text-center py-8 text-gray-500">
+          <div class="text-4xl mb-4">🔍</div>
+          <p class="text-lg">조건에 맞는 퀘스트가 없습니다</p>
+        </div>
+      `;
+    }
+    
+    questBrowser.cursor = result.next_cursor;
+    moreButton?.classList.toggle('hidden', !result.next_cursor);
+  } catch (error) {
+    console.error('Error loading quest browser:', error);
+  } finally {
+    questBrowser.loading = false;
+  }
+}
+
+// Apply the status select and filter form from the first page
+function filterQuests(event) {
+  event?.preventDefault();
+  questBrowser.cursor = null;
+  loadQuestBrowser();
+}
+
+function loadMoreQuests() {
+  loadQuestBrowser(true);
+}
+
+// Steps of the join modal; on-chain ones are skipped in test mode (database only)
+const JOIN_STEPS = [
+  { id: 'token', label: '스테이크 토큰과 잔액 확인', onChain: true },
+  { id: 'allowance', label: '토큰 사용 승인 (permit 서명 또는 approve)', onChain: true },
+  { id: 'join', label: '퀘스트 참여 트랜잭션', onChain: true },
+  { id: 'record', label: '참여 기록 저장', onChain: false }
+];
+
+const JOIN_STEP_ICONS = { pending: '⚪', active: '⏳', done: '✅', skipped: '➖', error: '❌' };
+
+// The quest being joined, and the stake transaction once it went through
+let joinState = null;
+
+function renderJoinStep(stepId, state, detail = '') {
+  const item = document.querySelector(`#join-quest-steps [data-step="${stepId}"]`);
+  if (!item) return;
+  item.querySelector('[data-icon]').textContent = JOIN_STEP_ICONS[state];
+  item.querySelector('[data-detail]').textContent = detail;
+  item.classList.toggle('text-red-600', state === 'error');
+  item.classList.toggle('text-gray-400', state === 'pending' || state === 'skipped');
+}
+
+// Quest join handler for UI buttons: opens the join modal for the quest
+async function handleQuestJoin(questId) {
   // Check if user is logged in
   if (!window.RunDAO.currentUser) {
     Utils.showNotification('퀘스트에 참여하려면 로그인해주세요', 'error');
     return;
   }
   
-  // Check wallet connection
-  if (!window.web3Manager || !window.web3Manager.isConnected()) {
-    Utils.showNotification('지갑을 연결해주세요', 'error');
-    return;
+  try {
+    const { quest } = await API.getQuest(questId);
+    
+    // With deployed contracts, quests registered on-chain are joined by staking
+    await window.ContractConfig.ready;
+    const onChain = window.ContractConfig.deployment !== null && quest.contract_quest_id !== null;
+    if (onChain && (!window.web3Manager || !window.web3Manager.isConnected())) {
+      Utils.showNotification('스테이킹하려면 지갑을 연결해주세요', 'error');
+      return;
+    }
+    joinState = { quest, onChain, stakeTxHash: null };
+    
+    document.getElementById('join-quest-summary').textContent =
+      `${quest.title} · 스테이킹 ${quest.stake_amount} ${quest.stake_token}${onChain ? '' : ' (테스트 모드)'}`;
+    document.getElementById('join-quest-steps').innerHTML = JOIN_STEPS.map(step => `
+      <li data-step="${step.id}" class="flex items-start space-x-3">
+        <span data-icon>⚪</span>
+        <div>
+          <div class="font-medium">${step.label}</div>
+          <div data-detail class="text-sm text-gray-500"></div>
+        </div>
+      </li>
+    `).join('');
+    JOIN_STEPS.forEach(step => renderJoinStep(step.id, step.onChain && !onChain ? 'skipped' : 'pending'));
+    
+    const confirmBtn = document.getElementById('join-quest-confirm');
+    confirmBtn.textContent = onChain ? '스테이킹하고 참여' : '참여하기';
+    confirmBtn.disabled = false;
+    confirmBtn.classList.remove('hidden');
+    document.getElementById('join-quest-modal').classList.remove('hidden');
+    
+  } catch (error) {
+    console.error('❌ Failed to open quest join:', error);
+    Utils.showNotification(`퀘스트 정보를 불러올 수 없습니다: ${error.message}`, 'error');
   }
+}
+
+// Run the join steps; a retry after a failed record step does not stake again
+async function startQuestJoin() {
+  if (!joinState) return;
+  const { quest, onChain } = joinState;
+  const confirmBtn = document.getElementById('join-quest-confirm');
+  confirmBtn.disabled = true;
   
   try {
-    // Show confirmation dialog
-    const confirmed = confirm(`
-퀘스트 참여 확인
-
-퀘스트: ${questId}
-스테이킹: ${stakeAmount} ETH
-
-참여하시겠습니까?
-`);
+    if (onChain && !joinState.stakeTxHash) {
+      const result = await joinQuest(quest, renderJoinStep);
+      joinState.stakeTxHash = result.transactionHash;
+    }
     
-    if (!confirmed) {
-      return;
+    renderJoinStep('record', 'active');
+    try {
+      await API.joinQuest(quest.id, joinState.stakeTxHash);
+    } catch (error) {
+      renderJoinStep('record', 'error', error.message);
+      throw error;
     }
+    renderJoinStep('record', 'done');
     
-    // Join quest
-    const result = await joinQuest(questId, stakeAmount);
-    console.log('✅ Quest joined successfully:', result);
+    confirmBtn.classList.add('hidden');
+    Utils.showNotification('퀘스트에 성공적으로 참여했습니다! 🏃‍♂️', 'success');
+    loadActiveQuests();
     
   } catch (error) {
     console.error('❌ Failed to join quest:', error);
+    Utils.showNotification(`퀘스트 참여 실패: ${error.message}`, 'error');
+    confirmBtn.textContent = '다시 시도';
+    confirmBtn.disabled = false;
   }
 }
 
+function closeJoinQuestModal() {
+  document.getElementById('join-quest-modal').classList.add('hidden');
+  joinState = null;
+}
+
 // Load quest data from blockchain (when contracts are deployed)
 async function loadQuestsFromBlockchain() {
   if (!window.web3Manager || !window.web3Manager.isConnected()) {
@@ -1921,12 +2913,19 @@ async function handleRunDataSubmission(event) {
     const minutes = parseInt(document.getElementById('run-minutes').value) || 0;
     const seconds = parseInt(document.getElementById('run-seconds').value) || 0;
     const route = document.getElementById('run-route').value;
+    const trackFile = document.getElementById('run-track-file').files[0];
     
     // Validate required fields
     if (!questId) {
       throw new Error('퀘스트를 선택해주세요');
     }
     
+    // Watch exports carry their own distance and time
+    if (trackFile) {
+      await submitTrackFileToDatabase(event.target, questId, trackFile);
+      return;
+    }
+    
     if (!distance || distance <= 0) {
       throw new Error('유효한 거리를 입력해주세요');
     }
@@ -1975,16 +2974,15 @@ async function handleRunDataSubmission(event) {
     submitBtn.disabled = true;
     
     try {
-      // Submit to smart contract if available
-      if (window.web3Manager && window.web3Manager.isConnected()) {
-        await submitRunDataToBlockchain(runData);
+      // Save to database (run_records + quest_runs)
+      const result = await submitRunDataToDatabase(runData);
+      
+      if (result.heldForReview) {
+        Utils.showNotification('기록이 자동 검증을 통과하지 못해 크루장 검토 후 반영됩니다 🔍', 'info');
       } else {
-        // Fallback: save to database only
-        await submitRunDataToDatabase(runData);
+        Utils.showNotification('러닝 데이터가 성공적으로 제출되었습니다! 🎉', 'success');
       }
       
-      Utils.showNotification('러닝 데이터가 성공적으로 제출되었습니다! 🎉', 'success');
-      
       // Close modal and refresh data
       closeRunSubmitModal();
       
@@ -2009,52 +3007,100 @@ async function handleRunDataSubmission(event) {
   }
 }
 
-async function submitRunDataToBlockchain(runData) {
-  try {
-    const contract = window.web3Manager.getContract('QuestFactory');
-    
-    // Create GPS data hash (simplified)
-    const gpsDataString = JSON.stringify({
-      lat: runData.location?.lat || 0,
-      lng: runData.location?.lng || 0,
-      timestamp: runData.timestamp
-    });
-    
-    const gpsDataHash = ethers.keccak256(ethers.toUtf8Bytes(gpsDataString));
-    
-    // Convert distance to contract format (cm)
-    const distanceInCm = window.ContractUtils.kmToCm(runData.distance);
-    
-    // Submit run data to smart contract
-    const tx = await contract.submitRunData(
-      runData.questId,
-      distanceInCm,
-      runData.duration,
-      gpsDataHash
-    );
-    
-    Utils.showNotification('블록체인에 데이터를 기록하고 있습니다...', 'info');
-    
-    const receipt = await tx.wait();
-    
-    console.log('✅ Run data submitted to blockchain:', receipt);
-    
-    return receipt;
-    
-  } catch (error) {
-    console.error('Blockchain submission error:', error);
-    throw error;
+// Check a run against its day's Merkle root on QuestFactory. Runs are committed
+// by the backend oracle once a day, so a new run has no proof until the next day.
+async function verifyRunOnChain(runId) {
+  const { batch, leaf, proof } = await API.getRunProof(runId);
+  if (!batch) {
+    return { verified: false, reason: 'not_committed' };
+  }
+  if (batch.status !== 'posted') {
+    return { verified: false, reason: 'root_not_posted', batch };
   }
+  
+  const contract = window.web3Manager.getContract('QuestFactory');
+  const verified = await contract.verifyRun(
+    batch.day,
+    leaf.runner,
+    leaf.quest_id,
+    leaf.distance_m,
+    leaf.duration_sec,
+    leaf.gps_path_hash,
+    proof
+  );
+  
+  console.log(`🔏 Run ${runId} ${verified ? 'matches' : 'does not match'} the root of ${batch.date}`);
+  return { verified, reason: verified ? null : 'proof_mismatch', batch };
+}
+
+// Relay a quest's oracle-signed settlement to QuestFactory.completeQuest. Anyone
+// can send it once enough settlement oracles have signed; the stakes are paid out
+// by the contract, and the indexer records the transaction.
+async function relaySettlement(questId) {
+  const payload = await API.getSettlementPayload(questId);
+  if (payload.tx_hash) {
+    throw new Error('이미 온체인 정산이 완료된 퀘스트입니다');
+  }
+  if (!payload.ready) {
+    throw new Error(payload.expired
+      ? '정산 서명이 만료되었습니다. 다음 정산 작업에서 갱신됩니다'
+      : `오라클 서명이 부족합니다 (${payload.signatures.length}/${payload.threshold})`);
+  }
+  
+  const contract = window.web3Manager.getContract('QuestFactory');
+  const tx = await contract.completeQuest(
+    payload.message.questId,
+    payload.winners,
+    payload.message.deadline,
+    payload.signatures
+  );
+  
+  Utils.showNotification('정산 트랜잭션을 전송했습니다...', 'info');
+  const receipt = await tx.wait();
+  console.log('✅ Settlement relayed:', receipt);
+  return receipt;
 }
 
 async function submitRunDataToDatabase(runData) {
-  // Mock database submission for development
-  console.log('💾 Submitting to database (mock):', runData);
+  console.log('💾 Submitting to database:', runData);
+  
+  const result = await API.submitRun({
+    quest_id: runData.questId,
+    distance_km: runData.distance,
+    duration_sec: runData.duration,
+    started_at: new Date(runData.timestamp - runData.duration * 1000).toISOString(),
+    gps_path: runData.location ? [{ ...runData.location, time: runData.timestamp }] : null
+  });
+  
+  return { success: true, id: result.run_id, heldForReview: result.held_for_review };
+}
+
+async function submitTrackFileToDatabase(form, questId, trackFile) {
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.textContent = '⏳ 파일 분석 중...';
+  submitBtn.disabled = true;
+  
+  const formData = new FormData();
+  formData.append('file', trackFile);
+  formData.append('quest_id', questId);
   
-  // Simulate API delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  const result = await API.importRun(formData);
+  const pace = Utils.formatPace(result.avg_pace_sec_per_km);
+  
+  if (result.held_for_review) {
+    Utils.showNotification(
+      `${result.format.toUpperCase()} 기록이 자동 검증을 통과하지 못해 크루장 검토 후 반영됩니다 🔍`,
+      'info'
+    );
+  } else {
+    Utils.showNotification(
+      `${result.format.toUpperCase()} 기록을 가져왔습니다: ${result.distance_km.toFixed(2)}km · ${Utils.formatDuration(result.duration_sec)} · ${pace}/km 🎉`,
+      'success'
+    );
+  }
   
-  return { success: true, id: 'run_' + Date.now() };
+  closeRunSubmitModal();
+  updateUserProgress();
 }
 
 function updateUserProgress() {
@@ -2322,12 +3368,15 @@ window.showQuestDetails = showQuestDetails;
 window.createQuest = createQuest;
 window.joinQuest = joinQuest;
 window.handleQuestJoin = handleQuestJoin;
+window.startQuestJoin = startQuestJoin;
+window.closeJoinQuestModal = closeJoinQuestModal;
 window.loadQuestsFromBlockchain = loadQuestsFromBlockchain;
 window.initializeWeb3App = initializeWeb3App;
 window.openQuestCreationModal = openQuestCreationModal;
 window.closeQuestModal = closeQuestModal;
 window.handleQuestCreation = handleQuestCreation;
 window.filterQuests = filterQuests;
+window.loadMoreQuests = loadMoreQuests;
 window.closeQuestDetailModal = closeQuestDetailModal;
 window.confirmQuestJoin = confirmQuestJoin;
 window.goToMyQuests = goToMyQuests;
@@ -2338,4 +3387,21 @@ window.handleRunDataSubmission = handleRunDataSubmission;
 window.openMyQuestsDashboard = openMyQuestsDashboard;
 window.closeDashboard = closeDashboard;
 window.switchDashboardTab = switchDashboardTab;
-window.showNFTDetails = showNFTDetails;
\ No newline at end of file
+window.showNFTDetails = showNFTDetails;
+window.exportCustodialKey = exportCustodialKey;
+window.openCrewPage = openCrewPage;
+window.closeCrewPage = closeCrewPage;
+window.showCrew = showCrew;
+window.handleCrewCreation = handleCrewCreation;
+window.handleCrewUpdate = handleCrewUpdate;
+window.joinCrew = joinCrew;
+window.leaveCrew = leaveCrew;
+window.deleteCrew = deleteCrew;
+window.decideCrewRequest = decideCrewRequest;
+window.changeCrewRole = changeCrewRole;
+window.transferCrewLeadership = transferCrewLeadership;
+window.handleCrewInviteCreation = handleCrewInviteCreation;
+window.copyCrewInviteLink = copyCrewInviteLink;
+window.revokeCrewInvite = revokeCrewInvite;
+window.loadCrewFeed = loadCrewFeed;
+window.giveRunKudos = giveRunKudos;
\ No newline at end of file
@@ -1,86 +1,133 @@
 // 작심삼일 RUN DAO - Contract Configuration
-// Polygon zkEVM Testnet Contract Addresses and ABIs
+// Addresses and ABIs come from the deployment manifest that
+// blockchain/scripts/deploy.ts writes (served by /api/chain/deployment)
 
-// Contract Addresses (Test Deployment - Replace with actual after deployment)
-window.CONTRACT_ADDRESSES = {
-  // Polygon zkEVM Testnet addresses (placeholder)
-  QuestFactory: "0x1234567890123456789012345678901234567890",
-  EscrowVault: "0x2345678901234567890123456789012345678901", 
-  MedalNFT: "0x3456789012345678901234567890123456789012"
-};
+// Filled in by ContractConfig.load(); empty until a deployment is configured
+window.CONTRACT_ADDRESSES = {};
+window.CONTRACT_ABIS = {};
 
-// Contract ABIs (Main functions only for frontend use)
-window.CONTRACT_ABIS = {
-  
+// Functions the app calls; a manifest whose ABI lacks one of them is rejected
+const REQUIRED_FUNCTIONS = {
   QuestFactory: [
-    // View functions
-    "function quests(uint256) external view returns (uint256 id, address creator, string title, string description, uint256 startTime, uint256 endTime, uint256 distanceKm, uint256 timesPerWeek, address stakeToken, uint256 stakeAmount, uint256 maxSlots, uint256 successRate, uint256 daoRate, uint256 protocolFeeRate, uint8 status, uint256 participantCount)",
-    "function questCounter() external view returns (uint256)",
-    "function participations(uint256, address) external view returns (address participant, uint256 questId, uint256 joinedAt, uint256 completedSessions, uint256 totalDistanceKm, uint8 status)",
-    "function questParticipants(uint256, uint256) external view returns (address)",
-    "function getQuestParticipants(uint256) external view returns (address[])",
-    
-    // Main functions
-    "function createQuest(string title, string description, uint256 crewId, uint256 startTime, uint256 endTime, uint256 distanceKm, uint256 timesPerWeek, uint256 maxSlots) external payable",
-    "function joinQuest(uint256 questId) external payable",
-    "function submitRunData(uint256 questId, uint256 distanceKm, uint256 duration, bytes32 gpsDataHash) external",
-    "function completeQuest(uint256 questId) external",
-    
-    // Admin functions  
-    "function setSupportedToken(address token, bool supported) external",
-    "function setEscrowVault(address escrowVault) external",
-    
-    // Events
-    "event QuestCreated(uint256 indexed questId, address indexed creator, string title, uint256 stakeAmount)",
-    "event QuestJoined(uint256 indexed questId, address indexed participant, uint256 stakeAmount)",
-    "event RunSubmitted(uint256 indexed questId, address indexed participant, uint256 distanceKm, uint256 duration)",
-    "event QuestCompleted(uint256 indexed questId, address[] winners, address[] losers, uint256 totalStaked)"
+    'createQuest(string,string,uint256,uint256,uint256,uint256,address,uint256,uint256)',
+    'joinQuest(uint256)',
+    'quests(uint256)',
+    'questCounter()',
+    'getQuestParticipants(uint256)',
+    'verifyRun(uint256,address,uint256,uint256,uint256,bytes32,bytes32[])',
+    'completeQuest(uint256,address[],uint256,bytes[])'
   ],
-
   EscrowVault: [
-    // View functions
-    "function questStakes(uint256) external view returns (uint256 totalAmount, uint256 participantCount, bool isSettled)",
-    "function userStakes(uint256, address) external view returns (uint256 amount, bool claimed)",
-    
-    // Main functions
-    "function depositStake(uint256 questId, address participant) external payable",
-    "function withdrawStake(uint256 questId, address participant) external",
-    "function distributeRewards(uint256 questId, address[] winners, address[] losers, uint256 daoShare, uint256 protocolFee) external",
-    
-    // Events
-    "event StakeDeposited(uint256 indexed questId, address indexed participant, uint256 amount)",
-    "event StakeWithdrawn(uint256 indexed questId, address indexed participant, uint256 amount)",
-    "event RewardsDistributed(uint256 indexed questId, uint256 totalAmount, uint256 winnersShare, uint256 losersShare)"
+    'getEscrowRecord(uint256,address)'
   ],
-
   MedalNFT: [
-    // ERC721 standard functions
-    "function balanceOf(address owner) external view returns (uint256)",
-    "function ownerOf(uint256 tokenId) external view returns (address)",
-    "function tokenURI(uint256 tokenId) external view returns (string)",
-    "function approve(address to, uint256 tokenId) external",
-    "function getApproved(uint256 tokenId) external view returns (address)",
-    "function setApprovalForAll(address operator, bool approved) external",
-    "function isApprovedForAll(address owner, address operator) external view returns (bool)",
-    "function transferFrom(address from, address to, uint256 tokenId) external",
-    "function safeTransferFrom(address from, address to, uint256 tokenId) external",
-    "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data) external",
+    'getUserMedals(address)',
+    'tokenURI(uint256)'
+  ]
+};
+
+// ERC-20 stake tokens, with the EIP-2612 and EIP-5267 views used for permits
+window.ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+window.ContractConfig = {
+  deployment: null,
+  error: null,
+  verified: false,
+  
+  // Fetch the manifest; resolves to null when no contracts are deployed
+  async load() {
+    const response = await fetch('/api/chain/deployment');
+    if (response.status === 404) {
+      console.warn('⚠️ No contract deployment configured - quests are saved to the database only');
+      return null;
+    }
+    const deployment = await response.json();
+    if (!response.ok) {
+      throw new Error(deployment.error || 'Failed to load deployment manifest');
+    }
     
-    // Custom functions
-    "function mintMedal(address to, uint256 questId, uint8 medalType, uint8 season, bool isWinner) external returns (uint256)",
-    "function upgradeMedal(uint256 tokenId) external",
-    "function getMedalInfo(uint256 tokenId) external view returns (uint256 questId, uint8 medalType, uint8 season, bool isWinner, uint8 upgradeLevel)",
-    "function getUserMedals(address user) external view returns (uint256[])",
+    for (const [name, signatures] of Object.entries(REQUIRED_FUNCTIONS)) {
+      const contract = deployment.contracts[name];
+      if (!contract) {
+        throw new Error(`Deployment manifest for ${deployment.network} has no ${name}`);
+      }
+      const abi = new ethers.Interface(contract.abi);
+      const missing = signatures.filter(signature => !abi.getFunction(signature));
+      if (missing.length > 0) {
+        throw new Error(`${name} ABI does not match the app: missing ${missing.join(', ')}`);
+      }
+      window.CONTRACT_ADDRESSES[name] = contract.address;
+      window.CONTRACT_ABIS[name] = contract.abi;
+    }
     
-    // Events
-    "event MedalMinted(uint256 indexed tokenId, address indexed recipient, uint256 indexed questId, uint8 medalType)",
-    "event MedalUpgraded(uint256 indexed tokenId, uint8 newLevel)",
-    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
-    "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
-    "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)"
-  ]
+    this.deployment = deployment;
+    return deployment;
+  },
+  
+  // Check the wallet's chain and the code at each address against the manifest
+  async verify(provider) {
+    if (!this.deployment) return false;
+    
+    const { chainId } = await provider.getNetwork();
+    if (Number(chainId) !== this.deployment.chainId) {
+      throw new Error(`Wallet is on chain ${chainId}, contracts are deployed on ${this.deployment.network} (${this.deployment.chainId})`);
+    }
+    for (const [name, contract] of Object.entries(this.deployment.contracts)) {
+      const code = await provider.getCode(contract.address);
+      if (code === '0x') {
+        throw new Error(`${name} is not deployed at ${contract.address}`);
+      }
+      // Immutables are filled in at deploy time; the manifest hash has them zeroed
+      const bytes = ethers.getBytes(code).slice();
+      for (const { start, length } of contract.immutableRanges || []) {
+        bytes.fill(0, start, start + length);
+      }
+      if (ethers.keccak256(bytes) !== contract.codeHash.toLowerCase()) {
+        throw new Error(`${name} at ${contract.address} does not match its ABI (redeployed without a new manifest?)`);
+      }
+    }
+    
+    this.verified = true;
+    return true;
+  },
+  
+  // True once the contracts on the wallet's chain have been verified
+  isDeployed() {
+    return this.verified;
+  },
+  
+  // Stake token for a quest's stake_token symbol (address, decimals, permit)
+  getStakeToken(symbol) {
+    const token = this.deployment?.tokens?.[symbol];
+    if (!token) {
+      const supported = Object.keys(this.deployment?.tokens || {}).join(', ') || 'none';
+      throw new Error(`${symbol} is not a stake token on ${this.deployment?.network || 'this network'} (supported: ${supported})`);
+    }
+    return token;
+  },
+  
+  // Symbol new quests stake by default; undefined lets the server decide
+  defaultStakeToken() {
+    return Object.keys(this.deployment?.tokens || {})[0];
+  }
 };
 
+window.ContractConfig.ready = window.ContractConfig.load().catch(error => {
+  window.ContractConfig.error = error;
+  console.error('❌ Contract configuration failed:', error);
+  return null;
+});
+
 // Network Configuration
 window.NETWORK_CONFIG = {
   chainId: 1442, // Polygon zkEVM Testnet
@@ -107,7 +154,8 @@ window.QUEST_STATUS = {
 window.MEDAL_TYPES = {
   0: "Gold",    // Winner medal
   1: "Grey",    // Participant medal  
-  2: "Special"  // Special achievement medal
+  2: "Special", // Special achievement medal
+  3: "Seasonal"  // Season badge
 };
 
 // Utility functions for contract interaction
@@ -168,6 +216,9 @@ window.ContractUtils = {
   }
 };
 
-console.log("📄 Contract configuration loaded");
-console.log("🏗️ Contract addresses:", window.CONTRACT_ADDRESSES);
+window.ContractConfig.ready.then(deployment => {
+  if (deployment) {
+    console.log("📄 Contract configuration loaded:", deployment.network, window.CONTRACT_ADDRESSES);
+  }
+});
 console.log("📋 ABIs loaded for:", Object.keys(window.CONTRACT_ABIS));
\ No newline at end of file
@@ -0,0 +1,333 @@
+// 작심삼일 RUN DAO - QR code generator
+// A small QR Code encoder (byte mode, error correction level M, versions 1-10)
+// so crew invite links can be shown as a scannable code without external services.
+// Follows ISO/IEC 18004; up to 213 bytes of UTF-8 text.
+
+const QRCode = (() => {
+  // Per version (index 0 unused): error correction codewords per block and number of blocks, level M
+  const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+  const NUM_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+  const ALIGNMENT_POSITIONS = [
+    [], [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+  ];
+  const MAX_VERSION = 10;
+  const ECC_LEVEL_M = 0; // format information bits for level M
+
+  const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+  // Modules left for data and error correction once the function patterns are drawn
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(version) {
+    return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_BLOCKS[version];
+  }
+
+  // Reed-Solomon arithmetic over GF(2^8) with the QR polynomial 0x11D
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= gfMultiply(coefficient, factor);
+      });
+    }
+    return result;
+  }
+
+  // Mode indicator, character count, data, terminator and padding as codewords
+  function encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = dataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+  }
+
+  // Split into blocks, append error correction to each and interleave
+  function addErrorCorrection(data, version) {
+    const numBlocks = NUM_BLOCKS[version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(blockEccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      k += block.length;
+      const ecc = rsRemainder(block, divisor);
+      if (i < numShortBlocks) block.push(0); // placeholder, skipped when interleaving
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = ALIGNMENT_POSITIONS[version];
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        const last = positions.length - 1;
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Version information (versions 7 and up)
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      const bits = (version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        setFunction(a, b, getBit(bits, i));
+        setFunction(b, a, getBit(bits, i));
+      }
+    }
+
+    return { size, modules, isFunction, setFunction };
+  }
+
+  // Both copies of the format information (error correction level and mask)
+  function drawFormatBits({ size, setFunction }, mask) {
+    const data = (ECC_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true); // always-dark module
+  }
+
+  // Place codewords in the two-column zigzag, bottom right first
+  function drawCodewords({ size, modules, isFunction }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing pattern
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  // XOR-ing twice undoes a mask, which is how candidates are tried
+  function applyMask({ size, modules, isFunction }, mask) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  const FINDER_LIKE = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true]
+  ];
+
+  // The standard's penalty rules; the mask with the lowest score is used
+  function penalty({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+      // Runs of five or more modules of the same color
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      // Patterns that look like a finder
+      for (let i = 0; i + 11 <= size; i++) {
+        if (FINDER_LIKE.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) score += 40;
+      }
+    });
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    // Balance of dark and light modules
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  return {
+    /**
+     * Encode text as a QR code matrix: `modules[y][x]` is true for dark modules
+     */
+    encode(text) {
+      const bytes = Array.from(new TextEncoder().encode(text));
+      let version = 1;
+      while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+        version++;
+      }
+      if (version > MAX_VERSION) {
+        throw new Error('QR 코드로 만들기에는 내용이 너무 깁니다');
+      }
+
+      const matrix = createMatrix(version);
+      drawFormatBits(matrix, 0); // reserve the format areas before placing data
+      drawCodewords(matrix, addErrorCorrection(encodeData(bytes, version), version));
+
+      let bestMask = 0;
+      let bestScore = Infinity;
+      for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, mask);
+        const score = penalty(matrix);
+        if (score < bestScore) {
+          bestMask = mask;
+          bestScore = score;
+        }
+        applyMask(matrix, mask);
+      }
+      applyMask(matrix, bestMask);
+      drawFormatBits(matrix, bestMask);
+
+      return { version, size: matrix.size, mask: bestMask, modules: matrix.modules };
+    },
+
+    /**
+     * Render text as an SVG QR code with a quiet zone of `margin` modules
+     */
+    toSvg(text, { margin = 4, pixelSize = 240 } = {}) {
+      const { size, modules } = this.encode(text);
+      const dimension = size + margin * 2;
+      let path = '';
+      modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+      }));
+      return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" ` +
+        `width="${pixelSize}" height="${pixelSize}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+  };
+})();
+
+window.QRCode = QRCode;
@@ -8,13 +8,7 @@ class Web3Manager {
     this.account = null;
     this.chainId = null;
     this.contracts = {};
-    
-    // Contract addresses (updated from contracts.js)
-    this.contractAddresses = window.CONTRACT_ADDRESSES || {
-      QuestFactory: null,
-      EscrowVault: null,
-      MedalNFT: null
-    };
+    this.user = null; // server session user after SIWE sign-in
     
     // Polygon zkEVM Testnet configuration
     this.networks = {
@@ -84,17 +78,36 @@ class Web3Manager {
       console.log('✅ Wallet connected:', this.account);
       console.log('🌐 Network:', network.name, 'Chain ID:', this.chainId);
       
+      // Sign in before switching networks: a chain change reloads the page,
+      // and the session cookie survives the reload. Someone already signed in
+      // (e.g. with Google) can link this wallet instead of getting a second account.
+      let session;
+      if (this.user?.wallet_address === this.account.toLowerCase()) {
+        session = { user: this.user, created: false };
+      } else if (this.user && confirm(
+        `현재 로그인한 계정에 이 지갑(${this.account.slice(0, 6)}...${this.account.slice(-4)})을 연결할까요?\n` +
+        '이 지갑으로 만든 계정이 있다면 기록이 현재 계정으로 합쳐집니다. 취소하면 이 지갑 계정으로 따로 로그인합니다.'
+      )) {
+        session = await this.linkWallet(network.chainId);
+      } else {
+        session = await this.signIn(network.chainId);
+      }
+      
       // Switch to Polygon zkEVM if not already
       if (this.chainId !== this.networks.polygonZkEVMTestnet.chainId) {
         await this.switchNetwork();
       }
       
+      await this.verifyContracts();
+      
       this.updateUI();
       Utils.showNotification('지갑이 연결되었습니다!', 'success');
       
       return {
         account: this.account,
-        chainId: this.chainId
+        chainId: this.chainId,
+        user: session.user,
+        created: session.created
       };
       
     } catch (error) {
@@ -104,8 +117,78 @@ class Web3Manager {
     }
   }
   
+  // Sign a one-time EIP-4361 message with the given statement
+  async signSiweMessage(statement, chainId) {
+    const { nonce } = await Utils.apiRequest('/auth/nonce');
+    const message = [
+      `${window.location.host} wants you to sign in with your Ethereum account:`,
+      ethers.getAddress(this.account),
+      '',
+      statement,
+      '',
+      `URI: ${window.location.origin}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date().toISOString()}`
+    ].join('\n');
+    
+    const signature = await this.signer.signMessage(message);
+    return { message, signature };
+  }
+  
+  // Sign-In with Ethereum: start a server session for this wallet
+  async signIn(chainId) {
+    const { message, signature } = await this.signSiweMessage('작심삼일 RUN DAO에 로그인합니다.', chainId);
+    const session = await Utils.apiRequest('/auth/verify', {
+      method: 'POST',
+      body: JSON.stringify({ message, signature })
+    });
+    
+    this.user = session.user;
+    return session;
+  }
+  
+  // Prove ownership of this wallet and link it to the signed-in account.
+  // The statement must match WALLET_LINK_STATEMENT on the server.
+  async linkWallet(chainId) {
+    const { message, signature } = await this.signSiweMessage('이 지갑을 작심삼일 RUN DAO 계정에 연결합니다.', chainId);
+    const result = await Utils.apiRequest('/account/link-wallet', {
+      method: 'POST',
+      body: JSON.stringify({ message, signature })
+    });
+    
+    this.user = result.user;
+    Utils.showNotification(
+      result.merged_user_id ? '지갑이 연결되고 기존 지갑 계정의 기록이 합쳐졌습니다' : '지갑이 계정에 연결되었습니다',
+      'success'
+    );
+    return { user: result.user, created: false };
+  }
+  
+  // Detach the linked wallet from a social account
+  async unlinkWallet() {
+    const result = await Utils.apiRequest('/account/unlink-wallet', { method: 'POST' });
+    this.user = result.user;
+    this.handleDisconnect();
+    Utils.showNotification('지갑 연결이 해제되었습니다', 'info');
+    return result.user;
+  }
+  
+  // Restore the signed-in user from the session cookie (null when signed out)
+  async restoreSession() {
+    const response = await fetch(`${window.RunDAO.apiBase}/auth/me`);
+    if (!response.ok) return null;
+    
+    const { user } = await response.json();
+    this.user = user;
+    return user;
+  }
+  
   // Disconnect wallet
   async disconnectWallet() {
+    await fetch(`${window.RunDAO.apiBase}/auth/logout`, { method: 'POST' }).catch(console.error);
+    this.user = null;
     this.handleDisconnect();
     Utils.showNotification('지갑 연결이 해제되었습니다', 'info');
   }
@@ -146,10 +229,25 @@ class Web3Manager {
     }
   }
   
+  // Check the deployed contracts against the manifest before any contract call
+  async verifyContracts() {
+    await window.ContractConfig.ready;
+    try {
+      await window.ContractConfig.verify(this.provider);
+    } catch (error) {
+      window.ContractConfig.error = error;
+      console.error('❌ Contract verification failed:', error);
+      Utils.showNotification(`컨트랙트 확인 실패: ${error.message}`, 'error');
+    }
+  }
+  
   // Get contract instance
   getContract(contractName) {
+    if (window.ContractConfig.error) {
+      throw window.ContractConfig.error;
+    }
     if (!this.contracts[contractName]) {
-      const address = this.contractAddresses[contractName];
+      const address = window.CONTRACT_ADDRESSES[contractName];
       if (!address) {
         throw new Error(`${contractName} address not set`);
       }
@@ -263,116 +361,73 @@ class Web3Manager {
   }
 }
 
-// Social Login Manager (Web2.5 onboarding simulation)
+// Social Login Manager: Google / Apple / Kakao through the Worker's OAuth flow
 class SocialLoginManager {
   constructor() {
     this.providers = {
-      google: {
-        name: 'Google',
-        icon: '🔍',
-        clientId: 'demo-google-client-id'
-      },
-      apple: {
-        name: 'Apple',
-        icon: '🍎', 
-        clientId: 'demo-apple-client-id'
-      },
-      kakao: {
-        name: 'Kakao',
-        icon: '💬',
-        clientId: 'demo-kakao-client-id'
-      }
+      google: { name: 'Google', icon: '🔍' },
+      apple: { name: 'Apple', icon: '🍎' },
+      kakao: { name: 'Kakao', icon: '💬' }
     };
     
     this.currentUser = null;
   }
   
-  // Simulate social login
-  async loginWith(provider) {
-    try {
-      console.log(`🔐 Logging in with ${provider}...`);
-      
-      // Simulate OAuth flow
-      const mockUser = await this.simulateOAuthFlow(provider);
-      
-      // Generate custodial wallet
-      const custodyWallet = await this.generateCustodialWallet(mockUser);
-      
-      this.currentUser = {
-        ...mockUser,
-        wallet: custodyWallet,
-        loginMethod: provider,
-        loginTime: new Date().toISOString()
-      };
-      
-      // Save to localStorage for persistence
-      localStorage.setItem('rundao_user', JSON.stringify(this.currentUser));
-      
-      Utils.showNotification(`${provider} 로그인 성공! 지갑이 자동 생성되었습니다.`, 'success');
-      
-      this.updateSocialUI();
-      
-      return this.currentUser;
-      
-    } catch (error) {
-      console.error(`❌ ${provider} login failed:`, error);
-      Utils.showNotification(`${provider} 로그인 실패: ${error.message}`, 'error');
-      throw error;
+  // Hand off to the provider; the Worker redirects back here with ?login=<provider>
+  loginWith(provider) {
+    if (!this.providers[provider]) {
+      throw new Error(`지원하지 않는 로그인 방식입니다: ${provider}`);
     }
+    
+    console.log(`🔐 Logging in with ${provider}...`);
+    const redirect = window.location.pathname + window.location.hash;
+    window.location.href = `${window.RunDAO.apiBase}/auth/${provider}/start?redirect=${encodeURIComponent(redirect)}`;
   }
   
-  // Simulate OAuth flow
-  async simulateOAuthFlow(provider) {
-    // In real implementation, this would redirect to OAuth provider
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const mockUsers = {
-          google: {
-            id: 'google_' + Math.random().toString(36).substring(7),
-            email: 'user@gmail.com',
-            name: '구글 러너',
-            picture: 'https://via.placeholder.com/40'
-          },
-          apple: {
-            id: 'apple_' + Math.random().toString(36).substring(7),
-            email: 'user@icloud.com', 
-            name: '애플 러너',
-            picture: 'https://via.placeholder.com/40'
-          },
-          kakao: {
-            id: 'kakao_' + Math.random().toString(36).substring(7),
-            email: 'user@kakao.com',
-            name: '카카오 러너',
-            picture: 'https://via.placeholder.com/40'
-          }
-        };
-        
-        resolve(mockUsers[provider]);
-      }, 1000);
-    });
+  // Read the ?login= result after the redirect back and clean up the URL.
+  // Returns the provider name on success, null otherwise.
+  handleLoginRedirect(user) {
+    const params = new URLSearchParams(window.location.search);
+    const result = params.get('login');
+    if (!result) return null;
+    
+    params.delete('login');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+    
+    const provider = this.providers[result];
+    if (!provider || !user) {
+      Utils.showNotification('소셜 로그인이 취소되었습니다', 'info');
+      return null;
+    }
+    
+    this.currentUser = user;
+    Utils.showNotification(`${provider.name} 로그인 성공!`, 'success');
+    return result;
   }
   
-  // Generate custodial wallet
-  async generateCustodialWallet(user) {
-    // In real implementation, this would use secure key management
-    // For demo, we'll generate a deterministic wallet from user ID
-    
-    const seed = ethers.id(user.id + 'rundao_salt_2024'); // Deterministic seed
-    const wallet = new ethers.Wallet(seed);
+  // Server-held wallet of a social account (null when the user has none)
+  async getCustodialWallet() {
+    const response = await fetch(`${window.RunDAO.apiBase}/custody/wallet`);
+    if (!response.ok) return null;
     
-    return {
-      address: wallet.address,
-      type: 'custodial',
-      provider: 'rundao_custody',
-      createdAt: new Date().toISOString()
-    };
+    const { wallet } = await response.json();
+    return wallet;
+  }
+  
+  // Take the key out of custody; the server forgets it afterwards
+  async exportCustodialKey(confirmAddress) {
+    const data = await Utils.apiRequest('/custody/export', {
+      method: 'POST',
+      body: JSON.stringify({ confirm_address: confirmAddress })
+    });
+    return data.private_key;
   }
   
   // Logout
   async logout() {
+    await fetch(`${window.RunDAO.apiBase}/auth/logout`, { method: 'POST' }).catch(console.error);
     this.currentUser = null;
-    localStorage.removeItem('rundao_user');
-    this.updateSocialUI();
     Utils.showNotification('로그아웃되었습니다', 'info');
   }
   
@@ -380,86 +435,10 @@ class SocialLoginManager {
   isLoggedIn() {
     return !!this.currentUser;
   }
-  
-  // Load user from localStorage
-  loadSavedUser() {
-    const saved = localStorage.getItem('rundao_user');
-    if (saved) {
-      try {
-        this.currentUser = JSON.parse(saved);
-        this.updateSocialUI();
-        return this.currentUser;
-      } catch (error) {
-        console.error('Error loading saved user:', error);
-        localStorage.removeItem('rundao_user');
-      }
-    }
-    return null;
-  }
-  
-  // Update social login UI
-  updateSocialUI() {
-    const loginSection = document.getElementById('social-login-section');
-    const userSection = document.getElementById('user-section');
-    
-    if (this.isLoggedIn()) {
-      if (loginSection) loginSection.style.display = 'none';
-      if (userSection) userSection.style.display = 'block';
-      
-      // Update user info
-      const userName = document.getElementById('user-name');
-      const userEmail = document.getElementById('user-email');
-      const userWallet = document.getElementById('user-wallet');
-      const userPicture = document.getElementById('user-picture');
-      
-      if (userName) userName.textContent = this.currentUser.name;
-      if (userEmail) userName.textContent = this.currentUser.email;
-      if (userWallet) {
-        const shortAddress = `${this.currentUser.wallet.address.slice(0, 6)}...${this.currentUser.wallet.address.slice(-4)}`;
-        userWallet.textContent = shortAddress;
-      }
-      if (userPicture) userPicture.src = this.currentUser.picture;
-      
-    } else {
-      if (loginSection) loginSection.style.display = 'block';
-      if (userSection) userSection.style.display = 'none';
-    }
-  }
 }
 
-// Contract ABIs (simplified for demo)
-const ContractABIs = {
-  QuestFactory: [
-    'function createQuest(string title, string description, uint256 startTime, uint256 endTime, uint256 distanceKm, uint256 timesPerWeek, address stakeToken, uint256 stakeAmount, uint256 maxSlots) returns (uint256)',
-    'function joinQuest(uint256 questId) payable',
-    'function getQuest(uint256 questId) view returns (tuple(uint256 id, address creator, string title, string description, uint256 startTime, uint256 endTime, uint256 distanceKm, uint256 timesPerWeek, address stakeToken, uint256 stakeAmount, uint256 maxSlots, uint256 successRate, uint256 daoRate, uint256 protocolFeeRate, uint8 status, uint256 participantCount, uint256 createdAt))',
-    'function getQuestParticipants(uint256 questId) view returns (address[])',
-    'event QuestCreated(uint256 indexed questId, address indexed creator, string title, uint256 stakeAmount, address stakeToken)',
-    'event QuestJoined(uint256 indexed questId, address indexed participant, uint256 stakedAmount)'
-  ],
-  
-  EscrowVault: [
-    'function getEscrowRecord(uint256 questId, address participant) view returns (tuple(uint256 questId, address participant, address token, uint256 amount, bool isLocked, uint256 lockedAt))',
-    'function getContractBalance(address token) view returns (uint256)',
-    'function getAvailableBalance(address token) view returns (uint256)'
-  ],
-  
-  MedalNFT: [
-    'function getMedal(uint256 tokenId) view returns (tuple(uint256 tokenId, uint256 questId, address recipient, uint8 medalType, uint8 rarity, string title, string description, string imageHash, uint256 mintedAt, uint256 distanceKm, uint256 completedSessions, uint256 totalParticipants, string personalStory, bool isUpgradeable, uint256 upgradeLevel, uint256[] sourceTokenIds))',
-    'function getUserMedals(address user) view returns (uint256[])',
-    'function getUserMedalStats(address user) view returns (uint256 goldCount, uint256 greyCount, uint256 specialCount, uint256 seasonalCount, uint256 totalCount)',
-    'function balanceOf(address owner) view returns (uint256)',
-    'function tokenURI(uint256 tokenId) view returns (string)'
-  ]
-};
-
 // Initialize managers
 window.web3Manager = new Web3Manager();
 window.socialManager = new SocialLoginManager();
 
-// Load saved user on page load
-document.addEventListener('DOMContentLoaded', function() {
-  window.socialManager.loadSavedUser();
-});
-
 console.log('🚀 Web3 & Social Login modules loaded');
\ No newline at end of file
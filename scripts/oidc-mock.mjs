@@ -0,0 +1,186 @@
+// 작심삼일 RUN DAO - Local Google / Apple / Kakao stand-in
+// A tiny OpenID Connect provider (discovery, authorize, token with PKCE, JWKS)
+// so the social login flow can run end to end without real credentials.
+// Each provider lives under its own path prefix and acts as its own issuer.
+//
+// Usage:
+//   node scripts/oidc-mock.mjs
+//   # .dev.vars: GOOGLE_ISSUER=http://localhost:4020/google, GOOGLE_CLIENT_ID=mock, GOOGLE_CLIENT_SECRET=mock
+//   #            (same for APPLE_ and KAKAO_ with /apple and /kakao)
+//   curl -X POST localhost:4020/_mock/identity -d '{"sub": "runner-2", "email": "runner2@example.com"}'
+//   curl -X POST localhost:4020/_mock/identity -d '{"tamper": "nonce"}'  # nonce | signature | audience | expired
+
+import { createHash, createSign, generateKeyPairSync, randomBytes } from 'node:crypto'
+import { createServer } from 'node:http'
+
+const PORT = Number(process.env.PORT || 4020)
+const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`
+const PROVIDERS = ['google', 'apple', 'kakao']
+const KEY_ID = 'mock-key-1'
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 })
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }
+
+const codes = new Map() // authorization code -> pending login
+let identity = { sub: 'mock-user-1', email: 'runner@example.com', name: 'Mock Runner' }
+let tamper = null // breaks the next ID token once, for negative tests
+
+const base64url = data => Buffer.from(data).toString('base64url')
+
+function signIdToken(claims) {
+  const header = base64url(JSON.stringify({ alg: 'RS256', kid: KEY_ID, typ: 'JWT' }))
+  const payload = base64url(JSON.stringify(claims))
+  const signature = createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey, 'base64url')
+  return `${header}.${payload}.${signature}`
+}
+
+function idTokenFor(provider, login) {
+  const now = Math.floor(Date.now() / 1000)
+  const claims = {
+    iss: `${BASE_URL}/${provider}`,
+    sub: `${provider}-${login.identity.sub}`,
+    aud: login.clientId,
+    iat: now,
+    exp: now + 3600,
+    nonce: login.nonce,
+    email: login.identity.email
+  }
+  if (provider === 'apple') claims.email_verified = 'true'
+  if (provider === 'google') Object.assign(claims, { email_verified: true, name: login.identity.name })
+  if (provider === 'kakao') claims.nickname = login.identity.name
+
+  const mode = tamper
+  tamper = null
+  if (mode === 'nonce') claims.nonce = 'wrong-nonce'
+  if (mode === 'audience') claims.aud = 'someone-else'
+  if (mode === 'expired') Object.assign(claims, { iat: now - 7200, exp: now - 3600 })
+
+  const token = signIdToken(claims)
+  return mode === 'signature' ? token.slice(0, -4) + (token.endsWith('AAAA') ? 'BBBB' : 'AAAA') : token
+}
+
+async function readBody(req) {
+  let raw = ''
+  for await (const chunk of req) raw += chunk
+  if (!raw) return {}
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return Object.fromEntries(new URLSearchParams(raw))
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+// Apple's response_mode=form_post: an auto-submitting form back to the client
+function sendFormPost(res, action, fields) {
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${name}" value="${String(value).replace(/"/g, '&quot;')}">`)
+    .join('')
+  res.writeHead(200, { 'Content-Type': 'text/html' })
+  res.end(`<form method="post" action="${action}">${inputs}</form><script>document.forms[0].submit()</script>`)
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, BASE_URL)
+  console.log(req.method, url.pathname)
+
+  try {
+    if (req.method === 'POST' && url.pathname === '/_mock/identity') {
+      const body = await readBody(req)
+      tamper = body.tamper || null
+      identity = { ...identity, ...body }
+      delete identity.tamper
+      return send(res, 200, { identity, tamper })
+    }
+
+    const [, provider, ...rest] = url.pathname.split('/')
+    const path = '/' + rest.join('/')
+    if (!PROVIDERS.includes(provider)) return send(res, 404, { error: 'not_found' })
+    const issuer = `${BASE_URL}/${provider}`
+
+    if (req.method === 'GET' && path === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      })
+    }
+
+    if (req.method === 'GET' && path === '/jwks') {
+      return send(res, 200, { keys: [jwk] })
+    }
+
+    // Consent is skipped: the user approves immediately
+    if (req.method === 'GET' && path === '/authorize') {
+      const params = url.searchParams
+      if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge') || !params.get('nonce')) {
+        return send(res, 400, { error: 'invalid_request', error_description: 'PKCE S256 and nonce are required' })
+      }
+
+      const code = randomBytes(16).toString('hex')
+      codes.set(code, {
+        clientId: params.get('client_id'),
+        redirectUri: params.get('redirect_uri'),
+        challenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        identity: { ...identity }
+      })
+
+      const fields = { code, state: params.get('state') || '' }
+      if (params.get('response_mode') === 'form_post') {
+        const [firstName, ...lastName] = identity.name.split(' ')
+        fields.user = JSON.stringify({ name: { firstName, lastName: lastName.join(' ') }, email: identity.email })
+        return sendFormPost(res, params.get('redirect_uri'), fields)
+      }
+
+      const redirect = new URL(params.get('redirect_uri'))
+      for (const [name, value] of Object.entries(fields)) redirect.searchParams.set(name, value)
+      res.writeHead(302, { Location: redirect.toString() })
+      return res.end()
+    }
+
+    if (req.method === 'POST' && path === '/token') {
+      const body = await readBody(req)
+      const login = codes.get(body.code)
+      codes.delete(body.code)
+
+      if (body.grant_type !== 'authorization_code' || !login) {
+        return send(res, 400, { error: 'invalid_grant' })
+      }
+      if (body.client_id !== login.clientId || body.redirect_uri !== login.redirectUri) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'client or redirect_uri mismatch' })
+      }
+      if (provider !== 'kakao' && !body.client_secret) {
+        return send(res, 401, { error: 'invalid_client' })
+      }
+      const challenge = createHash('sha256').update(body.code_verifier || '').digest('base64url')
+      if (challenge !== login.challenge) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' })
+      }
+
+      return send(res, 200, {
+        token_type: 'Bearer',
+        access_token: randomBytes(16).toString('hex'),
+        expires_in: 3600,
+        id_token: idTokenFor(provider, login)
+      })
+    }
+
+    send(res, 404, { error: 'not_found' })
+  } catch (error) {
+    console.error(error)
+    send(res, 500, { error: String(error) })
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC providers listening on ${PROVIDERS.map(p => `${BASE_URL}/${p}`).join(', ')}`)
+})
@@ -0,0 +1,161 @@
+// 작심삼일 RUN DAO - Local Strava stand-in
+// Implements the parts of the Strava API the Worker uses (OAuth, activities, streams)
+// so the integration can be exercised without real credentials.
+//
+// Usage:
+//   node scripts/strava-mock.mjs
+//   # .dev.vars: STRAVA_BASE_URL=http://localhost:4010, STRAVA_CLIENT_ID=mock,
+//   #            STRAVA_CLIENT_SECRET=mock, STRAVA_VERIFY_TOKEN=mock
+//   curl -X POST localhost:4010/_mock/events -d '{"activity_id": 1001}'
+
+import { createServer } from 'node:http'
+
+const PORT = Number(process.env.PORT || 4010)
+const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:3000/api/webhooks/strava'
+const ATHLETE_ID = Number(process.env.ATHLETE_ID || 424242)
+const TOKEN_TTL_SEC = Number(process.env.TOKEN_TTL_SEC || 6 * 3600)
+
+const tokens = new Map() // access token -> expiry (epoch seconds)
+let tokenCounter = 0
+
+function issueToken() {
+  tokenCounter++
+  const expiresAt = Math.floor(Date.now() / 1000) + TOKEN_TTL_SEC
+  const accessToken = `mock_access_${tokenCounter}`
+  tokens.set(accessToken, expiresAt)
+  return {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    refresh_token: `mock_refresh_${tokenCounter}`,
+    expires_at: expiresAt,
+    expires_in: TOKEN_TTL_SEC
+  }
+}
+
+// 5 km run that started two hours ago
+function mockActivity(id) {
+  const startDate = new Date(Date.now() - 2 * 3600 * 1000)
+  startDate.setUTCMilliseconds(0)
+  return {
+    id,
+    type: 'Run',
+    sport_type: id % 10 === 9 ? 'Ride' : 'Run', // IDs ending in 9 are rides
+    name: `Mock run ${id}`,
+    start_date: startDate.toISOString(),
+    moving_time: 1500,
+    elapsed_time: 1560,
+    distance: 5000
+  }
+}
+
+// Loop around Yeouido matching mockActivity, one sample every 5 seconds
+function mockStreams() {
+  const samples = 301
+  const time = []
+  const latlng = []
+  const heartrate = []
+  const cadence = []
+  const altitude = []
+  for (let i = 0; i < samples; i++) {
+    // Pace drifts a little over the loop so the run looks like a real one
+    const progress = i / (samples - 1)
+    const angle = (progress + 0.005 * Math.sin(8 * Math.PI * progress)) * 2 * Math.PI
+    time.push(i * 5)
+    latlng.push([37.5219 + 0.00716 * Math.sin(angle), 126.9245 + 0.00903 * (1 - Math.cos(angle))])
+    heartrate.push(140 + Math.round(10 * Math.sin(i / 20)))
+    cadence.push(85 + (i % 3))
+    altitude.push(12 + Math.round(3 * Math.sin(angle)))
+  }
+  const stream = data => ({ data, series_type: 'time', original_size: data.length, resolution: 'high' })
+  return {
+    time: stream(time),
+    latlng: stream(latlng),
+    heartrate: stream(heartrate),
+    cadence: stream(cadence),
+    altitude: stream(altitude)
+  }
+}
+
+async function readBody(req) {
+  let raw = ''
+  for await (const chunk of req) raw += chunk
+  if (!raw) return {}
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return Object.fromEntries(new URLSearchParams(raw))
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function authorized(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '')
+  const expiresAt = tokens.get(token)
+  return expiresAt !== undefined && expiresAt > Date.now() / 1000
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`)
+  console.log(req.method, url.pathname)
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/oauth/authorize') {
+      const redirect = new URL(url.searchParams.get('redirect_uri'))
+      redirect.searchParams.set('code', 'mock_code')
+      redirect.searchParams.set('state', url.searchParams.get('state') || '')
+      redirect.searchParams.set('scope', url.searchParams.get('scope') || 'read')
+      res.writeHead(302, { Location: redirect.toString() })
+      return res.end()
+    }
+
+    if (req.method === 'POST' && url.pathname === '/oauth/token') {
+      const body = await readBody(req)
+      if (body.grant_type === 'authorization_code' && body.code) {
+        return send(res, 200, { ...issueToken(), athlete: { id: ATHLETE_ID, firstname: 'Mock', lastname: 'Runner' } })
+      }
+      if (body.grant_type === 'refresh_token' && body.refresh_token) {
+        return send(res, 200, issueToken())
+      }
+      return send(res, 400, { message: 'Bad Request' })
+    }
+
+    const activityMatch = url.pathname.match(/^\/api\/v3\/activities\/(\d+)(\/streams)?$/)
+    if (req.method === 'GET' && activityMatch) {
+      if (!authorized(req)) return send(res, 401, { message: 'Authorization Error' })
+      return send(res, 200, activityMatch[2] ? mockStreams() : mockActivity(Number(activityMatch[1])))
+    }
+
+    // Push a webhook event to the Worker, as Strava would after an upload
+    if (req.method === 'POST' && url.pathname === '/_mock/events') {
+      const body = await readBody(req)
+      const event = {
+        object_type: body.object_type || 'activity',
+        object_id: Number(body.activity_id || body.object_id || 1001),
+        aspect_type: body.aspect_type || 'create',
+        owner_id: ATHLETE_ID,
+        subscription_id: Number(body.subscription_id || 1),
+        event_time: Math.floor(Date.now() / 1000),
+        updates: body.updates || {}
+      }
+      const response = await fetch(WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event)
+      })
+      return send(res, 200, { event, webhook_status: response.status })
+    }
+
+    send(res, 404, { message: 'Record Not Found' })
+  } catch (error) {
+    console.error(error)
+    send(res, 500, { message: String(error) })
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock Strava listening on http://localhost:${PORT}`)
+})
@@ -14,18 +14,19 @@ INSERT OR IGNORE INTO crews (id, name, description, region, leader_id, is_privat
   ('crew_private_1', 'Elite Marathon Club', '엘리트 마라톤 클럽', 'Seoul', 'user_3', 1);
 
 -- Insert crew memberships
-INSERT OR IGNORE INTO crew_memberships (id, crew_id, user_id, status) VALUES 
-  ('membership_1', 'crew_seoul_1', 'user_1', 'active'),  -- Leader
-  ('membership_2', 'crew_seoul_1', 'user_3', 'active'),  -- Member
-  ('membership_3', 'crew_seoul_1', 'user_4', 'active'),  -- Member
-  ('membership_4', 'crew_busan_1', 'user_2', 'active'),  -- Leader
-  ('membership_5', 'crew_private_1', 'user_3', 'active'); -- Leader only for now
+INSERT OR IGNORE INTO crew_memberships (id, crew_id, user_id, role, status) VALUES 
+  ('membership_1', 'crew_seoul_1', 'user_1', 'leader', 'active'),
+  ('membership_2', 'crew_seoul_1', 'user_3', 'co_leader', 'active'),
+  ('membership_3', 'crew_seoul_1', 'user_4', 'member', 'active'),
+  ('membership_4', 'crew_busan_1', 'user_2', 'leader', 'active'),
+  ('membership_5', 'crew_private_1', 'user_3', 'leader', 'active'),
+  ('membership_6', 'crew_private_1', 'user_4', 'member', 'pending'); -- Waiting for approval
 
 -- Insert test quests
 INSERT OR IGNORE INTO quests (
   id, crew_id, title, description, 
   start_at, end_at, distance_km, times_per_week, 
-  stake_amount, max_slots, status
+  stake_amount, max_slots, status, visibility, eligible_region
 ) VALUES 
   (
     'quest_1', 'crew_seoul_1', 
@@ -34,7 +35,7 @@ INSERT OR IGNORE INTO quests (
     datetime('now', '+1 day'),
     datetime('now', '+8 day'),
     5.0, 3,
-    10.0, 10, 'open'
+    10.0, 10, 'open', 'public', NULL
   ),
   (
     'quest_2', 'crew_seoul_1',
@@ -43,7 +44,7 @@ INSERT OR IGNORE INTO quests (
     datetime('now', '+2 day'),
     datetime('now', '+9 day'), 
     3.0, 2,
-    5.0, 15, 'open'
+    5.0, 15, 'open', 'crew', NULL -- Seoul Morning Runners members only
   ),
   (
     'quest_3', 'crew_busan_1',
@@ -52,7 +53,7 @@ INSERT OR IGNORE INTO quests (
     datetime('now', '-2 day'),
     datetime('now', '+5 day'),
     10.0, 2, 
-    20.0, 5, 'active'
+    20.0, 5, 'active', 'public', 'Busan'
   );
 
 -- Insert test participations
@@ -109,11 +110,11 @@ INSERT OR IGNORE INTO nft_medals (
 
 -- Insert sample abuse report
 INSERT OR IGNORE INTO abuse_reports (
-  id, reporter_id, target_user_id, run_record_id,
+  id, reporter_id, target_user_id, quest_id, run_record_id,
   reason, description, status
 ) VALUES 
   (
-    'report_1', 'user_1', 'user_2', 'run_4',
+    'report_1', 'user_1', 'user_2', 'quest_3', 'run_4',
     'cheating', '10km를 30분에 완주했다고 나와있는데 비현실적으로 빠릅니다.',
     'pending'
   );
\ No newline at end of file
@@ -1,16 +1,81 @@
 import { Hono } from 'hono'
 import { cors } from 'hono/cors'
 import { serveStatic } from 'hono/cloudflare-workers'
+import { ApiError } from './lib/errors'
+import { saveRun, type GpsPoint } from './lib/runs'
+import { detectTrackFormat, parseTrackFile } from './lib/track-files'
+import { sha256Hex } from './lib/crypto'
+import { decideReview, listReviews } from './lib/reviews'
+import { castVote, closeEndedVotes, listVotes } from './lib/peer-verification'
+import { getIndexerConfig, getIndexerStatus, syncChainEvents, type IndexerEnv } from './lib/chain-indexer'
+import { commitDailyRuns, getRunProof, postRunRoots, type RunProofEnv } from './lib/run-proofs'
+import {
+  addSettlementSignature, getSettlementPayload, prepareSettlementPayloads, signSettlementPayloads,
+  type SettlementOracleEnv
+} from './lib/settlement-oracle'
+import { getDeployment, resolveStakeToken, toPublicDeployment } from './lib/deployments'
+import { getQuestProgress } from './lib/progress'
+import { settleEndedQuests } from './lib/settlement'
+import {
+  activateIfStarted, activateStartedQuests, cancelQuest, createQuestStatements,
+  getLifecycleQuest, initialQuestStatus, listTransitions, publishQuest
+} from './lib/quest-lifecycle'
+import { resolveQuestSchedule } from './lib/quest-schedule'
+import {
+  createQuestTemplate, deactivateQuestTemplate, listQuestTemplates, spawnRecurringQuests
+} from './lib/quest-templates'
+import { createId, fromSqlDateTime, toSqlDateTime } from './lib/db'
+import {
+  clearSessionCookie, createNonce, createSession, deleteSession, requireUser, SESSION_COOKIE,
+  sessionMiddleware, setSessionCookie, signInWithEthereum, type AuthVariables
+} from './lib/auth'
+import { completeSocialLogin, createLoginUrl, getSocialConfig, type SocialEnv } from './lib/social-auth'
+import {
+  exportWalletKey, getCustodyConfig, getWalletSummary, provisionWallet, setDailyLimit,
+  signCustodialTransaction, type CustodyEnv
+} from './lib/custody'
+import { linkWallet, listLinkEvents, unlinkWallet } from './lib/account-links'
+import {
+  createCrew, decideJoinRequest, deleteCrew, getCrew, leaveCrew, listMembers, requestToJoin,
+  setMemberRole, transferLeadership, updateCrew
+} from './lib/crews'
+import { createInvite, listInvites, previewInvite, redeemInvite, revokeInvite } from './lib/crew-invites'
+import {
+  VISIBLE_TO_VIEWER, assertEligible, assertQuestVisible, inviteToQuest,
+  listPublicQuests, listQuestInvites, resolveQuestAccess
+} from './lib/quest-access'
+import { discoverQuests } from './lib/quest-discovery'
+import { giveKudos, listUserKudos } from './lib/kudos'
+import { getCrewFeed } from './lib/crew-feed'
+import {
+  fileReport, getModerator, getReport, listReports, moderatesRun, resolveReport, type ModerationEnv
+} from './lib/moderation'
+import { getCookie } from 'hono/cookie'
+import {
+  assertWebhookSubscription, completeAuthorization, createAuthorizationUrl,
+  getStravaConfig, handleWebhookEvent, verifyWebhookChallenge, type StravaWebhookEvent
+} from './lib/strava'
 
-type Bindings = {
+type Bindings = SocialEnv & CustodyEnv & ModerationEnv & IndexerEnv & RunProofEnv & SettlementOracleEnv & {
   DB: D1Database
+  // Strava integration: client secret and verify token live in .dev.vars / wrangler secrets
+  STRAVA_BASE_URL?: string
+  STRAVA_CLIENT_ID?: string
+  STRAVA_CLIENT_SECRET?: string
+  STRAVA_VERIFY_TOKEN?: string
+  STRAVA_SUBSCRIPTION_ID?: string
 }
 
-const app = new Hono<{ Bindings: Bindings }>()
+const app = new Hono<{ Bindings: Bindings; Variables: AuthVariables }>()
+
+const MAX_IMPORT_FILE_BYTES = 10 * 1024 * 1024
 
 // Enable CORS for frontend-backend communication
 app.use('/api/*', cors())
 
+// Resolve c.get('user') from the session cookie; writes require a signed-in user
+app.use('/api/*', sessionMiddleware)
+
 // Serve static files from public directory  
 app.use('/static/*', serveStatic({ root: './public' }))
 
@@ -23,6 +88,295 @@ app.get('/api/health', (c) => {
   })
 })
 
+// SIWE: one-time nonce for the message the wallet signs
+app.get('/api/auth/nonce', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    return c.json({ nonce: await createNonce(DB) })
+  } catch (error) {
+    console.error('Error creating nonce:', error)
+    return c.json({ error: 'Failed to create nonce' }, 500)
+  }
+})
+
+// SIWE: verify the signed message and start a session (HttpOnly cookie)
+app.post('/api/auth/verify', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const { message, signature } = await c.req.json()
+    const { token, user, created, expiresAt } = await signInWithEthereum(DB, {
+      message,
+      signature,
+      host: new URL(c.req.url).host,
+      userAgent: c.req.header('User-Agent')
+    })
+    
+    setSessionCookie(c, token, expiresAt)
+    return c.json({ 
+      message: 'Signed in',
+      user,
+      created,
+      expires_at: toSqlDateTime(expiresAt)
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error verifying SIWE message:', error)
+    return c.json({ error: 'Failed to sign in' }, 500)
+  }
+})
+
+// Current session user
+app.get('/api/auth/me', (c) => {
+  const user = c.get('user')
+  if (!user) {
+    return c.json({ error: 'Not signed in' }, 401)
+  }
+  return c.json({ user })
+})
+
+// End the current session
+app.post('/api/auth/logout', async (c) => {
+  const { DB } = c.env
+  const token = getCookie(c, SESSION_COOKIE)
+  
+  try {
+    if (token) {
+      await deleteSession(DB, token)
+    }
+    clearSessionCookie(c)
+    return c.json({ message: 'Signed out' })
+  } catch (error) {
+    console.error('Error signing out:', error)
+    return c.json({ error: 'Failed to sign out' }, 500)
+  }
+})
+
+// Start a Google, Apple or Kakao login (redirects to the provider's consent screen)
+app.get('/api/auth/:provider/start', async (c) => {
+  const { DB } = c.env
+  const provider = c.req.param('provider')
+  
+  try {
+    const config = getSocialConfig(c.env, provider)
+    const redirectUri = new URL(`/api/auth/${provider}/callback`, c.req.url).toString()
+    
+    return c.redirect(await createLoginUrl(DB, config, redirectUri, c.req.query('redirect')))
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error starting social login:', error)
+    return c.json({ error: 'Failed to start login' }, 500)
+  }
+})
+
+// Social login callback: Apple posts the form, the others redirect with a query
+app.on(['GET', 'POST'], '/api/auth/:provider/callback', async (c) => {
+  const { DB } = c.env
+  const provider = c.req.param('provider')
+  
+  try {
+    const config = getSocialConfig(c.env, provider)
+    const params = c.req.method === 'POST'
+      ? await c.req.parseBody() as Record<string, string>
+      : c.req.query()
+    
+    if (params.error || !params.code || !params.state) {
+      return c.redirect('/?login=denied')
+    }
+    
+    const redirectUri = new URL(`/api/auth/${provider}/callback`, c.req.url).toString()
+    const { user, redirectTo } = await completeSocialLogin(DB, config, {
+      state: params.state,
+      code: params.code,
+      redirectUri,
+      appleUser: params.user
+    })
+    
+    // Web2.5 onboarding: social accounts get a custodial wallet straight away.
+    // Best effort; POST /api/custody/wallet retries it.
+    if (!user.wallet_address && c.env.CUSTODY_MASTER_KEY) {
+      await getCustodyConfig(c.env)
+        .then(custody => provisionWallet(DB, custody, user.id))
+        .catch(error => console.error('Error provisioning custodial wallet:', error))
+    }
+    
+    const { token, expiresAt } = await createSession(DB, user.id, {
+      authMethod: config.provider,
+      userAgent: c.req.header('User-Agent')
+    })
+    setSessionCookie(c, token, expiresAt)
+    
+    return c.redirect(redirectTo || `/?login=${provider}`)
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error completing social login:', error)
+    return c.json({ error: 'Failed to complete login' }, 500)
+  }
+})
+
+// The signed-in user's custodial wallet and remaining daily limit
+app.get('/api/custody/wallet', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const wallet = await getWalletSummary(DB, requireUser(c).id)
+    return c.json({ wallet })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching custodial wallet:', error)
+    return c.json({ error: 'Failed to fetch wallet' }, 500)
+  }
+})
+
+// Create a custodial wallet for an account without one (idempotent)
+app.post('/api/custody/wallet', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const config = await getCustodyConfig(c.env)
+    const { address, created } = await provisionWallet(DB, config, requireUser(c).id)
+    
+    return c.json({ address, created }, created ? 201 : 200)
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error creating custodial wallet:', error)
+    return c.json({ error: 'Failed to create wallet' }, 500)
+  }
+})
+
+// Change the daily spending limit (up to the configured maximum)
+app.post('/api/custody/limits', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const config = await getCustodyConfig(c.env)
+    const { daily_limit_wei } = await c.req.json()
+    
+    const limit = await setDailyLimit(DB, config, requireUser(c).id, daily_limit_wei)
+    return c.json({ daily_limit_wei: limit })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error updating custody limit:', error)
+    return c.json({ error: 'Failed to update limit' }, 500)
+  }
+})
+
+// Sign a transaction with the custodial key; the client broadcasts it
+app.post('/api/custody/sign', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const config = await getCustodyConfig(c.env)
+    const body = await c.req.json()
+    
+    const result = await signCustodialTransaction(DB, config, requireUser(c).id, body)
+    return c.json({
+      signed_transaction: result.signedTransaction,
+      tx_hash: result.hash,
+      remaining_wei: result.remainingWei
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error signing custodial transaction:', error)
+    return c.json({ error: 'Failed to sign transaction' }, 500)
+  }
+})
+
+// Export the private key once and switch the account to non_custodial
+app.post('/api/custody/export', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const config = await getCustodyConfig(c.env)
+    const { confirm_address } = await c.req.json()
+    
+    const { address, privateKey } = await exportWalletKey(DB, config, requireUser(c).id, confirm_address)
+    c.header('Cache-Control', 'no-store')
+    return c.json({ address, private_key: privateKey, custody_type: 'non_custodial' })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error exporting custodial key:', error)
+    return c.json({ error: 'Failed to export key' }, 500)
+  }
+})
+
+// Link a wallet to the signed-in account (SIWE message with the link statement).
+// A separate account that already owns the wallet is merged into this one.
+app.post('/api/account/link-wallet', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const { message, signature } = await c.req.json()
+    const result = await linkWallet(DB, requireUser(c).id, {
+      message,
+      signature,
+      host: new URL(c.req.url).host
+    })
+    
+    return c.json({
+      message: result.mergedUserId ? 'Wallet linked and accounts merged' : 'Wallet linked',
+      user: result.user,
+      merged_user_id: result.mergedUserId,
+      moved: result.moved
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error linking wallet:', error)
+    return c.json({ error: 'Failed to link wallet' }, 500)
+  }
+})
+
+// Detach the linked wallet (social accounts only)
+app.post('/api/account/unlink-wallet', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const user = await unlinkWallet(DB, requireUser(c).id)
+    return c.json({ message: 'Wallet unlinked', user })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error unlinking wallet:', error)
+    return c.json({ error: 'Failed to unlink wallet' }, 500)
+  }
+})
+
+// Link, unlink and merge history of the signed-in account
+app.get('/api/account/link-events', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const events = await listLinkEvents(DB, requireUser(c).id)
+    return c.json({ events, count: events.length })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching link events:', error)
+    return c.json({ error: 'Failed to fetch link events' }, 500)
+  }
+})
+
 // Get all users
 app.get('/api/users', async (c) => {
   const { DB } = c.env
@@ -46,25 +400,35 @@ app.get('/api/users', async (c) => {
   }
 })
 
-// Create new user
+// Complete the signed-in user's profile (the account itself is created at sign-in)
 app.post('/api/users', async (c) => {
   const { DB } = c.env
+  const user = requireUser(c)
   
   try {
-    const { wallet_address, email, nickname, social_provider, social_id } = await c.req.json()
+    const { email, nickname, timezone, region } = await c.req.json()
     
-    const result = await DB.prepare(`
-      INSERT INTO users (wallet_address, email, nickname, social_provider, social_id)
-      VALUES (?, ?, ?, ?, ?)
-    `).bind(wallet_address, email, nickname, social_provider, social_id).run()
+    // region is what region-limited quests check
+    await DB.prepare(`
+      UPDATE users
+      SET nickname = COALESCE(?, nickname), email = COALESCE(?, email),
+          timezone = COALESCE(?, timezone), region = COALESCE(?, region), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(nickname ?? null, email ?? null, timezone ?? null, region?.trim() || null, user.id).run()
+    
+    const profile = await DB.prepare(`SELECT * FROM users WHERE id = ?`).bind(user.id).first()
     
     return c.json({ 
-      message: 'User created successfully',
-      user_id: result.meta.last_row_id
+      message: 'Profile saved successfully',
+      user_id: user.id,
+      user: profile
     })
   } catch (error) {
-    console.error('Error creating user:', error)
-    return c.json({ error: 'Failed to create user' }, 500)
+    if (String(error).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'Email already in use' }, 409)
+    }
+    console.error('Error saving user profile:', error)
+    return c.json({ error: 'Failed to save user profile' }, 500)
   }
 })
 
@@ -119,7 +483,7 @@ app.get('/api/crews', async (c) => {
   }
 })
 
-// Get quests for a crew
+// Get quests for a crew (crew-only quests are left out for non-members)
 app.get('/api/crews/:crewId/quests', async (c) => {
   const { DB } = c.env
   const crewId = c.req.param('crewId')
@@ -129,14 +493,15 @@ app.get('/api/crews/:crewId/quests', async (c) => {
       SELECT 
         q.id, q.title, q.description, q.start_at, q.end_at,
         q.distance_km, q.times_per_week, q.stake_amount, q.stake_token,
-        q.max_slots, q.status,
+        q.max_slots, q.status, q.visibility,
+        q.eligible_region, q.min_past_runs, q.invite_only,
         COUNT(p.user_id) as participant_count
       FROM quests q
       LEFT JOIN participations p ON q.id = p.quest_id AND p.status = 'active'
-      WHERE q.crew_id = ?
+      WHERE q.crew_id = ?2 AND ${VISIBLE_TO_VIEWER}
       GROUP BY q.id
       ORDER BY q.start_at DESC
-    `).bind(crewId).all()
+    `).bind(c.get('user')?.id ?? null, crewId).all()
     
     return c.json({ 
       quests: result.results,
@@ -148,153 +513,1395 @@ app.get('/api/crews/:crewId/quests', async (c) => {
   }
 })
 
-// Get quest details with participants
-app.get('/api/quests/:questId', async (c) => {
+// Create a crew; the signed-in user becomes its leader
+app.post('/api/crews', async (c) => {
   const { DB } = c.env
-  const questId = c.req.param('questId')
   
   try {
-    // Get quest details
-    const quest = await DB.prepare(`
-      SELECT 
-        q.*, c.name as crew_name,
-        u.nickname as leader_name
-      FROM quests q
-      JOIN crews c ON q.crew_id = c.id  
-      JOIN users u ON c.leader_id = u.id
-      WHERE q.id = ?
-    `).bind(questId).first()
+    const body = await c.req.json()
+    const crewId = await createCrew(DB, requireUser(c).id, body)
     
-    if (!quest) {
-      return c.json({ error: 'Quest not found' }, 404)
+    return c.json({ 
+      message: 'Crew created successfully',
+      crew_id: crewId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
     }
+    console.error('Error creating crew:', error)
+    return c.json({ error: 'Failed to create crew' }, 500)
+  }
+})
+
+// Crew details, with the signed-in user's own membership
+app.get('/api/crews/:crewId', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    const { crew, membership } = await getCrew(DB, crewId, c.get('user')?.id)
     
-    // Get participants
-    const participants = await DB.prepare(`
-      SELECT 
-        p.id, p.status, p.completed_sessions, p.total_distance_km,
-        p.joined_at, u.nickname, u.id as user_id
-      FROM participations p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.quest_id = ?
-      ORDER BY p.joined_at ASC
-    `).bind(questId).all()
+    return c.json({ crew, membership })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching crew:', error)
+    return c.json({ error: 'Failed to fetch crew' }, 500)
+  }
+})
+
+// Update crew settings (leader or co-leader)
+app.post('/api/crews/:crewId/update', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    const body = await c.req.json()
+    await updateCrew(DB, crewId, requireUser(c).id, body)
+    
+    return c.json({ 
+      message: 'Crew updated',
+      crew_id: crewId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error updating crew:', error)
+    return c.json({ error: 'Failed to update crew' }, 500)
+  }
+})
+
+// Delete a crew that has no quests (leader only)
+app.post('/api/crews/:crewId/delete', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    await deleteCrew(DB, crewId, requireUser(c).id)
+    
+    return c.json({ 
+      message: 'Crew deleted',
+      crew_id: crewId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error deleting crew:', error)
+    return c.json({ error: 'Failed to delete crew' }, 500)
+  }
+})
+
+// Join a public crew, or request to join a private one
+app.post('/api/crews/:crewId/join', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    const { status } = await requestToJoin(DB, crewId, requireUser(c).id)
+    
+    return c.json({ 
+      message: status === 'active' ? 'Joined crew' : 'Join request sent',
+      crew_id: crewId,
+      status
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error joining crew:', error)
+    return c.json({ error: 'Failed to join crew' }, 500)
+  }
+})
+
+// Leave a crew or withdraw a join request
+app.post('/api/crews/:crewId/leave', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    await leaveCrew(DB, crewId, requireUser(c).id)
+    
+    return c.json({ 
+      message: 'Left crew',
+      crew_id: crewId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error leaving crew:', error)
+    return c.json({ error: 'Failed to leave crew' }, 500)
+  }
+})
+
+// Crew members, or pending join requests with ?status=pending (leaders and moderators)
+app.get('/api/crews/:crewId/members', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    const status = c.req.query('status') || 'active'
+    const members = await listMembers(DB, crewId, c.get('user')?.id ?? null, status as 'active' | 'pending')
+    
+    return c.json({ 
+      members,
+      count: members.length
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching crew members:', error)
+    return c.json({ error: 'Failed to fetch crew members' }, 500)
+  }
+})
+
+// Crew activity feed: runs, quest joins and completions, medals and kudos (cursor pages)
+app.get('/api/crews/:crewId/feed', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    const { items, nextCursor } = await getCrewFeed(DB, crewId, c.get('user')?.id, {
+      cursor: c.req.query('cursor') || undefined,
+      limit: c.req.query('limit') || undefined
+    })
+    
+    return c.json({ 
+      items,
+      count: items.length,
+      next_cursor: nextCursor
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching crew feed:', error)
+    return c.json({ error: 'Failed to fetch crew feed' }, 500)
+  }
+})
+
+// Approve or reject a join request
+app.post('/api/crews/:crewId/requests/:userId/decision', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  const userId = c.req.param('userId')
+  
+  try {
+    const { decision } = await c.req.json()
+    
+    if (!decision) {
+      return c.json({ error: 'Decision required' }, 400)
+    }
+    
+    const { status } = await decideJoinRequest(DB, crewId, requireUser(c).id, userId, decision)
+    
+    return c.json({ 
+      message: status === 'active' ? 'Join request approved' : 'Join request rejected',
+      user_id: userId,
+      status
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error deciding join request:', error)
+    return c.json({ error: 'Failed to record join request decision' }, 500)
+  }
+})
+
+// Change a member's role (co_leader, moderator or member)
+app.post('/api/crews/:crewId/members/:userId/role', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  const userId = c.req.param('userId')
+  
+  try {
+    const { role } = await c.req.json()
+    await setMemberRole(DB, crewId, requireUser(c).id, userId, role)
+    
+    return c.json({ 
+      message: 'Role updated',
+      user_id: userId,
+      role
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error updating crew role:', error)
+    return c.json({ error: 'Failed to update crew role' }, 500)
+  }
+})
+
+// Hand the crew over to another member (leader only)
+app.post('/api/crews/:crewId/transfer', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    const { user_id } = await c.req.json()
+    
+    if (!user_id) {
+      return c.json({ error: 'user_id is required' }, 400)
+    }
+    
+    await transferLeadership(DB, crewId, requireUser(c).id, user_id)
+    
+    return c.json({ 
+      message: 'Leadership transferred',
+      crew_id: crewId,
+      leader_id: user_id
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error transferring crew leadership:', error)
+    return c.json({ error: 'Failed to transfer leadership' }, 500)
+  }
+})
+
+// Create an invite link for a crew (leader or co-leader); the token is only returned here
+app.post('/api/crews/:crewId/invites', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    const body = await c.req.json()
+    const { inviteId, token, expiresAt, maxUses } = await createInvite(DB, crewId, requireUser(c).id, body)
+    
+    return c.json({ 
+      message: 'Invite created',
+      invite_id: inviteId,
+      token,
+      invite_url: new URL(`/?invite=${token}`, c.req.url).toString(),
+      expires_at: toSqlDateTime(expiresAt),
+      max_uses: maxUses
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error creating crew invite:', error)
+    return c.json({ error: 'Failed to create invite' }, 500)
+  }
+})
+
+// List a crew's invites and how often each was used
+app.get('/api/crews/:crewId/invites', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  
+  try {
+    const invites = await listInvites(DB, crewId, requireUser(c).id)
+    
+    return c.json({ 
+      invites,
+      count: invites.length
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching crew invites:', error)
+    return c.json({ error: 'Failed to fetch invites' }, 500)
+  }
+})
+
+// Revoke an invite link
+app.post('/api/crews/:crewId/invites/:inviteId/revoke', async (c) => {
+  const { DB } = c.env
+  const crewId = c.req.param('crewId')
+  const inviteId = c.req.param('inviteId')
+  
+  try {
+    await revokeInvite(DB, crewId, inviteId, requireUser(c).id)
+    
+    return c.json({ 
+      message: 'Invite revoked',
+      invite_id: inviteId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error revoking crew invite:', error)
+    return c.json({ error: 'Failed to revoke invite' }, 500)
+  }
+})
+
+// Which crew an invite link leads to (no sign-in needed)
+app.get('/api/crew-invites/:token', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const preview = await previewInvite(DB, c.req.param('token'))
+    
+    return c.json(preview)
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching crew invite:', error)
+    return c.json({ error: 'Failed to fetch invite' }, 500)
+  }
+})
+
+// Redeem an invite link: the signed-in user joins the crew as an active member
+app.post('/api/crew-invites/:token/redeem', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const { crewId } = await redeemInvite(DB, c.req.param('token'), requireUser(c).id)
+    
+    return c.json({ 
+      message: 'Joined crew',
+      crew_id: crewId,
+      status: 'active'
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error redeeming crew invite:', error)
+    return c.json({ error: 'Failed to redeem invite' }, 500)
+  }
+})
+
+// Browse quests the viewer can see: filters, text search (?q=), sorting and cursor pages
+app.get('/api/quests', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const { quests, nextCursor } = await discoverQuests(DB, c.get('user')?.id, c.req.query())
+    
+    return c.json({ 
+      quests,
+      count: quests.length,
+      next_cursor: nextCursor
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error browsing quests:', error)
+    return c.json({ error: 'Failed to browse quests' }, 500)
+  }
+})
+
+// Public quests that are open or running (?status=open|active)
+app.get('/api/quests/public', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const quests = await listPublicQuests(DB, {
+      status: c.req.query('status') || undefined
+    })
+    
+    return c.json({ 
+      quests,
+      count: quests.length
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching public quests:', error)
+    return c.json({ error: 'Failed to fetch public quests' }, 500)
+  }
+})
+
+// Get quest details with participants (crew-only quests for crew members)
+app.get('/api/quests/:questId', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    // Get quest details; public quests may have no crew
+    const quest = await DB.prepare(`
+      SELECT 
+        q.*, c.name as crew_name,
+        u.nickname as leader_name
+      FROM quests q
+      LEFT JOIN crews c ON q.crew_id = c.id
+      LEFT JOIN users u ON c.leader_id = u.id
+      WHERE q.id = ?2 AND ${VISIBLE_TO_VIEWER}
+    `).bind(c.get('user')?.id ?? null, questId).first()
+    
+    if (!quest) {
+      return c.json({ error: 'Quest not found' }, 404)
+    }
+    
+    // Get participants
+    const participants = await DB.prepare(`
+      SELECT 
+        p.id, p.status, p.completed_sessions, p.total_distance_km,
+        p.joined_at, u.nickname, u.id as user_id
+      FROM participations p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.quest_id = ?
+      ORDER BY p.joined_at ASC
+    `).bind(questId).all()
+    
+    return c.json({ 
+      quest,
+      participants: participants.results || []
+    })
+  } catch (error) {
+    console.error('Error fetching quest details:', error)
+    return c.json({ error: 'Failed to fetch quest details' }, 500)
+  }
+})
+
+// Weekly progress for every participant (or one, with ?user_id=)
+app.get('/api/quests/:questId/progress', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    await assertQuestVisible(DB, questId, c.get('user')?.id)
+    const { quest, participants } = await getQuestProgress(DB, questId, {
+      userId: c.req.query('user_id') || undefined
+    })
+    
+    return c.json({ 
+      quest,
+      participants,
+      count: participants.length
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching quest progress:', error)
+    return c.json({ error: 'Failed to fetch quest progress' }, 500)
+  }
+})
+
+// Create new quest (as a draft, or published straight away)
+app.post('/api/quests', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const body = await c.req.json()
+    const { 
+      title, description, distance_km, times_per_week, 
+      stake_amount, stake_token, max_slots, crew_id, 
+      status, timezone
+    } = body
+    
+    // Validate required fields
+    if (!title || !description || !distance_km || !times_per_week || !max_slots) {
+      return c.json({ error: 'Missing required fields' }, 400)
+    }
+    
+    const initialStatus = initialQuestStatus(status)
+    
+    // Stake tokens are the symbols the network's deployment supports
+    const stakeToken = resolveStakeToken(c.env, stake_token)
+    
+    // The signed-in user creates the quest; they may publish and cancel it later
+    const creator = requireUser(c)
+    
+    // Explicit start_at/end_at, or start_date + duration in the creator's timezone
+    const schedule = resolveQuestSchedule(body, timezone || creator.timezone)
+    
+    // Crew quests are for members of the crew; eligibility limits who may join
+    const access = await resolveQuestAccess(DB, body, crew_id || null, creator.id)
+    
+    // Generate quest ID
+    const questId = createId('quest')
+    
+    // Insert quest into database together with its first audit entry
+    await DB.batch(createQuestStatements(DB, {
+      id: questId,
+      crewId: crew_id || null,
+      creatorId: creator.id,
+      title,
+      description,
+      startAt: schedule.startAt,
+      endAt: schedule.endAt,
+      distanceKm: distance_km,
+      timesPerWeek: times_per_week,
+      stakeAmount: stake_amount || 0,
+      stakeToken,
+      maxSlots: max_slots,
+      status: initialStatus,
+      access
+    }))
+    
+    return c.json({ 
+      message: 'Quest created successfully',
+      quest_id: questId,
+      quest: {
+        id: questId,
+        title, description, distance_km, times_per_week,
+        stake_amount, max_slots, crew_id, creator_id: creator.id,
+        status: initialStatus,
+        visibility: access.visibility,
+        eligible_region: access.eligibleRegion,
+        min_past_runs: access.minPastRuns,
+        invite_only: access.inviteOnly,
+        start_at: toSqlDateTime(schedule.startAt),
+        end_at: toSqlDateTime(schedule.endAt),
+        timezone: schedule.timezone
+      }
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error creating quest:', error)
+    return c.json({ error: 'Failed to create quest' }, 500)
+  }
+})
+
+// Publish a draft quest (draft -> open)
+app.post('/api/quests/:questId/publish', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    const { from, to } = await publishQuest(DB, questId, requireUser(c).id)
+    
+    return c.json({ 
+      message: 'Quest published',
+      quest_id: questId,
+      from_status: from,
+      status: to
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error publishing quest:', error)
+    return c.json({ error: 'Failed to publish quest' }, 500)
+  }
+})
+
+// Cancel a quest before it starts; active participants are refunded
+app.post('/api/quests/:questId/cancel', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    const { reason } = await c.req.json().catch(() => ({}))
+    const { from, to, refunded } = await cancelQuest(DB, questId, requireUser(c).id, reason)
+    
+    return c.json({ 
+      message: 'Quest cancelled',
+      quest_id: questId,
+      from_status: from,
+      status: to,
+      refunded_participants: refunded
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error cancelling quest:', error)
+    return c.json({ error: 'Failed to cancel quest' }, 500)
+  }
+})
+
+// Audit trail of quest status changes
+app.get('/api/quests/:questId/transitions', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    await assertQuestVisible(DB, questId, c.get('user')?.id)
+    const transitions = await listTransitions(DB, questId)
+    
+    return c.json({ 
+      transitions,
+      count: transitions.length
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching quest transitions:', error)
+    return c.json({ error: 'Failed to fetch quest transitions' }, 500)
+  }
+})
+
+// Oracle-signed settlement payload of an on-chain quest; relay it to QuestFactory.completeQuest once ready
+app.get('/api/quests/:questId/settlement', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    await assertQuestVisible(DB, questId, c.get('user')?.id)
+    const config = getIndexerConfig(c.env)
+    if (!config) {
+      return c.json({ error: 'No contract deployment configured' }, 404)
+    }
+    
+    return c.json(await getSettlementPayload(DB, config, questId))
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching settlement payload:', error)
+    return c.json({ error: 'Failed to fetch settlement payload' }, 500)
+  }
+})
+
+// Add a settlement oracle's signature (the signature is the credential, not a session)
+app.post('/api/oracle/quests/:questId/settlement-signatures', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    const config = getIndexerConfig(c.env)
+    if (!config) {
+      return c.json({ error: 'No contract deployment configured' }, 404)
+    }
+    const { signature } = await c.req.json()
+    
+    return c.json(await addSettlementSignature(DB, config, questId, signature))
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error adding settlement signature:', error)
+    return c.json({ error: 'Failed to add settlement signature' }, 500)
+  }
+})
+
+// List recurring quest templates (optionally for one crew)
+app.get('/api/quest-templates', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const templates = await listQuestTemplates(DB, c.get('user')?.id ?? null, {
+      crewId: c.req.query('crew_id') || undefined
+    })
+    
+    return c.json({ 
+      templates,
+      count: templates.length
+    })
+  } catch (error) {
+    console.error('Error fetching quest templates:', error)
+    return c.json({ error: 'Failed to fetch quest templates' }, 500)
+  }
+})
+
+// Create a recurring quest template and the first quest of its series
+app.post('/api/quest-templates', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const body = await c.req.json()
+    
+    // Stake tokens are the symbols the network's deployment supports
+    body.stake_token = resolveStakeToken(c.env, body.stake_token)
+    
+    const { templateId, questId, schedule } = await createQuestTemplate(DB, requireUser(c), body)
+    
+    return c.json({ 
+      message: 'Quest template created successfully',
+      template_id: templateId,
+      quest_id: questId,
+      start_at: toSqlDateTime(schedule.startAt),
+      end_at: toSqlDateTime(schedule.endAt)
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error creating quest template:', error)
+    return c.json({ error: 'Failed to create quest template' }, 500)
+  }
+})
+
+// Stop a recurring series (the running quest is kept)
+app.post('/api/quest-templates/:templateId/deactivate', async (c) => {
+  const { DB } = c.env
+  const templateId = c.req.param('templateId')
+  
+  try {
+    await deactivateQuestTemplate(DB, templateId, requireUser(c).id)
+    
+    return c.json({ 
+      message: 'Quest template deactivated',
+      template_id: templateId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error deactivating quest template:', error)
+    return c.json({ error: 'Failed to deactivate quest template' }, 500)
+  }
+})
+
+// Invite a user to an invite-only quest (quest creator or crew leader)
+app.post('/api/quests/:questId/invites', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    const { user_id } = await c.req.json()
+    await inviteToQuest(DB, questId, requireUser(c).id, user_id)
+    
+    return c.json({ 
+      message: 'User invited',
+      quest_id: questId,
+      user_id
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error inviting to quest:', error)
+    return c.json({ error: 'Failed to invite user' }, 500)
+  }
+})
+
+// List a quest's invitations (quest creator or crew leader)
+app.get('/api/quests/:questId/invites', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    const invites = await listQuestInvites(DB, questId, requireUser(c).id)
+    
+    return c.json({ 
+      invites,
+      count: invites.length
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching quest invites:', error)
+    return c.json({ error: 'Failed to fetch quest invites' }, 500)
+  }
+})
+
+// Join quest (participate)  
+app.post('/api/quests/:questId/join', async (c) => {
+  const { DB } = c.env
+  const questId = c.req.param('questId')
+  
+  try {
+    const user_id = requireUser(c).id
+    
+    // The transaction that staked on-chain, if any (the indexer confirms it from the QuestJoined event)
+    const { stake_tx_hash } = await c.req.json().catch(() => ({}))
+    if (stake_tx_hash !== undefined && stake_tx_hash !== null && !/^0x[0-9a-fA-F]{64}$/.test(stake_tx_hash)) {
+      return c.json({ error: 'stake_tx_hash must be a transaction hash' }, 400)
+    }
+    
+    // Check if quest exists, the user can see it and it is open for joining
+    const access = await assertQuestVisible(DB, questId, user_id)
+    const quest = await getLifecycleQuest(DB, questId)
+    
+    if (quest.status !== 'open') {
+      return c.json({ error: 'Quest is not open for joining' }, 409)
+    }
+    
+    // QuestFactory.joinQuest reverts once the quest has started, so joins end at
+    // start_at even if the scheduler has not activated the quest yet
+    if (fromSqlDateTime(quest.start_at) <= new Date()) {
+      await activateIfStarted(DB, questId)
+      return c.json({ error: 'Quest already started' }, 409)
+    }
+    
+    // Crew membership, region, past runs and invitation
+    await assertEligible(DB, access, user_id)
+    
+    // Check if user already joined
+    const existingParticipation = await DB.prepare(`
+      SELECT * FROM participations WHERE quest_id = ? AND user_id = ?
+    `).bind(questId, user_id).first()
+    
+    if (existingParticipation) {
+      return c.json({ error: 'User already joined this quest' }, 400)
+    }
+    
+    // Generate participation ID
+    const participationId = 'part_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9)
+    
+    // Add participant
+    await DB.prepare(`
+      INSERT INTO participations (
+        id, quest_id, user_id, status, joined_at,
+        completed_sessions, total_distance_km, stake_tx_hash
+      ) VALUES (?, ?, ?, 'active', CURRENT_TIMESTAMP, 0, 0, ?)
+    `).bind(participationId, questId, user_id, stake_tx_hash?.toLowerCase() ?? null).run()
+    
+    return c.json({ 
+      message: 'Successfully joined quest',
+      participation_id: participationId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error joining quest:', error)
+    return c.json({ error: 'Failed to join quest' }, 500)
+  }
+})
+
+// Submit a run (manual entry from the run modal)
+app.post('/api/runs', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const { 
+      quest_id, distance_km, duration_sec, started_at, gps_path 
+    } = await c.req.json()
+    
+    if (!distance_km || !duration_sec) {
+      return c.json({ error: 'Missing required fields' }, 400)
+    }
+    
+    const user = requireUser(c)
+    
+    const gpsPath: GpsPoint[] | null = Array.isArray(gps_path)
+      ? gps_path.filter((p: GpsPoint) => Number.isFinite(p?.lat) && Number.isFinite(p?.lng))
+      : null
+    
+    const run = await saveRun(DB, {
+      userId: user.id,
+      questId: quest_id || null,
+      startedAt: started_at ? new Date(started_at) : new Date(Date.now() - duration_sec * 1000),
+      durationSec: Number(duration_sec),
+      distanceKm: Number(distance_km),
+      gpsPath
+    })
+    
+    return c.json({ 
+      message: run.reviewId ? 'Run held for review' : 'Run submitted successfully',
+      run_id: run.id,
+      quest_run_id: run.questRunId,
+      review_id: run.reviewId,
+      held_for_review: run.reviewId !== null,
+      avg_pace_sec_per_km: run.avgPaceSecPerKm,
+      integrity_score: run.integrity.score,
+      fraud_flags: run.integrity.flags
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error submitting run:', error)
+    return c.json({ error: 'Failed to submit run' }, 500)
+  }
+})
+
+// Import a run from a GPX / TCX / FIT watch export (multipart form upload)
+app.post('/api/runs/import', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const body = await c.req.parseBody()
+    const file = body['file']
+    const questId = typeof body['quest_id'] === 'string' ? body['quest_id'] : null
+    
+    if (!(file instanceof File)) {
+      return c.json({ error: 'Track file required' }, 400)
+    }
+    
+    if (file.size > MAX_IMPORT_FILE_BYTES) {
+      return c.json({ error: 'Track file too large' }, 413)
+    }
+    
+    const user = requireUser(c)
+    
+    const bytes = new Uint8Array(await file.arrayBuffer())
+    const format = detectTrackFormat(file.name, bytes)
+    
+    if (!format) {
+      return c.json({ error: 'Unsupported file format (GPX, TCX or FIT required)' }, 415)
+    }
+    
+    const track = parseTrackFile(format, bytes)
+    
+    // FIT files come straight off a Garmin device and carry their own activity id
+    const run = await saveRun(DB, {
+      userId: user.id,
+      questId,
+      provider: format === 'fit' ? 'garmin' : null,
+      externalId: track.externalId ?? `${format}_${(await sha256Hex(bytes)).slice(0, 32)}`,
+      startedAt: track.startedAt,
+      durationSec: track.durationSec,
+      distanceKm: track.distanceKm,
+      gpsPath: track.points,
+      hrSeries: track.heartRate,
+      accelSeries: track.cadence
+    })
+    
+    return c.json({ 
+      message: run.reviewId ? 'Run held for review' : 'Run imported successfully',
+      run_id: run.id,
+      quest_run_id: run.questRunId,
+      review_id: run.reviewId,
+      held_for_review: run.reviewId !== null,
+      integrity_score: run.integrity.score,
+      fraud_flags: run.integrity.flags,
+      format,
+      started_at: track.startedAt.toISOString(),
+      distance_km: track.distanceKm,
+      duration_sec: track.durationSec,
+      avg_pace_sec_per_km: track.avgPaceSecPerKm,
+      gps_points: track.points.length,
+      hr_samples: track.heartRate.length,
+      cadence_samples: track.cadence.length
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error importing run:', error)
+    return c.json({ error: 'Failed to import run' }, 500)
+  }
+})
+
+// Get run details with linked quests
+app.get('/api/runs/:runId', async (c) => {
+  const { DB } = c.env
+  const runId = c.req.param('runId')
+  const viewerId = c.get('user')?.id ?? null
+  
+  try {
+    const run = await DB.prepare(`
+      SELECT 
+        r.id, r.user_id, r.provider, r.started_at, r.duration_sec, r.distance_km,
+        r.avg_pace_sec_per_km, r.integrity_score, r.is_suspicious, r.proof_batch_id, r.created_at,
+        u.nickname
+      FROM run_records r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.id = ?
+    `).bind(runId).first<{ id: string; user_id: string }>()
+    
+    if (!run) {
+      return c.json({ error: 'Run not found' }, 404)
+    }
+    
+    // The track, sensor series and fraud flags are for the runner and the run's moderators only
+    const canSeeDetails = viewerId !== null &&
+      (viewerId === run.user_id || await moderatesRun(DB, getModerator(c.env, viewerId), runId))
+    const details = canSeeDetails
+      ? await DB.prepare(`
+          SELECT external_id, gps_path, hr_series, accel_series, fraud_flags FROM run_records WHERE id = ?
+        `).bind(runId).first()
+      : null
+    
+    const quests = await DB.prepare(`
+      SELECT 
+        qr.id, qr.quest_id, qr.is_valid, qr.validation_reason, qr.created_at,
+        q.title
+      FROM quest_runs qr
+      JOIN quests q ON qr.quest_id = q.id
+      WHERE qr.run_record_id = ?2 AND ${VISIBLE_TO_VIEWER}
+    `).bind(viewerId, runId).all()
+    
+    return c.json({ 
+      run: { ...run, ...details },
+      quests: quests.results || []
+    })
+  } catch (error) {
+    console.error('Error fetching run:', error)
+    return c.json({ error: 'Failed to fetch run' }, 500)
+  }
+})
+
+// Merkle proof of a run against its day's on-chain root (for QuestFactory.verifyRun;
+// the runner and viewers who can see the run's quest)
+app.get('/api/runs/:runId/proof', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    return c.json(await getRunProof(DB, c.req.param('runId'), c.get('user')?.id ?? null))
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching run proof:', error)
+    return c.json({ error: 'Failed to fetch run proof' }, 500)
+  }
+})
+
+// Get a user's runs (most recent first)
+app.get('/api/users/:userId/runs', async (c) => {
+  const { DB } = c.env
+  const userId = c.req.param('userId')
+  const limit = Math.min(parseInt(c.req.query('limit') || '50') || 50, 200)
+  
+  try {
+    const result = await DB.prepare(`
+      SELECT 
+        r.id, r.provider, r.started_at, r.duration_sec, r.distance_km,
+        r.avg_pace_sec_per_km, r.integrity_score, r.is_suspicious, r.created_at,
+        qr.quest_id, q.title as quest_title, qr.is_valid
+      FROM run_records r
+      LEFT JOIN quest_runs qr ON qr.run_record_id = r.id
+        AND EXISTS (SELECT 1 FROM quests q WHERE q.id = qr.quest_id AND ${VISIBLE_TO_VIEWER})
+      LEFT JOIN quests q ON qr.quest_id = q.id
+      WHERE r.user_id = ?2
+      ORDER BY r.started_at DESC
+      LIMIT ?3
+    `).bind(c.get('user')?.id ?? null, userId, limit).all()
+    
+    return c.json({ 
+      runs: result.results,
+      count: result.results?.length || 0
+    })
+  } catch (error) {
+    console.error('Error fetching user runs:', error)
+    return c.json({ error: 'Failed to fetch runs' }, 500)
+  }
+})
+
+// Give kudos to a runner or one of their runs (rate limited per day)
+app.post('/api/kudos', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const { kudosId, toUserId } = await giveKudos(DB, requireUser(c).id, await c.req.json())
+    
+    return c.json({ 
+      message: 'Kudos sent',
+      kudos_id: kudosId,
+      to_user_id: toUserId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error giving kudos:', error)
+    return c.json({ error: 'Failed to give kudos' }, 500)
+  }
+})
+
+// Kudos a user received (?direction=given for the ones they gave)
+app.get('/api/users/:userId/kudos', async (c) => {
+  const { DB } = c.env
+  const userId = c.req.param('userId')
+  
+  try {
+    const { kudos, totals } = await listUserKudos(DB, userId, c.req.query('direction') || undefined)
+    
+    return c.json({ 
+      kudos,
+      count: kudos.length,
+      total_received: totals.total_received,
+      total_given: totals.total_given
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching kudos:', error)
+    return c.json({ error: 'Failed to fetch kudos' }, 500)
+  }
+})
+
+// List runs held back by anti-cheat scoring (review queue of the quests' leaders and crew moderators)
+app.get('/api/reviews', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const reviews = await listReviews(DB, requireUser(c).id, {
+      status: c.req.query('status'),
+      questId: c.req.query('quest_id'),
+      leaderId: c.req.query('leader_id'),
+      limit: Math.min(parseInt(c.req.query('limit') || '50') || 50, 200)
+    })
+    
+    return c.json({ 
+      reviews,
+      count: reviews.length
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching reviews:', error)
+    return c.json({ error: 'Failed to fetch reviews' }, 500)
+  }
+})
+
+// Approve or reject a held run
+app.post('/api/reviews/:reviewId/decision', async (c) => {
+  const { DB } = c.env
+  const reviewId = c.req.param('reviewId')
+  
+  try {
+    const { decision, note } = await c.req.json()
+    
+    if (!decision) {
+      return c.json({ error: 'Decision required' }, 400)
+    }
+    
+    const result = await decideReview(DB, reviewId, requireUser(c).id, decision, note)
+    
+    return c.json({ 
+      message: `Run ${result.status}`,
+      status: result.status,
+      quest_run_id: result.questRunId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error deciding review:', error)
+    return c.json({ error: 'Failed to record review decision' }, 500)
+  }
+})
+
+// Vote a held run valid or invalid (fellow participants of its quest)
+app.post('/api/reviews/:reviewId/votes', async (c) => {
+  const { DB } = c.env
+  const reviewId = c.req.param('reviewId')
+  
+  try {
+    const { vote } = await c.req.json()
+    const result = await castVote(DB, reviewId, requireUser(c).id, vote)
+    
+    return c.json({ 
+      message: result.status === 'pending' ? 'Vote recorded' : `Vote recorded, run ${result.status}`,
+      status: result.status,
+      weight: result.weight,
+      tally: result.tally
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error casting vote:', error)
+    return c.json({ error: 'Failed to record vote' }, 500)
+  }
+})
+
+// Tally and votes on a held run (participants of its quest and the crew leader)
+app.get('/api/reviews/:reviewId/votes', async (c) => {
+  const { DB } = c.env
+  const reviewId = c.req.param('reviewId')
+  
+  try {
+    return c.json(await listVotes(DB, reviewId, requireUser(c).id))
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching votes:', error)
+    return c.json({ error: 'Failed to fetch votes' }, 500)
+  }
+})
+
+// Contract addresses and ABIs of the configured network, for the frontend
+app.get('/api/chain/deployment', async (c) => {
+  try {
+    const deployment = getDeployment(c.env)
+    if (!deployment) {
+      return c.json({ error: 'No contract deployment configured' }, 404)
+    }
+    
+    return c.json(toPublicDeployment(deployment))
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error loading deployment manifest:', error)
+    return c.json({ error: 'Failed to load deployment manifest' }, 500)
+  }
+})
+
+// On-chain indexer cursor and event counts per chain
+app.get('/api/chain/status', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const chains = await getIndexerStatus(DB)
+    
+    return c.json({ 
+      configured: getIndexerConfig(c.env) !== null,
+      chains
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching indexer status:', error)
+    return c.json({ error: 'Failed to fetch indexer status' }, 500)
+  }
+})
+
+// Report a user, a quest or a run to its moderators
+app.post('/api/reports', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const reportId = await fileReport(DB, requireUser(c).id, await c.req.json())
+    
+    return c.json({ 
+      message: 'Report filed',
+      report_id: reportId
+    })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error filing report:', error)
+    return c.json({ error: 'Failed to file report' }, 500)
+  }
+})
+
+// Moderation queue: reports the signed-in moderator handles (?status=pending by default)
+app.get('/api/reports', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const reports = await listReports(DB, getModerator(c.env, requireUser(c).id), {
+      status: c.req.query('status'),
+      quest_id: c.req.query('quest_id')
+    })
     
     return c.json({ 
-      quest,
-      participants: participants.results || []
+      reports,
+      count: reports.length
     })
   } catch (error) {
-    console.error('Error fetching quest details:', error)
-    return c.json({ error: 'Failed to fetch quest details' }, 500)
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error fetching reports:', error)
+    return c.json({ error: 'Failed to fetch reports' }, 500)
   }
 })
 
-// Create new quest
-app.post('/api/quests', async (c) => {
+// One report with its moderation log
+app.get('/api/reports/:reportId', async (c) => {
   const { DB } = c.env
+  const reportId = c.req.param('reportId')
   
   try {
-    const { 
-      title, description, distance_km, times_per_week, 
-      stake_amount, stake_token, max_slots, crew_id, 
-      creator_address, status 
-    } = await c.req.json()
+    const report = await getReport(DB, reportId, getModerator(c.env, requireUser(c).id))
     
-    // Validate required fields
-    if (!title || !description || !distance_km || !times_per_week || !max_slots) {
-      return c.json({ error: 'Missing required fields' }, 400)
+    return c.json({ report })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
     }
-    
-    // Generate quest ID
-    const questId = 'quest_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9)
-    
-    // Calculate start and end dates (start tomorrow, duration based on weeks)
-    const startDate = new Date()
-    startDate.setDate(startDate.getDate() + 1)
-    const endDate = new Date(startDate)
-    endDate.setDate(endDate.getDate() + 14) // Default 2 weeks
-    
-    // Insert quest into database
-    const result = await DB.prepare(`
-      INSERT INTO quests (
-        id, title, description, start_at, end_at, 
-        distance_km, times_per_week, stake_amount, stake_token,
-        max_slots, crew_id, status, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `).bind(
-      questId, title, description, 
-      startDate.toISOString().slice(0, 19).replace('T', ' '),
-      endDate.toISOString().slice(0, 19).replace('T', ' '),
-      distance_km, times_per_week, stake_amount || 0, stake_token || 'ETH',
-      max_slots, crew_id || null, status || 'open'
-    ).run()
+    console.error('Error fetching report:', error)
+    return c.json({ error: 'Failed to fetch report' }, 500)
+  }
+})
+
+// Resolve a report: invalidate the run, forfeit the participation or dismiss it
+app.post('/api/reports/:reportId/resolve', async (c) => {
+  const { DB } = c.env
+  const reportId = c.req.param('reportId')
+  
+  try {
+    const { action, note } = await c.req.json()
+    const result = await resolveReport(DB, reportId, getModerator(c.env, requireUser(c).id), { action, note })
     
     return c.json({ 
-      message: 'Quest created successfully',
-      quest_id: questId,
-      quest: {
-        id: questId,
-        title, description, distance_km, times_per_week,
-        stake_amount, max_slots, crew_id, status: status || 'open',
-        start_at: startDate.toISOString().slice(0, 19).replace('T', ' '),
-        end_at: endDate.toISOString().slice(0, 19).replace('T', ' ')
-      }
+      message: `Report ${result.status}`,
+      status: result.status,
+      progress: result.progress?.participants[0] ?? null
     })
   } catch (error) {
-    console.error('Error creating quest:', error)
-    return c.json({ error: 'Failed to create quest' }, 500)
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error resolving report:', error)
+    return c.json({ error: 'Failed to resolve report' }, 500)
   }
 })
 
-// Join quest (participate)  
-app.post('/api/quests/:questId/join', async (c) => {
+// Start Strava OAuth for the signed-in user (redirects to the Strava consent screen)
+app.get('/api/strava/connect', async (c) => {
   const { DB } = c.env
-  const questId = c.req.param('questId')
   
   try {
-    const { user_id, wallet_address } = await c.req.json()
+    const config = getStravaConfig(c.env)
+    const user = requireUser(c)
     
-    if (!user_id && !wallet_address) {
-      return c.json({ error: 'User ID or wallet address required' }, 400)
+    const redirectUri = new URL('/api/strava/callback', c.req.url).toString()
+    return c.redirect(await createAuthorizationUrl(DB, config, user.id, redirectUri))
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
     }
+    console.error('Error starting Strava OAuth:', error)
+    return c.json({ error: 'Failed to start Strava authorization' }, 500)
+  }
+})
+
+// Strava OAuth callback: exchange the code and store the tokens
+app.get('/api/strava/callback', async (c) => {
+  const { DB } = c.env
+  const code = c.req.query('code')
+  const state = c.req.query('state')
+  
+  try {
+    const config = getStravaConfig(c.env)
     
-    // Check if quest exists
-    const quest = await DB.prepare(`
-      SELECT * FROM quests WHERE id = ?
-    `).bind(questId).first()
-    
-    if (!quest) {
-      return c.json({ error: 'Quest not found' }, 404)
+    if (c.req.query('error') || !code || !state) {
+      return c.redirect('/?strava=denied')
     }
     
-    // Check if user already joined
-    const existingParticipation = await DB.prepare(`
-      SELECT * FROM participations WHERE quest_id = ? AND user_id = ?
-    `).bind(questId, user_id).first()
-    
-    if (existingParticipation) {
-      return c.json({ error: 'User already joined this quest' }, 400)
+    await completeAuthorization(DB, config, state, code)
+    return c.redirect('/?strava=connected')
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
     }
+    console.error('Error completing Strava OAuth:', error)
+    return c.json({ error: 'Failed to connect Strava' }, 500)
+  }
+})
+
+// Strava webhook subscription handshake
+app.get('/api/webhooks/strava', (c) => {
+  try {
+    const challenge = verifyWebhookChallenge(getStravaConfig(c.env), c.req.query())
+    return c.json({ 'hub.challenge': challenge })
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error verifying Strava subscription:', error)
+    return c.json({ error: 'Failed to verify subscription' }, 500)
+  }
+})
+
+// Strava webhook events (activity create/update/delete, athlete deauthorization)
+app.post('/api/webhooks/strava', async (c) => {
+  const { DB } = c.env
+  
+  try {
+    const config = getStravaConfig(c.env)
+    const event = await c.req.json<StravaWebhookEvent>()
+    assertWebhookSubscription(config, event)
     
-    // Generate participation ID
-    const participationId = 'part_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9)
-    
-    // Add participant
-    await DB.prepare(`
-      INSERT INTO participations (
-        id, quest_id, user_id, status, joined_at,
-        completed_sessions, total_distance_km
-      ) VALUES (?, ?, ?, 'active', CURRENT_TIMESTAMP, 0, 0)
-    `).bind(participationId, questId, user_id).run()
+    // Strava expects an answer within 2 seconds, so fetch the activity after responding
+    c.executionCtx.waitUntil(
+      handleWebhookEvent(DB, config, event).catch(error => {
+        console.error('Error processing Strava event:', error)
+      })
+    )
     
-    return c.json({ 
-      message: 'Successfully joined quest',
-      participation_id: participationId
-    })
+    return c.json({ received: true })
   } catch (error) {
-    console.error('Error joining quest:', error)
-    return c.json({ error: 'Failed to join quest' }, 500)
+    if (error instanceof ApiError) {
+      return c.json({ error: error.message }, error.status)
+    }
+    console.error('Error receiving Strava event:', error)
+    return c.json({ error: 'Failed to receive event' }, 500)
   }
 })
 
@@ -310,8 +1917,10 @@ app.get('/', (c) => {
         <script src="https://cdn.tailwindcss.com"></script>
         <link href="https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/css/all.min.css" rel="stylesheet">
         <script src="https://cdn.jsdelivr.net/npm/axios@1.6.0/dist/axios.min.js"></script>
+        <script src="https://cdn.jsdelivr.net/npm/ethers@6.15.0/dist/ethers.umd.min.js"></script>
         <script src="/static/contracts.js"></script>
         <script src="/static/web3.js"></script>
+        <script src="/static/qrcode.js"></script>
         <style>
           .gradient-bg {
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
@@ -398,6 +2007,9 @@ app.get('/', (c) => {
               <div>
                 <h2 class="text-2xl font-bold text-gray-900" id="user-nickname">환영합니다!</h2>
                 <p class="text-gray-600" id="user-wallet">지갑 주소: 연결되지 않음</p>
+                <button id="export-key-btn" onclick="exportCustodialKey()" class="hidden text-sm text-indigo-600 hover:underline">
+                  <i class="fas fa-key mr-1"></i>개인키 내보내기 (직접 보관으로 전환)
+                </button>
               </div>
             </div>
             
@@ -431,7 +2043,7 @@ app.get('/', (c) => {
           </div>
           
           <!-- Quick Actions for Logged In Users -->
-          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
             <button onclick="openMyQuestsDashboard()" class="bg-white hover:bg-gray-50 rounded-lg p-4 text-left transition-colors border border-gray-200">
               <div class="flex items-center space-x-3">
                 <div class="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
@@ -468,6 +2080,18 @@ app.get('/', (c) => {
               </div>
             </button>
             
+            <button onclick="openCrewPage()" class="bg-white hover:bg-gray-50 rounded-lg p-4 text-left transition-colors border border-gray-200">
+              <div class="flex items-center space-x-3">
+                <div class="w-10 h-10 bg-yellow-100 rounded-full flex items-center justify-center">
+                  <span class="text-yellow-600">👥</span>
+                </div>
+                <div>
+                  <div class="font-medium">크루</div>
+                  <div class="text-sm text-gray-500">크루 찾기 · 만들기 · 관리</div>
+                </div>
+              </div>
+            </button>
+            
             <button class="bg-white hover:bg-gray-50 rounded-lg p-4 text-left transition-colors border border-gray-200">
               <div class="flex items-center space-x-3">
                 <div class="w-10 h-10 bg-purple-100 rounded-full flex items-center justify-center">
@@ -579,6 +2203,32 @@ app.get('/', (c) => {
                       </select>
                     </div>
                     
+                    <div>
+                      <label class="block text-sm font-medium text-gray-700 mb-2">시작일</label>
+                      <input 
+                        type="date" 
+                        id="quest-start-date" 
+                        name="start_date"
+                        class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                        required
+                      >
+                    </div>
+                    
+                    <div>
+                      <label class="block text-sm font-medium text-gray-700 mb-2">반복</label>
+                      <select 
+                        id="quest-recurrence" 
+                        name="recurrence"
+                        class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                      >
+                        <option value="" selected>반복 없음</option>
+                        <option value="weekly">매주</option>
+                        <option value="biweekly">격주</option>
+                        <option value="monthly">매달</option>
+                      </select>
+                      <p class="text-xs text-gray-500 mt-1">반복 퀘스트는 이전 회차가 끝나면 다음 회차가 자동으로 열립니다</p>
+                    </div>
+                    
                     <div>
                       <label class="block text-sm font-medium text-gray-700 mb-2">최대 참여자 수</label>
                       <input 
@@ -667,6 +2317,44 @@ app.get('/', (c) => {
                   </div>
                 </div>
 
+                <!-- Eligibility Section -->
+                <div class="bg-gray-50 rounded-lg p-6">
+                  <h3 class="text-lg font-semibold text-gray-900 mb-4">🎟️ 참여 조건</h3>
+                  
+                  <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label class="block text-sm font-medium text-gray-700 mb-2">참여 가능 지역</label>
+                      <input 
+                        type="text" 
+                        id="quest-eligible-region" 
+                        name="eligible_region"
+                        maxlength="50"
+                        placeholder="예: Seoul (비우면 전체)"
+                        class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-gray-500 focus:border-gray-500"
+                      >
+                    </div>
+                    
+                    <div>
+                      <label class="block text-sm font-medium text-gray-700 mb-2">최소 러닝 기록</label>
+                      <input 
+                        type="number" 
+                        id="quest-min-past-runs" 
+                        name="min_past_runs"
+                        min="0" 
+                        max="1000"
+                        value="0"
+                        class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-gray-500 focus:border-gray-500"
+                      >
+                      <p class="text-xs text-gray-500 mt-1">지금까지 기록한 러닝 횟수</p>
+                    </div>
+                  </div>
+                  
+                  <label class="flex items-center mt-4">
+                    <input type="checkbox" id="quest-invite-only" name="invite_only" class="mr-3">
+                    <span class="text-gray-700">🔒 초대받은 사람만 참여 가능</span>
+                  </label>
+                </div>
+
                 <!-- Form Actions -->
                 <div class="flex justify-end space-x-4 pt-6 border-t">
                   <button 
@@ -892,6 +2580,29 @@ app.get('/', (c) => {
           </div>
         </div>
 
+        <!-- Quest Join Modal: stake token approval and join progress (Hidden by default) -->
+        <div id="join-quest-modal" class="hidden fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div class="bg-white rounded-2xl shadow-2xl max-w-lg w-full mx-4">
+            <div class="p-8">
+              <div class="text-center mb-6">
+                <h2 class="text-2xl font-bold text-gray-900 mb-2">🎯 퀘스트 참여</h2>
+                <p id="join-quest-summary" class="text-gray-600"></p>
+              </div>
+              
+              <ol id="join-quest-steps" class="space-y-3 mb-6"></ol>
+              
+              <div class="flex space-x-3">
+                <button onclick="closeJoinQuestModal()" class="flex-1 px-6 py-3 border border-gray-300 rounded-lg font-medium hover:bg-gray-50">
+                  닫기
+                </button>
+                <button id="join-quest-confirm" onclick="startQuestJoin()" class="flex-1 px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium disabled:opacity-50">
+                  참여하기
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
         <!-- Running Data Submission Modal (Hidden by default) -->
         <div id="run-submit-modal" class="hidden fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div class="bg-white rounded-2xl shadow-2xl max-w-lg w-full mx-4">
@@ -926,7 +2637,6 @@ app.get('/', (c) => {
                     step="0.1"
                     placeholder="5.0"
                     class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    required
                   >
                 </div>
 
@@ -953,7 +2663,6 @@ app.get('/', (c) => {
                         min="0" 
                         max="59"
                         class="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-center"
-                        required
                       >
                       <div class="text-xs text-gray-500 text-center mt-1">분</div>
                     </div>
@@ -1011,21 +2720,20 @@ app.get('/', (c) => {
                   </div>
                 </div>
 
-                <!-- Photo Upload (Optional) -->
+                <!-- Watch Export Upload (Optional) -->
                 <div class="bg-gray-50 rounded-lg p-4">
-                  <h3 class="font-semibold text-gray-700 mb-3">📸 인증 사진 (선택사항)</h3>
+                  <h3 class="font-semibold text-gray-700 mb-3">⌚ 워치 기록 가져오기 (선택사항)</h3>
                   
                   <div class="space-y-3">
                     <input 
                       type="file" 
-                      id="run-photo" 
-                      accept="image/*"
-                      capture="environment"
+                      id="run-track-file" 
+                      accept=".gpx,.tcx,.fit,application/gpx+xml,application/vnd.garmin.tcx+xml"
                       class="w-full px-3 py-2 border border-gray-300 rounded-lg"
                     >
                     
                     <div class="text-xs text-gray-600">
-                      📝 러닝 경로나 운동 후 모습을 사진으로 남겨보세요. (선택사항)
+                      📝 GPX / TCX / FIT 파일을 올리면 거리, 시간, 경로, 심박수, 케이던스가 자동으로 입력됩니다.
                     </div>
                   </div>
                 </div>
@@ -1248,6 +2956,90 @@ app.get('/', (c) => {
           </div>
         </div>
 
+        <!-- Crew Page (Hidden by default) -->
+        <div id="crew-page" class="hidden fixed inset-0 bg-gray-50 overflow-y-auto z-40">
+          <!-- Crew Page Header -->
+          <div class="bg-gradient-to-r from-yellow-500 to-orange-500 text-white py-10">
+            <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+              <div class="flex items-center justify-between">
+                <div>
+                  <h1 class="text-3xl font-bold mb-2">👥 크루</h1>
+                  <p class="text-yellow-50">함께 달릴 크루를 찾거나 직접 만들어보세요</p>
+                </div>
+                <button 
+                  onclick="closeCrewPage()" 
+                  class="bg-white/20 hover:bg-white/30 text-white px-4 py-2 rounded-lg transition-colors"
+                >
+                  ← 메인으로
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <!-- Crew List and Creation -->
+            <div class="space-y-6">
+              <div class="bg-white rounded-xl shadow-lg p-6">
+                <h2 class="text-xl font-bold mb-4">크루 목록</h2>
+                <div id="crew-list" class="space-y-3">
+                  <!-- Will be populated by JavaScript -->
+                </div>
+              </div>
+
+              <div class="bg-white rounded-xl shadow-lg p-6">
+                <h2 class="text-xl font-bold mb-4">새 크루 만들기</h2>
+                <form id="crew-create-form" class="space-y-4" onsubmit="handleCrewCreation(event)">
+                  <input 
+                    type="text" 
+                    name="name" 
+                    required 
+                    maxlength="50"
+                    placeholder="크루 이름"
+                    class="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                  >
+                  <textarea 
+                    name="description" 
+                    rows="2"
+                    placeholder="크루 소개"
+                    class="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                  ></textarea>
+                  <div class="grid grid-cols-2 gap-3">
+                    <input 
+                      type="text" 
+                      name="region" 
+                      placeholder="활동 지역"
+                      class="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                    >
+                    <input 
+                      type="number" 
+                      name="max_members" 
+                      min="1" 
+                      max="500" 
+                      value="50"
+                      class="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                    >
+                  </div>
+                  <label class="flex items-center text-gray-700">
+                    <input type="checkbox" name="is_private" class="mr-3">
+                    🔒 비공개 크루 (가입 신청 후 승인)
+                  </label>
+                  <button 
+                    type="submit"
+                    class="w-full py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg font-medium transition-colors"
+                  >
+                    크루 만들기
+                  </button>
+                </form>
+              </div>
+            </div>
+
+            <!-- Selected Crew -->
+            <div id="crew-detail" class="lg:col-span-2 bg-white rounded-xl shadow-lg p-6">
+              <div class="text-center text-gray-500 py-12">크루를 선택하세요</div>
+            </div>
+          </div>
+        </div>
+
         <!-- Quick Actions -->
         <div class="bg-white rounded-xl shadow-lg p-8 mb-8">
           <h2 class="text-2xl font-bold text-center mb-8">🚀 빠른 시작</h2>
@@ -1300,7 +3092,7 @@ app.get('/', (c) => {
             
             <!-- Quest Filters -->
             <div class="flex space-x-3">
-              <select id="quest-filter" class="px-4 py-2 border border-gray-300 rounded-lg text-sm" onchange="filterQuests(this.value)">
+              <select id="quest-filter" class="px-4 py-2 border border-gray-300 rounded-lg text-sm" onchange="filterQuests()">
                 <option value="all">전체 퀘스트</option>
                 <option value="open">참여 가능</option>
                 <option value="active">진행 중</option>
@@ -1316,117 +3108,55 @@ app.get('/', (c) => {
             </div>
           </div>
           
-          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6" id="quest-browser">
-            <!-- Will be populated by JavaScript -->
-            <div class="quest-card p-6 border border-gray-200 rounded-lg hover:shadow-lg transition-shadow cursor-pointer" onclick="showQuestDetails('quest_1')">
-              <div class="flex justify-between items-start mb-4">
-                <div>
-                  <h3 class="font-bold text-lg text-gray-900">새해 다짐 5km 챌린지</h3>
-                  <p class="text-sm text-gray-500">👥 부산 러닝 크루</p>
-                </div>
-                <span class="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
-                  🏃‍♂️ 진행중
-                </span>
-              </div>
-              
-              <p class="text-gray-600 mb-4">일주일에 3번, 각각 5km 이상 달리기. 새해 목표 달성!</p>
-              
-              <div class="grid grid-cols-2 gap-4 mb-4 text-sm">
-                <div class="bg-blue-50 rounded-lg p-3">
-                  <div class="text-blue-600 font-medium">거리/횟수</div>
-                  <div class="text-blue-900 font-bold">5km × 주3회</div>
-                </div>
-                <div class="bg-purple-50 rounded-lg p-3">
-                  <div class="text-purple-600 font-medium">스테이킹</div>
-                  <div class="text-purple-900 font-bold">0.1 ETH</div>
-                </div>
-              </div>
-              
-              <div class="flex justify-between items-center">
-                <div class="flex items-center space-x-4 text-sm text-gray-500">
-                  <span>👥 3/10명 참여</span>
-                  <span>⏰ 5일 남음</span>
-                </div>
-                <button onclick="handleQuestJoin('quest_1', 0.1)" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium">
-                  참여하기
-                </button>
-              </div>
-            </div>
-            
-            <div class="quest-card p-6 border border-gray-200 rounded-lg hover:shadow-lg transition-shadow cursor-pointer" onclick="showQuestDetails('quest_2')">
-              <div class="flex justify-between items-start mb-4">
-                <div>
-                  <h3 class="font-bold text-lg text-gray-900">겨울 극복 3km 챌린지</h3>
-                  <p class="text-sm text-gray-500">🌍 전체 공개</p>
-                </div>
-                <span class="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm font-medium">
-                  📢 모집중
-                </span>
-              </div>
-              
-              <p class="text-gray-600 mb-4">추운 겨울, 작은 목표로 시작하는 꾸준함. 함께 도전해요!</p>
-              
-              <div class="grid grid-cols-2 gap-4 mb-4 text-sm">
-                <div class="bg-green-50 rounded-lg p-3">
-                  <div class="text-green-600 font-medium">거리/횟수</div>
-                  <div class="text-green-900 font-bold">3km × 주2회</div>
-                </div>
-                <div class="bg-orange-50 rounded-lg p-3">
-                  <div class="text-orange-600 font-medium">스테이킹</div>
-                  <div class="text-orange-900 font-bold">0.05 ETH</div>
-                </div>
-              </div>
-              
-              <div class="flex justify-between items-center">
-                <div class="flex items-center space-x-4 text-sm text-gray-500">
-                  <span>👥 1/8명 참여</span>
-                  <span>⏰ 12일 남음</span>
-                </div>
-                <button onclick="handleQuestJoin('quest_2', 0.05)" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-medium">
-                  참여하기
-                </button>
-              </div>
+          <!-- Search and detailed filters; field names are GET /api/quests parameters -->
+          <form id="quest-search-form" class="mb-6 space-y-3" onsubmit="filterQuests(event)">
+            <div class="flex space-x-3">
+              <input 
+                type="search" 
+                name="q" 
+                maxlength="100"
+                placeholder="제목이나 설명으로 검색" 
+                class="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+              <select name="sort" class="px-4 py-2 border border-gray-300 rounded-lg text-sm" onchange="filterQuests()">
+                <option value="soonest">시작 임박순</option>
+                <option value="popular">인기순</option>
+                <option value="pot">상금 많은순</option>
+              </select>
+              <button type="submit" class="px-4 py-2 bg-gray-800 hover:bg-gray-900 text-white rounded-lg text-sm font-medium">
+                검색
+              </button>
             </div>
             
-            <div class="quest-card p-6 border border-gray-200 rounded-lg hover:shadow-lg transition-shadow cursor-pointer" onclick="showQuestDetails('quest_3')">
-              <div class="flex justify-between items-start mb-4">
-                <div>
-                  <h3 class="font-bold text-lg text-gray-900">마라톤 준비 10km 도전</h3>
-                  <p class="text-sm text-gray-500">👥 서울 마라톤 클럽</p>
-                </div>
-                <span class="bg-orange-100 text-orange-800 px-3 py-1 rounded-full text-sm font-medium">
-                  🔄 곧 시작
-                </span>
-              </div>
-              
-              <p class="text-gray-600 mb-4">마라톤 대회를 위한 체계적인 10km 훈련 프로그램</p>
-              
-              <div class="grid grid-cols-2 gap-4 mb-4 text-sm">
-                <div class="bg-red-50 rounded-lg p-3">
-                  <div class="text-red-600 font-medium">거리/횟수</div>
-                  <div class="text-red-900 font-bold">10km × 주4회</div>
-                </div>
-                <div class="bg-indigo-50 rounded-lg p-3">
-                  <div class="text-indigo-600 font-medium">스테이킹</div>
-                  <div class="text-indigo-900 font-bold">0.2 ETH</div>
-                </div>
-              </div>
-              
-              <div class="flex justify-between items-center">
-                <div class="flex items-center space-x-4 text-sm text-gray-500">
-                  <span>👥 8/15명 참여</span>
-                  <span>⏰ 2일 후 시작</span>
-                </div>
-                <button onclick="handleQuestJoin('quest_3', 0.2)" class="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-lg text-sm font-medium">
-                  참여하기
-                </button>
-              </div>
+            <div class="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-3 text-sm">
+              <input type="text" name="region" placeholder="지역" class="px-3 py-2 border border-gray-300 rounded-lg">
+              <input type="number" name="distance_min" min="0" step="0.5" placeholder="최소 km" class="px-3 py-2 border border-gray-300 rounded-lg">
+              <input type="number" name="distance_max" min="0" step="0.5" placeholder="최대 km" class="px-3 py-2 border border-gray-300 rounded-lg">
+              <select name="times_per_week" class="px-3 py-2 border border-gray-300 rounded-lg">
+                <option value="">주 횟수</option>
+                <option value="1">주 1회</option>
+                <option value="2">주 2회</option>
+                <option value="3">주 3회</option>
+                <option value="4">주 4회</option>
+                <option value="5">주 5회</option>
+              </select>
+              <input type="number" name="stake_min" min="0" step="0.001" placeholder="최소 스테이크" class="px-3 py-2 border border-gray-300 rounded-lg">
+              <input type="number" name="stake_max" min="0" step="0.001" placeholder="최대 스테이크" class="px-3 py-2 border border-gray-300 rounded-lg">
+              <input type="date" name="start_from" title="이 날짜 이후 시작" class="px-3 py-2 border border-gray-300 rounded-lg">
+              <label class="flex items-center px-3 py-2">
+                <input type="checkbox" name="min_open_slots" value="1" class="mr-2">
+                <span class="text-gray-700">빈자리 있음</span>
+              </label>
             </div>
+          </form>
+          
+          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6" id="quest-browser">
+            <!-- Will be populated by JavaScript -->
           </div>
           
           <div class="text-center mt-6">
-            <button class="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg font-medium">
-              모든 퀘스트 보기
+            <button id="quest-browser-more" onclick="loadMoreQuests()" class="hidden bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg font-medium">
+              더 보기
             </button>
           </div>
         </div>
@@ -1499,4 +3229,77 @@ app.get('/', (c) => {
   `)
 })
 
-export default app
\ No newline at end of file
+// Run one scheduled job; a failing job is logged and does not stop the others
+async function runJob<T>(name: string, job: () => Promise<T>): Promise<T | null> {
+  try {
+    return await job()
+  } catch (error) {
+    console.error(`${name} failed:`, error)
+    return null
+  }
+}
+
+// Cron Trigger: activate quests whose start_at has passed, close ended review
+// votes, settle ended quests and spawn the next quest of each recurring series.
+// With a chain configured it then indexes contract events, signs settlement
+// payloads and commits run proofs. Jobs run one after another, each on its own.
+async function scheduled(_controller: ScheduledController, env: Bindings, ctx: ExecutionContext) {
+  ctx.waitUntil((async () => {
+    await runJob('Activation job', async () => {
+      const activated = await activateStartedQuests(env.DB)
+      console.log(`Activation job: ${activated.length} activated`, activated)
+    })
+    
+    await runJob('Review vote job', async () => {
+      const votes = await closeEndedVotes(env.DB)
+      console.log(`Review vote job: ${votes.decided.length} decided, ${votes.undecided.length} left to leaders`, votes.decided)
+    })
+    
+    await runJob('Settlement job', async () => {
+      const { settled, skipped } = await settleEndedQuests(env.DB)
+      console.log(`Settlement job: ${settled.length} settled, ${skipped.length} skipped`, skipped)
+    })
+    
+    await runJob('Template job', async () => {
+      const spawned = await spawnRecurringQuests(env.DB)
+      console.log(`Template job: ${spawned.length} quests spawned`, spawned)
+    })
+    
+    const indexer = await runJob('Indexer setup', async () => getIndexerConfig(env))
+    if (!indexer) {
+      return
+    }
+    
+    await runJob('Indexer job', async () => {
+      const sync = await syncChainEvents(env.DB, indexer)
+      console.log(`Indexer job: blocks ${sync.fromBlock ?? '-'}..${sync.toBlock ?? '-'}, ${sync.stored} stored, ${sync.applied} applied`, sync)
+    })
+    
+    await runJob('Settlement oracle job', async () => {
+      const payloads = await prepareSettlementPayloads(env.DB, indexer, env)
+      const signed = env.SETTLEMENT_SIGNER_PRIVATE_KEY
+        ? await signSettlementPayloads(env.DB, indexer, env.SETTLEMENT_SIGNER_PRIVATE_KEY)
+        : null
+      console.log(
+        `Settlement oracle job: ${payloads.prepared.length} payloads prepared, `
+          + (signed === null ? 'no signer key' : `${signed} signed`),
+        payloads.prepared
+      )
+    })
+    
+    await runJob('Run proof job', async () => {
+      const batch = await commitDailyRuns(env.DB, indexer)
+      const posted = env.RUN_ORACLE_PRIVATE_KEY ? await postRunRoots(env.DB, indexer, env.RUN_ORACLE_PRIVATE_KEY) : null
+      console.log(
+        `Run proof job: ${batch ? `${batch.runs} runs committed for day ${batch.day}` : 'nothing to commit'}, `
+          + (posted ? `${posted.submitted} roots submitted, ${posted.failed.length} failed` : 'no oracle key'),
+        posted?.failed ?? []
+      )
+    })
+  })())
+}
+
+export default {
+  fetch: app.fetch,
+  scheduled
+}
\ No newline at end of file
@@ -0,0 +1,300 @@
+// 작심삼일 RUN DAO - Account linking
+// A signed-in (usually social) user proves they own an external wallet by signing
+// a SIWE message with WALLET_LINK_STATEMENT. If that wallet already has an account
+// of its own, typically from signing in with MetaMask earlier, the two accounts are
+// merged: everything that account owns moves over and its user row is deleted.
+
+import { createId } from './db'
+import { ApiError } from './errors'
+import { verifySiweSignature, WALLET_LINK_STATEMENT, type SessionUser } from './auth'
+
+type LinkUser = {
+  id: string
+  email: string | null
+  social_id: string | null
+  wallet_address: string | null
+  nickname: string | null
+  region: string | null
+  locale: string | null
+  timezone: string | null
+  device_info: string | null
+  custodial_address: string | null // active custodial wallet, if any
+}
+
+// Every column that points at users.id; a merge moves all of them.
+// New tables with user references must be added here.
+const USER_REFERENCES: [table: string, column: string][] = [
+  ['crews', 'leader_id'],
+  ['crew_memberships', 'user_id'],
+  ['crew_memberships', 'decided_by'],
+  ['crew_invites', 'created_by'],
+  ['quests', 'creator_id'],
+  ['quest_templates', 'creator_id'],
+  ['quest_transitions', 'actor_id'],
+  ['quest_invites', 'user_id'],
+  ['quest_invites', 'invited_by'],
+  ['participations', 'user_id'],
+  ['run_records', 'user_id'],
+  ['quest_runs', 'user_id'],
+  ['quest_runs', 'reviewed_by'],
+  ['run_reviews', 'user_id'],
+  ['run_reviews', 'reviewed_by'],
+  ['run_review_votes', 'voter_id'],
+  ['nft_medals', 'user_id'],
+  ['kudos', 'from_user_id'],
+  ['kudos', 'to_user_id'],
+  ['abuse_reports', 'reporter_id'],
+  ['abuse_reports', 'target_user_id'],
+  ['abuse_reports', 'resolved_by'],
+  ['moderation_actions', 'actor_id'],
+  ['moderation_actions', 'user_id'],
+  ['provider_connections', 'user_id'],
+  ['provider_oauth_states', 'user_id'],
+  ['custodial_wallets', 'user_id'],
+  ['custody_signatures', 'user_id'],
+  ['auth_sessions', 'user_id'],
+  ['account_link_events', 'user_id']
+]
+
+async function getLinkUser(DB: D1Database, where: string, value: string): Promise<LinkUser | null> {
+  return DB.prepare(`
+    SELECT
+      u.id, u.email, u.social_id, u.wallet_address, u.nickname, u.region, u.locale, u.timezone, u.device_info,
+      w.address as custodial_address
+    FROM users u
+    LEFT JOIN custodial_wallets w ON w.user_id = u.id AND w.status = 'active'
+    WHERE ${where}
+  `).bind(value).first<LinkUser>()
+}
+
+/**
+ * The account's wallet is one it linked itself (not its own custodial wallet)
+ */
+function hasLinkedWallet(user: LinkUser): boolean {
+  return !!user.wallet_address && user.wallet_address !== user.custodial_address
+}
+
+function linkEvent(
+  DB: D1Database,
+  userId: string,
+  action: 'link' | 'unlink' | 'merge',
+  walletAddress: string | null,
+  details: Record<string, unknown>,
+  options: { id?: string; mergedUserId?: string } = {}
+): D1PreparedStatement {
+  return DB.prepare(`
+    INSERT INTO account_link_events (id, user_id, action, wallet_address, merged_user_id, details)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(
+    options.id ?? createId('account_link'), userId, action, walletAddress,
+    options.mergedUserId ?? null, JSON.stringify(details)
+  )
+}
+
+/**
+ * Refuse merges that would break a uniqueness rule instead of silently
+ * dropping one side's records
+ */
+async function assertMergeable(DB: D1Database, source: LinkUser, target: LinkUser) {
+  const conflicts = await DB.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM participations
+       WHERE user_id = ?1 AND quest_id IN (SELECT quest_id FROM participations WHERE user_id = ?2)) as shared_quests,
+      (SELECT COUNT(*) FROM provider_connections
+       WHERE user_id = ?1 AND provider IN (SELECT provider FROM provider_connections WHERE user_id = ?2)) as shared_providers,
+      (SELECT COUNT(*) FROM run_records r
+       WHERE r.user_id = ?1 AND EXISTS (
+         SELECT 1 FROM run_records t WHERE t.user_id = ?2 AND t.provider = r.provider AND t.external_id = r.external_id
+       )) as shared_runs,
+      (SELECT COUNT(*) FROM custodial_wallets WHERE user_id = ?1) as source_custody
+  `).bind(source.id, target.id).first<{
+    shared_quests: number
+    shared_providers: number
+    shared_runs: number
+    source_custody: number
+  }>()
+
+  if (source.social_id) {
+    throw new ApiError('This wallet belongs to another social account', 409)
+  }
+  if (conflicts?.shared_quests) {
+    throw new ApiError('Both accounts joined the same quest; they cannot be merged', 409)
+  }
+  if (conflicts?.shared_providers) {
+    throw new ApiError('Both accounts are connected to the same running app; disconnect one first', 409)
+  }
+  if (conflicts?.shared_runs) {
+    throw new ApiError('Both accounts imported the same run; they cannot be merged', 409)
+  }
+  if (conflicts?.source_custody) {
+    throw new ApiError('The wallet account has a custodial wallet of its own', 409)
+  }
+}
+
+/**
+ * Move everything the source account owns to the target, delete the source and
+ * give the target its wallet. Runs as one batch, so it either fully happens or not at all.
+ */
+async function mergeInto(DB: D1Database, source: LinkUser, target: LinkUser, walletAddress: string) {
+  const mergeEventId = createId('account_link')
+  const beforeMoves: D1PreparedStatement[] = [
+    // Crews the source leads stay led by the merged account, even where the target is already a member
+    DB.prepare(`
+      UPDATE crew_memberships SET role = 'leader', status = 'active'
+      WHERE user_id = ? AND crew_id IN (SELECT id FROM crews WHERE leader_id = ?)
+    `).bind(target.id, source.id),
+    // Rows that would collide with the target's own
+    DB.prepare(`
+      DELETE FROM crew_memberships
+      WHERE user_id = ? AND crew_id IN (SELECT crew_id FROM crew_memberships WHERE user_id = ?)
+    `).bind(source.id, target.id),
+    DB.prepare(`
+      DELETE FROM kudos
+      WHERE (from_user_id = ?1 AND to_user_id = ?2) OR (from_user_id = ?2 AND to_user_id = ?1)
+         OR (from_user_id = ?1 AND run_record_id IN (SELECT run_record_id FROM kudos WHERE from_user_id = ?2))
+    `).bind(source.id, target.id),
+    DB.prepare(`
+      DELETE FROM quest_invites
+      WHERE user_id = ? AND quest_id IN (SELECT quest_id FROM quest_invites WHERE user_id = ?)
+    `).bind(source.id, target.id),
+    DB.prepare(`
+      DELETE FROM run_review_votes
+      WHERE voter_id = ? AND review_id IN (SELECT review_id FROM run_review_votes WHERE voter_id = ?)
+    `).bind(source.id, target.id)
+  ]
+  const statements: D1PreparedStatement[] = [
+    ...beforeMoves,
+    ...USER_REFERENCES.map(([table, column]) =>
+      DB.prepare(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`).bind(target.id, source.id)
+    ),
+    // Settlements keep JSON arrays of user IDs
+    DB.prepare(`
+      UPDATE settlements SET winners = REPLACE(winners, ?1, ?2), losers = REPLACE(losers, ?1, ?2)
+      WHERE instr(winners, ?1) > 0 OR instr(losers, ?1) > 0
+    `).bind(JSON.stringify(source.id), JSON.stringify(target.id)),
+    DB.prepare(`DELETE FROM users WHERE id = ?`).bind(source.id),
+    // The source row is gone, so its unique wallet and email can move
+    DB.prepare(`
+      UPDATE users
+      SET wallet_address = ?, custody_type = 'non_custodial',
+          email = COALESCE(email, ?), nickname = COALESCE(nickname, ?), region = COALESCE(region, ?),
+          locale = COALESCE(locale, ?), timezone = COALESCE(timezone, ?), device_info = COALESCE(device_info, ?),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(
+      walletAddress, source.email, source.nickname, source.region,
+      source.locale, source.timezone, source.device_info, target.id
+    ),
+    linkEvent(DB, target.id, 'merge', walletAddress, {}, { id: mergeEventId, mergedUserId: source.id }),
+    linkEvent(DB, target.id, 'link', walletAddress, { previous_wallet: target.wallet_address })
+  ]
+
+  const moved: Record<string, number> = {}
+  const results = await DB.batch(statements)
+  USER_REFERENCES.forEach(([table, column], index) => {
+    const changes = results[beforeMoves.length + index].meta.changes
+    if (changes) moved[`${table}.${column}`] = changes
+  })
+
+  // Row counts are only known once the batch ran
+  await DB.prepare(`UPDATE account_link_events SET details = ? WHERE id = ?`)
+    .bind(JSON.stringify({ moved }), mergeEventId).run()
+  return moved
+}
+
+/**
+ * Link a wallet the user proved they own, merging the wallet's own account if it has one
+ */
+export async function linkWallet(
+  DB: D1Database,
+  userId: string,
+  input: { message?: string; signature?: string; host: string },
+  now = new Date()
+): Promise<{ user: SessionUser; mergedUserId: string | null; moved: Record<string, number> }> {
+  const { siwe, walletAddress } = await verifySiweSignature(DB, input, now)
+  if (siwe.statement !== WALLET_LINK_STATEMENT) {
+    throw new ApiError('Not a wallet link message', 401)
+  }
+
+  const target = await getLinkUser(DB, 'u.id = ?', userId)
+  if (!target) {
+    throw new ApiError('User not found', 404)
+  }
+  if (target.wallet_address === walletAddress) {
+    throw new ApiError('Wallet already linked to this account', 409)
+  }
+  if (hasLinkedWallet(target)) {
+    throw new ApiError('Unlink the current wallet first', 409)
+  }
+
+  const source = await getLinkUser(DB, 'lower(u.wallet_address) = ?', walletAddress)
+  let moved: Record<string, number> = {}
+  if (source) {
+    await assertMergeable(DB, source, target)
+    moved = await mergeInto(DB, source, target, walletAddress)
+  } else {
+    await DB.batch([
+      DB.prepare(`
+        UPDATE users SET wallet_address = ?, custody_type = 'non_custodial', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(walletAddress, target.id),
+      linkEvent(DB, target.id, 'link', walletAddress, { previous_wallet: target.wallet_address })
+    ])
+  }
+
+  const user = await DB.prepare(`
+    SELECT id, wallet_address, nickname, timezone FROM users WHERE id = ?
+  `).bind(target.id).first<SessionUser>()
+  return { user: user!, mergedUserId: source?.id ?? null, moved }
+}
+
+/**
+ * Detach the linked wallet. Only accounts that can still sign in another way
+ * (social login) may do this; the custodial wallet, if any, becomes primary again.
+ * Records that were merged in stay with the account.
+ */
+export async function unlinkWallet(DB: D1Database, userId: string): Promise<SessionUser> {
+  const user = await getLinkUser(DB, 'u.id = ?', userId)
+  if (!user) {
+    throw new ApiError('User not found', 404)
+  }
+  if (!hasLinkedWallet(user)) {
+    throw new ApiError('No linked wallet to unlink', 409)
+  }
+  if (!user.social_id) {
+    throw new ApiError('This wallet is the only way to sign in to the account', 409)
+  }
+
+  await DB.batch([
+    DB.prepare(`
+      UPDATE users SET wallet_address = ?, custody_type = 'custodial', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).bind(user.custodial_address, user.id),
+    // Wallet sessions no longer belong to this account
+    DB.prepare(`DELETE FROM auth_sessions WHERE user_id = ? AND auth_method = 'siwe'`).bind(user.id),
+    linkEvent(DB, user.id, 'unlink', user.wallet_address, { restored_wallet: user.custodial_address })
+  ])
+
+  return {
+    id: user.id,
+    wallet_address: user.custodial_address,
+    nickname: user.nickname,
+    timezone: user.timezone
+  }
+}
+
+/**
+ * The account's link, unlink and merge history, newest first
+ */
+export async function listLinkEvents(DB: D1Database, userId: string) {
+  const result = await DB.prepare(`
+    SELECT id, action, wallet_address, merged_user_id, details, created_at
+    FROM account_link_events
+    WHERE user_id = ?
+    ORDER BY created_at DESC, rowid DESC
+  `).bind(userId).all<{ details: string | null }>()
+
+  return (result.results || []).map(event => ({
+    ...event,
+    details: event.details ? JSON.parse(event.details) : null
+  }))
+}
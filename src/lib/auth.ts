@@ -0,0 +1,283 @@
+// 작심삼일 RUN DAO - Sign-In with Ethereum (EIP-4361) and sessions
+// The wallet signs a SIWE message carrying a one-time nonce; on success the
+// Worker issues an HttpOnly session cookie that the middleware below resolves.
+// Social logins (./social-auth) end in the same kind of session.
+
+import type { Context } from 'hono'
+import { deleteCookie, getCookie, setCookie } from 'hono/cookie'
+import { createMiddleware } from 'hono/factory'
+import { getAddress, verifyMessage } from 'ethers'
+import { createId, fromSqlDateTime, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { randomToken, sha256Hex } from './crypto'
+
+export type SessionUser = {
+  id: string
+  wallet_address: string | null // null until a social user gets a wallet
+  nickname: string | null
+  timezone: string | null
+}
+
+export type AuthVariables = {
+  user: SessionUser | null
+}
+
+export type SiweMessage = {
+  domain: string
+  address: string
+  statement: string | null
+  uri: string
+  version: string
+  chainId: number
+  nonce: string
+  issuedAt: string
+  expirationTime: string | null
+  notBefore: string | null
+}
+
+export type AuthMethod = 'siwe' | 'apple' | 'google' | 'kakao'
+
+export const SESSION_COOKIE = 'rundao_session'
+
+const NONCE_TTL_MS = 10 * 60 * 1000
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const WRITE_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE'])
+// Writes that authenticate some other way (signature, provider callbacks)
+const PUBLIC_WRITE_PREFIXES = ['/api/auth/', '/api/webhooks/', '/api/oracle/']
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:'
+
+// Statement of the message that links a wallet to the signed-in account
+// (./account-links). Such a message can never be used to sign in.
+export const WALLET_LINK_STATEMENT = '이 지갑을 작심삼일 RUN DAO 계정에 연결합니다.'
+
+/**
+ * Issue a one-time nonce for the next SIWE message
+ */
+export async function createNonce(DB: D1Database): Promise<string> {
+  const nonce = randomToken()
+  await DB.prepare(`INSERT INTO auth_nonces (nonce) VALUES (?)`).bind(nonce).run()
+  return nonce
+}
+
+/**
+ * Parse an EIP-4361 message into its fields
+ */
+export function parseSiweMessage(message: string): SiweMessage {
+  const lines = message.split('\n')
+  if (!lines[0]?.endsWith(HEADER_SUFFIX) || !lines[1]) {
+    throw new ApiError('Malformed SIWE message')
+  }
+
+  const fields = new Map<string, string>()
+  for (const line of lines.slice(2)) {
+    const separator = line.indexOf(': ')
+    if (separator > 0) fields.set(line.slice(0, separator), line.slice(separator + 2))
+  }
+  // The optional statement sits between the address and the URI field
+  const statement = lines[2] === '' && lines[3] && !lines[3].startsWith('URI: ') ? lines[3] : null
+
+  const required = (name: string) => {
+    const value = fields.get(name)
+    if (!value) throw new ApiError(`SIWE message is missing ${name}`)
+    return value
+  }
+
+  return {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement,
+    uri: required('URI'),
+    version: required('Version'),
+    chainId: Number(required('Chain ID')),
+    nonce: required('Nonce'),
+    issuedAt: required('Issued At'),
+    expirationTime: fields.get('Expiration Time') ?? null,
+    notBefore: fields.get('Not Before') ?? null
+  }
+}
+
+/**
+ * Verify a signed SIWE message for this host and consume its nonce.
+ * Returns the parsed message and the signer's lowercase address.
+ */
+export async function verifySiweSignature(
+  DB: D1Database,
+  input: { message?: string; signature?: string; host: string },
+  now = new Date()
+): Promise<{ siwe: SiweMessage; walletAddress: string }> {
+  if (!input.message || !input.signature) {
+    throw new ApiError('message and signature are required')
+  }
+
+  const siwe = parseSiweMessage(input.message)
+  if (siwe.domain !== input.host) {
+    throw new ApiError('SIWE domain does not match this site', 401)
+  }
+  if (siwe.version !== '1' || !Number.isInteger(siwe.chainId)) {
+    throw new ApiError('Unsupported SIWE version or chain ID')
+  }
+
+  let address: string
+  try {
+    address = getAddress(siwe.address)
+  } catch {
+    throw new ApiError('Invalid address in SIWE message')
+  }
+
+  const issuedAt = new Date(siwe.issuedAt)
+  if (Number.isNaN(issuedAt.getTime()) || Math.abs(now.getTime() - issuedAt.getTime()) > NONCE_TTL_MS) {
+    throw new ApiError('SIWE message is too old', 401)
+  }
+  if (siwe.expirationTime && new Date(siwe.expirationTime) <= now) {
+    throw new ApiError('SIWE message has expired', 401)
+  }
+  if (siwe.notBefore && new Date(siwe.notBefore) > now) {
+    throw new ApiError('SIWE message is not valid yet', 401)
+  }
+
+  let signer: string
+  try {
+    signer = verifyMessage(input.message, input.signature)
+  } catch {
+    throw new ApiError('Invalid signature', 401)
+  }
+  if (signer !== address) {
+    throw new ApiError('Signature does not match the SIWE address', 401)
+  }
+
+  // Consume the nonce last so a bad signature cannot burn someone else's nonce
+  const nonce = await DB.prepare(`
+    DELETE FROM auth_nonces WHERE nonce = ? RETURNING created_at
+  `).bind(siwe.nonce).first<{ created_at: string }>()
+
+  if (!nonce || now.getTime() - fromSqlDateTime(nonce.created_at).getTime() > NONCE_TTL_MS) {
+    throw new ApiError('Invalid or expired nonce', 401)
+  }
+
+  return { siwe, walletAddress: address.toLowerCase() }
+}
+
+/**
+ * Verify a signed SIWE message and start a session.
+ * Users are created on their first sign-in.
+ */
+export async function signInWithEthereum(
+  DB: D1Database,
+  input: { message?: string; signature?: string; host: string; userAgent?: string | null },
+  now = new Date()
+): Promise<{ token: string; user: SessionUser; created: boolean; expiresAt: Date }> {
+  const { siwe, walletAddress } = await verifySiweSignature(DB, input, now)
+  if (siwe.statement === WALLET_LINK_STATEMENT) {
+    throw new ApiError('Wallet link messages cannot be used to sign in', 401)
+  }
+
+  let user = await DB.prepare(`
+    SELECT id, wallet_address, nickname, timezone FROM users WHERE lower(wallet_address) = ?
+  `).bind(walletAddress).first<SessionUser>()
+
+  const created = !user
+  if (!user) {
+    user = { id: createId('user'), wallet_address: walletAddress, nickname: null, timezone: null }
+    await DB.prepare(`
+      INSERT INTO users (id, wallet_address, custody_type) VALUES (?, ?, 'non_custodial')
+    `).bind(user.id, walletAddress).run()
+  }
+
+  const { token, expiresAt } = await createSession(DB, user.id, {
+    authMethod: 'siwe',
+    walletAddress,
+    chainId: siwe.chainId,
+    userAgent: input.userAgent
+  }, now)
+
+  return { token, user, created, expiresAt }
+}
+
+/**
+ * Start a session for a signed-in user; only the token's hash is stored
+ */
+export async function createSession(
+  DB: D1Database,
+  userId: string,
+  details: { authMethod: AuthMethod; walletAddress?: string | null; chainId?: number | null; userAgent?: string | null },
+  now = new Date()
+): Promise<{ token: string; expiresAt: Date }> {
+  const token = randomToken(32)
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_MS)
+  await DB.prepare(`
+    INSERT INTO auth_sessions (id, user_id, auth_method, wallet_address, chain_id, user_agent, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    await sha256Hex(token), userId, details.authMethod, details.walletAddress ?? null,
+    details.chainId ?? null, details.userAgent ?? null, toSqlDateTime(expiresAt)
+  ).run()
+
+  return { token, expiresAt }
+}
+
+/**
+ * Look up the user behind a session token, ignoring expired sessions
+ */
+export async function getSessionUser(DB: D1Database, token: string, now = new Date()): Promise<SessionUser | null> {
+  return DB.prepare(`
+    SELECT u.id, u.wallet_address, u.nickname, u.timezone
+    FROM auth_sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.id = ? AND datetime(s.expires_at) > datetime(?)
+  `).bind(await sha256Hex(token), toSqlDateTime(now)).first<SessionUser>()
+}
+
+/**
+ * End a session
+ */
+export async function deleteSession(DB: D1Database, token: string) {
+  await DB.prepare(`DELETE FROM auth_sessions WHERE id = ?`).bind(await sha256Hex(token)).run()
+}
+
+/**
+ * Set the HttpOnly session cookie
+ */
+export function setSessionCookie(c: Context, token: string, expiresAt: Date) {
+  setCookie(c, SESSION_COOKIE, token, {
+    path: '/',
+    httpOnly: true,
+    secure: new URL(c.req.url).protocol === 'https:',
+    sameSite: 'Lax',
+    expires: expiresAt
+  })
+}
+
+export function clearSessionCookie(c: Context) {
+  deleteCookie(c, SESSION_COOKIE, { path: '/' })
+}
+
+/**
+ * Resolve c.get('user') from the session cookie and require it for API writes
+ */
+export const sessionMiddleware = createMiddleware<{
+  Bindings: { DB: D1Database }
+  Variables: AuthVariables
+}>(async (c, next) => {
+  const token = getCookie(c, SESSION_COOKIE)
+  const user = token ? await getSessionUser(c.env.DB, token) : null
+  c.set('user', user)
+
+  const isPublicWrite = PUBLIC_WRITE_PREFIXES.some(prefix => c.req.path.startsWith(prefix))
+  if (!user && WRITE_METHODS.has(c.req.method) && !isPublicWrite) {
+    return c.json({ error: 'Authentication required' }, 401)
+  }
+
+  await next()
+})
+
+/**
+ * The signed-in user, for routes that need one on reads as well
+ */
+export function requireUser<E extends { Variables: AuthVariables }>(c: Context<E>): SessionUser {
+  const user = c.get('user')
+  if (!user) {
+    throw new ApiError('Authentication required', 401)
+  }
+  return user
+}
@@ -0,0 +1,478 @@
+// 작심삼일 RUN DAO - On-chain event indexer
+// Runs from the Cron Trigger: reads QuestFactory, EscrowVault and MedalNFT logs
+// (addresses from the CHAIN_NETWORK deployment manifest) with eth_getLogs, from the stored block cursor up to the head minus the
+// confirmation depth, and stores them in chain_events. Stored events are then
+// reconciled into the D1 rows they describe (contract IDs, stake, refund and
+// settlement transactions, minted medals, posted run roots). Events whose rows do not exist yet
+// are retried on later runs, so the indexer can run ahead of the app.
+//
+// Reorgs: only confirmed blocks are read, and the hash of the cursor block is
+// kept. If it changes, the cursor moves back, events above it are reverted and
+// deleted, and the next run reads those blocks again.
+
+import { Interface, getAddress, type LogDescription } from 'ethers'
+import { createId, toSqlDateTime } from './db'
+import { assertAbi, assertDeployedCode, getDeployment, type DeploymentEnv, type DeploymentManifest } from './deployments'
+import { ApiError } from './errors'
+
+export type IndexerEnv = DeploymentEnv & {
+  CHAIN_RPC_URL?: string
+  INDEXER_START_BLOCK?: string
+  INDEXER_CONFIRMATIONS?: string
+  INDEXER_BLOCK_RANGE?: string
+}
+
+export type IndexerConfig = {
+  rpcUrl: string
+  deployment: DeploymentManifest
+  contracts: { questFactory: string; escrowVault: string; medalNft: string }
+  startBlock: number
+  confirmations: number
+  blockRange: number
+}
+
+export type SyncResult = {
+  chainId: number
+  fromBlock: number | null
+  toBlock: number | null
+  stored: number
+  applied: number
+  unmatched: number
+  reorg: { from: number; to: number } | null
+}
+
+type RpcLog = {
+  address: string
+  topics: string[]
+  data: string
+  blockNumber: string
+  blockHash: string
+  transactionHash: string
+  logIndex: string
+  removed?: boolean
+}
+
+type StoredEvent = {
+  id: string
+  event_name: string
+  contract_address: string
+  tx_hash: string
+  block_number: number
+  block_time: string
+  args: string
+  target_id: string | null
+  attempts: number
+}
+
+// Event signatures the indexer decodes; the manifest ABIs must declare them as is
+const QUEST_FACTORY_EVENTS = new Interface([
+  'event QuestCreated(uint256 indexed questId, address indexed creator, string title, uint256 stakeAmount, address stakeToken)',
+  'event QuestJoined(uint256 indexed questId, address indexed participant, uint256 stakedAmount)',
+  'event QuestCompleted(uint256 indexed questId, address[] winners, address[] losers, uint256 totalStaked)',
+  'event RunRootPosted(uint256 indexed day, bytes32 root, uint256 runCount)'
+])
+const ESCROW_VAULT_EVENTS = new Interface([
+  'event RewardsDistributed(uint256 indexed questId, address indexed token, uint256 totalAmount, uint256 winnersCount, uint256 winnersReward, uint256 daoAmount, uint256 protocolFee)',
+  'event ParticipantRefunded(uint256 indexed questId, address indexed participant, address indexed token, uint256 amount)'
+])
+const MEDAL_NFT_EVENTS = new Interface([
+  'event MedalMinted(uint256 indexed tokenId, address indexed recipient, uint256 indexed questId, uint8 medalType, uint8 rarity)'
+])
+
+const EVENT_TOPICS: string[] = []
+for (const events of [QUEST_FACTORY_EVENTS, ESCROW_VAULT_EVENTS, MEDAL_NFT_EVENTS]) {
+  events.forEachEvent(event => EVENT_TOPICS.push(event.topicHash))
+}
+
+// MedalNFT.MedalType by index; seasonal medals are special ones in D1
+const MEDAL_TYPES = ['gold', 'grey', 'special', 'special']
+
+const DEFAULT_CONFIRMATIONS = 12
+const DEFAULT_BLOCK_RANGE = 2000
+const MAX_RANGES_PER_RUN = 5
+const APPLY_BATCH_SIZE = 200
+// Hourly runs: give the app a day to create the rows an event refers to
+const MAX_APPLY_ATTEMPTS = 24
+
+/**
+ * Indexer settings, or null when no RPC or network is configured. Throws if the
+ * manifest's ABIs no longer declare the events the indexer decodes.
+ */
+export function getIndexerConfig(env: IndexerEnv): IndexerConfig | null {
+  const deployment = getDeployment(env)
+  if (!env.CHAIN_RPC_URL || !deployment) {
+    return null
+  }
+  assertAbi(deployment, 'QuestFactory', QUEST_FACTORY_EVENTS)
+  assertAbi(deployment, 'EscrowVault', ESCROW_VAULT_EVENTS)
+  assertAbi(deployment, 'MedalNFT', MEDAL_NFT_EVENTS)
+
+  const number = (value: string | undefined, fallback: number, name: string) => {
+    const parsed = value ? Number(value) : fallback
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new ApiError(`${name} must be a non-negative integer`, 500)
+    }
+    return parsed
+  }
+  return {
+    rpcUrl: env.CHAIN_RPC_URL,
+    deployment,
+    contracts: {
+      questFactory: getAddress(deployment.contracts.QuestFactory.address),
+      escrowVault: getAddress(deployment.contracts.EscrowVault.address),
+      medalNft: getAddress(deployment.contracts.MedalNFT.address)
+    },
+    startBlock: number(env.INDEXER_START_BLOCK, deployment.deployBlock, 'INDEXER_START_BLOCK'),
+    confirmations: number(env.INDEXER_CONFIRMATIONS, DEFAULT_CONFIRMATIONS, 'INDEXER_CONFIRMATIONS'),
+    blockRange: Math.max(1, number(env.INDEXER_BLOCK_RANGE, DEFAULT_BLOCK_RANGE, 'INDEXER_BLOCK_RANGE'))
+  }
+}
+
+/**
+ * JSON-RPC call to CHAIN_RPC_URL; errors become 502s
+ */
+export async function rpc<T>(config: { rpcUrl: string }, method: string, params: unknown[]): Promise<T> {
+  const response = await fetch(config.rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  })
+  if (!response.ok) {
+    throw new ApiError(`RPC request failed (${response.status})`, 502)
+  }
+  const body = await response.json() as { result?: T; error?: { message: string } }
+  if (body.error) {
+    throw new ApiError(`RPC ${method} failed: ${body.error.message}`, 502)
+  }
+  return body.result as T
+}
+
+/**
+ * Call a view function at the latest block and decode its result
+ */
+export async function callContract(
+  config: { rpcUrl: string },
+  address: string,
+  contract: Interface,
+  fn: string,
+  args: unknown[] = []
+) {
+  const data = await rpc<string>(config, 'eth_call', [{ to: address, data: contract.encodeFunctionData(fn, args) }, 'latest'])
+  return contract.decodeFunctionResult(fn, data)
+}
+
+const toHex = (value: number) => `0x${value.toString(16)}`
+
+async function getBlock(config: IndexerConfig, blockNumber: number): Promise<{ hash: string; time: string }> {
+  const block = await rpc<{ hash: string; timestamp: string } | null>(config, 'eth_getBlockByNumber', [toHex(blockNumber), false])
+  if (!block) {
+    throw new ApiError(`Block ${blockNumber} not found`, 502)
+  }
+  return { hash: block.hash, time: toSqlDateTime(new Date(Number(block.timestamp) * 1000)) }
+}
+
+function decodeLog(config: IndexerConfig, log: RpcLog): LogDescription | null {
+  const address = getAddress(log.address)
+  const events = address === config.contracts.questFactory ? QUEST_FACTORY_EVENTS
+    : address === config.contracts.escrowVault ? ESCROW_VAULT_EVENTS
+    : address === config.contracts.medalNft ? MEDAL_NFT_EVENTS
+    : null
+  return events?.parseLog({ topics: log.topics, data: log.data }) ?? null
+}
+
+// Named event arguments as JSON, with integers as decimal strings
+function argsJson(event: LogDescription): string {
+  const args: Record<string, unknown> = {}
+  event.fragment.inputs.forEach((input, index) => {
+    const value = event.args[index]
+    args[input.name] = Array.isArray(value) ? [...value].map(String) : typeof value === 'bigint' ? value.toString() : value
+  })
+  return JSON.stringify(args)
+}
+
+/**
+ * Index confirmed blocks from the cursor on (up to MAX_RANGES_PER_RUN ranges of
+ * blockRange blocks) and apply pending events
+ */
+export async function syncChainEvents(DB: D1Database, config: IndexerConfig): Promise<SyncResult> {
+  const chainId = Number(await rpc<string>(config, 'eth_chainId', []))
+  if (chainId !== config.deployment.chainId) {
+    throw new ApiError(`CHAIN_RPC_URL serves chain ${chainId}, not ${config.deployment.network} (${config.deployment.chainId})`, 500)
+  }
+  await assertDeployedCode(config.deployment, address => rpc<string>(config, 'eth_getCode', [address, 'latest']))
+  const head = Number(await rpc<string>(config, 'eth_blockNumber', []))
+  const safeBlock = head - config.confirmations
+
+  const cursor = await DB.prepare(`
+    SELECT last_block, last_block_hash FROM chain_sync_state WHERE chain_id = ?
+  `).bind(chainId).first<{ last_block: number; last_block_hash: string | null }>()
+  let lastBlock = cursor?.last_block ?? config.startBlock - 1
+  const result: SyncResult = { chainId, fromBlock: null, toBlock: null, stored: 0, applied: 0, unmatched: 0, reorg: null }
+
+  // A cursor block that changed (or is gone, as after a local node restart) means a reorg
+  if (cursor?.last_block_hash && lastBlock >= 0) {
+    const currentHash = lastBlock <= head ? (await getBlock(config, lastBlock)).hash : null
+    if (currentHash !== cursor.last_block_hash) {
+      result.reorg = await rewind(DB, config, chainId, lastBlock, head)
+      return result
+    }
+  }
+
+  for (let range = 0; range < MAX_RANGES_PER_RUN && lastBlock < safeBlock; range++) {
+    const fromBlock = lastBlock + 1
+    const toBlock = Math.min(safeBlock, lastBlock + config.blockRange)
+    result.stored += await indexRange(DB, config, chainId, fromBlock, toBlock)
+    result.fromBlock ??= fromBlock
+    result.toBlock = lastBlock = toBlock
+  }
+
+  const { applied, unmatched } = await applyPendingEvents(DB, config, chainId)
+  return { ...result, applied, unmatched }
+}
+
+// Store the range's events and move the cursor to its last block, in one batch
+async function indexRange(
+  DB: D1Database,
+  config: IndexerConfig,
+  chainId: number,
+  fromBlock: number,
+  toBlock: number
+): Promise<number> {
+  const logs = await rpc<RpcLog[]>(config, 'eth_getLogs', [{
+    fromBlock: toHex(fromBlock),
+    toBlock: toHex(toBlock),
+    address: Object.values(config.contracts),
+    topics: [EVENT_TOPICS]
+  }])
+
+  // Block times for events, and the hash of the new cursor block
+  const blocks = new Map<number, { hash: string; time: string }>()
+  for (const blockNumber of new Set([...logs.map(log => Number(log.blockNumber)), toBlock])) {
+    blocks.set(blockNumber, await getBlock(config, blockNumber))
+  }
+
+  const statements: D1PreparedStatement[] = []
+  for (const log of logs) {
+    const event = log.removed ? null : decodeLog(config, log)
+    if (!event) continue
+    const blockNumber = Number(log.blockNumber)
+    statements.push(DB.prepare(`
+      INSERT INTO chain_events (
+        id, chain_id, block_number, block_hash, block_time, tx_hash, log_index,
+        contract_address, event_name, args
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (chain_id, tx_hash, log_index) DO NOTHING
+    `).bind(
+      createId('chain_event'), chainId, blockNumber, log.blockHash, blocks.get(blockNumber)!.time,
+      log.transactionHash, Number(log.logIndex), getAddress(log.address), event.name, argsJson(event)
+    ))
+  }
+  const stored = statements.length
+  statements.push(DB.prepare(`
+    INSERT INTO chain_sync_state (chain_id, last_block, last_block_hash) VALUES (?1, ?2, ?3)
+    ON CONFLICT (chain_id) DO UPDATE SET last_block = ?2, last_block_hash = ?3, updated_at = CURRENT_TIMESTAMP
+  `).bind(chainId, toBlock, blocks.get(toBlock)!.hash))
+  await DB.batch(statements)
+  return stored
+}
+
+// Move the cursor back past the confirmation depth and undo what was indexed above it
+async function rewind(DB: D1Database, config: IndexerConfig, chainId: number, lastBlock: number, head: number) {
+  const to = Math.max(config.startBlock - 1, Math.min(head, lastBlock - Math.max(config.confirmations, 1) * 2))
+  const removed = await DB.prepare(`
+    SELECT id, event_name, contract_address, tx_hash, block_number, block_time, args, target_id, attempts
+    FROM chain_events WHERE chain_id = ? AND block_number > ?
+  `).bind(chainId, to).all<StoredEvent>()
+
+  const statements = (removed.results || []).flatMap(event => event.target_id ? [revertStatement(DB, event)] : [])
+  statements.push(
+    DB.prepare(`DELETE FROM chain_events WHERE chain_id = ? AND block_number > ?`).bind(chainId, to),
+    DB.prepare(`
+      UPDATE chain_sync_state SET last_block = ?, last_block_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE chain_id = ?
+    `).bind(to, to >= 0 ? (await getBlock(config, to)).hash : null, chainId)
+  )
+  await DB.batch(statements)
+  return { from: lastBlock, to }
+}
+
+/**
+ * Reconcile stored events into D1, oldest first. An event that refers to rows
+ * the app has not created stays pending until MAX_APPLY_ATTEMPTS runs have passed.
+ */
+export async function applyPendingEvents(
+  DB: D1Database,
+  config: IndexerConfig,
+  chainId: number
+): Promise<{ applied: number; unmatched: number }> {
+  const pending = await DB.prepare(`
+    SELECT id, event_name, contract_address, tx_hash, block_number, block_time, args, target_id, attempts
+    FROM chain_events
+    WHERE chain_id = ? AND status = 'pending'
+    ORDER BY block_number ASC, log_index ASC
+    LIMIT ?
+  `).bind(chainId, APPLY_BATCH_SIZE).all<StoredEvent>()
+
+  let applied = 0
+  let unmatched = 0
+  for (const event of pending.results || []) {
+    const target = await findTarget(DB, event, config.contracts.questFactory)
+    if (target) {
+      await DB.batch([
+        applyStatement(DB, event, target),
+        DB.prepare(`
+          UPDATE chain_events SET status = 'applied', target_id = ?, attempts = attempts + 1, applied_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(target, event.id)
+      ])
+      applied++
+    } else {
+      const giveUp = event.attempts + 1 >= MAX_APPLY_ATTEMPTS
+      await DB.prepare(`
+        UPDATE chain_events SET attempts = attempts + 1, status = ? WHERE id = ?
+      `).bind(giveUp ? 'unmatched' : 'pending', event.id).run()
+      if (giveUp) unmatched++
+    }
+  }
+  return { applied, unmatched }
+}
+
+// ID of the D1 row an event belongs to, or null if it does not exist (yet)
+async function findTarget(DB: D1Database, event: StoredEvent, questFactory: string): Promise<string | null> {
+  const args = JSON.parse(event.args)
+  const row = (sql: string, ...values: unknown[]) =>
+    DB.prepare(sql).bind(...values).first<{ id: string }>().then(found => found?.id ?? null)
+
+  // Quest IDs in every contract are QuestFactory's
+  const questSql = `SELECT id FROM quests WHERE contract_address = ? AND contract_quest_id = ?`
+
+  switch (event.event_name) {
+    case 'QuestCreated':
+      // The app creates the D1 quest with the same title by the creator's wallet
+      return row(`
+        SELECT q.id FROM quests q JOIN users u ON q.creator_id = u.id
+        WHERE q.contract_quest_id IS NULL AND lower(u.wallet_address) = lower(?) AND q.title = ?
+        ORDER BY q.created_at ASC, q.id ASC
+        LIMIT 1
+      `, args.creator, args.title)
+    case 'QuestJoined':
+    case 'ParticipantRefunded': {
+      // The participant may have staked from a wallet the user has since
+      // replaced (linked another, or exported the custodial one)
+      const questId = await row(questSql, questFactory, Number(args.questId))
+      return questId && row(`
+        SELECT p.id FROM participations p JOIN users u ON p.user_id = u.id
+        WHERE p.quest_id = ?1 AND (p.staked_address IS NULL OR p.staked_address = lower(?2)) AND (
+          lower(u.wallet_address) = lower(?2)
+          OR EXISTS (SELECT 1 FROM custodial_wallets cw WHERE cw.user_id = u.id AND cw.address = lower(?2))
+          OR EXISTS (
+            SELECT 1 FROM account_link_events le
+            WHERE le.user_id = u.id
+              AND (lower(le.wallet_address) = lower(?2) OR lower(json_extract(le.details, '$.previous_wallet')) = lower(?2))
+          )
+        )
+        ORDER BY p.staked_address IS NULL ASC, lower(u.wallet_address) = lower(?2) DESC
+        LIMIT 1
+      `, questId, args.participant)
+    }
+    case 'QuestCompleted':
+    case 'RewardsDistributed': {
+      const questId = await row(questSql, questFactory, Number(args.questId))
+      return questId && row(`
+        SELECT id FROM settlements WHERE quest_id = ? ORDER BY batch_number ASC LIMIT 1
+      `, questId)
+    }
+    case 'MedalMinted': {
+      const questId = await row(questSql, questFactory, Number(args.questId))
+      return questId && row(`
+        SELECT m.id FROM nft_medals m JOIN users u ON m.user_id = u.id
+        WHERE m.quest_id = ? AND lower(u.wallet_address) = lower(?) AND m.medal_type = ?
+          AND (m.token_id IS NULL OR m.token_id = ?)
+        ORDER BY m.token_id IS NULL ASC, m.created_at ASC
+        LIMIT 1
+      `, questId, args.recipient, MEDAL_TYPES[Number(args.medalType)] ?? 'special', Number(args.tokenId))
+    }
+    case 'RunRootPosted':
+      return row(`
+        SELECT id FROM run_proof_batches WHERE lower(contract_address) = lower(?) AND day = ? AND root = ?
+      `, event.contract_address, Number(args.day), String(args.root).toLowerCase())
+    default:
+      return null
+  }
+}
+
+function applyStatement(DB: D1Database, event: StoredEvent, targetId: string): D1PreparedStatement {
+  const args = JSON.parse(event.args)
+  switch (event.event_name) {
+    case 'QuestCreated':
+      return DB.prepare(`
+        UPDATE quests SET contract_address = ?, contract_quest_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(event.contract_address, Number(args.questId), targetId)
+    case 'QuestJoined':
+      return DB.prepare(`
+        UPDATE participations SET stake_tx_hash = ?1, staked_tx_hash = ?1, staked_address = lower(?2) WHERE id = ?3
+      `).bind(event.tx_hash, args.participant, targetId)
+    case 'ParticipantRefunded':
+      return DB.prepare(`UPDATE participations SET refund_tx_hash = ? WHERE id = ?`).bind(event.tx_hash, targetId)
+    case 'MedalMinted':
+      return DB.prepare(`
+        UPDATE nft_medals SET token_id = ?, contract_address = ?, mint_tx_hash = ?, minted_at = ? WHERE id = ?
+      `).bind(Number(args.tokenId), event.contract_address, event.tx_hash, event.block_time, targetId)
+    case 'RunRootPosted':
+      return DB.prepare(`
+        UPDATE run_proof_batches SET status = 'posted', tx_hash = ?, block_number = ?, last_error = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(event.tx_hash, event.block_number, targetId)
+    default: // QuestCompleted, RewardsDistributed (same transaction)
+      return DB.prepare(`
+        UPDATE settlements SET tx_hash = ?, block_number = ? WHERE id = ?
+      `).bind(event.tx_hash, event.block_number, targetId)
+  }
+}
+
+function revertStatement(DB: D1Database, event: StoredEvent): D1PreparedStatement {
+  switch (event.event_name) {
+    case 'QuestCreated':
+      return DB.prepare(`
+        UPDATE quests SET contract_address = NULL, contract_quest_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(event.target_id)
+    case 'QuestJoined':
+      return DB.prepare(`
+        UPDATE participations SET staked_address = NULL, staked_tx_hash = NULL, stake_tx_hash = NULLIF(stake_tx_hash, ?2)
+        WHERE id = ?1 AND staked_tx_hash = ?2
+      `).bind(event.target_id, event.tx_hash)
+    case 'ParticipantRefunded':
+      return DB.prepare(`UPDATE participations SET refund_tx_hash = NULL WHERE id = ? AND refund_tx_hash = ?`)
+        .bind(event.target_id, event.tx_hash)
+    case 'MedalMinted':
+      return DB.prepare(`
+        UPDATE nft_medals SET token_id = NULL, contract_address = NULL, mint_tx_hash = NULL, minted_at = NULL
+        WHERE id = ? AND mint_tx_hash = ?
+      `).bind(event.target_id, event.tx_hash)
+    case 'RunRootPosted':
+      // The transaction may be mined again; if not, the oracle resends it
+      return DB.prepare(`
+        UPDATE run_proof_batches SET status = 'submitted', block_number = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND tx_hash = ?
+      `).bind(event.target_id, event.tx_hash)
+    default:
+      return DB.prepare(`UPDATE settlements SET tx_hash = NULL, block_number = NULL WHERE id = ? AND tx_hash = ?`)
+        .bind(event.target_id, event.tx_hash)
+  }
+}
+
+/**
+ * Cursor and event counts per chain, for operators
+ */
+export async function getIndexerStatus(DB: D1Database) {
+  const result = await DB.prepare(`
+    SELECT
+      s.chain_id, s.last_block, s.last_block_hash, s.updated_at,
+      (SELECT COUNT(*) FROM chain_events e WHERE e.chain_id = s.chain_id AND e.status = 'pending') as pending,
+      (SELECT COUNT(*) FROM chain_events e WHERE e.chain_id = s.chain_id AND e.status = 'applied') as applied,
+      (SELECT COUNT(*) FROM chain_events e WHERE e.chain_id = s.chain_id AND e.status = 'unmatched') as unmatched
+    FROM chain_sync_state s
+    ORDER BY s.chain_id
+  `).all()
+  return result.results || []
+}
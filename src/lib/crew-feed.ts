@@ -0,0 +1,97 @@
+// 작심삼일 RUN DAO - Crew activity feed
+// One timeline per crew, newest first: members' runs, joins and completions of
+// the crew's quests, medals minted for them, and kudos given within the crew.
+// Private crews show it to members only; outsiders of a public crew do not see
+// activity on its crew-only quests.
+
+import { decodeCursor, encodeCursor } from './db'
+import { ApiError } from './errors'
+import { getCrewRow, getMembership } from './crews'
+
+export type FeedItemType = 'run' | 'quest_join' | 'quest_completed' | 'medal' | 'kudos'
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 50
+
+/**
+ * One page of a crew's feed and the cursor for the next (null on the last page).
+ * Run items carry their kudos count and whether the viewer already gave one.
+ */
+export async function getCrewFeed(
+  DB: D1Database,
+  crewId: string,
+  viewerId: string | null | undefined,
+  options: { cursor?: string; limit?: string } = {}
+): Promise<{ items: Record<string, unknown>[]; nextCursor: string | null }> {
+  const crew = await getCrewRow(DB, crewId)
+  const membership = viewerId ? await getMembership(DB, crewId, viewerId) : null
+  const isMember = membership?.status === 'active'
+  if (crew.is_private && !isMember) {
+    throw new ApiError('Only members can see this crew\'s feed', 403)
+  }
+
+  const limit = options.limit ? Number(options.limit) : DEFAULT_LIMIT
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(`limit must be between 1 and ${MAX_LIMIT}`)
+  }
+  let before: [string, string] | [null, null] = [null, null]
+  if (options.cursor) {
+    const [occurredAt, key] = decodeCursor(options.cursor)
+    if (typeof occurredAt !== 'string' || typeof key !== 'string') {
+      throw new ApiError('Invalid cursor')
+    }
+    before = [occurredAt, key]
+  }
+
+  // Items are keyed by type and ID, since IDs of different tables could repeat
+  const result = await DB.prepare(`
+    WITH crew_quests AS (
+      SELECT id FROM quests WHERE crew_id = ?1 AND (?3 OR visibility = 'public')
+    ),
+    feed AS (
+      SELECT 'run' as type, r.id, r.user_id, datetime(r.started_at) as occurred_at, NULL as quest_id,
+        r.distance_km, r.duration_sec, NULL as medal_type, NULL as from_user_id, NULL as message
+      FROM run_records r
+      WHERE r.is_suspicious = 0 AND r.user_id IN (
+        SELECT user_id FROM crew_memberships WHERE crew_id = ?1 AND status = 'active'
+      )
+      UNION ALL
+      SELECT 'quest_join', p.id, p.user_id, datetime(p.joined_at), p.quest_id, NULL, NULL, NULL, NULL, NULL
+      FROM participations p WHERE p.quest_id IN (SELECT id FROM crew_quests)
+      UNION ALL
+      SELECT 'quest_completed', p.id, p.user_id, datetime(p.completed_at), p.quest_id, p.total_distance_km, NULL, NULL, NULL, NULL
+      FROM participations p
+      WHERE p.status = 'success' AND p.completed_at IS NOT NULL AND p.quest_id IN (SELECT id FROM crew_quests)
+      UNION ALL
+      SELECT 'medal', m.id, m.user_id, datetime(m.minted_at), m.quest_id, NULL, NULL, m.medal_type, NULL, NULL
+      FROM nft_medals m WHERE m.minted_at IS NOT NULL AND m.quest_id IN (SELECT id FROM crew_quests)
+      UNION ALL
+      SELECT 'kudos', k.id, k.to_user_id, datetime(k.created_at), k.quest_id, NULL, NULL, NULL, k.from_user_id, k.message
+      FROM kudos k WHERE k.crew_id = ?1
+    )
+    SELECT
+      f.type || ':' || f.id as feed_key, f.*,
+      u.nickname, q.title as quest_title, fu.nickname as from_nickname,
+      CASE WHEN f.type = 'run' THEN (SELECT COUNT(*) FROM kudos WHERE run_record_id = f.id) END as kudos_count,
+      CASE WHEN f.type = 'run' THEN EXISTS (
+        SELECT 1 FROM kudos WHERE run_record_id = f.id AND from_user_id = ?2
+      ) END as kudos_given
+    FROM feed f
+    JOIN users u ON f.user_id = u.id
+    LEFT JOIN quests q ON f.quest_id = q.id
+    LEFT JOIN users fu ON f.from_user_id = fu.id
+    WHERE ?4 IS NULL OR f.occurred_at < ?4 OR (f.occurred_at = ?4 AND f.type || ':' || f.id < ?5)
+    ORDER BY f.occurred_at DESC, feed_key DESC
+    LIMIT ?6
+  `).bind(crewId, viewerId ?? null, isMember ? 1 : 0, before[0], before[1], limit + 1).all<Record<string, any>>()
+
+  const items = result.results || []
+  const hasMore = items.length > limit
+  if (hasMore) items.pop()
+
+  const last = items[items.length - 1]
+  return {
+    items,
+    nextCursor: hasMore && last ? encodeCursor([last.occurred_at, last.feed_key]) : null
+  }
+}
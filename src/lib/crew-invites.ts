@@ -0,0 +1,192 @@
+// 작심삼일 RUN DAO - Crew invite links
+// An invite is a random token shared as `/?invite=<token>` (or its QR code).
+// Whoever redeems it while signed in becomes an active member straight away,
+// private crew or not, until it expires, runs out of uses or is revoked.
+// Only the token's SHA-256 is stored, so the link is shown once, at creation.
+
+import { createId, fromSqlDateTime, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { sha256Hex, toBase64Url } from './crypto'
+import { CAN_EDIT, HAS_ROOM, getCrewRow, getMembership, requireRole } from './crews'
+
+export type InviteInput = {
+  expires_in_hours?: number
+  max_uses?: number
+}
+
+type InviteRow = {
+  id: string
+  crew_id: string
+  max_uses: number
+  use_count: number
+  expires_at: string
+  revoked_at: string | null
+}
+
+const DEFAULT_EXPIRY_HOURS = 72
+const MAX_EXPIRY_HOURS = 30 * 24
+const DEFAULT_MAX_USES = 10
+const MAX_USES = 500
+
+/**
+ * Why an invite can no longer be used, or null if it still can
+ */
+function inviteProblem(invite: InviteRow, now: Date): string | null {
+  if (invite.revoked_at) return 'Invite has been revoked'
+  if (fromSqlDateTime(invite.expires_at) <= now) return 'Invite has expired'
+  if (invite.use_count >= invite.max_uses) return 'Invite has been used up'
+  return null
+}
+
+async function findInvite(DB: D1Database, token: string): Promise<InviteRow> {
+  const invite = await DB.prepare(`
+    SELECT id, crew_id, max_uses, use_count, expires_at, revoked_at
+    FROM crew_invites WHERE token_hash = ?
+  `).bind(await sha256Hex(token)).first<InviteRow>()
+
+  if (!invite) {
+    throw new ApiError('Invite not found', 404)
+  }
+  return invite
+}
+
+/**
+ * Create an invite (leader or co-leader). Returns the token, which is not stored.
+ */
+export async function createInvite(
+  DB: D1Database,
+  crewId: string,
+  actorId: string,
+  input: InviteInput,
+  now = new Date()
+): Promise<{ inviteId: string; token: string; expiresAt: Date; maxUses: number }> {
+  await getCrewRow(DB, crewId)
+  await requireRole(DB, crewId, actorId, CAN_EDIT, 'Only the crew leader or a co-leader can create invites')
+
+  const hours = input.expires_in_hours ?? DEFAULT_EXPIRY_HOURS
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+    throw new ApiError(`expires_in_hours must be between 1 and ${MAX_EXPIRY_HOURS}`)
+  }
+  const maxUses = input.max_uses ?? DEFAULT_MAX_USES
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES) {
+    throw new ApiError(`max_uses must be between 1 and ${MAX_USES}`)
+  }
+
+  // 18 random bytes: 24 URL-safe characters keeps the QR code small
+  const token = toBase64Url(crypto.getRandomValues(new Uint8Array(18)))
+  const inviteId = createId('crew_invite')
+  const expiresAt = new Date(now.getTime() + hours * 60 * 60 * 1000)
+
+  await DB.prepare(`
+    INSERT INTO crew_invites (id, crew_id, token_hash, created_by, max_uses, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(inviteId, crewId, await sha256Hex(token), actorId, maxUses, toSqlDateTime(expiresAt)).run()
+
+  return { inviteId, token, expiresAt, maxUses }
+}
+
+/**
+ * A crew's invites, newest first (leader or co-leader)
+ */
+export async function listInvites(DB: D1Database, crewId: string, actorId: string, now = new Date()) {
+  await getCrewRow(DB, crewId)
+  await requireRole(DB, crewId, actorId, CAN_EDIT, 'Only the crew leader or a co-leader can see invites')
+
+  const result = await DB.prepare(`
+    SELECT
+      i.id, i.crew_id, i.max_uses, i.use_count, i.expires_at, i.revoked_at, i.created_at,
+      i.created_by, u.nickname as created_by_name
+    FROM crew_invites i
+    LEFT JOIN users u ON i.created_by = u.id
+    WHERE i.crew_id = ?
+    ORDER BY i.created_at DESC, i.rowid DESC
+  `).bind(crewId).all<InviteRow>()
+
+  return (result.results || []).map(invite => ({
+    ...invite,
+    usable: inviteProblem(invite, now) === null
+  }))
+}
+
+/**
+ * Stop an invite from being used (leader or co-leader)
+ */
+export async function revokeInvite(DB: D1Database, crewId: string, inviteId: string, actorId: string) {
+  await getCrewRow(DB, crewId)
+  await requireRole(DB, crewId, actorId, CAN_EDIT, 'Only the crew leader or a co-leader can revoke invites')
+
+  const result = await DB.prepare(`
+    UPDATE crew_invites SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND crew_id = ? AND revoked_at IS NULL
+  `).bind(inviteId, crewId).run()
+
+  if (!result.meta.changes) {
+    throw new ApiError('Invite not found or already revoked', 404)
+  }
+}
+
+/**
+ * What an invite link leads to, shown before the user signs in
+ */
+export async function previewInvite(DB: D1Database, token: string, now = new Date()) {
+  const invite = await findInvite(DB, token)
+  const crew = await DB.prepare(`
+    SELECT
+      c.id, c.name, c.description, c.region, c.is_private, c.max_members,
+      (SELECT COUNT(*) FROM crew_memberships WHERE crew_id = c.id AND status = 'active') as member_count
+    FROM crews c WHERE c.id = ?
+  `).bind(invite.crew_id).first()
+
+  const problem = inviteProblem(invite, now)
+  return {
+    crew,
+    expires_at: invite.expires_at,
+    usable: problem === null,
+    reason: problem
+  }
+}
+
+/**
+ * Join the invite's crew as an active member. Uses up one redemption; the
+ * invite and the crew's max_members are checked again in the same batch.
+ */
+export async function redeemInvite(
+  DB: D1Database,
+  token: string,
+  userId: string,
+  now = new Date()
+): Promise<{ crewId: string }> {
+  const invite = await findInvite(DB, token)
+  const problem = inviteProblem(invite, now)
+  if (problem) {
+    throw new ApiError(problem, 410)
+  }
+
+  const membership = await getMembership(DB, invite.crew_id, userId)
+  if (membership?.status === 'active') {
+    throw new ApiError('Already a member of this crew', 409)
+  }
+
+  const [claim] = await DB.batch([
+    DB.prepare(`
+      UPDATE crew_invites SET use_count = use_count + 1
+      WHERE id = ?2 AND revoked_at IS NULL AND expires_at > ?3 AND use_count < max_uses AND ${HAS_ROOM}
+    `).bind(invite.crew_id, invite.id, toSqlDateTime(now)),
+    // Only if the invite was claimed above; a pending request or old membership is reactivated
+    DB.prepare(`
+      INSERT INTO crew_memberships (id, crew_id, user_id, role, status, requested_at, joined_at, invite_id)
+      SELECT ?3, ?1, ?4, 'member', 'active', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, ?2
+      WHERE changes() > 0
+      ON CONFLICT (crew_id, user_id) DO UPDATE SET
+        role = 'member', status = 'active', joined_at = CURRENT_TIMESTAMP,
+        invite_id = excluded.invite_id, decided_by = NULL, decided_at = NULL
+      WHERE crew_memberships.status != 'active'
+    `).bind(invite.crew_id, invite.id, createId('membership'), userId)
+  ])
+
+  if (!claim.meta.changes) {
+    const lost = inviteProblem(await findInvite(DB, token), now)
+    throw lost ? new ApiError(lost, 410) : new ApiError('Crew is full', 409)
+  }
+  return { crewId: invite.crew_id }
+}
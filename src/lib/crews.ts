@@ -0,0 +1,414 @@
+// 작심삼일 RUN DAO - Crew management
+// Crews have one leader (mirrored in crews.leader_id), optional co-leaders who
+// help run the crew, and moderators who handle join requests. Public crews are
+// joined directly; private crews go through a 'pending' request first.
+// max_members counts active memberships and is checked in the same statement
+// that activates one, so concurrent joins cannot overfill a crew.
+
+import { createId } from './db'
+import { ApiError } from './errors'
+
+export const CREW_ROLES = ['leader', 'co_leader', 'moderator', 'member'] as const
+export type CrewRole = typeof CREW_ROLES[number]
+
+export type CrewInput = {
+  name?: string
+  description?: string | null
+  region?: string | null
+  is_private?: boolean
+  max_members?: number
+}
+
+type CrewRow = {
+  id: string
+  name: string
+  is_private: number
+  leader_id: string
+  max_members: number
+}
+
+type Membership = {
+  id: string
+  role: CrewRole
+  status: 'pending' | 'active' | 'rejected' | 'left'
+}
+
+const MAX_NAME_LENGTH = 50
+const MAX_CREW_SIZE = 500
+
+// Who may do what; the leader can always do everything
+export const CAN_EDIT: readonly CrewRole[] = ['leader', 'co_leader']
+const CAN_REVIEW_REQUESTS: readonly CrewRole[] = ['leader', 'co_leader', 'moderator']
+
+// Active member count, for statements that must not overfill the crew (crew ID bound as ?1)
+export const HAS_ROOM = `
+  (SELECT COUNT(*) FROM crew_memberships WHERE crew_id = ?1 AND status = 'active')
+    < (SELECT max_members FROM crews WHERE id = ?1)
+`
+
+/**
+ * Load the fields crew rules need, or fail with 404
+ */
+export async function getCrewRow(DB: D1Database, crewId: string): Promise<CrewRow> {
+  const crew = await DB.prepare(`
+    SELECT id, name, is_private, leader_id, max_members FROM crews WHERE id = ?
+  `).bind(crewId).first<CrewRow>()
+
+  if (!crew) {
+    throw new ApiError('Crew not found', 404)
+  }
+  return crew
+}
+
+/**
+ * The user's membership in a crew, whatever its status
+ */
+export async function getMembership(DB: D1Database, crewId: string, userId: string): Promise<Membership | null> {
+  return DB.prepare(`
+    SELECT id, role, status FROM crew_memberships WHERE crew_id = ? AND user_id = ?
+  `).bind(crewId, userId).first<Membership>()
+}
+
+/**
+ * The actor's active membership, if their role is one of `roles`
+ */
+export async function requireRole(
+  DB: D1Database,
+  crewId: string,
+  actorId: string,
+  roles: readonly CrewRole[],
+  message: string
+): Promise<Membership> {
+  const membership = await getMembership(DB, crewId, actorId)
+  if (!membership || membership.status !== 'active' || !roles.includes(membership.role)) {
+    throw new ApiError(message, 403)
+  }
+  return membership
+}
+
+async function activeMemberCount(DB: D1Database, crewId: string): Promise<number> {
+  const row = await DB.prepare(`
+    SELECT COUNT(*) as count FROM crew_memberships WHERE crew_id = ? AND status = 'active'
+  `).bind(crewId).first<{ count: number }>()
+  return row?.count ?? 0
+}
+
+function validateCrewInput(input: CrewInput, partial: boolean) {
+  if (!partial || input.name !== undefined) {
+    const name = input.name?.trim()
+    if (!name) {
+      throw new ApiError('Crew name is required')
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new ApiError(`Crew name must be at most ${MAX_NAME_LENGTH} characters`)
+    }
+  }
+  if (input.max_members !== undefined) {
+    if (!Number.isInteger(input.max_members) || input.max_members < 1 || input.max_members > MAX_CREW_SIZE) {
+      throw new ApiError(`max_members must be between 1 and ${MAX_CREW_SIZE}`)
+    }
+  }
+}
+
+/**
+ * Crew details with its member count and, for a signed-in viewer, their own membership
+ */
+export async function getCrew(DB: D1Database, crewId: string, viewerId?: string | null) {
+  const crew = await DB.prepare(`
+    SELECT
+      c.id, c.name, c.description, c.region, c.is_private, c.max_members,
+      c.leader_id, c.created_at, c.updated_at,
+      u.nickname as leader_name,
+      (SELECT COUNT(*) FROM crew_memberships WHERE crew_id = c.id AND status = 'active') as member_count,
+      (SELECT COUNT(*) FROM crew_memberships WHERE crew_id = c.id AND status = 'pending') as pending_count
+    FROM crews c
+    LEFT JOIN users u ON c.leader_id = u.id
+    WHERE c.id = ?
+  `).bind(crewId).first()
+
+  if (!crew) {
+    throw new ApiError('Crew not found', 404)
+  }
+
+  const membership = viewerId ? await getMembership(DB, crewId, viewerId) : null
+  return {
+    crew,
+    membership: membership ? { role: membership.role, status: membership.status } : null
+  }
+}
+
+/**
+ * Create a crew; the creator becomes its leader
+ */
+export async function createCrew(DB: D1Database, leaderId: string, input: CrewInput): Promise<string> {
+  validateCrewInput(input, false)
+
+  const crewId = createId('crew')
+  await DB.batch([
+    DB.prepare(`
+      INSERT INTO crews (id, name, description, region, is_private, leader_id, max_members)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      crewId, input.name!.trim(), input.description || null, input.region || null,
+      input.is_private ? 1 : 0, leaderId, input.max_members ?? 50
+    ),
+    DB.prepare(`
+      INSERT INTO crew_memberships (id, crew_id, user_id, role, status)
+      VALUES (?, ?, ?, 'leader', 'active')
+    `).bind(createId('membership'), crewId, leaderId)
+  ])
+  return crewId
+}
+
+/**
+ * Change crew settings (leader or co-leader). max_members cannot drop below the current member count.
+ */
+export async function updateCrew(DB: D1Database, crewId: string, actorId: string, input: CrewInput) {
+  await getCrewRow(DB, crewId)
+  await requireRole(DB, crewId, actorId, CAN_EDIT, 'Only the crew leader or a co-leader can edit this crew')
+  validateCrewInput(input, true)
+
+  if (input.max_members !== undefined && input.max_members < await activeMemberCount(DB, crewId)) {
+    throw new ApiError('max_members cannot be lower than the current member count', 409)
+  }
+
+  await DB.prepare(`
+    UPDATE crews
+    SET name = COALESCE(?, name), description = COALESCE(?, description), region = COALESCE(?, region),
+        is_private = COALESCE(?, is_private), max_members = COALESCE(?, max_members),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(
+    input.name?.trim() ?? null, input.description ?? null, input.region ?? null,
+    input.is_private === undefined ? null : (input.is_private ? 1 : 0), input.max_members ?? null, crewId
+  ).run()
+}
+
+/**
+ * Delete a crew (leader only). Crews with quests or quest templates are kept for their history.
+ */
+export async function deleteCrew(DB: D1Database, crewId: string, actorId: string) {
+  const crew = await getCrewRow(DB, crewId)
+  if (crew.leader_id !== actorId) {
+    throw new ApiError('Only the crew leader can delete this crew', 403)
+  }
+
+  const usage = await DB.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM quests WHERE crew_id = ?1) as quests,
+      (SELECT COUNT(*) FROM quest_templates WHERE crew_id = ?1) as templates
+  `).bind(crewId).first<{ quests: number; templates: number }>()
+
+  if (usage?.quests || usage?.templates) {
+    throw new ApiError('Crews with quests cannot be deleted', 409)
+  }
+
+  await DB.batch([
+    DB.prepare(`UPDATE kudos SET crew_id = NULL WHERE crew_id = ?`).bind(crewId),
+    DB.prepare(`DELETE FROM crew_memberships WHERE crew_id = ?`).bind(crewId),
+    DB.prepare(`DELETE FROM crew_invites WHERE crew_id = ?`).bind(crewId),
+    DB.prepare(`DELETE FROM crews WHERE id = ?`).bind(crewId)
+  ])
+}
+
+/**
+ * Join a public crew, or ask to join a private one. Users who left or were
+ * rejected may ask again.
+ */
+export async function requestToJoin(
+  DB: D1Database,
+  crewId: string,
+  userId: string
+): Promise<{ status: 'active' | 'pending' }> {
+  const crew = await getCrewRow(DB, crewId)
+  const existing = await getMembership(DB, crewId, userId)
+
+  if (existing?.status === 'active') {
+    throw new ApiError('Already a member of this crew', 409)
+  }
+  if (existing?.status === 'pending') {
+    throw new ApiError('Join request already pending', 409)
+  }
+
+  const status = crew.is_private ? 'pending' : 'active'
+  const result = await DB.prepare(`
+    INSERT INTO crew_memberships (id, crew_id, user_id, role, status, requested_at, joined_at)
+    SELECT ?2, ?1, ?3, 'member', ?4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    WHERE ?4 = 'pending' OR ${HAS_ROOM}
+    ON CONFLICT (crew_id, user_id) DO UPDATE SET
+      role = 'member', status = excluded.status, requested_at = CURRENT_TIMESTAMP,
+      joined_at = CURRENT_TIMESTAMP, decided_by = NULL, decided_at = NULL
+  `).bind(crewId, createId('membership'), userId, status).run()
+
+  if (!result.meta.changes) {
+    throw new ApiError('Crew is full', 409)
+  }
+  return { status }
+}
+
+/**
+ * Approve or reject a pending join request (leader, co-leader or moderator)
+ */
+export async function decideJoinRequest(
+  DB: D1Database,
+  crewId: string,
+  actorId: string,
+  userId: string,
+  decision: 'approve' | 'reject'
+): Promise<{ status: 'active' | 'rejected' }> {
+  if (decision !== 'approve' && decision !== 'reject') {
+    throw new ApiError('Decision must be approve or reject')
+  }
+
+  await getCrewRow(DB, crewId)
+  await requireRole(DB, crewId, actorId, CAN_REVIEW_REQUESTS, 'Only crew leaders and moderators can review join requests')
+
+  const request = await getMembership(DB, crewId, userId)
+  if (!request || request.status !== 'pending') {
+    throw new ApiError('Join request not found', 404)
+  }
+
+  const status = decision === 'approve' ? 'active' : 'rejected'
+  const result = await DB.prepare(`
+    UPDATE crew_memberships
+    SET status = ?3, decided_by = ?4, decided_at = CURRENT_TIMESTAMP,
+        joined_at = CASE WHEN ?3 = 'active' THEN CURRENT_TIMESTAMP ELSE joined_at END
+    WHERE crew_id = ?1 AND user_id = ?2 AND status = 'pending'
+      AND (?3 = 'rejected' OR ${HAS_ROOM})
+  `).bind(crewId, userId, status, actorId).run()
+
+  if (!result.meta.changes) {
+    const current = await getMembership(DB, crewId, userId)
+    throw current?.status === 'pending'
+      ? new ApiError('Crew is full', 409)
+      : new ApiError('Join request already decided', 409)
+  }
+  return { status }
+}
+
+/**
+ * Make an active member a co-leader, moderator or plain member. The leader can
+ * assign any of these; co-leaders can only move people between moderator and member.
+ * Leadership itself changes hands with transferLeadership.
+ */
+export async function setMemberRole(
+  DB: D1Database,
+  crewId: string,
+  actorId: string,
+  userId: string,
+  role: CrewRole
+) {
+  if (!CREW_ROLES.includes(role) || role === 'leader') {
+    throw new ApiError('Role must be co_leader, moderator or member')
+  }
+  if (actorId === userId) {
+    throw new ApiError('You cannot change your own role', 409)
+  }
+
+  await getCrewRow(DB, crewId)
+  const actor = await requireRole(DB, crewId, actorId, CAN_EDIT, 'Only the crew leader or a co-leader can change roles')
+  const target = await getMembership(DB, crewId, userId)
+
+  if (!target || target.status !== 'active') {
+    throw new ApiError('Member not found', 404)
+  }
+  if (target.role === 'leader') {
+    throw new ApiError('Transfer leadership to change the leader', 409)
+  }
+  if (actor.role !== 'leader' && (role === 'co_leader' || target.role === 'co_leader')) {
+    throw new ApiError('Only the crew leader can appoint or demote co-leaders', 403)
+  }
+
+  await DB.prepare(`
+    UPDATE crew_memberships SET role = ? WHERE crew_id = ? AND user_id = ? AND status = 'active'
+  `).bind(role, crewId, userId).run()
+}
+
+/**
+ * Hand the crew to another active member; the old leader stays on as co-leader
+ */
+export async function transferLeadership(DB: D1Database, crewId: string, actorId: string, newLeaderId: string) {
+  const crew = await getCrewRow(DB, crewId)
+  if (crew.leader_id !== actorId) {
+    throw new ApiError('Only the crew leader can transfer leadership', 403)
+  }
+  if (newLeaderId === actorId) {
+    throw new ApiError('You already lead this crew', 409)
+  }
+
+  const target = await getMembership(DB, crewId, newLeaderId)
+  if (!target || target.status !== 'active') {
+    throw new ApiError('The new leader must be an active member', 409)
+  }
+
+  // The guard on leader_id keeps two concurrent transfers from both applying;
+  // the role updates only follow if this one did
+  const [update] = await DB.batch([
+    DB.prepare(`
+      UPDATE crews SET leader_id = ?3, updated_at = CURRENT_TIMESTAMP WHERE id = ?1 AND leader_id = ?2
+    `).bind(crewId, actorId, newLeaderId),
+    DB.prepare(`
+      UPDATE crew_memberships SET role = CASE user_id WHEN ?3 THEN 'leader' ELSE 'co_leader' END
+      WHERE crew_id = ?1 AND user_id IN (?2, ?3) AND changes() > 0
+    `).bind(crewId, actorId, newLeaderId)
+  ])
+
+  if (!update.meta.changes) {
+    throw new ApiError('Leadership changed in the meantime', 409)
+  }
+}
+
+/**
+ * Leave a crew, or withdraw a pending join request. The leader has to transfer
+ * leadership (or delete the crew) first.
+ */
+export async function leaveCrew(DB: D1Database, crewId: string, userId: string) {
+  const crew = await getCrewRow(DB, crewId)
+  if (crew.leader_id === userId) {
+    throw new ApiError('Transfer leadership or delete the crew before leaving', 409)
+  }
+
+  const membership = await getMembership(DB, crewId, userId)
+  if (!membership || (membership.status !== 'active' && membership.status !== 'pending')) {
+    throw new ApiError('Not a member of this crew', 404)
+  }
+
+  await DB.prepare(`
+    UPDATE crew_memberships SET status = 'left', role = 'member' WHERE id = ?
+  `).bind(membership.id).run()
+}
+
+/**
+ * Active members, leaders first. Pending requests are only listed for those who can review them.
+ */
+export async function listMembers(
+  DB: D1Database,
+  crewId: string,
+  viewerId: string | null,
+  status: 'active' | 'pending' = 'active'
+) {
+  await getCrewRow(DB, crewId)
+  if (status !== 'active' && status !== 'pending') {
+    throw new ApiError('status must be active or pending')
+  }
+  if (status === 'pending') {
+    if (!viewerId) {
+      throw new ApiError('Authentication required', 401)
+    }
+    await requireRole(DB, crewId, viewerId, CAN_REVIEW_REQUESTS, 'Only crew leaders and moderators can see join requests')
+  }
+
+  const result = await DB.prepare(`
+    SELECT
+      cm.user_id, cm.role, cm.status, cm.requested_at, cm.joined_at,
+      u.nickname, u.region
+    FROM crew_memberships cm
+    JOIN users u ON cm.user_id = u.id
+    WHERE cm.crew_id = ? AND cm.status = ?
+    ORDER BY
+      CASE cm.role WHEN 'leader' THEN 0 WHEN 'co_leader' THEN 1 WHEN 'moderator' THEN 2 ELSE 3 END,
+      cm.joined_at ASC
+  `).bind(crewId, status).all()
+
+  return result.results || []
+}
@@ -0,0 +1,38 @@
+// 작심삼일 RUN DAO - Web Crypto helpers
+
+const encoder = new TextEncoder()
+
+export function toHex(bytes: ArrayBuffer | Uint8Array): string {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * SHA-256 digest of a string or binary payload as lowercase hex
+ */
+export async function sha256Hex(data: string | ArrayBuffer | Uint8Array): Promise<string> {
+  const bytes = typeof data === 'string' ? encoder.encode(data) : data
+  return toHex(await crypto.subtle.digest('SHA-256', bytes))
+}
+
+/**
+ * Cryptographically random hex token (OAuth state, nonces)
+ */
+export function randomToken(byteLength = 16): string {
+  return toHex(crypto.getRandomValues(new Uint8Array(byteLength)))
+}
+
+/**
+ * Unpadded base64url, as used by JWTs and PKCE
+ */
+export function toBase64Url(data: string | ArrayBuffer | Uint8Array): string {
+  const bytes = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data)
+  let binary = ''
+  for (const byte of bytes) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export function fromBase64Url(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
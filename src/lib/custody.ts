@@ -0,0 +1,460 @@
+// 작심삼일 RUN DAO - Custodial wallets
+// Social sign-ups get a wallet held by the Worker. Each private key is encrypted
+// with its own random data key, and the data key is wrapped with the
+// CUSTODY_MASTER_KEY secret (envelope encryption), so D1 only stores ciphertext
+// and the address. Keys sign transactions within a per-user daily limit (value
+// plus the most the gas can cost), ERC-20 transfers and approvals within a daily
+// limit per token (no other calls to those tokens), and can be exported once,
+// after which the account is non_custodial.
+
+import { Interface, Transaction, Wallet, getAddress, parseEther } from 'ethers'
+import { createId, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { fromBase64Url, toBase64Url, toHex } from './crypto'
+
+export type CustodyEnv = {
+  CUSTODY_MASTER_KEY?: string // 32 bytes, base64
+  CUSTODY_MASTER_KEY_ID?: string
+  CUSTODY_CHAIN_IDS?: string // comma separated, defaults to Polygon zkEVM testnet
+  CUSTODY_DAILY_LIMIT_WEI?: string // limit new wallets start with
+  CUSTODY_MAX_DAILY_LIMIT_WEI?: string // highest limit a user may set
+  CUSTODY_ALLOWED_TARGETS?: string // optional comma separated allowlist of `to` addresses
+  CUSTODY_TOKEN_DAILY_LIMITS?: string // comma separated `token=amount` (base units); other tokens cannot be moved
+}
+
+export type CustodyConfig = {
+  masterKey: CryptoKey
+  masterKeyId: string
+  chainIds: number[]
+  defaultDailyLimit: bigint
+  maxDailyLimit: bigint
+  allowedTargets: string[] | null
+  tokenDailyLimits: Map<string, bigint> // lowercase token address -> base units
+}
+
+export type SignRequest = {
+  chain_id?: number
+  to?: string
+  value?: string // wei
+  data?: string
+  nonce?: number
+  gas_limit?: string
+  max_fee_per_gas?: string
+  max_priority_fee_per_gas?: string
+}
+
+type WalletRow = {
+  user_id: string
+  address: string
+  encrypted_key: string | null
+  key_iv: string | null
+  wrapped_data_key: string | null
+  data_key_iv: string | null
+  master_key_id: string
+  daily_limit_wei: string
+  status: 'active' | 'exported'
+}
+
+const DEFAULT_CHAIN_IDS = [1442]
+const DEFAULT_DAILY_LIMIT = parseEther('0.1')
+const DEFAULT_MAX_DAILY_LIMIT = parseEther('1')
+const LIMIT_WINDOW_MS = 24 * 60 * 60 * 1000
+
+// ERC-20 calls that move the wallet's tokens or let someone else move them; the
+// amount is always the last argument
+const TOKEN_FUNCTIONS = new Interface([
+  'function transfer(address to, uint256 amount)',
+  'function transferFrom(address from, address to, uint256 amount)',
+  'function approve(address spender, uint256 amount)',
+  'function increaseAllowance(address spender, uint256 addedValue)'
+])
+
+function parseWei(value: string | number | bigint | undefined | null, field: string): bigint {
+  try {
+    const wei = BigInt(value ?? 0)
+    if (wei < 0n) throw new Error()
+    return wei
+  } catch {
+    throw new ApiError(`${field} must be a non-negative integer`)
+  }
+}
+
+/**
+ * Read custody settings and import the master key
+ */
+export async function getCustodyConfig(env: CustodyEnv): Promise<CustodyConfig> {
+  if (!env.CUSTODY_MASTER_KEY) {
+    throw new ApiError('Custodial wallets are not configured', 503)
+  }
+
+  let raw: Uint8Array
+  try {
+    raw = fromBase64Url(env.CUSTODY_MASTER_KEY.trim())
+  } catch {
+    raw = new Uint8Array()
+  }
+  if (raw.length !== 32) {
+    throw new ApiError('CUSTODY_MASTER_KEY must be 32 bytes of base64', 503)
+  }
+
+  return {
+    masterKey: await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']),
+    masterKeyId: env.CUSTODY_MASTER_KEY_ID || 'v1',
+    chainIds: env.CUSTODY_CHAIN_IDS ? env.CUSTODY_CHAIN_IDS.split(',').map(Number) : DEFAULT_CHAIN_IDS,
+    defaultDailyLimit: env.CUSTODY_DAILY_LIMIT_WEI ? BigInt(env.CUSTODY_DAILY_LIMIT_WEI) : DEFAULT_DAILY_LIMIT,
+    maxDailyLimit: env.CUSTODY_MAX_DAILY_LIMIT_WEI ? BigInt(env.CUSTODY_MAX_DAILY_LIMIT_WEI) : DEFAULT_MAX_DAILY_LIMIT,
+    allowedTargets: env.CUSTODY_ALLOWED_TARGETS
+      ? env.CUSTODY_ALLOWED_TARGETS.split(',').map(address => address.trim().toLowerCase())
+      : null,
+    tokenDailyLimits: parseTokenLimits(env.CUSTODY_TOKEN_DAILY_LIMITS)
+  }
+}
+
+function parseTokenLimits(value: string | undefined): Map<string, bigint> {
+  const limits = new Map<string, bigint>()
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [token, amount] = entry.split('=')
+    try {
+      limits.set(getAddress(token.trim()).toLowerCase(), BigInt(amount.trim()))
+    } catch {
+      throw new ApiError(`CUSTODY_TOKEN_DAILY_LIMITS has an invalid entry: ${entry}`, 503)
+    }
+  }
+  return limits
+}
+
+/**
+ * Amount an ERC-20 transfer or approval in the calldata moves, or null for other calls
+ */
+function decodeTokenAmount(data: string | undefined): bigint | null {
+  const fn = data && data.length >= 10 ? TOKEN_FUNCTIONS.getFunction(data.slice(0, 10)) : null
+  if (!fn) {
+    return null
+  }
+  try {
+    const args = TOKEN_FUNCTIONS.decodeFunctionData(fn, data!)
+    return args[args.length - 1] as bigint
+  } catch {
+    throw new ApiError(`data is not a valid ${fn.name} call`)
+  }
+}
+
+async function aesGcm(mode: 'encrypt' | 'decrypt', key: CryptoKey, iv: Uint8Array, data: Uint8Array, aad: string) {
+  const params = { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad) }
+  return new Uint8Array(mode === 'encrypt'
+    ? await crypto.subtle.encrypt(params, key, data)
+    : await crypto.subtle.decrypt(params, key, data))
+}
+
+// Both layers are bound to the owner and address so ciphertext cannot be moved between rows
+const associatedData = (userId: string, address: string) => `rundao-custody:${userId}:${address}`
+
+/**
+ * Encrypt a private key under a fresh data key wrapped by the master key
+ */
+async function sealPrivateKey(config: CustodyConfig, userId: string, address: string, privateKey: Uint8Array) {
+  const aad = associatedData(userId, address)
+  const dataKeyBytes = crypto.getRandomValues(new Uint8Array(32))
+  const dataKey = await crypto.subtle.importKey('raw', dataKeyBytes, 'AES-GCM', false, ['encrypt'])
+  const keyIv = crypto.getRandomValues(new Uint8Array(12))
+  const dataKeyIv = crypto.getRandomValues(new Uint8Array(12))
+
+  const sealed = {
+    encrypted_key: toBase64Url(await aesGcm('encrypt', dataKey, keyIv, privateKey, aad)),
+    key_iv: toBase64Url(keyIv),
+    wrapped_data_key: toBase64Url(await aesGcm('encrypt', config.masterKey, dataKeyIv, dataKeyBytes, aad)),
+    data_key_iv: toBase64Url(dataKeyIv)
+  }
+  dataKeyBytes.fill(0)
+  return sealed
+}
+
+/**
+ * Unwrap the data key and decrypt the wallet's private key
+ */
+async function openPrivateKey(config: CustodyConfig, wallet: WalletRow): Promise<string> {
+  if (!wallet.encrypted_key || !wallet.key_iv || !wallet.wrapped_data_key || !wallet.data_key_iv) {
+    throw new ApiError('Wallet key has been exported', 409)
+  }
+  if (wallet.master_key_id !== config.masterKeyId) {
+    throw new ApiError(`Wallet is sealed with master key ${wallet.master_key_id}`, 503)
+  }
+
+  const aad = associatedData(wallet.user_id, wallet.address)
+  const dataKeyBytes = await aesGcm('decrypt', config.masterKey, fromBase64Url(wallet.data_key_iv), fromBase64Url(wallet.wrapped_data_key), aad)
+  const dataKey = await crypto.subtle.importKey('raw', dataKeyBytes, 'AES-GCM', false, ['decrypt'])
+  dataKeyBytes.fill(0)
+
+  const privateKey = await aesGcm('decrypt', dataKey, fromBase64Url(wallet.key_iv), fromBase64Url(wallet.encrypted_key), aad)
+  return '0x' + toHex(privateKey)
+}
+
+async function getWalletRow(DB: D1Database, userId: string): Promise<WalletRow> {
+  const wallet = await DB.prepare(`SELECT * FROM custodial_wallets WHERE user_id = ?`).bind(userId).first<WalletRow>()
+  if (!wallet) {
+    throw new ApiError('No custodial wallet for this account', 404)
+  }
+  return wallet
+}
+
+/**
+ * Wei signed in the last 24 hours: values plus the most their gas could cost
+ */
+async function spentInWindow(DB: D1Database, userId: string, now: Date): Promise<bigint> {
+  const rows = await DB.prepare(`
+    SELECT value_wei, max_fee_wei FROM custody_signatures WHERE user_id = ? AND datetime(created_at) > datetime(?)
+  `).bind(userId, toSqlDateTime(new Date(now.getTime() - LIMIT_WINDOW_MS))).all<{ value_wei: string; max_fee_wei: string }>()
+
+  return (rows.results || []).reduce((sum, row) => sum + BigInt(row.value_wei) + BigInt(row.max_fee_wei), 0n)
+}
+
+/**
+ * Base units of a token transferred or approved in the last 24 hours
+ */
+async function tokenSpentInWindow(DB: D1Database, userId: string, token: string, now: Date): Promise<bigint> {
+  const rows = await DB.prepare(`
+    SELECT token_amount FROM custody_signatures
+    WHERE user_id = ? AND token_address = ? AND datetime(created_at) > datetime(?)
+  `).bind(userId, token, toSqlDateTime(new Date(now.getTime() - LIMIT_WINDOW_MS))).all<{ token_amount: string }>()
+
+  return (rows.results || []).reduce((sum, row) => sum + BigInt(row.token_amount), 0n)
+}
+
+/**
+ * Create a custodial wallet for a user who has none yet (social sign-ups)
+ */
+export async function provisionWallet(DB: D1Database, config: CustodyConfig, userId: string): Promise<{ address: string; created: boolean }> {
+  const user = await DB.prepare(`
+    SELECT u.wallet_address, w.address as custodial_address
+    FROM users u
+    LEFT JOIN custodial_wallets w ON w.user_id = u.id
+    WHERE u.id = ?
+  `).bind(userId).first<{ wallet_address: string | null; custodial_address: string | null }>()
+
+  if (!user) {
+    throw new ApiError('User not found', 404)
+  }
+  if (user.custodial_address) {
+    return { address: user.custodial_address, created: false }
+  }
+  if (user.wallet_address) {
+    throw new ApiError('Account already has a wallet', 409)
+  }
+
+  const privateKey = crypto.getRandomValues(new Uint8Array(32))
+  const address = new Wallet('0x' + toHex(privateKey)).address.toLowerCase()
+  const sealed = await sealPrivateKey(config, userId, address, privateKey)
+  privateKey.fill(0)
+
+  const [insert, update] = await DB.batch([
+    DB.prepare(`
+      INSERT INTO custodial_wallets (
+        user_id, address, encrypted_key, key_iv, wrapped_data_key, data_key_iv, master_key_id, daily_limit_wei
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id) DO NOTHING
+    `).bind(
+      userId, address, sealed.encrypted_key, sealed.key_iv, sealed.wrapped_data_key, sealed.data_key_iv,
+      config.masterKeyId, config.defaultDailyLimit.toString()
+    ),
+    DB.prepare(`
+      UPDATE users SET wallet_address = ?, custody_type = 'custodial', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND wallet_address IS NULL AND changes() > 0
+    `).bind(address, userId)
+  ])
+
+  // A concurrent request provisioned first
+  if (!insert.meta.changes) {
+    const existing = await getWalletRow(DB, userId)
+    return { address: existing.address, created: false }
+  }
+  // The user linked a wallet of their own in the meantime
+  if (!update.meta.changes) {
+    await DB.prepare(`DELETE FROM custodial_wallets WHERE user_id = ? AND address = ?`).bind(userId, address).run()
+    throw new ApiError('Account already has a wallet', 409)
+  }
+  return { address, created: true }
+}
+
+/**
+ * Address, status and how much of the daily limit is left
+ */
+export async function getWalletSummary(DB: D1Database, userId: string, now = new Date()) {
+  const wallet = await getWalletRow(DB, userId)
+  const spent = await spentInWindow(DB, userId, now)
+  const limit = BigInt(wallet.daily_limit_wei)
+
+  return {
+    address: wallet.address,
+    status: wallet.status,
+    daily_limit_wei: limit.toString(),
+    spent_24h_wei: spent.toString(),
+    remaining_wei: (limit > spent ? limit - spent : 0n).toString()
+  }
+}
+
+/**
+ * Change the user's daily limit, up to the configured maximum
+ */
+export async function setDailyLimit(DB: D1Database, config: CustodyConfig, userId: string, limitWei: string | undefined) {
+  const limit = parseWei(limitWei, 'daily_limit_wei')
+  if (limit > config.maxDailyLimit) {
+    throw new ApiError(`daily_limit_wei cannot exceed ${config.maxDailyLimit}`)
+  }
+
+  const wallet = await getWalletRow(DB, userId)
+  if (wallet.status !== 'active') {
+    throw new ApiError('Wallet key has been exported', 409)
+  }
+
+  await DB.prepare(`
+    UPDATE custodial_wallets SET daily_limit_wei = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?
+  `).bind(limit.toString(), userId).run()
+  return limit.toString()
+}
+
+/**
+ * Sign an EIP-1559 transaction for the user, within their daily limit and, for
+ * ERC-20 transfers and approvals, the token's daily limit. The caller
+ * broadcasts the signed transaction.
+ */
+export async function signCustodialTransaction(
+  DB: D1Database,
+  config: CustodyConfig,
+  userId: string,
+  request: SignRequest,
+  now = new Date()
+): Promise<{ signedTransaction: string; hash: string; remainingWei: string }> {
+  const wallet = await getWalletRow(DB, userId)
+  if (wallet.status !== 'active') {
+    throw new ApiError('Wallet key has been exported', 409)
+  }
+
+  const chainId = Number(request.chain_id)
+  if (!config.chainIds.includes(chainId)) {
+    throw new ApiError(`chain_id must be one of ${config.chainIds.join(', ')}`)
+  }
+  if (!request.to) {
+    throw new ApiError('to is required; contract deployment is not supported')
+  }
+  let to: string
+  try {
+    to = getAddress(request.to)
+  } catch {
+    throw new ApiError('to is not a valid address')
+  }
+  if (config.allowedTargets && !config.allowedTargets.includes(to.toLowerCase())) {
+    throw new ApiError('Custodial wallets cannot send to this address', 403)
+  }
+  if (!Number.isInteger(request.nonce) || request.nonce! < 0) {
+    throw new ApiError('nonce is required')
+  }
+  if (!request.gas_limit || !request.max_fee_per_gas || !request.max_priority_fee_per_gas) {
+    throw new ApiError('gas_limit, max_fee_per_gas and max_priority_fee_per_gas are required')
+  }
+  if (request.data && !/^0x([0-9a-fA-F]{2})*$/.test(request.data)) {
+    throw new ApiError('data must be 0x-prefixed hex')
+  }
+
+  const value = parseWei(request.value, 'value')
+  const gasLimit = parseWei(request.gas_limit, 'gas_limit')
+  const maxFeePerGas = parseWei(request.max_fee_per_gas, 'max_fee_per_gas')
+  const maxFee = gasLimit * maxFeePerGas
+  const limit = BigInt(wallet.daily_limit_wei)
+
+  const tokenAmount = decodeTokenAmount(request.data)
+  const token = tokenAmount === null ? null : to.toLowerCase()
+  const tokenLimit = token === null ? null : config.tokenDailyLimits.get(token)
+  if (token !== null && tokenLimit === undefined) {
+    throw new ApiError('Custodial wallets cannot move this token', 403)
+  }
+  // Any other call to a limited token (a permit, a token-specific allowance
+  // function) could move it without counting against the limit
+  if (token === null && config.tokenDailyLimits.has(to.toLowerCase())) {
+    throw new ApiError('Custodial wallets can only transfer or approve this token', 403)
+  }
+
+  // Reserve the amounts first and check the totals afterwards, so two concurrent
+  // requests cannot both fit under the limits
+  const signatureId = createId('custody_signature')
+  await DB.prepare(`
+    INSERT INTO custody_signatures (
+      id, user_id, chain_id, to_address, value_wei, max_fee_wei, token_address, token_amount, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    signatureId, userId, chainId, to.toLowerCase(), value.toString(), maxFee.toString(),
+    token, tokenAmount?.toString() ?? null, toSqlDateTime(now)
+  ).run()
+
+  const spent = await spentInWindow(DB, userId, now)
+  if (spent > limit) {
+    await DB.prepare(`DELETE FROM custody_signatures WHERE id = ?`).bind(signatureId).run()
+    throw new ApiError('Daily spending limit exceeded', 403)
+  }
+  if (token !== null && await tokenSpentInWindow(DB, userId, token, now) > tokenLimit!) {
+    await DB.prepare(`DELETE FROM custody_signatures WHERE id = ?`).bind(signatureId).run()
+    throw new ApiError('Daily token limit exceeded', 403)
+  }
+
+  let signedTransaction: string
+  try {
+    const signer = new Wallet(await openPrivateKey(config, wallet))
+    signedTransaction = await signer.signTransaction({
+      type: 2,
+      chainId,
+      to,
+      value,
+      data: request.data || '0x',
+      nonce: request.nonce,
+      gasLimit,
+      maxFeePerGas,
+      maxPriorityFeePerGas: parseWei(request.max_priority_fee_per_gas, 'max_priority_fee_per_gas')
+    })
+  } catch (error) {
+    await DB.prepare(`DELETE FROM custody_signatures WHERE id = ?`).bind(signatureId).run()
+    throw error
+  }
+
+  const hash = Transaction.from(signedTransaction).hash!
+  await DB.prepare(`UPDATE custody_signatures SET tx_hash = ? WHERE id = ?`).bind(hash, signatureId).run()
+
+  return { signedTransaction, hash, remainingWei: (limit - spent).toString() }
+}
+
+/**
+ * Hand the private key to its owner and forget it. The user must confirm the
+ * address; afterwards the account signs in with its own wallet (non_custodial).
+ */
+export async function exportWalletKey(
+  DB: D1Database,
+  config: CustodyConfig,
+  userId: string,
+  confirmAddress: string | undefined
+): Promise<{ address: string; privateKey: string }> {
+  const wallet = await getWalletRow(DB, userId)
+  if (wallet.status !== 'active') {
+    throw new ApiError('Wallet key has already been exported', 409)
+  }
+  if (!confirmAddress || confirmAddress.toLowerCase() !== wallet.address) {
+    throw new ApiError('confirm_address must match the wallet address')
+  }
+
+  const privateKey = await openPrivateKey(config, wallet)
+
+  const [update] = await DB.batch([
+    DB.prepare(`
+      UPDATE custodial_wallets
+      SET status = 'exported', encrypted_key = NULL, key_iv = NULL, wrapped_data_key = NULL, data_key_iv = NULL,
+          exported_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND status = 'active'
+    `).bind(userId),
+    DB.prepare(`
+      UPDATE users SET custody_type = 'non_custodial', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND changes() > 0
+    `).bind(userId)
+  ])
+  if (!update.meta.changes) {
+    throw new ApiError('Wallet key has already been exported', 409)
+  }
+
+  return { address: wallet.address, privateKey }
+}
@@ -0,0 +1,45 @@
+// 작심삼일 RUN DAO - Shared D1 helpers
+
+import { ApiError } from './errors'
+import { fromBase64Url, toBase64Url } from './crypto'
+
+/**
+ * Generate a prefixed record ID (e.g. `run_1735689600000_k3j9x2a`)
+ */
+export function createId(prefix: string): string {
+  return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9)
+}
+
+/**
+ * Format a date the way SQLite's CURRENT_TIMESTAMP does (UTC, `YYYY-MM-DD HH:MM:SS`)
+ */
+export function toSqlDateTime(date: Date): string {
+  return date.toISOString().slice(0, 19).replace('T', ' ')
+}
+
+/**
+ * Parse a stored DATETIME column (always UTC) back into a Date
+ */
+export function fromSqlDateTime(value: string): Date {
+  return new Date(value.includes('T') ? value : value.replace(' ', 'T') + 'Z')
+}
+
+/**
+ * Opaque keyset cursor for paged lists: the sort values of the last row returned
+ */
+export function encodeCursor(values: unknown[]): string {
+  return toBase64Url(JSON.stringify(values))
+}
+
+/**
+ * Read a cursor made by encodeCursor; callers check the value types they expect
+ */
+export function decodeCursor(cursor: string): unknown[] {
+  try {
+    const values = JSON.parse(new TextDecoder().decode(fromBase64Url(cursor)))
+    if (Array.isArray(values)) return values
+  } catch {
+    // Fall through to the error below
+  }
+  throw new ApiError('Invalid cursor')
+}
@@ -0,0 +1,173 @@
+// 작심삼일 RUN DAO - Contract deployment manifests
+// blockchain/scripts/deploy.ts writes deployments/<network>.json with each
+// contract's address, ABI, runtime code hash and deploy block, and regenerates
+// deployments/index.ts, which bundles them into the Worker. CHAIN_NETWORK picks
+// the one in use; the frontend gets it from /api/chain/deployment.
+//
+// Code hashes skip the bytes of immutables (EIP712's cached domain separator in
+// QuestFactory, for one): the compiler leaves them zero and the constructor
+// fills them in, so the manifest lists their ranges and the live code is hashed
+// with them zeroed.
+
+import { Interface, getAddress, getBytes, keccak256, type InterfaceAbi } from 'ethers'
+import manifests from '../../deployments'
+import { ApiError } from './errors'
+
+export type DeploymentEnv = {
+  CHAIN_NETWORK?: string
+}
+
+export const CONTRACT_NAMES = ['QuestFactory', 'EscrowVault', 'MedalNFT'] as const
+export type ContractName = typeof CONTRACT_NAMES[number]
+
+// Bytes of the runtime code an immutable takes up
+export type ImmutableRange = {
+  start: number
+  length: number
+}
+
+export type DeployedContract = {
+  address: string
+  abi: InterfaceAbi
+  codeHash: string // keccak256 of the runtime bytecode, immutables zeroed
+  immutableRanges?: ImmutableRange[]
+  blockNumber: number
+}
+
+// A stake token, keyed by the symbol quests store in stake_token
+export type StakeToken = {
+  address: string
+  decimals: number
+  permit: boolean // EIP-2612, so joining needs a signature instead of an approve
+}
+
+export type DeploymentManifest = {
+  network: string
+  chainId: number
+  deployer: string
+  deployBlock: number
+  timestamp: string
+  contracts: Record<ContractName, DeployedContract>
+  tokens?: Record<string, StakeToken>
+  configuration?: Record<string, unknown>
+}
+
+const MANIFESTS = manifests as Record<string, DeploymentManifest | undefined>
+
+/**
+ * The manifest for CHAIN_NETWORK, or null when no network is configured.
+ * A configured network without a valid manifest is an error.
+ */
+export function getDeployment(env: DeploymentEnv): DeploymentManifest | null {
+  if (!env.CHAIN_NETWORK) {
+    return null
+  }
+  const manifest = Object.hasOwn(MANIFESTS, env.CHAIN_NETWORK) ? MANIFESTS[env.CHAIN_NETWORK] : undefined
+  if (!manifest) {
+    throw new ApiError(`No deployment manifest for network ${env.CHAIN_NETWORK} (deployments/${env.CHAIN_NETWORK}.json)`, 500)
+  }
+  for (const name of CONTRACT_NAMES) {
+    const contract = manifest.contracts?.[name]
+    if (!contract?.address || !Array.isArray(contract.abi) || !contract.codeHash) {
+      throw new ApiError(`Deployment manifest for ${manifest.network} is missing ${name}`, 500)
+    }
+  }
+  return manifest
+}
+
+/**
+ * The stake token symbol for a new quest: the given one if the network supports
+ * it, or the network's first token. Without a deployment (database-only mode)
+ * any symbol goes and ETH is the default.
+ */
+export function resolveStakeToken(env: DeploymentEnv, symbol: string | undefined): string {
+  const deployment = getDeployment(env)
+  if (!deployment) {
+    return symbol || 'ETH'
+  }
+  const symbols = Object.keys(deployment.tokens ?? {})
+  if (symbols.length === 0) {
+    throw new ApiError(`No stake tokens are supported on ${deployment.network}`, 409)
+  }
+  if (symbol === undefined || symbol === '') {
+    return symbols[0]
+  }
+  if (!symbols.includes(symbol)) {
+    throw new ApiError(`stake_token must be one of ${symbols.join(', ')}`)
+  }
+  return symbol
+}
+
+/**
+ * Throw unless the contract's ABI in the manifest declares every given fragment
+ * with the same signature (and, for events, the same indexed arguments)
+ */
+export function assertAbi(manifest: DeploymentManifest, name: ContractName, expected: Interface) {
+  const abi = new Interface(manifest.contracts[name].abi)
+  const missing: string[] = []
+  expected.forEachEvent(event => {
+    const declared = abi.getEvent(event.topicHash)
+    if (!declared || declared.format('full') !== event.format('full')) {
+      missing.push(event.format('full'))
+    }
+  })
+  expected.forEachFunction(fn => {
+    const declared = abi.getFunction(fn.selector)
+    if (!declared || declared.format('full') !== fn.format('full')) {
+      missing.push(fn.format('full'))
+    }
+  })
+  if (missing.length > 0) {
+    throw new ApiError(`${name} ABI in deployments/${manifest.network}.json does not match: ${missing.join('; ')}`, 500)
+  }
+}
+
+/**
+ * keccak256 of runtime code with the immutable ranges zeroed, comparable to a
+ * manifest's codeHash
+ */
+export function runtimeCodeHash(code: string, immutableRanges: ImmutableRange[] = []): string {
+  const bytes = getBytes(code).slice()
+  for (const { start, length } of immutableRanges) {
+    bytes.fill(0, start, start + length)
+  }
+  return keccak256(bytes)
+}
+
+/**
+ * Throw unless the code at each manifest address is the bytecode the ABIs were
+ * compiled with (so a redeploy without a new manifest is noticed)
+ */
+export async function assertDeployedCode(
+  manifest: DeploymentManifest,
+  getCode: (address: string) => Promise<string>
+) {
+  for (const name of CONTRACT_NAMES) {
+    const { address, codeHash, immutableRanges } = manifest.contracts[name]
+    const code = await getCode(getAddress(address))
+    if (!code || code === '0x') {
+      throw new ApiError(`${name} is not deployed at ${address} on ${manifest.network}`, 500)
+    }
+    if (runtimeCodeHash(code, immutableRanges) !== codeHash.toLowerCase()) {
+      throw new ApiError(`${name} at ${address} does not match deployments/${manifest.network}.json`, 500)
+    }
+  }
+}
+
+/**
+ * Addresses, ABIs, code hashes and stake tokens for the frontend
+ */
+export function toPublicDeployment(manifest: DeploymentManifest) {
+  return {
+    network: manifest.network,
+    chainId: manifest.chainId,
+    deployBlock: manifest.deployBlock,
+    contracts: Object.fromEntries(CONTRACT_NAMES.map(name => {
+      const { address, abi, codeHash, immutableRanges } = manifest.contracts[name]
+      return [name, { address: getAddress(address), abi, codeHash, immutableRanges: immutableRanges ?? [] }]
+    })),
+    tokens: Object.fromEntries(Object.entries(manifest.tokens ?? {}).map(([symbol, token]) =>
+      [symbol, { ...token, address: getAddress(token.address) }]
+    ))
+  }
+}
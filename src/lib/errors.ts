@@ -0,0 +1,17 @@
+// 작심삼일 RUN DAO - API error type
+
+import type { ContentfulStatusCode } from 'hono/utils/http-status'
+
+/**
+ * Error thrown by service modules when a request cannot be fulfilled.
+ * Routes turn it into `{ error: message }` with the given status code.
+ */
+export class ApiError extends Error {
+  status: ContentfulStatusCode
+
+  constructor(message: string, status: ContentfulStatusCode = 400) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+  }
+}
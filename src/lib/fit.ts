@@ -0,0 +1,252 @@
+// 작심삼일 RUN DAO - Garmin FIT binary decoder
+// Implements just enough of the FIT protocol to read activity files:
+// file header, CRC-16, definition/data messages and compressed timestamp headers.
+
+import { ApiError } from './errors'
+
+export type FitRecord = {
+  time: number // epoch ms
+  lat?: number
+  lng?: number
+  altitude?: number // metres
+  heartRate?: number // bpm
+  cadence?: number // steps per minute
+  distanceM?: number
+}
+
+export type FitSession = {
+  startTime?: number // epoch ms
+  elapsedSec?: number
+  timerSec?: number
+  distanceM?: number
+  sport?: number
+}
+
+export type FitActivity = {
+  fileId: { serialNumber?: number; timeCreated?: number }
+  records: FitRecord[]
+  sessions: FitSession[]
+}
+
+// Global message numbers
+const MESG_FILE_ID = 0
+const MESG_SESSION = 18
+const MESG_RECORD = 20
+
+const FIELD_TIMESTAMP = 253
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31
+
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+]
+
+// Base type number => byte size, signedness and the "invalid" sentinel
+const BASE_TYPES: Record<number, { size: number; signed: boolean; invalid: number }> = {
+  0x00: { size: 1, signed: false, invalid: 0xFF }, // enum
+  0x01: { size: 1, signed: true, invalid: 0x7F }, // sint8
+  0x02: { size: 1, signed: false, invalid: 0xFF }, // uint8
+  0x03: { size: 2, signed: true, invalid: 0x7FFF }, // sint16
+  0x04: { size: 2, signed: false, invalid: 0xFFFF }, // uint16
+  0x05: { size: 4, signed: true, invalid: 0x7FFFFFFF }, // sint32
+  0x06: { size: 4, signed: false, invalid: 0xFFFFFFFF }, // uint32
+  0x0A: { size: 1, signed: false, invalid: 0x00 }, // uint8z
+  0x0B: { size: 2, signed: false, invalid: 0x0000 }, // uint16z
+  0x0C: { size: 4, signed: false, invalid: 0x00000000 } // uint32z
+}
+
+type FieldDefinition = { num: number; size: number; baseType: number }
+
+type MessageDefinition = {
+  global: number
+  littleEndian: boolean
+  fields: FieldDefinition[]
+  developerSize: number
+}
+
+const corrupt = (reason: string) => new ApiError(`Invalid FIT file: ${reason}`, 422)
+
+/**
+ * FIT CRC-16 over bytes[start, end)
+ */
+export function fitCrc(bytes: Uint8Array, start = 0, end = bytes.length): number {
+  let crc = 0
+  for (let i = start; i < end; i++) {
+    const byte = bytes[i]
+    let tmp = CRC_TABLE[crc & 0xF]
+    crc = (crc >> 4) & 0x0FFF
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF]
+    tmp = CRC_TABLE[crc & 0xF]
+    crc = (crc >> 4) & 0x0FFF
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF]
+  }
+  return crc
+}
+
+/**
+ * True when the bytes start with a FIT file header
+ */
+export function isFitFile(bytes: Uint8Array): boolean {
+  return bytes.length >= 12 && String.fromCharCode(...bytes.subarray(8, 12)) === '.FIT'
+}
+
+function readField(view: DataView, offset: number, field: FieldDefinition, littleEndian: boolean): number | undefined {
+  const type = BASE_TYPES[field.baseType & 0x1F] ?? BASE_TYPES[field.baseType]
+  if (!type || type.size !== field.size) return undefined
+
+  let value: number
+  switch (type.size) {
+    case 1:
+      value = type.signed ? view.getInt8(offset) : view.getUint8(offset)
+      break
+    case 2:
+      value = type.signed ? view.getInt16(offset, littleEndian) : view.getUint16(offset, littleEndian)
+      break
+    default:
+      value = type.signed ? view.getInt32(offset, littleEndian) : view.getUint32(offset, littleEndian)
+  }
+  return value === type.invalid ? undefined : value
+}
+
+/**
+ * Decode a FIT activity file, verifying the header and file CRCs
+ */
+export function decodeFit(bytes: Uint8Array): FitActivity {
+  if (bytes.length < 12) throw corrupt('header too short')
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const headerSize = bytes[0]
+  if ((headerSize !== 12 && headerSize !== 14) || !isFitFile(bytes)) {
+    throw corrupt('missing FIT header')
+  }
+
+  if (headerSize === 14) {
+    const headerCrc = view.getUint16(12, true)
+    if (headerCrc !== 0 && headerCrc !== fitCrc(bytes, 0, 12)) {
+      throw corrupt('header CRC mismatch')
+    }
+  }
+
+  const dataEnd = headerSize + view.getUint32(4, true)
+  if (bytes.length < dataEnd + 2) throw corrupt('file is truncated')
+  if (view.getUint16(dataEnd, true) !== fitCrc(bytes, 0, dataEnd)) {
+    throw corrupt('file CRC mismatch')
+  }
+
+  const definitions: (MessageDefinition | undefined)[] = []
+  const activity: FitActivity = { fileId: {}, records: [], sessions: [] }
+  let lastTimestamp = 0
+  let offset = headerSize
+
+  const need = (length: number) => {
+    if (offset + length > dataEnd) throw corrupt('record extends past end of data')
+  }
+
+  while (offset < dataEnd) {
+    const header = bytes[offset++]
+
+    // Compressed timestamp header: data message with a 5-bit time offset
+    if (header & 0x80) {
+      const localType = (header >> 5) & 0x03
+      const timeOffset = header & 0x1F
+      lastTimestamp += (timeOffset - (lastTimestamp & 0x1F)) & 0x1F
+      offset = readDataMessage(localType, lastTimestamp)
+      continue
+    }
+
+    const localType = header & 0x0F
+
+    if (header & 0x40) {
+      // Definition message
+      need(5)
+      const littleEndian = bytes[offset + 1] === 0
+      const global = view.getUint16(offset + 2, littleEndian)
+      const fieldCount = bytes[offset + 4]
+      offset += 5
+
+      need(fieldCount * 3)
+      const fields: FieldDefinition[] = []
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ num: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] })
+        offset += 3
+      }
+
+      let developerSize = 0
+      if (header & 0x20) {
+        need(1)
+        const developerCount = bytes[offset++]
+        need(developerCount * 3)
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += bytes[offset + 1]
+          offset += 3
+        }
+      }
+
+      definitions[localType] = { global, littleEndian, fields, developerSize }
+    } else {
+      offset = readDataMessage(localType)
+    }
+  }
+
+  return activity
+
+  function readDataMessage(localType: number, compressedTimestamp?: number): number {
+    const definition = definitions[localType]
+    if (!definition) throw corrupt(`data message for undefined local type ${localType}`)
+
+    const values: Record<number, number | undefined> = {}
+    for (const field of definition.fields) {
+      need(field.size)
+      values[field.num] = readField(view, offset, field, definition.littleEndian)
+      offset += field.size
+    }
+    need(definition.developerSize)
+    offset += definition.developerSize
+
+    if (values[FIELD_TIMESTAMP] !== undefined) {
+      lastTimestamp = values[FIELD_TIMESTAMP] as number
+    } else if (compressedTimestamp !== undefined) {
+      values[FIELD_TIMESTAMP] = compressedTimestamp
+    }
+
+    collect(definition.global, values)
+    return offset
+  }
+
+  function collect(global: number, values: Record<number, number | undefined>) {
+    const toEpochMs = (fitSeconds: number | undefined) =>
+      fitSeconds === undefined ? undefined : (fitSeconds + FIT_EPOCH_OFFSET) * 1000
+
+    if (global === MESG_FILE_ID) {
+      activity.fileId = { serialNumber: values[3], timeCreated: values[4] }
+    } else if (global === MESG_RECORD) {
+      const time = toEpochMs(values[FIELD_TIMESTAMP])
+      if (time === undefined) return
+
+      const lat = values[0]
+      const lng = values[1]
+      const altitude = values[2]
+      activity.records.push({
+        time,
+        lat: lat !== undefined && lng !== undefined ? lat * SEMICIRCLES_TO_DEGREES : undefined,
+        lng: lat !== undefined && lng !== undefined ? lng * SEMICIRCLES_TO_DEGREES : undefined,
+        altitude: altitude !== undefined ? altitude / 5 - 500 : undefined,
+        heartRate: values[3],
+        // Running cadence is recorded per foot (strides per minute)
+        cadence: values[4] !== undefined ? values[4] * 2 : undefined,
+        distanceM: values[5] !== undefined ? values[5] / 100 : undefined
+      })
+    } else if (global === MESG_SESSION) {
+      activity.sessions.push({
+        startTime: toEpochMs(values[2]),
+        elapsedSec: values[7] !== undefined ? values[7] / 1000 : undefined,
+        timerSec: values[8] !== undefined ? values[8] / 1000 : undefined,
+        distanceM: values[9] !== undefined ? values[9] / 100 : undefined,
+        sport: values[5]
+      })
+    }
+  }
+}
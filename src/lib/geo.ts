@@ -0,0 +1,42 @@
+// 작심삼일 RUN DAO - Geographic helpers
+
+import type { GpsPoint } from './runs'
+
+const EARTH_RADIUS_KM = 6371.0088
+
+const toRadians = (degrees: number) => degrees * Math.PI / 180
+
+/**
+ * Great-circle distance between two coordinates in kilometres
+ */
+export function haversineKm(a: GpsPoint, b: GpsPoint): number {
+  const dLat = toRadians(b.lat - a.lat)
+  const dLng = toRadians(b.lng - a.lng)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+/**
+ * Total length of a GPS path in kilometres
+ */
+export function pathDistanceKm(points: GpsPoint[]): number {
+  let total = 0
+  for (let i = 1; i < points.length; i++) {
+    total += haversineKm(points[i - 1], points[i])
+  }
+  return total
+}
+
+/**
+ * Keep at most `maxPoints` points, always retaining the first and last one
+ */
+export function downsamplePath<T>(points: T[], maxPoints: number): T[] {
+  if (points.length <= maxPoints) return points
+  const step = (points.length - 1) / (maxPoints - 1)
+  const result: T[] = []
+  for (let i = 0; i < maxPoints; i++) {
+    result.push(points[Math.round(i * step)])
+  }
+  return result
+}
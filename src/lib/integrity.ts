@@ -0,0 +1,240 @@
+// 작심삼일 RUN DAO - Server-side anti-cheat scoring
+// Each check returns a flag with a penalty; the integrity score is 1 minus the penalties.
+// Runs scoring below SUSPICIOUS_SCORE_THRESHOLD are held for review instead of counting.
+
+import { downsamplePath, haversineKm } from './geo'
+import type { GpsPoint, HrSample } from './runs'
+
+export type FraudFlagCode =
+  | 'impossible_speed'
+  | 'gps_teleport'
+  | 'constant_pace'
+  | 'hr_pace_mismatch'
+  | 'duplicate_route'
+
+export type FraudFlag = {
+  code: FraudFlagCode
+  penalty: number
+  message: string
+  evidence: Record<string, number | string>
+}
+
+export type IntegrityResult = {
+  score: number // 0.0 to 1.0
+  isSuspicious: boolean
+  flags: FraudFlag[]
+}
+
+export type ScoredRun = {
+  userId: string
+  durationSec: number
+  distanceKm: number
+  gpsPath?: GpsPoint[] | null
+  hrSeries?: HrSample[] | null
+}
+
+export const SUSPICIOUS_SCORE_THRESHOLD = 0.6
+
+// 6.7 m/s is a 2:29/km pace, faster than any road-race world record
+const MAX_RUNNING_SPEED_MPS = 6.7
+const SPEED_WINDOW_SEC = 60
+// A single GPS jump this long and this fast is a teleport, not a glitch of a few metres
+const TELEPORT_MIN_KM = 0.2
+const TELEPORT_MIN_SPEED_MPS = 50
+// Real runs wobble by several percent between one-minute windows
+const MIN_PACE_VARIATION = 0.015
+const MIN_PACE_WINDOWS = 10
+const MIN_HR_SAMPLES = 30
+const MIN_HR_STDDEV_BPM = 1
+const FAST_PACE_SPEED_MPS = 3.3 // 5:00/km
+const MIN_HR_AT_FAST_PACE = 100
+// Group runs share a route but not the exact GPS noise
+const ROUTE_SAMPLE_POINTS = 32
+const DUPLICATE_ROUTE_MAX_DEVIATION_KM = 0.005
+const DUPLICATE_CANDIDATE_LIMIT = 50
+
+const round = (value: number, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+function mean(values: number[]): number {
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+function stdDev(values: number[]): number {
+  const average = mean(values)
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)))
+}
+
+function timedPoints(points: GpsPoint[] | null | undefined): (GpsPoint & { time: number })[] {
+  return (points || []).filter((p): p is GpsPoint & { time: number } => Number.isFinite(p.time))
+}
+
+function isTeleport(a: GpsPoint & { time: number }, b: GpsPoint & { time: number }, km = haversineKm(a, b)): boolean {
+  const sec = (b.time - a.time) / 1000
+  return km >= TELEPORT_MIN_KM && (sec <= 0 || km * 1000 / sec > TELEPORT_MIN_SPEED_MPS)
+}
+
+/**
+ * Speeds (m/s) over consecutive windows of at least SPEED_WINDOW_SEC.
+ * Teleport jumps are left out here and flagged separately.
+ */
+function windowSpeeds(points: (GpsPoint & { time: number })[]): number[] {
+  const speeds: number[] = []
+  let windowStart = 0
+  let windowKm = 0
+
+  for (let i = 1; i < points.length; i++) {
+    const km = haversineKm(points[i - 1], points[i])
+    if (!isTeleport(points[i - 1], points[i], km)) windowKm += km
+    const elapsedSec = (points[i].time - points[windowStart].time) / 1000
+    if (elapsedSec >= SPEED_WINDOW_SEC) {
+      speeds.push(windowKm * 1000 / elapsedSec)
+      windowStart = i
+      windowKm = 0
+    }
+  }
+  return speeds
+}
+
+function checkSpeed(run: ScoredRun, speeds: number[]): FraudFlag | null {
+  const averageSpeed = run.distanceKm * 1000 / run.durationSec
+  const maxWindowSpeed = speeds.length ? Math.max(...speeds) : 0
+
+  if (averageSpeed > MAX_RUNNING_SPEED_MPS) {
+    return {
+      code: 'impossible_speed',
+      penalty: 0.6,
+      message: 'Average pace is faster than humanly possible',
+      evidence: { avg_pace_sec_per_km: Math.round(run.durationSec / run.distanceKm) }
+    }
+  }
+  if (maxWindowSpeed > MAX_RUNNING_SPEED_MPS) {
+    return {
+      code: 'impossible_speed',
+      penalty: 0.5,
+      message: `Sustained speed above running pace for ${SPEED_WINDOW_SEC}s or more`,
+      evidence: { max_speed_kmh: round(maxWindowSpeed * 3.6, 1) }
+    }
+  }
+  return null
+}
+
+function checkTeleports(points: (GpsPoint & { time: number })[]): FraudFlag | null {
+  let jumps = 0
+  let maxJumpKm = 0
+
+  for (let i = 1; i < points.length; i++) {
+    const km = haversineKm(points[i - 1], points[i])
+    if (isTeleport(points[i - 1], points[i], km)) {
+      jumps++
+      maxJumpKm = Math.max(maxJumpKm, km)
+    }
+  }
+
+  if (!jumps) return null
+  return {
+    code: 'gps_teleport',
+    penalty: Math.min(0.45, 0.15 * jumps),
+    message: 'GPS position jumps between distant points',
+    evidence: { jumps, max_jump_km: round(maxJumpKm, 3) }
+  }
+}
+
+function checkConstantPace(speeds: number[]): FraudFlag | null {
+  if (speeds.length < MIN_PACE_WINDOWS) return null
+
+  const variation = stdDev(speeds) / mean(speeds)
+  if (variation >= MIN_PACE_VARIATION) return null
+  return {
+    code: 'constant_pace',
+    penalty: 0.3,
+    message: 'Pace is perfectly constant, which suggests generated data',
+    evidence: { pace_variation: round(variation, 4), windows: speeds.length }
+  }
+}
+
+function checkHeartRate(run: ScoredRun): FraudFlag | null {
+  const bpm = (run.hrSeries || []).map(sample => sample.bpm).filter(value => value > 0 && value < 250)
+  if (bpm.length < MIN_HR_SAMPLES) return null
+
+  const averageBpm = mean(bpm)
+  const averageSpeed = run.distanceKm * 1000 / run.durationSec
+
+  if (stdDev(bpm) < MIN_HR_STDDEV_BPM) {
+    return {
+      code: 'hr_pace_mismatch',
+      penalty: 0.3,
+      message: 'Heart rate never changes during the run',
+      evidence: { avg_bpm: Math.round(averageBpm), stddev_bpm: round(stdDev(bpm)) }
+    }
+  }
+  if (averageSpeed >= FAST_PACE_SPEED_MPS && averageBpm < MIN_HR_AT_FAST_PACE) {
+    return {
+      code: 'hr_pace_mismatch',
+      penalty: 0.3,
+      message: 'Heart rate is too low for the recorded pace',
+      evidence: { avg_bpm: Math.round(averageBpm), avg_pace_sec_per_km: Math.round(run.durationSec / run.distanceKm) }
+    }
+  }
+  return null
+}
+
+/**
+ * Compare the route against other users' runs of similar distance
+ */
+async function checkDuplicateRoute(DB: D1Database, run: ScoredRun): Promise<FraudFlag | null> {
+  const path = run.gpsPath || []
+  if (path.length < ROUTE_SAMPLE_POINTS) return null
+
+  const candidates = await DB.prepare(`
+    SELECT id, user_id, gps_path FROM run_records
+    WHERE user_id != ? AND gps_path IS NOT NULL AND distance_km BETWEEN ? AND ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).bind(
+    run.userId, run.distanceKm * 0.97, run.distanceKm * 1.03, DUPLICATE_CANDIDATE_LIMIT
+  ).all<{ id: string; user_id: string; gps_path: string }>()
+
+  const sample = downsamplePath(path, ROUTE_SAMPLE_POINTS)
+
+  for (const candidate of candidates.results || []) {
+    let other: GpsPoint[]
+    try {
+      other = JSON.parse(candidate.gps_path)
+    } catch {
+      continue
+    }
+    if (!Array.isArray(other) || other.length < ROUTE_SAMPLE_POINTS) continue
+
+    const otherSample = downsamplePath(other, ROUTE_SAMPLE_POINTS)
+    const deviationKm = mean(sample.map((point, i) => haversineKm(point, otherSample[i])))
+
+    if (deviationKm <= DUPLICATE_ROUTE_MAX_DEVIATION_KM) {
+      return {
+        code: 'duplicate_route',
+        penalty: 0.5,
+        message: "GPS track is a copy of another user's run",
+        evidence: { matching_run_id: candidate.id, mean_deviation_m: round(deviationKm * 1000, 1) }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Score a run before it is stored
+ */
+export async function scoreRun(DB: D1Database, run: ScoredRun): Promise<IntegrityResult> {
+  const points = timedPoints(run.gpsPath)
+  const speeds = windowSpeeds(points)
+
+  const flags = [
+    checkSpeed(run, speeds),
+    checkTeleports(points),
+    checkConstantPace(speeds),
+    checkHeartRate(run),
+    await checkDuplicateRoute(DB, run)
+  ].filter((flag): flag is FraudFlag => flag !== null)
+
+  const score = round(Math.max(0, 1 - flags.reduce((sum, flag) => sum + flag.penalty, 0)))
+  return { score, isSuspicious: score < SUSPICIOUS_SCORE_THRESHOLD, flags }
+}
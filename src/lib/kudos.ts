@@ -0,0 +1,147 @@
+// 작심삼일 RUN DAO - Kudos
+// Runners thank each other, or one another's runs, optionally in the context of
+// a quest or crew. Limits over a rolling 24 hours keep kudos meaningful: a total
+// per giver and a smaller number to any one runner. Each run can be thanked
+// once per person.
+
+import { createId, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { getMembership } from './crews'
+import { assertQuestVisible } from './quest-access'
+
+export type KudosInput = {
+  to_user_id?: string
+  run_id?: string
+  quest_id?: string | null
+  crew_id?: string | null
+  message?: string | null
+}
+
+const DAILY_KUDOS_LIMIT = 20
+const DAILY_KUDOS_PER_RECIPIENT = 5
+const MAX_MESSAGE_LENGTH = 200
+const LIST_LIMIT = 50
+
+/**
+ * Give one kudos. Both daily limits are checked in the insert itself, so
+ * parallel requests cannot go over them.
+ */
+export async function giveKudos(
+  DB: D1Database,
+  fromUserId: string,
+  input: KudosInput,
+  now = new Date()
+): Promise<{ kudosId: string; toUserId: string }> {
+  let toUserId = input.to_user_id
+  if (input.run_id) {
+    const run = await DB.prepare(`SELECT user_id FROM run_records WHERE id = ?`).bind(input.run_id).first<{ user_id: string }>()
+    if (!run) {
+      throw new ApiError('Run not found', 404)
+    }
+    if (toUserId && toUserId !== run.user_id) {
+      throw new ApiError('to_user_id is not the runner of run_id')
+    }
+    toUserId = run.user_id
+  }
+  if (!toUserId) {
+    throw new ApiError('to_user_id or run_id is required')
+  }
+  if (toUserId === fromUserId) {
+    throw new ApiError('You cannot give kudos to yourself')
+  }
+  const message = input.message?.trim() || null
+  if (message && message.length > MAX_MESSAGE_LENGTH) {
+    throw new ApiError(`message must be at most ${MAX_MESSAGE_LENGTH} characters`)
+  }
+
+  const recipient = await DB.prepare(`SELECT id FROM users WHERE id = ?`).bind(toUserId).first()
+  if (!recipient) {
+    throw new ApiError('User not found', 404)
+  }
+  if (input.crew_id) {
+    const [giver, receiver] = await Promise.all([
+      getMembership(DB, input.crew_id, fromUserId),
+      getMembership(DB, input.crew_id, toUserId)
+    ])
+    if (giver?.status !== 'active' || receiver?.status !== 'active') {
+      throw new ApiError('Crew kudos are only between members of the crew', 403)
+    }
+  }
+  if (input.quest_id) {
+    await assertQuestVisible(DB, input.quest_id, fromUserId)
+  }
+  if (input.run_id) {
+    const given = await DB.prepare(`
+      SELECT id FROM kudos WHERE run_record_id = ? AND from_user_id = ?
+    `).bind(input.run_id, fromUserId).first()
+    if (given) {
+      throw new ApiError('Kudos already given for this run', 409)
+    }
+  }
+
+  const kudosId = createId('kudos')
+  const since = toSqlDateTime(new Date(now.getTime() - 24 * 60 * 60 * 1000))
+  const result = await DB.prepare(`
+    INSERT INTO kudos (id, from_user_id, to_user_id, amount, message, quest_id, crew_id, run_record_id)
+    SELECT ?1, ?2, ?3, 1, ?4, ?5, ?6, ?7
+    WHERE (SELECT COUNT(*) FROM kudos WHERE from_user_id = ?2 AND created_at > ?8) < ?9
+      AND (SELECT COUNT(*) FROM kudos WHERE from_user_id = ?2 AND to_user_id = ?3 AND created_at > ?8) < ?10
+    ON CONFLICT DO NOTHING
+  `).bind(
+    kudosId, fromUserId, toUserId, message, input.quest_id || null, input.crew_id || null, input.run_id || null,
+    since, DAILY_KUDOS_LIMIT, DAILY_KUDOS_PER_RECIPIENT
+  ).run()
+
+  if (!result.meta.changes) {
+    const duplicate = input.run_id && await DB.prepare(`
+      SELECT id FROM kudos WHERE run_record_id = ? AND from_user_id = ?
+    `).bind(input.run_id, fromUserId).first()
+    throw duplicate
+      ? new ApiError('Kudos already given for this run', 409)
+      : new ApiError('Daily kudos limit reached', 429)
+  }
+  return { kudosId, toUserId }
+}
+
+/**
+ * Kudos a user received (or gave), newest first, with the received total
+ */
+export async function listUserKudos(
+  DB: D1Database,
+  userId: string,
+  direction: string = 'received'
+) {
+  if (direction !== 'received' && direction !== 'given') {
+    throw new ApiError('direction must be received or given')
+  }
+  const user = await DB.prepare(`SELECT id FROM users WHERE id = ?`).bind(userId).first()
+  if (!user) {
+    throw new ApiError('User not found', 404)
+  }
+
+  const column = direction === 'received' ? 'to_user_id' : 'from_user_id'
+  const [list, totals] = await DB.batch([
+    DB.prepare(`
+      SELECT
+        k.id, k.from_user_id, f.nickname as from_nickname, k.to_user_id, t.nickname as to_nickname,
+        k.amount, k.message, k.quest_id, k.crew_id, k.run_record_id, k.created_at
+      FROM kudos k
+      LEFT JOIN users f ON k.from_user_id = f.id
+      LEFT JOIN users t ON k.to_user_id = t.id
+      WHERE k.${column} = ?
+      ORDER BY k.created_at DESC, k.rowid DESC
+      LIMIT ?
+    `).bind(userId, LIST_LIMIT),
+    DB.prepare(`
+      SELECT
+        COALESCE(SUM(CASE WHEN to_user_id = ?1 THEN amount END), 0) as total_received,
+        COALESCE(SUM(CASE WHEN from_user_id = ?1 THEN amount END), 0) as total_given
+      FROM kudos WHERE to_user_id = ?1 OR from_user_id = ?1
+    `).bind(userId)
+  ])
+
+  return {
+    kudos: list.results || [],
+    totals: (totals.results?.[0] ?? { total_received: 0, total_given: 0 }) as { total_received: number; total_given: number }
+  }
+}
@@ -0,0 +1,34 @@
+// 작심삼일 RUN DAO - Merkle trees for on-chain commitments
+// Built the way OpenZeppelin's MerkleProof checks them (and QuestFactory builds
+// winner roots): leaves are hashed twice by the caller, pairs hash the smaller
+// node first and an unpaired node moves up a level.
+
+import { keccak256, concat } from 'ethers'
+
+const hashPair = (a: string, b: string) => keccak256(concat(BigInt(a) < BigInt(b) ? [a, b] : [b, a]))
+
+/**
+ * Root of the tree over the leaves and each leaf's proof (sibling hashes, leaf to root)
+ */
+export function buildMerkleTree(leaves: string[]): { root: string; proofs: string[][] } {
+  if (leaves.length === 0) {
+    throw new Error('A Merkle tree needs at least one leaf')
+  }
+  const proofs = leaves.map((): string[] => [])
+  let level = leaves.map((hash, index) => ({ hash, members: [index] }))
+  while (level.length > 1) {
+    const next: typeof level = []
+    for (let i = 0; i < level.length; i += 2) {
+      const [left, right] = [level[i], level[i + 1]]
+      if (!right) {
+        next.push(left)
+        continue
+      }
+      left.members.forEach(index => proofs[index].push(right.hash))
+      right.members.forEach(index => proofs[index].push(left.hash))
+      next.push({ hash: hashPair(left.hash, right.hash), members: [...left.members, ...right.members] })
+    }
+    level = next
+  }
+  return { root: level[0].hash, proofs }
+}
@@ -0,0 +1,350 @@
+// 작심삼일 RUN DAO - Abuse reports and moderation
+// Anyone can report a user, a quest or a run. A report is handled by the
+// moderators of its quest (leader, co-leaders and moderators of the quest's crew,
+// or the creator of a quest without a crew); platform moderators listed in
+// MODERATOR_USER_IDS handle every report, including those without a quest.
+// Resolving invalidates the run, forfeits the participation or dismisses the
+// report, and each action is logged in moderation_actions.
+
+import { createId } from './db'
+import { ApiError } from './errors'
+import type { CrewRole } from './crews'
+import { getQuestProgress } from './progress'
+import { assertQuestVisible } from './quest-access'
+import { recountParticipation } from './runs'
+
+export const REPORT_REASONS = ['cheating', 'spam', 'inappropriate', 'other'] as const
+export const REPORT_STATUSES = ['pending', 'reviewing', 'resolved', 'dismissed'] as const
+export const MODERATION_ACTIONS = ['invalidate_run', 'forfeit_participation', 'dismiss'] as const
+export type ModerationAction = typeof MODERATION_ACTIONS[number]
+
+export type ModerationEnv = {
+  MODERATOR_USER_IDS?: string // comma-separated platform moderators
+}
+
+export type Moderator = {
+  id: string
+  isPlatform: boolean
+}
+
+export type ReportInput = {
+  reason?: string
+  description?: string | null
+  target_user_id?: string | null
+  quest_id?: string | null
+  run_id?: string | null
+}
+
+type ReportRow = {
+  id: string
+  reporter_id: string
+  target_user_id: string | null
+  quest_id: string | null
+  run_record_id: string | null
+  status: typeof REPORT_STATUSES[number]
+  quest_status: string | null
+}
+
+const MODERATOR_ROLES: readonly CrewRole[] = ['leader', 'co_leader', 'moderator']
+const MAX_DESCRIPTION_LENGTH = 1000
+const MAX_NOTE_LENGTH = 500
+const QUEUE_LIMIT = 50
+
+/**
+ * SQL condition for quests the user moderates under the given table alias: the
+ * leader, co-leaders and moderators of the quest's crew, or the creator of a quest
+ * without a crew. The user's ID must be bound as the given parameter.
+ */
+export function moderatedBy(alias: string, userParam: string): string {
+  return `(
+  EXISTS (
+    SELECT 1 FROM crew_memberships mm
+    WHERE mm.crew_id = ${alias}.crew_id AND mm.user_id = ${userParam} AND mm.status = 'active'
+      AND mm.role IN (${MODERATOR_ROLES.map(role => `'${role}'`).join(', ')})
+  ) OR (${alias}.crew_id IS NULL AND ${alias}.creator_id = ${userParam})
+)`
+}
+
+// Reports the moderator handles. The report table must be aliased `ar`, 1 for a
+// platform moderator (else 0) bound as ?1 and the moderator's user ID as ?2.
+const MODERATED_BY = `(
+  ?1 OR EXISTS (
+    SELECT 1 FROM quests mq WHERE mq.id = ar.quest_id AND ${moderatedBy('mq', '?2')}
+  )
+)`
+
+/**
+ * The signed-in user as a moderator; platform moderators come from the environment
+ */
+export function getModerator(env: ModerationEnv, userId: string): Moderator {
+  const platformIds = (env.MODERATOR_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+  return { id: userId, isPlatform: platformIds.includes(userId) }
+}
+
+/**
+ * Whether the moderator handles reports on a quest the run counts for (platform
+ * moderators handle every run)
+ */
+export async function moderatesRun(DB: D1Database, moderator: Moderator, runId: string): Promise<boolean> {
+  if (moderator.isPlatform) {
+    return true
+  }
+  const quest = await DB.prepare(`
+    SELECT 1 FROM quest_runs qr
+    JOIN quests mq ON mq.id = qr.quest_id
+    WHERE qr.run_record_id = ?1 AND ${moderatedBy('mq', '?2')}
+    LIMIT 1
+  `).bind(runId, moderator.id).first()
+  return quest !== null
+}
+
+/**
+ * File a report against a user, a quest or a run. A run report is against its
+ * runner and, unless the reporter names one, the quest the run counted for.
+ */
+export async function fileReport(DB: D1Database, reporterId: string, input: ReportInput): Promise<string> {
+  if (!REPORT_REASONS.includes(input.reason as typeof REPORT_REASONS[number])) {
+    throw new ApiError(`reason must be one of ${REPORT_REASONS.join(', ')}`)
+  }
+  const description = input.description?.trim() || null
+  if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new ApiError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`)
+  }
+
+  let targetUserId = input.target_user_id || null
+  let questId = input.quest_id || null
+  const runId = input.run_id || null
+  if (!targetUserId && !questId && !runId) {
+    throw new ApiError('target_user_id, quest_id or run_id is required')
+  }
+
+  if (runId) {
+    const run = await DB.prepare(`SELECT user_id FROM run_records WHERE id = ?`).bind(runId).first<{ user_id: string }>()
+    if (!run) {
+      throw new ApiError('Run not found', 404)
+    }
+    if (targetUserId && targetUserId !== run.user_id) {
+      throw new ApiError('target_user_id is not the runner of run_id')
+    }
+    targetUserId = run.user_id
+
+    const quests = await DB.prepare(`
+      SELECT quest_id FROM quest_runs WHERE run_record_id = ?
+    `).bind(runId).all<{ quest_id: string }>()
+    const questIds = (quests.results || []).map(row => row.quest_id)
+    if (questId && !questIds.includes(questId)) {
+      throw new ApiError('Run does not count for this quest')
+    }
+    if (!questId && questIds.length > 1) {
+      throw new ApiError('quest_id is required for a run that counts for several quests')
+    }
+    questId = questId ?? questIds[0] ?? null
+  } else if (targetUserId) {
+    const user = await DB.prepare(`SELECT id FROM users WHERE id = ?`).bind(targetUserId).first()
+    if (!user) {
+      throw new ApiError('User not found', 404)
+    }
+  }
+  if (targetUserId === reporterId) {
+    throw new ApiError('You cannot report yourself')
+  }
+  if (questId) {
+    await assertQuestVisible(DB, questId, reporterId)
+  }
+
+  const open = await DB.prepare(`
+    SELECT id FROM abuse_reports
+    WHERE reporter_id = ? AND target_user_id IS ? AND quest_id IS ? AND run_record_id IS ?
+      AND status IN ('pending', 'reviewing')
+  `).bind(reporterId, targetUserId, questId, runId).first()
+  if (open) {
+    throw new ApiError('You already reported this', 409)
+  }
+
+  const reportId = createId('report')
+  await DB.prepare(`
+    INSERT INTO abuse_reports (id, reporter_id, target_user_id, quest_id, run_record_id, reason, description)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(reportId, reporterId, targetUserId, questId, runId, input.reason, description).run()
+  return reportId
+}
+
+/**
+ * The moderator's queue: reports they handle in one status, oldest first
+ */
+export async function listReports(
+  DB: D1Database,
+  moderator: Moderator,
+  filters: { status?: string; quest_id?: string } = {}
+) {
+  const status = filters.status || 'pending'
+  if (!REPORT_STATUSES.includes(status as typeof REPORT_STATUSES[number])) {
+    throw new ApiError(`status must be one of ${REPORT_STATUSES.join(', ')}`)
+  }
+
+  const result = await DB.prepare(`
+    SELECT
+      ar.id, ar.status, ar.reason, ar.description, ar.created_at,
+      ar.reporter_id, ru.nickname as reporter_nickname,
+      ar.target_user_id, tu.nickname as target_nickname,
+      ar.quest_id, q.title as quest_title, q.crew_id,
+      ar.run_record_id, r.started_at as run_started_at, r.distance_km as run_distance_km,
+      r.duration_sec as run_duration_sec, r.integrity_score as run_integrity_score,
+      ar.resolved_by, ar.resolution, ar.resolved_at
+    FROM abuse_reports ar
+    LEFT JOIN users ru ON ar.reporter_id = ru.id
+    LEFT JOIN users tu ON ar.target_user_id = tu.id
+    LEFT JOIN quests q ON ar.quest_id = q.id
+    LEFT JOIN run_records r ON ar.run_record_id = r.id
+    WHERE ${MODERATED_BY}
+      AND ar.status = ?3
+      AND (?4 IS NULL OR ar.quest_id = ?4)
+    ORDER BY ar.created_at ASC, ar.id ASC
+    LIMIT ?5
+  `).bind(moderator.isPlatform ? 1 : 0, moderator.id, status, filters.quest_id || null, QUEUE_LIMIT).all()
+
+  return result.results || []
+}
+
+async function getModeratedReport(DB: D1Database, reportId: string, moderator: Moderator): Promise<ReportRow> {
+  const report = await DB.prepare(`
+    SELECT
+      ar.id, ar.reporter_id, ar.target_user_id, ar.quest_id, ar.run_record_id, ar.status,
+      q.status as quest_status, ${MODERATED_BY} as moderated
+    FROM abuse_reports ar
+    LEFT JOIN quests q ON ar.quest_id = q.id
+    WHERE ar.id = ?3
+  `).bind(moderator.isPlatform ? 1 : 0, moderator.id, reportId).first<ReportRow & { moderated: number }>()
+
+  if (!report) {
+    throw new ApiError('Report not found', 404)
+  }
+  if (!report.moderated) {
+    throw new ApiError('Only moderators of the quest can handle this report', 403)
+  }
+  return report
+}
+
+/**
+ * One report with its moderation log, for a moderator who handles it
+ */
+export async function getReport(DB: D1Database, reportId: string, moderator: Moderator) {
+  await getModeratedReport(DB, reportId, moderator)
+
+  const [report, actions] = await DB.batch([
+    DB.prepare(`SELECT * FROM abuse_reports WHERE id = ?`).bind(reportId),
+    DB.prepare(`
+      SELECT ma.id, ma.action, ma.actor_id, u.nickname as actor_nickname,
+        ma.quest_id, ma.user_id, ma.run_record_id, ma.note, ma.created_at
+      FROM moderation_actions ma
+      LEFT JOIN users u ON ma.actor_id = u.id
+      WHERE ma.report_id = ?
+      ORDER BY ma.created_at ASC, ma.rowid ASC
+    `).bind(reportId)
+  ])
+  return { ...(report.results?.[0] as Record<string, unknown>), actions: actions.results || [] }
+}
+
+/**
+ * Resolve an open report. Invalidating a run stops it counting for the report's
+ * quest; forfeiting ends the reported runner's participation. Both recount the
+ * participation, and the quest's progress after the action is returned.
+ */
+export async function resolveReport(
+  DB: D1Database,
+  reportId: string,
+  moderator: Moderator,
+  input: { action?: string; note?: string | null }
+): Promise<{ status: 'resolved' | 'dismissed'; progress: Awaited<ReturnType<typeof getQuestProgress>> | null }> {
+  const action = input.action as ModerationAction
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw new ApiError(`action must be one of ${MODERATION_ACTIONS.join(', ')}`)
+  }
+  const note = input.note?.trim() || null
+  if (note && note.length > MAX_NOTE_LENGTH) {
+    throw new ApiError(`note must be at most ${MAX_NOTE_LENGTH} characters`)
+  }
+
+  const report = await getModeratedReport(DB, reportId, moderator)
+  if (report.target_user_id === moderator.id) {
+    throw new ApiError('You cannot handle a report against yourself', 403)
+  }
+  if (report.status !== 'pending' && report.status !== 'reviewing') {
+    throw new ApiError('Report already handled', 409)
+  }
+  if (action !== 'dismiss') {
+    if (!report.quest_id || !report.target_user_id) {
+      throw new ApiError('Only reports about a quest participant can invalidate runs or forfeit participations', 409)
+    }
+    // Settled quests have paid out on-chain; their outcome no longer changes
+    if (report.quest_status !== 'open' && report.quest_status !== 'active') {
+      throw new ApiError(`Quest is ${report.quest_status}`, 409)
+    }
+  }
+
+  const statements: D1PreparedStatement[] = []
+  if (action === 'invalidate_run') {
+    if (!report.run_record_id) {
+      throw new ApiError('The report is not about a run', 409)
+    }
+    if (!note) {
+      throw new ApiError('note is required to invalidate a run')
+    }
+    const questRun = await DB.prepare(`
+      SELECT id, is_valid FROM quest_runs WHERE quest_id = ? AND run_record_id = ?
+    `).bind(report.quest_id, report.run_record_id).first<{ id: string; is_valid: number }>()
+    if (!questRun) {
+      throw new ApiError('Run does not count for this quest', 409)
+    }
+    if (!questRun.is_valid) {
+      throw new ApiError('Run already invalidated', 409)
+    }
+    statements.push(DB.prepare(`
+      UPDATE quest_runs SET is_valid = 0, validation_reason = ?, reviewed_by = ? WHERE id = ? AND is_valid = 1
+    `).bind(note, moderator.id, questRun.id))
+  } else if (action === 'forfeit_participation') {
+    const participation = await DB.prepare(`
+      SELECT id, status FROM participations WHERE quest_id = ? AND user_id = ?
+    `).bind(report.quest_id, report.target_user_id).first<{ id: string; status: string }>()
+    if (!participation) {
+      throw new ApiError('The reported user is not in this quest', 409)
+    }
+    if (participation.status !== 'active') {
+      throw new ApiError(`Participation is already ${participation.status}`, 409)
+    }
+    statements.push(DB.prepare(`
+      UPDATE participations SET status = 'forfeit', completed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'active'
+    `).bind(participation.id))
+  }
+  if (action !== 'dismiss') {
+    statements.push(recountParticipation(DB, report.quest_id!, report.target_user_id!))
+  }
+
+  // Every statement is a no-op if a parallel request handled the report first
+  const status = action === 'dismiss' ? 'dismissed' : 'resolved'
+  const [closed] = await DB.batch([
+    DB.prepare(`
+      UPDATE abuse_reports
+      SET status = ?, resolved_by = ?, resolution = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('pending', 'reviewing')
+    `).bind(status, moderator.id, note, report.id),
+    ...statements,
+    DB.prepare(`
+      INSERT INTO moderation_actions (id, report_id, actor_id, action, quest_id, user_id, run_record_id, note)
+      SELECT ?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8
+      WHERE NOT EXISTS (SELECT 1 FROM moderation_actions WHERE report_id = ?2)
+    `).bind(
+      createId('moderation'), report.id, moderator.id, action,
+      report.quest_id, report.target_user_id, report.run_record_id, note
+    )
+  ])
+  if (!closed.meta.changes) {
+    throw new ApiError('Report already handled', 409)
+  }
+
+  const progress = action !== 'dismiss'
+    ? await getQuestProgress(DB, report.quest_id!, { userId: report.target_user_id! })
+    : null
+  return { status, progress }
+}
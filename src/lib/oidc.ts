@@ -0,0 +1,177 @@
+// 작심삼일 RUN DAO - OpenID Connect helpers
+// Discovery documents and JWKS are cached per isolate; ID tokens are verified
+// with Web Crypto (RS256 and ES256, the algorithms Google, Apple and Kakao use).
+
+import { ApiError } from './errors'
+import { fromBase64Url, toBase64Url } from './crypto'
+
+export type OidcDiscovery = {
+  issuer: string
+  authorization_endpoint: string
+  token_endpoint: string
+  jwks_uri: string
+}
+
+export type IdTokenClaims = {
+  iss: string
+  sub: string
+  aud: string | string[]
+  exp: number
+  iat: number
+  nonce?: string
+  email?: string
+  email_verified?: boolean | string
+  name?: string
+  nickname?: string
+  [claim: string]: unknown
+}
+
+type Jwk = JsonWebKey & { kid?: string }
+type JwtHeader = { alg?: string; kid?: string; typ?: string }
+
+const CACHE_TTL_MS = 60 * 60 * 1000
+const CLOCK_SKEW_SEC = 60
+
+type SignatureAlgorithm = {
+  importParams: Parameters<SubtleCrypto['importKey']>[2]
+  verifyParams: Parameters<SubtleCrypto['verify']>[0]
+}
+
+const ALGORITHMS: Record<string, SignatureAlgorithm> = {
+  RS256: {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: 'RSASSA-PKCS1-v1_5'
+  },
+  ES256: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+  }
+}
+
+const discoveryCache = new Map<string, { value: OidcDiscovery; expiresAt: number }>()
+const jwksCache = new Map<string, { keys: Jwk[]; expiresAt: number }>()
+
+async function fetchJson<T>(url: string): Promise<T> {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } })
+  if (!response.ok) {
+    throw new ApiError(`Identity provider request failed (${response.status})`, 502)
+  }
+  return response.json() as Promise<T>
+}
+
+/**
+ * Load the issuer's OpenID configuration
+ */
+export async function discover(issuer: string): Promise<OidcDiscovery> {
+  const cached = discoveryCache.get(issuer)
+  if (cached && cached.expiresAt > Date.now()) return cached.value
+
+  const value = await fetchJson<OidcDiscovery>(`${issuer}/.well-known/openid-configuration`)
+  if (!value.authorization_endpoint || !value.token_endpoint || !value.jwks_uri) {
+    throw new ApiError('Incomplete OpenID configuration', 502)
+  }
+  discoveryCache.set(issuer, { value, expiresAt: Date.now() + CACHE_TTL_MS })
+  return value
+}
+
+/**
+ * Find the signing key for a kid, refetching the JWKS once when the kid is
+ * unknown (providers rotate keys without notice)
+ */
+async function findSigningKey(jwksUri: string, kid: string | undefined): Promise<Jwk | undefined> {
+  const match = (keys: Jwk[]) => keys.find(key => !kid || key.kid === kid)
+
+  const cached = jwksCache.get(jwksUri)
+  if (cached && cached.expiresAt > Date.now()) {
+    const key = match(cached.keys)
+    if (key) return key
+  }
+
+  const { keys = [] } = await fetchJson<{ keys?: Jwk[] }>(jwksUri)
+  jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + CACHE_TTL_MS })
+  return match(keys)
+}
+
+function decodeSegment<T>(segment: string): T {
+  try {
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(segment)))
+  } catch {
+    throw new ApiError('Malformed ID token', 401)
+  }
+}
+
+/**
+ * Verify an ID token's signature and standard claims
+ */
+export async function verifyIdToken(
+  token: string,
+  expected: { issuers: string[]; audience: string; nonce: string; jwksUri: string },
+  now = new Date()
+): Promise<IdTokenClaims> {
+  const [headerSegment, payloadSegment, signatureSegment] = token.split('.')
+  if (!headerSegment || !payloadSegment || !signatureSegment) {
+    throw new ApiError('Malformed ID token', 401)
+  }
+
+  const header = decodeSegment<JwtHeader>(headerSegment)
+  const algorithm = header.alg ? ALGORITHMS[header.alg] : undefined
+  if (!algorithm) {
+    throw new ApiError(`Unsupported ID token algorithm ${header.alg}`, 401)
+  }
+
+  const jwk = await findSigningKey(expected.jwksUri, header.kid)
+  if (!jwk) {
+    throw new ApiError('Unknown ID token signing key', 401)
+  }
+
+  const key = await crypto.subtle.importKey('jwk', jwk, algorithm.importParams, false, ['verify'])
+  const valid = await crypto.subtle.verify(
+    algorithm.verifyParams,
+    key,
+    fromBase64Url(signatureSegment),
+    new TextEncoder().encode(`${headerSegment}.${payloadSegment}`)
+  )
+  if (!valid) {
+    throw new ApiError('Invalid ID token signature', 401)
+  }
+
+  const claims = decodeSegment<IdTokenClaims>(payloadSegment)
+  const nowSec = Math.floor(now.getTime() / 1000)
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+
+  if (!expected.issuers.includes(claims.iss)) {
+    throw new ApiError('ID token issuer mismatch', 401)
+  }
+  if (!audiences.includes(expected.audience)) {
+    throw new ApiError('ID token audience mismatch', 401)
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SEC < nowSec) {
+    throw new ApiError('ID token has expired', 401)
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SEC > nowSec) {
+    throw new ApiError('ID token issued in the future', 401)
+  }
+  if (claims.nonce !== expected.nonce) {
+    throw new ApiError('ID token nonce mismatch', 401)
+  }
+  if (!claims.sub) {
+    throw new ApiError('ID token has no subject', 401)
+  }
+  return claims
+}
+
+/**
+ * Sign a compact ES256 JWT with a PKCS#8 PEM key (Apple's client secret)
+ */
+export async function signEs256Jwt(
+  privateKeyPem: string,
+  header: Record<string, unknown>,
+  payload: Record<string, unknown>
+): Promise<string> {
+  const der = fromBase64Url(privateKeyPem.replace(/-----[A-Z ]+-----/g, '').replace(/\s+/g, ''))
+  const key = await crypto.subtle.importKey('pkcs8', der, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign'])
+
+  const signingInput = `${toBase64Url(JSON.stringify({ ...header, alg: 'ES256' }))}.${toBase64Url(JSON.stringify(payload))}`
+  const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, new TextEncoder().encode(signingInput))
+  return `${signingInput}.${toBase64Url(signature)}`
+}
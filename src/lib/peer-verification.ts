@@ -0,0 +1,227 @@
+// 작심삼일 RUN DAO - Community verification of held runs
+// The third check after sensors and integrity scoring: while a suspicious run
+// waits for review, fellow participants of its quest vote it valid or invalid.
+// Votes are weighted by reputation (finished quests add weight, runs found
+// invalid take it away). Once a quorum has voted, a two-thirds majority decides
+// at once; when voting ends, a simple majority does. Without a quorum the run
+// stays with the crew leader, who can also decide at any time.
+
+import { createId, fromSqlDateTime, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { assertQuestVisible } from './quest-access'
+import { closeReview, type ReviewDecision, type ReviewTarget } from './reviews'
+
+export const REVIEW_VOTES = ['valid', 'invalid'] as const
+export type ReviewVote = typeof REVIEW_VOTES[number]
+
+export type VoteTally = {
+  voters: number
+  valid_weight: number
+  invalid_weight: number
+}
+
+type VotingReview = ReviewTarget & {
+  status: string
+  voting_ends_at: string | null
+}
+
+const QUORUM_VOTERS = 3
+const QUORUM_WEIGHT = 3
+const SUPERMAJORITY = 2 / 3
+
+// Reputation: a newcomer's vote weighs 1
+const BASE_WEIGHT = 1
+const WEIGHT_PER_SUCCESS = 0.5
+const WEIGHT_PER_INVALID_RUN = 1
+const MIN_WEIGHT = 0.25
+const MAX_WEIGHT = 3
+
+/**
+ * A user's vote weight from their record: quests finished and runs found invalid
+ */
+export async function getVoteWeight(DB: D1Database, userId: string): Promise<number> {
+  const record = await DB.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM participations WHERE user_id = ?1 AND status = 'success') as successes,
+      (SELECT COUNT(*) FROM quest_runs WHERE user_id = ?1 AND is_valid = 0) as invalid_runs
+  `).bind(userId).first<{ successes: number; invalid_runs: number }>()
+
+  const weight = BASE_WEIGHT
+    + WEIGHT_PER_SUCCESS * (record?.successes ?? 0)
+    - WEIGHT_PER_INVALID_RUN * (record?.invalid_runs ?? 0)
+  return Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, weight))
+}
+
+/**
+ * The outcome of a tally, or null while it is undecided
+ */
+export function decideTally(tally: VoteTally, votingEnded: boolean): ReviewDecision | null {
+  const total = tally.valid_weight + tally.invalid_weight
+  if (tally.voters < QUORUM_VOTERS || total < QUORUM_WEIGHT || tally.valid_weight === tally.invalid_weight) {
+    return null
+  }
+  const majority = tally.valid_weight > tally.invalid_weight ? 'approve' : 'reject'
+  const share = Math.max(tally.valid_weight, tally.invalid_weight) / total
+  return share >= SUPERMAJORITY || votingEnded ? majority : null
+}
+
+async function getVotingReview(DB: D1Database, reviewId: string): Promise<VotingReview> {
+  const review = await DB.prepare(`
+    SELECT rv.id, rv.run_record_id, rv.quest_id, rv.user_id, rv.status, rv.voting_ends_at, r.distance_km
+    FROM run_reviews rv
+    JOIN run_records r ON rv.run_record_id = r.id
+    WHERE rv.id = ?
+  `).bind(reviewId).first<VotingReview>()
+
+  if (!review) {
+    throw new ApiError('Review not found', 404)
+  }
+  return review
+}
+
+async function getTally(DB: D1Database, reviewId: string): Promise<VoteTally> {
+  const tally = await DB.prepare(`
+    SELECT
+      COUNT(*) as voters,
+      COALESCE(SUM(CASE WHEN vote = 'valid' THEN weight END), 0) as valid_weight,
+      COALESCE(SUM(CASE WHEN vote = 'invalid' THEN weight END), 0) as invalid_weight
+    FROM run_review_votes WHERE review_id = ?
+  `).bind(reviewId).first<VoteTally>()
+  return tally ?? { voters: 0, valid_weight: 0, invalid_weight: 0 }
+}
+
+// Close the review with the vote's outcome; a leader may have decided first
+async function applyOutcome(DB: D1Database, review: VotingReview, decision: ReviewDecision, tally: VoteTally) {
+  const reason = `Community vote: ${decision === 'approve' ? 'valid' : 'invalid'}`
+    + ` (${tally.valid_weight} valid / ${tally.invalid_weight} invalid weight, ${tally.voters} voters)`
+  try {
+    return (await closeReview(DB, review, decision, { reviewedBy: null, note: reason, reason })).status
+  } catch (error) {
+    if (error instanceof ApiError && error.status === 409) {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Vote on a held run as a fellow participant of its quest. Returns the tally and
+ * the review status, which changes if this vote decided it.
+ */
+export async function castVote(
+  DB: D1Database,
+  reviewId: string,
+  voterId: string,
+  vote: string | undefined,
+  now = new Date()
+): Promise<{ status: string; tally: VoteTally; weight: number }> {
+  if (!REVIEW_VOTES.includes(vote as ReviewVote)) {
+    throw new ApiError(`vote must be one of ${REVIEW_VOTES.join(', ')}`)
+  }
+
+  const review = await getVotingReview(DB, reviewId)
+  if (review.user_id === voterId) {
+    throw new ApiError('You cannot vote on your own run', 403)
+  }
+  if (review.status !== 'pending') {
+    throw new ApiError('Review already decided', 409)
+  }
+  if (!review.voting_ends_at || fromSqlDateTime(review.voting_ends_at) <= now) {
+    throw new ApiError('Voting has closed', 409)
+  }
+
+  const participation = await DB.prepare(`
+    SELECT status FROM participations WHERE quest_id = ? AND user_id = ?
+  `).bind(review.quest_id, voterId).first<{ status: string }>()
+  if (!participation || participation.status === 'forfeit') {
+    throw new ApiError('Only participants of the quest can vote on its runs', 403)
+  }
+
+  const weight = await getVoteWeight(DB, voterId)
+  const result = await DB.prepare(`
+    INSERT INTO run_review_votes (id, review_id, voter_id, vote, weight) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (review_id, voter_id) DO NOTHING
+  `).bind(createId('review_vote'), review.id, voterId, vote, weight).run()
+  if (!result.meta.changes) {
+    throw new ApiError('You already voted on this run', 409)
+  }
+
+  const tally = await getTally(DB, review.id)
+  const decision = decideTally(tally, false)
+  const status = decision ? await applyOutcome(DB, review, decision, tally) : null
+  return { status: status ?? 'pending', tally, weight }
+}
+
+/**
+ * A review's tally and its votes, newest first, for participants of its quest
+ * and the crew leader who decides it
+ */
+export async function listVotes(DB: D1Database, reviewId: string, viewerId: string) {
+  const review = await getVotingReview(DB, reviewId)
+  await assertQuestVisible(DB, review.quest_id, viewerId)
+
+  const viewer = await DB.prepare(`
+    SELECT
+      EXISTS (SELECT 1 FROM participations p WHERE p.quest_id = q.id AND p.user_id = ?2) as participant,
+      COALESCE(cr.leader_id, q.creator_id) = ?2 as leader
+    FROM quests q
+    LEFT JOIN crews cr ON q.crew_id = cr.id
+    WHERE q.id = ?1
+  `).bind(review.quest_id, viewerId).first<{ participant: number; leader: number | null }>()
+  if (!viewer?.participant && !viewer?.leader) {
+    throw new ApiError('Only participants of the quest and its crew leader can see the votes on its runs', 403)
+  }
+  const [tally, votes] = await Promise.all([
+    getTally(DB, review.id),
+    DB.prepare(`
+      SELECT v.voter_id, u.nickname, v.vote, v.weight, v.created_at
+      FROM run_review_votes v
+      LEFT JOIN users u ON v.voter_id = u.id
+      WHERE v.review_id = ?
+      ORDER BY v.created_at DESC, v.rowid DESC
+    `).bind(review.id).all()
+  ])
+
+  return {
+    status: review.status,
+    voting_ends_at: review.voting_ends_at,
+    tally,
+    votes: votes.results || []
+  }
+}
+
+/**
+ * Decide pending reviews whose voting has ended (run from the Cron Trigger).
+ * Reviews without a quorum or with a tie stay pending for the crew leader and
+ * are marked handed_to_leader_at, so later runs skip them.
+ */
+export async function closeEndedVotes(
+  DB: D1Database,
+  now = new Date()
+): Promise<{ decided: { reviewId: string; status: string }[]; undecided: string[] }> {
+  const ended = await DB.prepare(`
+    SELECT rv.id, rv.run_record_id, rv.quest_id, rv.user_id, rv.status, rv.voting_ends_at, r.distance_km
+    FROM run_reviews rv
+    JOIN run_records r ON rv.run_record_id = r.id
+    WHERE rv.status = 'pending' AND rv.handed_to_leader_at IS NULL
+      AND datetime(rv.voting_ends_at) <= datetime(?)
+      AND EXISTS (SELECT 1 FROM run_review_votes WHERE review_id = rv.id)
+  `).bind(toSqlDateTime(now)).all<VotingReview>()
+
+  const decided: { reviewId: string; status: string }[] = []
+  const undecided: string[] = []
+  for (const review of ended.results || []) {
+    const tally = await getTally(DB, review.id)
+    const decision = decideTally(tally, true)
+    const status = decision ? await applyOutcome(DB, review, decision, tally) : null
+    if (status) {
+      decided.push({ reviewId: review.id, status })
+    } else {
+      await DB.prepare(`
+        UPDATE run_reviews SET handed_to_leader_at = ? WHERE id = ? AND status = 'pending'
+      `).bind(toSqlDateTime(now), review.id).run()
+      undecided.push(review.id)
+    }
+  }
+  return { decided, undecided }
+}
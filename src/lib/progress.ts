@@ -0,0 +1,262 @@
+// 작심삼일 RUN DAO - Quest progress engine
+// Buckets each participant's valid quest runs into ISO weeks in their own timezone
+// and checks every week against the quest's distance and times-per-week target.
+
+import { fromSqlDateTime } from './db'
+import { ApiError } from './errors'
+
+export type WeekStatus = 'met' | 'in_progress' | 'missed' | 'upcoming'
+
+export type ProgressRun = {
+  run_id: string
+  started_at: string
+  distance_km: number
+  duration_sec: number
+  avg_pace_sec_per_km: number
+  counts: boolean // meets the quest distance
+}
+
+export type WeekProgress = {
+  week: string // ISO week, e.g. 2026-W42
+  week_start: string // local Monday, YYYY-MM-DD
+  sessions: number
+  target: number // prorated for partial weeks
+  distance_km: number
+  status: WeekStatus
+  runs: ProgressRun[]
+}
+
+export type ParticipantProgress = {
+  user_id: string
+  nickname: string | null
+  wallet_address: string
+  timezone: string
+  participation_status: string
+  joined_at: string
+  weeks: WeekProgress[]
+  current_week: WeekProgress | null
+  weeks_met: number
+  total_weeks: number
+  qualifying_sessions: number
+  total_distance_km: number
+  on_track: boolean // no week missed so far
+  goal_met: boolean // every week met
+}
+
+type QuestRow = {
+  id: string
+  title: string
+  status: string
+  start_at: string
+  end_at: string
+  distance_km: number
+  times_per_week: number
+}
+
+type ParticipantRow = {
+  user_id: string
+  nickname: string | null
+  wallet_address: string
+  timezone: string | null
+  status: string
+  joined_at: string
+}
+
+type RunRow = {
+  user_id: string
+  run_id: string
+  started_at: string
+  distance_km: number
+  duration_sec: number
+  avg_pace_sec_per_km: number
+}
+
+export const DEFAULT_TIMEZONE = 'Asia/Seoul'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const dateFormatters = new Map<string, Intl.DateTimeFormat>()
+
+/**
+ * Fall back to the default timezone when a stored one is not a valid IANA name
+ */
+export function resolveTimezone(timezone: string | null | undefined): string {
+  if (!timezone) return DEFAULT_TIMEZONE
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return timezone
+  } catch {
+    return DEFAULT_TIMEZONE
+  }
+}
+
+/**
+ * Calendar date of an instant in the given timezone, as a UTC-midnight timestamp
+ */
+function localDay(date: Date, timezone: string): number {
+  let formatter = dateFormatters.get(timezone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric'
+    })
+    dateFormatters.set(timezone, formatter)
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]))
+  return Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day))
+}
+
+/**
+ * ISO week key and Monday for a calendar day
+ */
+function isoWeek(day: number): { week: string; weekStart: string } {
+  const weekday = (new Date(day).getUTCDay() + 6) % 7 // Monday = 0
+  const monday = day - weekday * DAY_MS
+  const thursday = monday + 3 * DAY_MS
+  const isoYear = new Date(thursday).getUTCFullYear()
+  const weekNumber = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS)) + 1
+
+  return {
+    week: `${isoYear}-W${String(weekNumber).padStart(2, '0')}`,
+    weekStart: new Date(monday).toISOString().slice(0, 10)
+  }
+}
+
+/**
+ * Every ISO week touched by [start, end] in the given timezone,
+ * with the number of quest days that fall inside each week
+ */
+export function questWeeks(
+  start: Date,
+  end: Date,
+  timezone: string
+): { week: string; weekStart: string; questDays: number }[] {
+  const weeks: { week: string; weekStart: string; questDays: number }[] = []
+  const firstDay = localDay(start, timezone)
+  const lastDay = localDay(end, timezone)
+  const firstMonday = firstDay - ((new Date(firstDay).getUTCDay() + 6) % 7) * DAY_MS
+  for (let monday = firstMonday; monday <= lastDay; monday += 7 * DAY_MS) {
+    const from = Math.max(monday, firstDay)
+    const to = Math.min(monday + 6 * DAY_MS, lastDay)
+    weeks.push({ ...isoWeek(monday), questDays: (to - from) / DAY_MS + 1 })
+  }
+  return weeks
+}
+
+/**
+ * Sessions required in a week; partial weeks at the start and end are prorated
+ */
+function weeklyTarget(timesPerWeek: number, questDays: number): number {
+  return Math.max(1, Math.min(timesPerWeek, Math.ceil(timesPerWeek * questDays / 7)))
+}
+
+/**
+ * Compute per-participant, per-week progress for a quest
+ */
+export async function getQuestProgress(
+  DB: D1Database,
+  questId: string,
+  options: { userId?: string; now?: Date } = {}
+): Promise<{ quest: QuestRow & { total_weeks: number }; participants: ParticipantProgress[] }> {
+  const now = options.now ?? new Date()
+
+  const quest = await DB.prepare(`
+    SELECT id, title, status, start_at, end_at, distance_km, times_per_week
+    FROM quests WHERE id = ?
+  `).bind(questId).first<QuestRow>()
+
+  if (!quest) {
+    throw new ApiError('Quest not found', 404)
+  }
+
+  const [participants, runs] = await Promise.all([
+    DB.prepare(`
+      SELECT p.user_id, u.nickname, u.wallet_address, u.timezone, p.status, p.joined_at
+      FROM participations p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.quest_id = ? AND (? IS NULL OR p.user_id = ?)
+      ORDER BY p.joined_at ASC
+    `).bind(questId, options.userId ?? null, options.userId ?? null).all<ParticipantRow>(),
+    DB.prepare(`
+      SELECT qr.user_id, r.id as run_id, r.started_at, r.distance_km, r.duration_sec, r.avg_pace_sec_per_km
+      FROM quest_runs qr
+      JOIN run_records r ON qr.run_record_id = r.id
+      WHERE qr.quest_id = ? AND qr.is_valid = 1 AND (? IS NULL OR qr.user_id = ?)
+      ORDER BY r.started_at ASC
+    `).bind(questId, options.userId ?? null, options.userId ?? null).all<RunRow>()
+  ])
+
+  const questStart = fromSqlDateTime(quest.start_at)
+  const questEnd = fromSqlDateTime(quest.end_at)
+
+  const runsByUser = new Map<string, RunRow[]>()
+  for (const run of runs.results || []) {
+    const startedAt = fromSqlDateTime(run.started_at)
+    if (startedAt < questStart || startedAt > questEnd) continue
+    runsByUser.set(run.user_id, [...(runsByUser.get(run.user_id) || []), run])
+  }
+
+  const progress = (participants.results || []).map(participant => {
+    const timezone = resolveTimezone(participant.timezone)
+    const currentWeek = isoWeek(localDay(now, timezone)).week
+
+    const weeks: WeekProgress[] = questWeeks(questStart, questEnd, timezone).map(({ week, weekStart, questDays }) => ({
+      week,
+      week_start: weekStart,
+      sessions: 0,
+      target: weeklyTarget(quest.times_per_week, questDays),
+      distance_km: 0,
+      status: 'upcoming',
+      runs: []
+    }))
+    const weeksByKey = new Map(weeks.map(week => [week.week, week]))
+
+    for (const run of runsByUser.get(participant.user_id) || []) {
+      const week = weeksByKey.get(isoWeek(localDay(fromSqlDateTime(run.started_at), timezone)).week)
+      if (!week) continue
+
+      const counts = run.distance_km >= quest.distance_km
+      week.runs.push({
+        run_id: run.run_id,
+        started_at: run.started_at,
+        distance_km: run.distance_km,
+        duration_sec: run.duration_sec,
+        avg_pace_sec_per_km: run.avg_pace_sec_per_km,
+        counts
+      })
+      week.distance_km = Math.round((week.distance_km + run.distance_km) * 1000) / 1000
+      if (counts) week.sessions++
+    }
+
+    for (const week of weeks) {
+      week.status = week.sessions >= week.target ? 'met'
+        : week.week === currentWeek ? 'in_progress'
+        : week.week < currentWeek ? 'missed'
+        : 'upcoming'
+    }
+
+    const weeksMet = weeks.filter(week => week.status === 'met').length
+    return {
+      user_id: participant.user_id,
+      nickname: participant.nickname,
+      wallet_address: participant.wallet_address,
+      timezone,
+      participation_status: participant.status,
+      joined_at: participant.joined_at,
+      weeks,
+      current_week: weeksByKey.get(currentWeek) ?? null,
+      weeks_met: weeksMet,
+      total_weeks: weeks.length,
+      qualifying_sessions: weeks.reduce((sum, week) => sum + week.sessions, 0),
+      total_distance_km: Math.round(weeks.reduce((sum, week) => sum + week.distance_km, 0) * 1000) / 1000,
+      on_track: !weeks.some(week => week.status === 'missed'),
+      goal_met: weeks.length > 0 && weeksMet === weeks.length
+    }
+  })
+
+  return {
+    quest: {
+      ...quest,
+      total_weeks: questWeeks(questStart, questEnd, DEFAULT_TIMEZONE).length
+    },
+    participants: progress
+  }
+}
@@ -0,0 +1,218 @@
+// 작심삼일 RUN DAO - Quest visibility and eligibility
+// Public quests are open to everyone; crew quests are only visible to, and
+// joinable by, active members of their crew. Either kind can further limit who
+// may join: runners from one region, runners with enough past runs, or invitees.
+
+import { createId } from './db'
+import { ApiError } from './errors'
+import { getMembership } from './crews'
+import { assertQuestManager, getLifecycleQuest } from './quest-lifecycle'
+
+export const QUEST_VISIBILITIES = ['public', 'crew'] as const
+export type QuestVisibility = typeof QUEST_VISIBILITIES[number]
+
+export type AccessInput = {
+  visibility?: string
+  eligible_region?: string | null
+  min_past_runs?: number
+  invite_only?: boolean
+}
+
+export type QuestAccess = {
+  visibility: QuestVisibility
+  eligibleRegion: string | null
+  minPastRuns: number
+  inviteOnly: boolean
+}
+
+type AccessRow = {
+  id: string
+  crew_id: string | null
+  creator_id: string | null
+  visibility: QuestVisibility
+  eligible_region: string | null
+  min_past_runs: number
+  invite_only: number
+}
+
+const MAX_PAST_RUNS = 1000
+const MAX_REGION_LENGTH = 50
+const PUBLIC_LIST_LIMIT = 50
+
+/**
+ * SQL condition for quests (or templates) the viewer may see under the given
+ * table alias, with the viewer's user ID (or null) bound as ?1
+ */
+export function visibleToViewer(alias: string): string {
+  return `(
+  ${alias}.visibility = 'public' OR ${alias}.creator_id = ?1 OR EXISTS (
+    SELECT 1 FROM crew_memberships vm
+    WHERE vm.crew_id = ${alias}.crew_id AND vm.user_id = ?1 AND vm.status = 'active'
+  )
+)`
+}
+
+/**
+ * SQL condition for quests the viewer may see. The quest table must be aliased
+ * `q` and the viewer's user ID (or null) bound as ?1.
+ */
+export const VISIBLE_TO_VIEWER = visibleToViewer('q')
+
+/**
+ * Validate the access settings of a new quest or template. A crew quest needs its
+ * crew, and only active members of a crew may create quests for it.
+ */
+export async function resolveQuestAccess(
+  DB: D1Database,
+  input: AccessInput,
+  crewId: string | null,
+  creatorId: string
+): Promise<QuestAccess> {
+  const visibility = (input.visibility || (crewId ? 'crew' : 'public')) as QuestVisibility
+  if (!QUEST_VISIBILITIES.includes(visibility)) {
+    throw new ApiError(`visibility must be one of ${QUEST_VISIBILITIES.join(', ')}`)
+  }
+  if (visibility === 'crew' && !crewId) {
+    throw new ApiError('Crew quests need a crew_id')
+  }
+  if (crewId) {
+    const membership = await getMembership(DB, crewId, creatorId)
+    if (membership?.status !== 'active') {
+      throw new ApiError('Only crew members can create quests for this crew', 403)
+    }
+  }
+
+  const eligibleRegion = input.eligible_region?.trim() || null
+  if (eligibleRegion && eligibleRegion.length > MAX_REGION_LENGTH) {
+    throw new ApiError(`eligible_region must be at most ${MAX_REGION_LENGTH} characters`)
+  }
+  const minPastRuns = input.min_past_runs ?? 0
+  if (!Number.isInteger(minPastRuns) || minPastRuns < 0 || minPastRuns > MAX_PAST_RUNS) {
+    throw new ApiError(`min_past_runs must be between 0 and ${MAX_PAST_RUNS}`)
+  }
+
+  return { visibility, eligibleRegion, minPastRuns, inviteOnly: input.invite_only === true }
+}
+
+/**
+ * Load a quest's access settings, as a 404 if the viewer may not see it
+ */
+export async function assertQuestVisible(
+  DB: D1Database,
+  questId: string,
+  viewerId: string | null | undefined
+): Promise<AccessRow> {
+  const quest = await DB.prepare(`
+    SELECT q.id, q.crew_id, q.creator_id, q.visibility, q.eligible_region, q.min_past_runs, q.invite_only
+    FROM quests q
+    WHERE q.id = ?2 AND ${VISIBLE_TO_VIEWER}
+  `).bind(viewerId ?? null, questId).first<AccessRow>()
+
+  if (!quest) {
+    throw new ApiError('Quest not found', 404)
+  }
+  return quest
+}
+
+/**
+ * Check the quest's join rules for a user who can already see it.
+ * The quest creator is exempt from the invitation requirement.
+ */
+export async function assertEligible(DB: D1Database, quest: AccessRow, userId: string) {
+  if (quest.visibility === 'crew') {
+    const membership = quest.crew_id ? await getMembership(DB, quest.crew_id, userId) : null
+    if (membership?.status !== 'active') {
+      throw new ApiError('Only crew members can join this quest', 403)
+    }
+  }
+
+  const runner = await DB.prepare(`
+    SELECT
+      u.region,
+      (SELECT COUNT(*) FROM run_records r WHERE r.user_id = u.id AND r.is_suspicious = 0) as past_runs,
+      EXISTS (SELECT 1 FROM quest_invites i WHERE i.quest_id = ? AND i.user_id = u.id) as invited
+    FROM users u WHERE u.id = ?
+  `).bind(quest.id, userId).first<{ region: string | null; past_runs: number; invited: number }>()
+
+  if (!runner) {
+    throw new ApiError('User not found', 404)
+  }
+  if (quest.eligible_region && runner.region?.trim().toLowerCase() !== quest.eligible_region.toLowerCase()) {
+    throw new ApiError(`This quest is only open to runners in ${quest.eligible_region}`, 403)
+  }
+  if (runner.past_runs < quest.min_past_runs) {
+    throw new ApiError(`This quest needs at least ${quest.min_past_runs} past runs`, 403)
+  }
+  if (quest.invite_only && !runner.invited && quest.creator_id !== userId) {
+    throw new ApiError('This quest is invite-only', 403)
+  }
+}
+
+/**
+ * Public quests that are open for joining or running, soonest first
+ */
+export async function listPublicQuests(DB: D1Database, filters: { status?: string } = {}) {
+  const status = filters.status || null
+  if (status && status !== 'open' && status !== 'active') {
+    throw new ApiError('status must be open or active')
+  }
+
+  const result = await DB.prepare(`
+    SELECT
+      q.id, q.crew_id, c.name as crew_name, q.title, q.description, q.start_at, q.end_at,
+      q.distance_km, q.times_per_week, q.stake_amount, q.stake_token, q.max_slots, q.status,
+      q.eligible_region, q.min_past_runs, q.invite_only,
+      (SELECT COUNT(*) FROM participations p WHERE p.quest_id = q.id AND p.status = 'active') as participant_count
+    FROM quests q
+    LEFT JOIN crews c ON q.crew_id = c.id
+    WHERE q.visibility = 'public'
+      AND ((?1 IS NULL AND q.status IN ('open', 'active')) OR q.status = ?1)
+    ORDER BY q.start_at ASC
+    LIMIT ?2
+  `).bind(status, PUBLIC_LIST_LIMIT).all()
+
+  return result.results || []
+}
+
+/**
+ * Let a user join an invite-only quest (quest creator or crew leader)
+ */
+export async function inviteToQuest(DB: D1Database, questId: string, actorId: string, userId: string | undefined) {
+  assertQuestManager(await getLifecycleQuest(DB, questId), actorId)
+  if (!userId) {
+    throw new ApiError('user_id is required')
+  }
+
+  const user = await DB.prepare(`SELECT id FROM users WHERE id = ?`).bind(userId).first()
+  if (!user) {
+    throw new ApiError('User not found', 404)
+  }
+
+  const result = await DB.prepare(`
+    INSERT INTO quest_invites (id, quest_id, user_id, invited_by) VALUES (?, ?, ?, ?)
+    ON CONFLICT (quest_id, user_id) DO NOTHING
+  `).bind(createId('quest_invite'), questId, userId, actorId).run()
+
+  if (!result.meta.changes) {
+    throw new ApiError('User already invited', 409)
+  }
+}
+
+/**
+ * Who has been invited to a quest (quest creator or crew leader)
+ */
+export async function listQuestInvites(DB: D1Database, questId: string, actorId: string) {
+  assertQuestManager(await getLifecycleQuest(DB, questId), actorId)
+
+  const result = await DB.prepare(`
+    SELECT
+      i.id, i.user_id, u.nickname, i.invited_by, i.created_at,
+      EXISTS (SELECT 1 FROM participations p WHERE p.quest_id = i.quest_id AND p.user_id = i.user_id) as joined
+    FROM quest_invites i
+    JOIN users u ON i.user_id = u.id
+    WHERE i.quest_id = ?
+    ORDER BY i.created_at ASC
+  `).bind(questId).all()
+
+  return result.results || []
+}
@@ -0,0 +1,169 @@
+// 작심삼일 RUN DAO - Quest discovery
+// Search and filter the quests a viewer can see, one page at a time. Pages use a
+// keyset cursor (the sort value and quest ID of the last row), so new quests do
+// not shift later pages the way an offset would.
+
+import { decodeCursor, encodeCursor } from './db'
+import { ApiError } from './errors'
+import { VISIBLE_TO_VIEWER } from './quest-access'
+
+export const DISCOVERY_SORTS = ['soonest', 'popular', 'pot'] as const
+export type DiscoverySort = typeof DISCOVERY_SORTS[number]
+
+// Drafts are only reachable by ID; everything else can be listed
+const LISTED_STATUSES = ['open', 'active', 'completed', 'cancelled']
+const DEFAULT_STATUSES = ['open', 'active']
+
+export type DiscoveryFilters = {
+  status?: string // comma-separated
+  region?: string
+  distance_min?: string
+  distance_max?: string
+  times_per_week?: string
+  stake_min?: string
+  stake_max?: string
+  min_open_slots?: string
+  start_from?: string
+  start_to?: string
+  q?: string
+  sort?: string
+  cursor?: string
+  limit?: string
+}
+
+// Column each sort orders by (descending for popular and pot); ties break on the ID
+const SORT_COLUMNS: Record<DiscoverySort, { column: string; direction: 'ASC' | 'DESC' }> = {
+  soonest: { column: 'start_at', direction: 'ASC' },
+  popular: { column: 'participant_count', direction: 'DESC' },
+  pot: { column: 'pot', direction: 'DESC' }
+}
+
+const DEFAULT_LIMIT = 12
+const MAX_LIMIT = 50
+const MAX_SEARCH_LENGTH = 100
+
+function parseNumber(value: string | undefined, name: string): number | null {
+  if (value === undefined || value === '') return null
+  const number = Number(value)
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ApiError(`${name} must be a non-negative number`)
+  }
+  return number
+}
+
+function parseDate(value: string | undefined, name: string): string | null {
+  if (!value) return null
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(`${name} must be a date`)
+  }
+  return date.toISOString().slice(0, 19).replace('T', ' ')
+}
+
+function readCursor(cursor: string, sort: DiscoverySort): [string | number, string] {
+  const [value, id] = decodeCursor(cursor)
+  const valueType = sort === 'soonest' ? 'string' : 'number'
+  if (typeof value !== valueType || typeof id !== 'string') {
+    throw new ApiError('Invalid cursor')
+  }
+  return [value as string | number, id]
+}
+
+/**
+ * One page of quests the viewer can see, with the cursor for the next page
+ * (null on the last page). Popular and pot orders follow live participant
+ * counts, so a quest may move between pages while someone is paging.
+ */
+export async function discoverQuests(
+  DB: D1Database,
+  viewerId: string | null | undefined,
+  filters: DiscoveryFilters
+): Promise<{ quests: Record<string, unknown>[]; nextCursor: string | null }> {
+  const sort = (filters.sort || 'soonest') as DiscoverySort
+  if (!DISCOVERY_SORTS.includes(sort)) {
+    throw new ApiError(`sort must be one of ${DISCOVERY_SORTS.join(', ')}`)
+  }
+  // Each status is a bound parameter, so repeats must not count towards D1's limit
+  const statuses = filters.status ? [...new Set(filters.status.split(',').map(status => status.trim()))] : DEFAULT_STATUSES
+  if (statuses.some(status => !LISTED_STATUSES.includes(status))) {
+    throw new ApiError(`status must be one or more of ${LISTED_STATUSES.join(', ')}`)
+  }
+  const limit = filters.limit ? Number(filters.limit) : DEFAULT_LIMIT
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(`limit must be between 1 and ${MAX_LIMIT}`)
+  }
+  const search = filters.q?.trim() || null
+  if (search && search.length > MAX_SEARCH_LENGTH) {
+    throw new ApiError(`q must be at most ${MAX_SEARCH_LENGTH} characters`)
+  }
+  const timesPerWeek = parseNumber(filters.times_per_week, 'times_per_week')
+  const minOpenSlots = parseNumber(filters.min_open_slots, 'min_open_slots')
+
+  // The viewer is ?1 (see VISIBLE_TO_VIEWER); every other value gets the next number
+  const params: unknown[] = [viewerId ?? null]
+  const param = (value: unknown) => {
+    params.push(value)
+    return `?${params.length}`
+  }
+
+  const where = [VISIBLE_TO_VIEWER, `q.status IN (${statuses.map(param).join(', ')})`]
+  const range = (column: string, min: number | string | null, max: number | string | null) => {
+    if (min !== null) where.push(`${column} >= ${param(min)}`)
+    if (max !== null) where.push(`${column} <= ${param(max)}`)
+  }
+  range('q.distance_km', parseNumber(filters.distance_min, 'distance_min'), parseNumber(filters.distance_max, 'distance_max'))
+  range('q.stake_amount', parseNumber(filters.stake_min, 'stake_min'), parseNumber(filters.stake_max, 'stake_max'))
+  range('datetime(q.start_at)', parseDate(filters.start_from, 'start_from'), parseDate(filters.start_to, 'start_to'))
+  if (timesPerWeek !== null) {
+    where.push(`q.times_per_week = ${param(timesPerWeek)}`)
+  }
+  // A quest's region is its eligibility region, or else its crew's
+  if (filters.region?.trim()) {
+    where.push(`lower(COALESCE(q.eligible_region, c.region)) = lower(${param(filters.region.trim())})`)
+  }
+  if (search) {
+    const pattern = param(`%${search.replace(/[\\%_]/g, match => `\\${match}`)}%`)
+    where.push(`(q.title LIKE ${pattern} ESCAPE '\\' OR q.description LIKE ${pattern} ESCAPE '\\')`)
+  }
+
+  const outerWhere: string[] = []
+  if (minOpenSlots !== null) {
+    outerWhere.push(`open_slots >= ${param(minOpenSlots)}`)
+  }
+  const { column, direction } = SORT_COLUMNS[sort]
+  if (filters.cursor) {
+    const [value, id] = readCursor(filters.cursor, sort)
+    const after = direction === 'ASC' ? '>' : '<'
+    const valueParam = param(value)
+    outerWhere.push(`(${column} ${after} ${valueParam} OR (${column} = ${valueParam} AND id > ${param(id)}))`)
+  }
+
+  const result = await DB.prepare(`
+    SELECT * FROM (
+      SELECT *, max_slots - participant_count as open_slots, stake_amount * participant_count as pot
+      FROM (
+        SELECT
+          q.id, q.crew_id, c.name as crew_name, c.region as crew_region, q.title, q.description,
+          q.start_at, q.end_at, q.distance_km, q.times_per_week, q.stake_amount, q.stake_token,
+          q.max_slots, q.status, q.visibility, q.eligible_region, q.min_past_runs, q.invite_only,
+          (SELECT COUNT(*) FROM participations p WHERE p.quest_id = q.id AND p.status = 'active') as participant_count
+        FROM quests q
+        LEFT JOIN crews c ON q.crew_id = c.id
+        WHERE ${where.join(' AND ')}
+      )
+    )
+    ${outerWhere.length ? `WHERE ${outerWhere.join(' AND ')}` : ''}
+    ORDER BY ${column} ${direction}, id ASC
+    LIMIT ${param(limit + 1)}
+  `).bind(...params).all<Record<string, any>>()
+
+  const quests = result.results || []
+  const hasMore = quests.length > limit
+  if (hasMore) quests.pop()
+
+  const last = quests[quests.length - 1]
+  return {
+    quests,
+    nextCursor: hasMore && last ? encodeCursor([last[column], last.id]) : null
+  }
+}
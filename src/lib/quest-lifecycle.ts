@@ -0,0 +1,308 @@
+// 작심삼일 RUN DAO - Quest lifecycle
+// The only place that changes quests.status. Follows QuestFactory: drafts are
+// published to open, open quests become active at start_at, active quests are
+// completed by settlement, and cancellation is only possible before the start.
+
+import { createId, fromSqlDateTime, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import type { QuestAccess } from './quest-access'
+
+export const QUEST_STATUSES = ['draft', 'open', 'active', 'completed', 'cancelled'] as const
+export type QuestStatus = typeof QUEST_STATUSES[number]
+
+const TRANSITIONS: Record<QuestStatus, readonly QuestStatus[]> = {
+  draft: ['open', 'cancelled'],
+  open: ['active', 'cancelled'],
+  active: ['completed'],
+  completed: [],
+  cancelled: []
+}
+
+export type LifecycleQuest = {
+  id: string
+  status: QuestStatus
+  start_at: string
+  end_at: string
+  creator_id: string | null
+  leader_id: string | null
+}
+
+export type NewQuest = {
+  id: string
+  crewId: string | null
+  creatorId: string | null
+  templateId?: string | null
+  title: string
+  description: string
+  startAt: Date
+  endAt: Date
+  distanceKm: number
+  timesPerWeek: number
+  stakeAmount: number
+  stakeToken: string
+  maxSlots: number
+  status: QuestStatus
+  access: QuestAccess
+}
+
+export type TransitionOptions = {
+  actorId?: string | null // null for the scheduler
+  reason?: string | null
+  now?: Date
+}
+
+const ACTIVATION_BATCH_SIZE = 50
+
+/**
+ * Whether the transition table allows moving from one status to another
+ */
+export function canTransition(from: QuestStatus, to: QuestStatus): boolean {
+  return TRANSITIONS[from]?.includes(to) ?? false
+}
+
+/**
+ * Status a new quest may start in: drafts, or published straight away
+ */
+export function initialQuestStatus(status: unknown): QuestStatus {
+  if (status === undefined || status === null || status === '') return 'open'
+  if (status !== 'draft' && status !== 'open') {
+    throw new ApiError('New quests must be draft or open')
+  }
+  return status
+}
+
+/**
+ * Load the fields the lifecycle rules need
+ */
+export async function getLifecycleQuest(DB: D1Database, questId: string): Promise<LifecycleQuest> {
+  const quest = await DB.prepare(`
+    SELECT q.id, q.status, q.start_at, q.end_at, q.creator_id, cr.leader_id
+    FROM quests q
+    LEFT JOIN crews cr ON q.crew_id = cr.id
+    WHERE q.id = ?
+  `).bind(questId).first<LifecycleQuest>()
+
+  if (!quest) {
+    throw new ApiError('Quest not found', 404)
+  }
+  return quest
+}
+
+/**
+ * Check a transition against the table and the quest's schedule
+ */
+export function assertTransition(quest: LifecycleQuest, to: QuestStatus, now = new Date()) {
+  if (!canTransition(quest.status, to)) {
+    throw new ApiError(`Quest cannot move from ${quest.status} to ${to}`, 409)
+  }
+
+  const started = fromSqlDateTime(quest.start_at) <= now
+  if (to === 'open' && started) {
+    throw new ApiError('Quest start time has passed', 409)
+  }
+  if (to === 'active' && !started) {
+    throw new ApiError('Quest has not started yet', 409)
+  }
+  if (to === 'completed' && fromSqlDateTime(quest.end_at) > now) {
+    throw new ApiError('Quest has not ended yet', 409)
+  }
+  if (to === 'cancelled' && quest.status === 'open' && started) {
+    throw new ApiError('Quest already started', 409)
+  }
+}
+
+/**
+ * Only the quest creator or the crew leader may publish or cancel a quest
+ */
+export function assertQuestManager(quest: LifecycleQuest, actorId: string | null | undefined) {
+  if (!actorId) {
+    throw new ApiError('Authentication required', 401)
+  }
+  if (actorId !== quest.creator_id && actorId !== quest.leader_id) {
+    throw new ApiError('Only the quest creator or crew leader can manage this quest', 403)
+  }
+}
+
+/**
+ * Audit entry for a status change; from is null when the quest is created
+ */
+export function recordTransition(
+  DB: D1Database,
+  questId: string,
+  from: QuestStatus | null,
+  to: QuestStatus,
+  options: TransitionOptions = {}
+): D1PreparedStatement {
+  return DB.prepare(`
+    INSERT INTO quest_transitions (id, quest_id, from_status, to_status, actor_id, reason)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(createId('quest_transition'), questId, from, to, options.actorId ?? null, options.reason ?? null)
+}
+
+/**
+ * Insert a new quest together with its creation audit entry
+ */
+export function createQuestStatements(
+  DB: D1Database,
+  quest: NewQuest,
+  options: TransitionOptions = {}
+): D1PreparedStatement[] {
+  return [
+    DB.prepare(`
+      INSERT INTO quests (
+        id, title, description, start_at, end_at,
+        distance_km, times_per_week, stake_amount, stake_token,
+        max_slots, crew_id, creator_id, template_id, status,
+        visibility, eligible_region, min_past_runs, invite_only, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `).bind(
+      quest.id, quest.title, quest.description,
+      toSqlDateTime(quest.startAt), toSqlDateTime(quest.endAt),
+      quest.distanceKm, quest.timesPerWeek, quest.stakeAmount, quest.stakeToken,
+      quest.maxSlots, quest.crewId, quest.creatorId, quest.templateId ?? null, quest.status,
+      quest.access.visibility, quest.access.eligibleRegion, quest.access.minPastRuns, quest.access.inviteOnly ? 1 : 0
+    ),
+    recordTransition(DB, quest.id, null, quest.status, { actorId: quest.creatorId, reason: 'created', ...options })
+  ]
+}
+
+/**
+ * Statements that apply an already-checked transition and record it. The update
+ * is guarded on the current status and the audit row only follows a change,
+ * so callers can add these to a larger batch.
+ */
+export function transitionStatements(
+  DB: D1Database,
+  quest: LifecycleQuest,
+  to: QuestStatus,
+  options: TransitionOptions = {}
+): D1PreparedStatement[] {
+  return [
+    DB.prepare(`
+      UPDATE quests SET status = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = ?
+    `).bind(to, quest.id, quest.status),
+    DB.prepare(`
+      INSERT INTO quest_transitions (id, quest_id, from_status, to_status, actor_id, reason)
+      SELECT ?, ?, ?, ?, ?, ?
+      WHERE changes() > 0
+    `).bind(
+      createId('quest_transition'), quest.id, quest.status, to,
+      options.actorId ?? null, options.reason ?? null
+    )
+  ]
+}
+
+/**
+ * Check and apply a transition, together with any extra statements
+ */
+export async function transitionQuest(
+  DB: D1Database,
+  quest: LifecycleQuest,
+  to: QuestStatus,
+  options: TransitionOptions = {},
+  extraStatements: D1PreparedStatement[] = []
+): Promise<{ from: QuestStatus; to: QuestStatus }> {
+  assertTransition(quest, to, options.now)
+
+  const [update] = await DB.batch([...transitionStatements(DB, quest, to, options), ...extraStatements])
+  if (!update.meta.changes) {
+    throw new ApiError('Quest status changed, please retry', 409)
+  }
+  return { from: quest.status, to }
+}
+
+/**
+ * Publish a draft so people can join it
+ */
+export async function publishQuest(DB: D1Database, questId: string, actorId: string | null, now = new Date()) {
+  const quest = await getLifecycleQuest(DB, questId)
+  assertQuestManager(quest, actorId)
+  return transitionQuest(DB, quest, 'open', { actorId, reason: 'published', now })
+}
+
+/**
+ * Cancel a quest before it starts and refund active participants,
+ * like QuestFactory.cancelQuest
+ */
+export async function cancelQuest(
+  DB: D1Database,
+  questId: string,
+  actorId: string | null,
+  reason?: string | null,
+  now = new Date()
+): Promise<{ from: QuestStatus; to: QuestStatus; refunded: number }> {
+  const quest = await getLifecycleQuest(DB, questId)
+  assertQuestManager(quest, actorId)
+
+  const refunded = await DB.prepare(`
+    SELECT COUNT(*) as count FROM participations WHERE quest_id = ? AND status = 'active'
+  `).bind(questId).first<{ count: number }>()
+
+  const result = await transitionQuest(DB, quest, 'cancelled', { actorId, reason: reason || 'cancelled', now }, [
+    DB.prepare(`
+      UPDATE participations SET status = 'refunded', completed_at = CURRENT_TIMESTAMP
+      WHERE quest_id = ? AND status = 'active'
+    `).bind(questId)
+  ])
+
+  return { ...result, refunded: refunded?.count ?? 0 }
+}
+
+/**
+ * Move an open quest to active once its start time has passed; no-op otherwise
+ */
+export async function activateIfStarted(DB: D1Database, questId: string, now = new Date()): Promise<boolean> {
+  const quest = await getLifecycleQuest(DB, questId)
+  if (quest.status !== 'open' || fromSqlDateTime(quest.start_at) > now) {
+    return false
+  }
+
+  try {
+    await transitionQuest(DB, quest, 'active', { reason: 'start time reached', now })
+    return true
+  } catch (error) {
+    // Someone else moved it first
+    if (error instanceof ApiError && error.status === 409) return false
+    throw error
+  }
+}
+
+/**
+ * Scheduler step: activate every open quest whose start_at has passed
+ */
+export async function activateStartedQuests(DB: D1Database, now = new Date()): Promise<string[]> {
+  const quests = await DB.prepare(`
+    SELECT id FROM quests
+    WHERE status = 'open' AND datetime(start_at) <= datetime(?)
+    ORDER BY start_at ASC
+    LIMIT ?
+  `).bind(toSqlDateTime(now), ACTIVATION_BATCH_SIZE).all<{ id: string }>()
+
+  const activated: string[] = []
+  for (const { id } of quests.results || []) {
+    try {
+      if (await activateIfStarted(DB, id, now)) activated.push(id)
+    } catch (error) {
+      console.error(`Error activating quest ${id}:`, error)
+    }
+  }
+  return activated
+}
+
+/**
+ * Audit trail of a quest's status changes, oldest first
+ */
+export async function listTransitions(DB: D1Database, questId: string) {
+  await getLifecycleQuest(DB, questId)
+
+  const result = await DB.prepare(`
+    SELECT t.id, t.from_status, t.to_status, t.actor_id, u.nickname as actor_name, t.reason, t.created_at
+    FROM quest_transitions t
+    LEFT JOIN users u ON t.actor_id = u.id
+    WHERE t.quest_id = ?
+    ORDER BY t.created_at ASC, t.rowid ASC
+  `).bind(questId).all()
+
+  return result.results || []
+}
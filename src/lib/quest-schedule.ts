@@ -0,0 +1,188 @@
+// 작심삼일 RUN DAO - Quest schedules
+// Turns the creation form's start date and duration (in the creator's timezone),
+// or explicit start_at/end_at, into a validated UTC window.
+
+import { fromSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { resolveTimezone } from './progress'
+
+export const MIN_QUEST_DAYS = 7
+export const MAX_QUEST_DAYS = 12 * 7
+
+export const RECURRENCES = ['weekly', 'biweekly', 'monthly'] as const
+export type Recurrence = typeof RECURRENCES[number]
+
+export type ScheduleInput = {
+  start_at?: string | null
+  end_at?: string | null
+  start_date?: string | null // YYYY-MM-DD in the creator's timezone
+  duration_weeks?: number | string | null
+  duration_days?: number | string | null
+}
+
+export type QuestSchedule = { startAt: Date; endAt: Date; timezone: string }
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_DURATION_DAYS = 14
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/
+const dateTimeFormatters = new Map<string, Intl.DateTimeFormat>()
+
+function partsIn(date: Date, timezone: string): Record<string, number> {
+  let formatter = dateTimeFormatters.get(timezone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    })
+    dateTimeFormatters.set(timezone, formatter)
+  }
+  return Object.fromEntries(
+    formatter.formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  )
+}
+
+function parseDate(value: string): [number, number, number] {
+  const match = DATE_PATTERN.exec(value)
+  if (!match) {
+    throw new ApiError('start_date must be YYYY-MM-DD')
+  }
+  const [year, month, day] = match.slice(1).map(Number)
+  const check = new Date(Date.UTC(year, month - 1, day))
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    throw new ApiError('start_date is not a valid date')
+  }
+  return [year, month, day]
+}
+
+const formatDate = (utcMidnight: number) => new Date(utcMidnight).toISOString().slice(0, 10)
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in the given timezone
+ */
+export function localDate(date: Date, timezone: string): string {
+  const parts = partsIn(date, timezone)
+  return formatDate(Date.UTC(parts.year, parts.month - 1, parts.day))
+}
+
+/**
+ * Shift a calendar date by whole days
+ */
+export function addDays(date: string, days: number): string {
+  const [year, month, day] = parseDate(date)
+  return formatDate(Date.UTC(year, month - 1, day + days))
+}
+
+/**
+ * Shift a calendar date by whole months, clamping to the end of shorter months
+ */
+export function addMonths(date: string, months: number): string {
+  const [year, month, day] = parseDate(date)
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate()
+  return formatDate(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)))
+}
+
+/**
+ * The instant local midnight starts on a calendar date in the given timezone
+ */
+export function zonedMidnight(date: string, timezone: string): Date {
+  const [year, month, day] = parseDate(date)
+  const wallClock = Date.UTC(year, month - 1, day)
+  const offsetAt = (instant: number) => {
+    const parts = partsIn(new Date(instant), timezone)
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant
+  }
+  // Second pass corrects for a DST change between the guess and the answer
+  const guess = wallClock - offsetAt(wallClock)
+  return new Date(wallClock - offsetAt(guess))
+}
+
+/**
+ * Window covering whole local days: from midnight of startDate up to the last
+ * second before midnight of endDateExclusive
+ */
+function localWindow(startDate: string, endDateExclusive: string, timezone: string): QuestSchedule {
+  return {
+    startAt: zonedMidnight(startDate, timezone),
+    endAt: new Date(zonedMidnight(endDateExclusive, timezone).getTime() - 1000),
+    timezone
+  }
+}
+
+function parseInstant(value: string, field: string): Date {
+  const date = fromSqlDateTime(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(`${field} is not a valid date`)
+  }
+  return date
+}
+
+function parseCount(value: number | string, field: string): number {
+  const count = Number(value)
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new ApiError(`${field} must be a positive whole number`)
+  }
+  return count
+}
+
+/**
+ * Reject windows that are in the past or outside the allowed length
+ */
+export function assertSchedule({ startAt, endAt }: QuestSchedule, now = new Date()) {
+  if (startAt <= now) {
+    throw new ApiError('Quest must start in the future')
+  }
+  if (endAt <= startAt) {
+    throw new ApiError('end_at must be after start_at')
+  }
+  const days = Math.round((endAt.getTime() - startAt.getTime()) / DAY_MS)
+  if (days < MIN_QUEST_DAYS || days > MAX_QUEST_DAYS) {
+    throw new ApiError(`Quest must run between ${MIN_QUEST_DAYS} and ${MAX_QUEST_DAYS} days`)
+  }
+}
+
+/**
+ * Resolve the quest window from explicit instants, or from a local start date
+ * (default: tomorrow) plus a duration in weeks or days (default: 2 weeks)
+ */
+export function resolveQuestSchedule(
+  input: ScheduleInput,
+  timezone: string | null | undefined,
+  now = new Date()
+): QuestSchedule {
+  const tz = resolveTimezone(timezone)
+  let schedule: QuestSchedule
+
+  if (input.start_at || input.end_at) {
+    if (!input.start_at || !input.end_at) {
+      throw new ApiError('start_at and end_at must be given together')
+    }
+    schedule = {
+      startAt: parseInstant(input.start_at, 'start_at'),
+      endAt: parseInstant(input.end_at, 'end_at'),
+      timezone: tz
+    }
+  } else {
+    const days = input.duration_weeks
+      ? parseCount(input.duration_weeks, 'duration_weeks') * 7
+      : input.duration_days
+        ? parseCount(input.duration_days, 'duration_days')
+        : DEFAULT_DURATION_DAYS
+    const startDate = input.start_date || addDays(localDate(now, tz), 1)
+    schedule = localWindow(startDate, addDays(startDate, days), tz)
+  }
+
+  assertSchedule(schedule, now)
+  return schedule
+}
+
+/**
+ * Window of one recurrence period starting on a local date
+ */
+export function recurrenceSchedule(startDate: string, recurrence: Recurrence, timezone: string): QuestSchedule {
+  const endDate = recurrence === 'monthly' ? addMonths(startDate, 1)
+    : addDays(startDate, recurrence === 'biweekly' ? 14 : 7)
+  return localWindow(startDate, endDate, resolveTimezone(timezone))
+}
@@ -0,0 +1,226 @@
+// 작심삼일 RUN DAO - Recurring quest templates
+// A template such as "every month, 3×5km/week" holds the quest settings; the
+// scheduler spawns the next quest of the series whenever the previous one ends.
+
+import { createId, fromSqlDateTime, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { createQuestStatements } from './quest-lifecycle'
+import { resolveQuestAccess, visibleToViewer, type AccessInput, type QuestVisibility } from './quest-access'
+import { resolveTimezone } from './progress'
+import {
+  RECURRENCES, addDays, assertSchedule, localDate, recurrenceSchedule,
+  type QuestSchedule, type Recurrence
+} from './quest-schedule'
+
+export type TemplateInput = AccessInput & {
+  crew_id?: string | null
+  title?: string
+  description?: string
+  distance_km?: number
+  times_per_week?: number
+  stake_amount?: number
+  stake_token?: string
+  max_slots?: number
+  recurrence?: string
+  timezone?: string | null
+  start_date?: string | null
+  signup_days?: number
+}
+
+type TemplateRow = {
+  id: string
+  crew_id: string | null
+  creator_id: string | null
+  title: string
+  description: string | null
+  distance_km: number
+  times_per_week: number
+  stake_token: string
+  stake_amount: number
+  max_slots: number
+  recurrence: Recurrence
+  timezone: string
+  signup_days: number
+  visibility: QuestVisibility
+  eligible_region: string | null
+  min_past_runs: number
+}
+
+const SPAWN_BATCH_SIZE = 20
+const MAX_SIGNUP_DAYS = 14
+
+/**
+ * Create a template and the first quest of its series
+ */
+export async function createQuestTemplate(
+  DB: D1Database,
+  creator: { id: string; timezone: string | null },
+  input: TemplateInput,
+  now = new Date()
+): Promise<{ templateId: string; questId: string; schedule: QuestSchedule }> {
+  const { title, description, distance_km, times_per_week, max_slots } = input
+  if (!title || !description || !distance_km || !times_per_week || !max_slots) {
+    throw new ApiError('Missing required fields')
+  }
+  if (!RECURRENCES.includes(input.recurrence as Recurrence)) {
+    throw new ApiError(`recurrence must be one of ${RECURRENCES.join(', ')}`)
+  }
+  const signupDays = input.signup_days ?? 2
+  if (!Number.isInteger(signupDays) || signupDays < 0 || signupDays > MAX_SIGNUP_DAYS) {
+    throw new ApiError(`signup_days must be between 0 and ${MAX_SIGNUP_DAYS}`)
+  }
+  // Invitations are per quest, so a series could never be joined past its first quest
+  if (input.invite_only) {
+    throw new ApiError('Recurring quests cannot be invite-only')
+  }
+  const access = await resolveQuestAccess(DB, input, input.crew_id || null, creator.id)
+
+  const recurrence = input.recurrence as Recurrence
+  const timezone = resolveTimezone(input.timezone || creator.timezone)
+  const schedule = recurrenceSchedule(input.start_date || addDays(localDate(now, timezone), 1), recurrence, timezone)
+  assertSchedule(schedule, now)
+
+  const templateId = createId('quest_template')
+  const questId = createId('quest')
+  await DB.batch([
+    DB.prepare(`
+      INSERT INTO quest_templates (
+        id, crew_id, creator_id, title, description, distance_km, times_per_week,
+        stake_token, stake_amount, max_slots, recurrence, timezone, signup_days,
+        visibility, eligible_region, min_past_runs
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      templateId, input.crew_id || null, creator.id, title, description, distance_km, times_per_week,
+      input.stake_token || 'ETH', input.stake_amount || 0, max_slots, recurrence, timezone, signupDays,
+      access.visibility, access.eligibleRegion, access.minPastRuns
+    ),
+    ...createQuestStatements(DB, {
+      id: questId,
+      crewId: input.crew_id || null,
+      creatorId: creator.id,
+      templateId,
+      title,
+      description,
+      startAt: schedule.startAt,
+      endAt: schedule.endAt,
+      distanceKm: distance_km,
+      timesPerWeek: times_per_week,
+      stakeAmount: input.stake_amount || 0,
+      stakeToken: input.stake_token || 'ETH',
+      maxSlots: max_slots,
+      status: 'open',
+      access
+    })
+  ])
+
+  return { templateId, questId, schedule }
+}
+
+/**
+ * List the templates the viewer may see, with the latest quest of each series
+ */
+export async function listQuestTemplates(
+  DB: D1Database,
+  viewerId: string | null,
+  filters: { crewId?: string } = {}
+) {
+  const result = await DB.prepare(`
+    SELECT
+      t.*, q.id as latest_quest_id, q.status as latest_quest_status,
+      q.start_at as latest_start_at, q.end_at as latest_end_at
+    FROM quest_templates t
+    LEFT JOIN quests q ON q.id = (
+      SELECT id FROM quests WHERE template_id = t.id ORDER BY start_at DESC LIMIT 1
+    )
+    WHERE (?2 IS NULL OR t.crew_id = ?2) AND ${visibleToViewer('t')}
+    ORDER BY t.created_at DESC
+  `).bind(viewerId, filters.crewId ?? null).all()
+
+  return result.results || []
+}
+
+/**
+ * Stop a series; the quest already running is left alone
+ */
+export async function deactivateQuestTemplate(DB: D1Database, templateId: string, actorId: string | null) {
+  const template = await DB.prepare(`
+    SELECT t.id, t.creator_id, t.is_active, cr.leader_id
+    FROM quest_templates t
+    LEFT JOIN crews cr ON t.crew_id = cr.id
+    WHERE t.id = ?
+  `).bind(templateId).first<{ id: string; creator_id: string | null; is_active: number; leader_id: string | null }>()
+
+  if (!template) {
+    throw new ApiError('Template not found', 404)
+  }
+  if (!actorId) {
+    throw new ApiError('user_id is required')
+  }
+  if (actorId !== template.creator_id && actorId !== template.leader_id) {
+    throw new ApiError('Only the template creator or crew leader can stop this series', 403)
+  }
+  if (!template.is_active) {
+    throw new ApiError('Template already stopped', 409)
+  }
+
+  await DB.prepare(`
+    UPDATE quest_templates SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).bind(templateId).run()
+}
+
+/**
+ * Scheduler step: spawn the next quest for every active template whose
+ * latest quest has ended
+ */
+export async function spawnRecurringQuests(DB: D1Database, now = new Date()): Promise<string[]> {
+  const templates = await DB.prepare(`
+    SELECT t.*, q.end_at as last_end_at
+    FROM quest_templates t
+    JOIN quests q ON q.id = (
+      SELECT id FROM quests WHERE template_id = t.id ORDER BY start_at DESC LIMIT 1
+    )
+    WHERE t.is_active = 1 AND datetime(q.end_at) <= datetime(?)
+    LIMIT ?
+  `).bind(toSqlDateTime(now), SPAWN_BATCH_SIZE).all<TemplateRow & { last_end_at: string }>()
+
+  const spawned: string[] = []
+  for (const template of templates.results || []) {
+    const timezone = resolveTimezone(template.timezone)
+    // Leave a signup window after the previous quest; if the job was down for a
+    // while, start from tomorrow instead of in the past
+    const afterGap = addDays(localDate(fromSqlDateTime(template.last_end_at), timezone), 1 + template.signup_days)
+    const tomorrow = addDays(localDate(now, timezone), 1)
+    const schedule = recurrenceSchedule(afterGap > tomorrow ? afterGap : tomorrow, template.recurrence, timezone)
+
+    const questId = createId('quest')
+    try {
+      await DB.batch(createQuestStatements(DB, {
+        id: questId,
+        crewId: template.crew_id,
+        creatorId: template.creator_id,
+        templateId: template.id,
+        title: template.title,
+        description: template.description || '',
+        startAt: schedule.startAt,
+        endAt: schedule.endAt,
+        distanceKm: template.distance_km,
+        timesPerWeek: template.times_per_week,
+        stakeAmount: template.stake_amount,
+        stakeToken: template.stake_token,
+        maxSlots: template.max_slots,
+        status: 'open',
+        access: {
+          visibility: template.visibility,
+          eligibleRegion: template.eligible_region,
+          minPastRuns: template.min_past_runs,
+          inviteOnly: false
+        }
+      }, { actorId: null, reason: 'spawned from template' }))
+      spawned.push(questId)
+    } catch (error) {
+      if (String(error).includes('UNIQUE constraint failed')) continue
+      console.error(`Error spawning quest for template ${template.id}:`, error)
+    }
+  }
+  return spawned
+}
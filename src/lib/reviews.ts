@@ -0,0 +1,165 @@
+// 작심삼일 RUN DAO - Review queue for runs held back by anti-cheat scoring
+
+import { createId } from './db'
+import { ApiError } from './errors'
+import { moderatedBy } from './moderation'
+import { VISIBLE_TO_VIEWER } from './quest-access'
+import { creditQuestRun } from './runs'
+
+export type ReviewDecision = 'approve' | 'reject'
+
+export type ReviewTarget = {
+  id: string
+  run_record_id: string
+  quest_id: string
+  user_id: string
+  distance_km: number
+}
+
+type PendingReview = ReviewTarget & {
+  status: string
+  leader_id: string
+}
+
+/**
+ * List held runs with their integrity results and vote tallies, optionally for
+ * one quest or crew leader. Only reviews of quests the viewer moderates (and can
+ * see) are listed.
+ */
+export async function listReviews(
+  DB: D1Database,
+  viewerId: string,
+  filters: { status?: string; questId?: string; leaderId?: string; limit?: number } = {}
+) {
+  const result = await DB.prepare(`
+    SELECT
+      rv.id, rv.status, rv.quest_id, q.title as quest_title, rv.user_id, u.nickname,
+      rv.run_record_id, r.started_at, r.duration_sec, r.distance_km, r.avg_pace_sec_per_km,
+      r.integrity_score, r.fraud_flags, rv.reviewed_by, rv.review_note, rv.reviewed_at, rv.created_at,
+      rv.voting_ends_at, rv.handed_to_leader_at,
+      (SELECT COUNT(*) FROM run_review_votes WHERE review_id = rv.id) as vote_count,
+      (SELECT COALESCE(SUM(weight), 0) FROM run_review_votes WHERE review_id = rv.id AND vote = 'valid') as valid_weight,
+      (SELECT COALESCE(SUM(weight), 0) FROM run_review_votes WHERE review_id = rv.id AND vote = 'invalid') as invalid_weight
+    FROM run_reviews rv
+    JOIN run_records r ON rv.run_record_id = r.id
+    JOIN quests q ON rv.quest_id = q.id
+    LEFT JOIN crews cr ON q.crew_id = cr.id
+    JOIN users u ON rv.user_id = u.id
+    WHERE ${VISIBLE_TO_VIEWER} AND ${moderatedBy('q', '?1')}
+      AND rv.status = ?2
+      AND (?3 IS NULL OR rv.quest_id = ?3)
+      AND (?4 IS NULL OR COALESCE(cr.leader_id, q.creator_id) = ?4)
+    ORDER BY rv.created_at ASC
+    LIMIT ?5
+  `).bind(
+    viewerId,
+    filters.status || 'pending',
+    filters.questId ?? null,
+    filters.leaderId ?? null,
+    filters.limit ?? 50
+  ).all<Record<string, any>>()
+
+  return (result.results || []).map(review => ({
+    ...review,
+    fraud_flags: review.fraud_flags ? JSON.parse(review.fraud_flags) : []
+  }))
+}
+
+/**
+ * Approve or reject a held run. Only the leader of the quest's crew may decide,
+ * also while the community vote is still open.
+ */
+export async function decideReview(
+  DB: D1Database,
+  reviewId: string,
+  reviewerId: string,
+  decision: ReviewDecision,
+  note?: string | null
+): Promise<{ status: 'approved' | 'rejected'; questRunId: string }> {
+  if (decision !== 'approve' && decision !== 'reject') {
+    throw new ApiError('Decision must be approve or reject')
+  }
+
+  const review = await DB.prepare(`
+    SELECT
+      rv.id, rv.run_record_id, rv.quest_id, rv.user_id, rv.status, r.distance_km,
+      COALESCE(cr.leader_id, q.creator_id) as leader_id
+    FROM run_reviews rv
+    JOIN run_records r ON rv.run_record_id = r.id
+    JOIN quests q ON rv.quest_id = q.id
+    LEFT JOIN crews cr ON q.crew_id = cr.id
+    WHERE rv.id = ?
+  `).bind(reviewId).first<PendingReview>()
+
+  if (!review) {
+    throw new ApiError('Review not found', 404)
+  }
+  if (review.leader_id !== reviewerId) {
+    throw new ApiError('Only the crew leader (or the creator of a quest without a crew) can review runs for this quest', 403)
+  }
+  if (review.status !== 'pending') {
+    throw new ApiError('Review already decided', 409)
+  }
+
+  const defaultReason = decision === 'approve' ? 'Approved after review' : 'Rejected after review'
+  return closeReview(DB, review, decision, { reviewedBy: reviewerId, note: note ?? null, reason: note || defaultReason })
+}
+
+/**
+ * Decide a pending review and write the run back to its quest: approval credits
+ * it like a run that passed scoring, rejection records it as invalid. Used by
+ * leader decisions and community votes, whichever comes first.
+ */
+export async function closeReview(
+  DB: D1Database,
+  review: ReviewTarget,
+  decision: ReviewDecision,
+  options: { reviewedBy: string | null; note: string | null; reason: string }
+): Promise<{ status: 'approved' | 'rejected'; questRunId: string }> {
+  const status = decision === 'approve' ? 'approved' : 'rejected'
+  const questRunId = createId('quest_run')
+  const statements = [
+    DB.prepare(`
+      UPDATE run_reviews
+      SET status = ?, reviewed_by = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `).bind(status, options.reviewedBy, options.note, review.id)
+  ]
+
+  if (decision === 'approve') {
+    const participation = await DB.prepare(`
+      SELECT id FROM participations WHERE quest_id = ? AND user_id = ?
+    `).bind(review.quest_id, review.user_id).first<{ id: string }>()
+
+    if (!participation) {
+      throw new ApiError('Participation no longer exists', 409)
+    }
+
+    statements.push(...creditQuestRun(DB, {
+      questRunId,
+      questId: review.quest_id,
+      userId: review.user_id,
+      runId: review.run_record_id,
+      distanceKm: review.distance_km,
+      participationId: participation.id,
+      reviewedBy: options.reviewedBy,
+      validationReason: options.reason
+    }))
+  } else {
+    statements.push(DB.prepare(`
+      INSERT INTO quest_runs (id, quest_id, user_id, run_record_id, is_valid, validation_reason, reviewed_by)
+      VALUES (?, ?, ?, ?, 0, ?, ?)
+    `).bind(questRunId, review.quest_id, review.user_id, review.run_record_id, options.reason, options.reviewedBy))
+  }
+
+  // The quest run is unique per quest, so a parallel decision rolls this one back
+  try {
+    await DB.batch(statements)
+  } catch (error) {
+    if (String(error).includes('UNIQUE constraint failed')) {
+      throw new ApiError('Review already decided', 409)
+    }
+    throw error
+  }
+  return { status, questRunId }
+}
@@ -0,0 +1,299 @@
+// 작심삼일 RUN DAO - Merkle-committed run proofs
+// Runs from the Cron Trigger after the indexer: the runs validated for on-chain
+// quests since the last batch go into one Merkle tree per UTC day, and only its
+// root goes on-chain (QuestFactory.postRunRoot, sent with the run oracle key).
+// Each run keeps its leaf and proof in run_records, so anyone can check it
+// against the root with QuestFactory.verifyRun. The indexer marks a batch
+// posted when it sees RunRootPosted.
+//
+// Leaves hash (wallet, on-chain quest id, meters, seconds, keccak256 of the
+// stored GPS path JSON) twice, as runLeaf does.
+
+import { AbiCoder, Interface, Wallet, ZeroHash, getAddress, keccak256, toUtf8Bytes } from 'ethers'
+import { callContract, rpc, type IndexerConfig } from './chain-indexer'
+import { createId, toSqlDateTime } from './db'
+import { assertAbi } from './deployments'
+import { ApiError } from './errors'
+import { buildMerkleTree } from './merkle'
+import { VISIBLE_TO_VIEWER } from './quest-access'
+
+export type RunProofEnv = {
+  RUN_ORACLE_PRIVATE_KEY?: string // QuestFactory.runOracle's key; without it batches wait as pending
+}
+
+export type RunLeaf = {
+  runner: string
+  quest_id: number // on-chain quest id
+  distance_m: number
+  duration_sec: number
+  gps_path_hash: string
+  hash: string
+}
+
+type CandidateRun = {
+  id: string
+  wallet_address: string
+  contract_quest_id: number
+  distance_km: number
+  duration_sec: number
+  gps_path: string | null
+}
+
+type ProofBatch = {
+  id: string
+  day: number
+  root: string
+  run_count: number
+  status: string
+  tx_hash: string | null
+}
+
+// Functions the oracle calls; the manifest ABI must declare them as is
+const RUN_ROOT_FUNCTIONS = new Interface([
+  'function postRunRoot(uint256 _day, bytes32 _root, uint256 _runCount)',
+  'function runRoots(uint256) view returns (bytes32)',
+  'function runOracle() view returns (address)'
+])
+
+// Every run is one statement in the D1 batch that stores the tree
+const MAX_RUNS_PER_BATCH = 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const abiCoder = AbiCoder.defaultAbiCoder()
+
+/**
+ * keccak256 of the GPS path as stored, or zero for runs without one
+ */
+export function gpsPathHash(gpsPath: string | null): string {
+  return gpsPath ? keccak256(toUtf8Bytes(gpsPath)) : ZeroHash
+}
+
+/**
+ * Leaf hash of a run, as QuestFactory.runLeaf computes it
+ */
+export function runLeafHash(leaf: Omit<RunLeaf, 'hash'>): string {
+  return keccak256(keccak256(abiCoder.encode(
+    ['address', 'uint256', 'uint256', 'uint256', 'bytes32'],
+    [leaf.runner, leaf.quest_id, leaf.distance_m, leaf.duration_sec, leaf.gps_path_hash]
+  )))
+}
+
+/**
+ * Commit the runs validated before today (UTC) that are in no batch yet to a
+ * tree for yesterday, once a day. Runs count for the on-chain quest they were
+ * validated for; a run in several on-chain quests is committed for the first.
+ * Returns null when yesterday's batch exists or there is nothing to commit.
+ */
+export async function commitDailyRuns(
+  DB: D1Database,
+  config: IndexerConfig,
+  now = new Date()
+): Promise<{ batchId: string; day: number; runs: number } | null> {
+  const chainId = config.deployment.chainId
+  const contractAddress = config.contracts.questFactory
+  const today = Math.floor(now.getTime() / DAY_MS)
+  const day = today - 1
+
+  const existing = await DB.prepare(`
+    SELECT id FROM run_proof_batches WHERE chain_id = ? AND contract_address = ? AND day = ?
+  `).bind(chainId, contractAddress, day).first()
+  if (existing) {
+    return null
+  }
+
+  const candidates = await DB.prepare(`
+    SELECT r.id, u.wallet_address, MIN(q.contract_quest_id) as contract_quest_id,
+      r.distance_km, r.duration_sec, r.gps_path
+    FROM run_records r
+    JOIN users u ON r.user_id = u.id
+    JOIN quest_runs qr ON qr.run_record_id = r.id AND qr.is_valid = 1
+    JOIN quests q ON qr.quest_id = q.id
+    WHERE r.proof_batch_id IS NULL
+      AND u.wallet_address IS NOT NULL
+      AND lower(q.contract_address) = lower(?) AND q.contract_quest_id IS NOT NULL
+      AND datetime(qr.created_at) < datetime(?)
+    GROUP BY r.id
+    ORDER BY MIN(qr.created_at) ASC, r.id ASC
+    LIMIT ?
+  `).bind(contractAddress, toSqlDateTime(new Date(today * DAY_MS)), MAX_RUNS_PER_BATCH).all<CandidateRun>()
+
+  const runs = candidates.results || []
+  if (runs.length === 0) {
+    return null
+  }
+
+  const leaves: RunLeaf[] = runs.map(run => {
+    const fields = {
+      runner: getAddress(run.wallet_address),
+      quest_id: Number(run.contract_quest_id),
+      distance_m: Math.round(run.distance_km * 1000),
+      duration_sec: Math.round(run.duration_sec),
+      gps_path_hash: gpsPathHash(run.gps_path)
+    }
+    return { ...fields, hash: runLeafHash(fields) }
+  })
+  const { root, proofs } = buildMerkleTree(leaves.map(leaf => leaf.hash))
+
+  // The batch row and every run's proof land together; a concurrent run loses on UNIQUE
+  const batchId = createId('run_proof_batch')
+  await DB.batch([
+    DB.prepare(`
+      INSERT INTO run_proof_batches (id, chain_id, contract_address, day, root, run_count) VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(batchId, chainId, contractAddress, day, root, runs.length),
+    ...runs.map((run, index) => DB.prepare(`
+      UPDATE run_records SET proof_batch_id = ?, proof_leaf = ?, proof = ? WHERE id = ? AND proof_batch_id IS NULL
+    `).bind(batchId, JSON.stringify(leaves[index]), JSON.stringify(proofs[index]), run.id))
+  ])
+  return { batchId, day, runs: runs.length }
+}
+
+// Send postRunRoot from the oracle wallet as an EIP-1559 transaction
+async function sendRootTransaction(config: IndexerConfig, oracle: Wallet, batch: ProofBatch): Promise<string> {
+  const to = config.contracts.questFactory
+  const data = RUN_ROOT_FUNCTIONS.encodeFunctionData('postRunRoot', [batch.day, batch.root, batch.run_count])
+  const [nonce, gas, priorityFee, block] = await Promise.all([
+    rpc<string>(config, 'eth_getTransactionCount', [oracle.address, 'pending']),
+    rpc<string>(config, 'eth_estimateGas', [{ from: oracle.address, to, data }]),
+    rpc<string>(config, 'eth_maxPriorityFeePerGas', []),
+    rpc<{ baseFeePerGas?: string }>(config, 'eth_getBlockByNumber', ['latest', false])
+  ])
+  const maxPriorityFeePerGas = BigInt(priorityFee)
+  const signed = await oracle.signTransaction({
+    type: 2,
+    chainId: config.deployment.chainId,
+    to,
+    data,
+    nonce: Number(nonce),
+    gasLimit: BigInt(gas) * 6n / 5n,
+    maxFeePerGas: BigInt(block.baseFeePerGas ?? 0) * 2n + maxPriorityFeePerGas,
+    maxPriorityFeePerGas
+  })
+  return rpc<string>(config, 'eth_sendRawTransaction', [signed])
+}
+
+/**
+ * Send the roots of pending batches, and put submitted batches whose
+ * transaction reverted back to pending. A root that is already on-chain (sent
+ * before, but not recorded) is only marked submitted.
+ */
+export async function postRunRoots(
+  DB: D1Database,
+  config: IndexerConfig,
+  privateKey: string
+): Promise<{ submitted: number; retried: number; failed: { batchId: string; error: string }[] }> {
+  assertAbi(config.deployment, 'QuestFactory', RUN_ROOT_FUNCTIONS)
+  const oracle = new Wallet(privateKey)
+  const call = async (fn: string, args: unknown[] = []) =>
+    (await callContract(config, config.contracts.questFactory, RUN_ROOT_FUNCTIONS, fn, args))[0]
+
+  const runOracle = await call('runOracle')
+  if (getAddress(runOracle) !== oracle.address) {
+    throw new ApiError(`RUN_ORACLE_PRIVATE_KEY is ${oracle.address}, but QuestFactory's run oracle is ${runOracle}`, 500)
+  }
+
+  const batches = await DB.prepare(`
+    SELECT id, day, root, run_count, status, tx_hash FROM run_proof_batches
+    WHERE chain_id = ? AND contract_address = ? AND status IN ('pending', 'submitted')
+    ORDER BY day ASC
+  `).bind(config.deployment.chainId, config.contracts.questFactory).all<ProofBatch>()
+
+  const update = (batch: ProofBatch, status: string, txHash: string | null, error: string | null) => DB.prepare(`
+    UPDATE run_proof_batches SET status = ?, tx_hash = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).bind(status, txHash, error, batch.id).run()
+
+  let submitted = 0
+  let retried = 0
+  const failed: { batchId: string; error: string }[] = []
+  for (const batch of batches.results || []) {
+    try {
+      if (batch.status === 'submitted') {
+        // Mined batches wait for the indexer; unmined ones for the next run
+        const receipt = batch.tx_hash
+          ? await rpc<{ status: string } | null>(config, 'eth_getTransactionReceipt', [batch.tx_hash])
+          : null
+        if (receipt && Number(receipt.status) === 0) {
+          await update(batch, 'pending', null, `Transaction ${batch.tx_hash} reverted`)
+          retried++
+        }
+        continue
+      }
+
+      const posted = await call('runRoots', [batch.day])
+      if (posted === batch.root) {
+        await update(batch, 'submitted', batch.tx_hash, null)
+      } else if (posted !== ZeroHash) {
+        await update(batch, 'failed', batch.tx_hash, `Day ${batch.day} already has root ${posted}`)
+        failed.push({ batchId: batch.id, error: `Day ${batch.day} already has another root` })
+      } else {
+        await update(batch, 'submitted', await sendRootTransaction(config, oracle, batch), null)
+        submitted++
+      }
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        throw error
+      }
+      await update(batch, batch.status, batch.tx_hash, error.message)
+      failed.push({ batchId: batch.id, error: error.message })
+    }
+  }
+  return { submitted, retried, failed }
+}
+
+/**
+ * A run's leaf, proof and batch: everything QuestFactory.verifyRun needs. The
+ * batch is null until the run has been committed. Only the runner and viewers who
+ * can see the quest the run counts for (the one it was committed for, once it is)
+ * get the proof; to anyone else the run does not exist.
+ */
+export async function getRunProof(DB: D1Database, runId: string, viewerId: string | null) {
+  const run = await DB.prepare(`
+    SELECT r.id, r.proof_leaf, r.proof,
+      b.id as batch_id, b.chain_id, b.contract_address, b.day, b.root, b.run_count, b.status, b.tx_hash, b.block_number
+    FROM run_records r
+    LEFT JOIN run_proof_batches b ON r.proof_batch_id = b.id
+    WHERE r.id = ?2 AND (r.user_id = ?1 OR EXISTS (
+      SELECT 1 FROM quest_runs qr
+      JOIN quests q ON qr.quest_id = q.id
+      WHERE qr.run_record_id = r.id AND ${VISIBLE_TO_VIEWER}
+        AND (r.proof_leaf IS NULL OR q.contract_quest_id = json_extract(r.proof_leaf, '$.quest_id'))
+    ))
+  `).bind(viewerId, runId).first<{
+    id: string
+    proof_leaf: string | null
+    proof: string | null
+    batch_id: string | null
+    chain_id: number
+    contract_address: string
+    day: number
+    root: string
+    run_count: number
+    status: string
+    tx_hash: string | null
+    block_number: number | null
+  }>()
+
+  if (!run) {
+    throw new ApiError('Run not found', 404)
+  }
+  if (!run.batch_id || !run.proof_leaf || !run.proof) {
+    return { run_id: run.id, batch: null, leaf: null, proof: null }
+  }
+
+  return {
+    run_id: run.id,
+    batch: {
+      id: run.batch_id,
+      chain_id: run.chain_id,
+      contract_address: run.contract_address,
+      day: run.day,
+      date: new Date(run.day * DAY_MS).toISOString().slice(0, 10),
+      root: run.root,
+      run_count: run.run_count,
+      status: run.status,
+      tx_hash: run.tx_hash,
+      block_number: run.block_number
+    },
+    leaf: JSON.parse(run.proof_leaf) as RunLeaf,
+    proof: JSON.parse(run.proof) as string[]
+  }
+}
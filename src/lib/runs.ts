@@ -0,0 +1,212 @@
+// 작심삼일 RUN DAO - Run record persistence
+
+import { createId, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { scoreRun, type IntegrityResult } from './integrity'
+
+export const RUN_PROVIDERS = ['strava', 'garmin', 'apple_health', 'google_fit'] as const
+export type RunProvider = typeof RUN_PROVIDERS[number]
+
+export type GpsPoint = {
+  lat: number
+  lng: number
+  time?: number // epoch ms
+  ele?: number
+}
+
+export type HrSample = {
+  time: number // epoch ms
+  bpm: number
+}
+
+export type CadenceSample = {
+  time: number // epoch ms
+  spm: number // steps per minute
+}
+
+export type RunInput = {
+  userId: string
+  questId?: string | null
+  provider?: RunProvider | null // null for manually entered runs
+  externalId?: string | null
+  startedAt: Date
+  durationSec: number
+  distanceKm: number
+  gpsPath?: GpsPoint[] | null
+  hrSeries?: HrSample[] | null
+  accelSeries?: CadenceSample[] | null
+}
+
+export type SavedRun = {
+  id: string
+  questRunId: string | null
+  reviewId: string | null // set when the run is held for review instead of counting
+  avgPaceSecPerKm: number
+  integrity: IntegrityResult
+}
+
+const MAX_DISTANCE_KM = 300
+const MAX_DURATION_SEC = 48 * 3600
+
+// How long fellow participants can vote on a held run (see peer-verification.ts)
+export const REVIEW_VOTING_MS = 48 * 60 * 60 * 1000
+
+/**
+ * Score and store a run in run_records and, when a quest is given, link it in quest_runs
+ * and bump the participation counters. Suspicious runs go to run_reviews instead.
+ * All writes go out in a single batch.
+ */
+export async function saveRun(DB: D1Database, input: RunInput): Promise<SavedRun> {
+  const { userId, questId, durationSec, distanceKm } = input
+  const provider = input.provider ?? null
+
+  if (!Number.isFinite(distanceKm) || distanceKm <= 0 || distanceKm > MAX_DISTANCE_KM) {
+    throw new ApiError('Invalid distance')
+  }
+  if (!Number.isFinite(durationSec) || durationSec <= 0 || durationSec > MAX_DURATION_SEC) {
+    throw new ApiError('Invalid duration')
+  }
+  if (Number.isNaN(input.startedAt.getTime())) {
+    throw new ApiError('Invalid start time')
+  }
+  if (provider !== null && !RUN_PROVIDERS.includes(provider)) {
+    throw new ApiError('Unsupported provider')
+  }
+
+  // Manual and file imports have no provider, so the UNIQUE index cannot catch them
+  if (input.externalId) {
+    const existing = await DB.prepare(`
+      SELECT id FROM run_records WHERE user_id = ? AND provider IS ? AND external_id = ?
+    `).bind(userId, provider, input.externalId).first()
+
+    if (existing) {
+      throw new ApiError('Run already submitted', 409)
+    }
+  }
+
+  // Runs count only while the quest is running and only if they started within it
+  let participation: { id: string; status: string; quest_status: string; in_period: number } | null = null
+  if (questId) {
+    participation = await DB.prepare(`
+      SELECT
+        p.id, p.status, q.status as quest_status,
+        datetime(?3) >= datetime(q.start_at) AND datetime(?3) <= datetime(q.end_at) as in_period
+      FROM participations p
+      JOIN quests q ON p.quest_id = q.id
+      WHERE p.quest_id = ?1 AND p.user_id = ?2
+    `).bind(questId, userId, toSqlDateTime(input.startedAt)).first()
+
+    if (!participation) {
+      throw new ApiError('User is not participating in this quest', 403)
+    }
+    if (participation.status !== 'active') {
+      throw new ApiError('Participation is no longer active')
+    }
+    if (participation.quest_status !== 'active') {
+      throw new ApiError(`Quest is ${participation.quest_status}`, 409)
+    }
+    if (!participation.in_period) {
+      throw new ApiError('Run must start between the quest start and end')
+    }
+  }
+
+  const runId = createId('run')
+  const avgPace = Math.round(durationSec / distanceKm)
+  const integrity = await scoreRun(DB, input)
+
+  const statements = [
+    DB.prepare(`
+      INSERT INTO run_records (
+        id, user_id, provider, external_id,
+        started_at, duration_sec, distance_km, avg_pace_sec_per_km,
+        gps_path, hr_series, accel_series,
+        integrity_score, is_suspicious, fraud_flags
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      runId, userId, provider, input.externalId || runId,
+      toSqlDateTime(input.startedAt), Math.round(durationSec), distanceKm, avgPace,
+      input.gpsPath?.length ? JSON.stringify(input.gpsPath) : null,
+      input.hrSeries?.length ? JSON.stringify(input.hrSeries) : null,
+      input.accelSeries?.length ? JSON.stringify(input.accelSeries) : null,
+      integrity.score, integrity.isSuspicious ? 1 : 0,
+      integrity.flags.length ? JSON.stringify(integrity.flags) : null
+    )
+  ]
+
+  let questRunId: string | null = null
+  let reviewId: string | null = null
+  if (questId && participation && integrity.isSuspicious) {
+    reviewId = createId('review')
+    statements.push(
+      DB.prepare(`
+        INSERT INTO run_reviews (id, run_record_id, quest_id, user_id, voting_ends_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).bind(reviewId, runId, questId, userId, toSqlDateTime(new Date(Date.now() + REVIEW_VOTING_MS)))
+    )
+  } else if (questId && participation) {
+    questRunId = createId('quest_run')
+    statements.push(...creditQuestRun(DB, {
+      questRunId, questId, userId, runId, distanceKm, participationId: participation.id
+    }))
+  }
+
+  try {
+    await DB.batch(statements)
+  } catch (error) {
+    if (String(error).includes('UNIQUE constraint failed')) {
+      throw new ApiError('Run already submitted', 409)
+    }
+    throw error
+  }
+
+  return { id: runId, questRunId, reviewId, avgPaceSecPerKm: avgPace, integrity }
+}
+
+/**
+ * Statements that link a run to a quest and count it towards the participation
+ */
+export function creditQuestRun(DB: D1Database, run: {
+  questRunId: string
+  questId: string
+  userId: string
+  runId: string
+  distanceKm: number
+  participationId: string
+  reviewedBy?: string | null
+  validationReason?: string | null
+}): D1PreparedStatement[] {
+  return [
+    DB.prepare(`
+      INSERT INTO quest_runs (id, quest_id, user_id, run_record_id, is_valid, validation_reason, reviewed_by)
+      VALUES (?, ?, ?, ?, 1, ?, ?)
+    `).bind(
+      run.questRunId, run.questId, run.userId, run.runId,
+      run.validationReason ?? null, run.reviewedBy ?? null
+    ),
+    DB.prepare(`
+      UPDATE participations
+      SET completed_sessions = completed_sessions + 1,
+          total_distance_km = total_distance_km + ?
+      WHERE id = ?
+    `).bind(run.distanceKm, run.participationId)
+  ]
+}
+
+/**
+ * Statement that recounts a participation from its quest's valid runs, after a
+ * run stops counting
+ */
+export function recountParticipation(DB: D1Database, questId: string, userId: string): D1PreparedStatement {
+  return DB.prepare(`
+    UPDATE participations
+    SET completed_sessions = (
+          SELECT COUNT(*) FROM quest_runs WHERE quest_id = ?1 AND user_id = ?2 AND is_valid = 1
+        ),
+        total_distance_km = (
+          SELECT COALESCE(SUM(r.distance_km), 0)
+          FROM quest_runs qr JOIN run_records r ON qr.run_record_id = r.id
+          WHERE qr.quest_id = ?1 AND qr.user_id = ?2 AND qr.is_valid = 1
+        )
+    WHERE quest_id = ?1 AND user_id = ?2
+  `).bind(questId, userId)
+}
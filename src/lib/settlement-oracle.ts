@@ -0,0 +1,281 @@
+// 작심삼일 RUN DAO - Oracle-signed settlement payloads
+// QuestFactory.completeQuest pays out only with EIP-712 Settlement signatures
+// (quest id, winners root, deadline) from settlementThreshold of its oracle
+// signers, so no single key decides who gets paid. Runs from the Cron Trigger
+// after the settlement job: for each on-chain quest settled in D1, the payload
+// is fixed (the wallets winners staked from, as indexed from QuestJoined, in
+// ascending order, their Merkle root and a deadline) and signed with SETTLEMENT_SIGNER_PRIVATE_KEY.
+// The other oracles fetch the payload and add their signatures through the
+// API. Once enough are in, anyone can relay it; the indexer links the
+// QuestCompleted event to the settlement. A payload that expires unrelayed gets
+// a new deadline, and its signatures are collected again.
+
+import { AbiCoder, Interface, Wallet, ZeroHash, getAddress, keccak256, verifyTypedData } from 'ethers'
+import { callContract, type IndexerConfig } from './chain-indexer'
+import { createId } from './db'
+import { assertAbi } from './deployments'
+import { ApiError } from './errors'
+import { buildMerkleTree } from './merkle'
+
+export type SettlementOracleEnv = {
+  SETTLEMENT_SIGNER_PRIVATE_KEY?: string // one of QuestFactory's settlement signers
+  SETTLEMENT_DEADLINE_HOURS?: string // how long a signed payload can be relayed
+}
+
+type PayloadRow = {
+  id: string
+  quest_id: string
+  contract_quest_id: number
+  winners: string | null
+  winner_addresses: string | null
+  winners_root: string | null
+  signature_deadline: number | null
+  tx_hash: string | null
+  block_number: number | null
+}
+
+// Functions the oracle and relayers use; the manifest ABI must declare them as is
+const SETTLEMENT_FUNCTIONS = new Interface([
+  'function completeQuest(uint256 _questId, address[] _winners, uint256 _deadline, bytes[] _signatures)',
+  'function getSettlementSigners() view returns (address[])',
+  'function settlementThreshold() view returns (uint256)'
+])
+
+export const SETTLEMENT_TYPES = {
+  Settlement: [
+    { name: 'questId', type: 'uint256' },
+    { name: 'winnersRoot', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+const DEFAULT_DEADLINE_HOURS = 72
+const PAYLOAD_BATCH_SIZE = 20
+
+const abiCoder = AbiCoder.defaultAbiCoder()
+const byAddress = (a: string, b: string) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0)
+const unixTime = (date: Date) => Math.floor(date.getTime() / 1000)
+
+/**
+ * QuestFactory's EIP-712 domain on the configured network
+ */
+export function settlementDomain(config: IndexerConfig) {
+  return {
+    name: 'RUN DAO QuestFactory',
+    version: '1',
+    chainId: config.deployment.chainId,
+    verifyingContract: config.contracts.questFactory
+  }
+}
+
+/**
+ * Merkle root of an ascending winner list, as QuestFactory.winnersRoot builds it
+ */
+export function winnersRoot(winners: string[]): string {
+  if (winners.length === 0) {
+    return ZeroHash
+  }
+  return buildMerkleTree(winners.map(winner => keccak256(keccak256(abiCoder.encode(['address'], [winner]))))).root
+}
+
+async function getSignerSet(config: IndexerConfig): Promise<{ signers: string[]; threshold: number }> {
+  assertAbi(config.deployment, 'QuestFactory', SETTLEMENT_FUNCTIONS)
+  const [[signers], [threshold]] = await Promise.all([
+    callContract(config, config.contracts.questFactory, SETTLEMENT_FUNCTIONS, 'getSettlementSigners'),
+    callContract(config, config.contracts.questFactory, SETTLEMENT_FUNCTIONS, 'settlementThreshold')
+  ])
+  return { signers: [...signers].map(signer => getAddress(signer)), threshold: Number(threshold) }
+}
+
+function payloadMessage(row: PayloadRow) {
+  return { questId: row.contract_quest_id, winnersRoot: row.winners_root!, deadline: row.signature_deadline! }
+}
+
+/**
+ * Fix the payload of settled on-chain quests that have none, or whose deadline
+ * passed before anyone relayed it. Only winners whose stake the indexer has seen
+ * are paid, to the address that staked: completeQuest reverts for the whole
+ * quest if any winner is not an on-chain participant.
+ */
+export async function prepareSettlementPayloads(
+  DB: D1Database,
+  config: IndexerConfig,
+  env: SettlementOracleEnv,
+  now = new Date()
+): Promise<{ prepared: string[] }> {
+  const hours = env.SETTLEMENT_DEADLINE_HOURS ? Number(env.SETTLEMENT_DEADLINE_HOURS) : DEFAULT_DEADLINE_HOURS
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new ApiError('SETTLEMENT_DEADLINE_HOURS must be a positive number', 500)
+  }
+
+  const due = await DB.prepare(`
+    SELECT s.id, s.quest_id, q.contract_quest_id, s.winners, s.winner_addresses, s.winners_root,
+      s.signature_deadline, s.tx_hash, s.block_number
+    FROM settlements s
+    JOIN quests q ON s.quest_id = q.id
+    WHERE q.contract_quest_id IS NOT NULL AND lower(q.contract_address) = lower(?)
+      AND s.tx_hash IS NULL
+      AND (s.winners_root IS NULL OR s.signature_deadline <= ?)
+    ORDER BY s.completed_at ASC
+    LIMIT ?
+  `).bind(config.contracts.questFactory, unixTime(now), PAYLOAD_BATCH_SIZE).all<PayloadRow>()
+
+  const prepared: string[] = []
+  for (const settlement of due.results || []) {
+    const winners = await DB.prepare(`
+      SELECT p.staked_address FROM participations p
+      WHERE p.quest_id = ? AND p.staked_address IS NOT NULL
+        AND p.user_id IN (SELECT value FROM json_each(?))
+    `).bind(settlement.quest_id, settlement.winners ?? '[]').all<{ staked_address: string }>()
+
+    const addresses = [...new Set((winners.results || []).map(winner => getAddress(winner.staked_address)))]
+    addresses.sort(byAddress)
+
+    await DB.batch([
+      DB.prepare(`DELETE FROM settlement_signatures WHERE settlement_id = ?`).bind(settlement.id),
+      DB.prepare(`
+        UPDATE settlements SET winner_addresses = ?, winners_root = ?, signature_deadline = ? WHERE id = ? AND tx_hash IS NULL
+      `).bind(JSON.stringify(addresses), winnersRoot(addresses), unixTime(now) + Math.round(hours * 3600), settlement.id)
+    ])
+    prepared.push(settlement.id)
+  }
+  return { prepared }
+}
+
+async function storeSignature(DB: D1Database, settlementId: string, signer: string, signature: string) {
+  await DB.prepare(`
+    INSERT INTO settlement_signatures (id, settlement_id, signer, signature) VALUES (?, ?, ?, ?)
+    ON CONFLICT (settlement_id, signer) DO UPDATE SET signature = excluded.signature, created_at = CURRENT_TIMESTAMP
+  `).bind(createId('settlement_signature'), settlementId, signer, signature).run()
+}
+
+/**
+ * Sign every live payload this Worker's key has not signed yet. Returns how many
+ * it signed.
+ */
+export async function signSettlementPayloads(
+  DB: D1Database,
+  config: IndexerConfig,
+  privateKey: string,
+  now = new Date()
+): Promise<number> {
+  const signer = new Wallet(privateKey)
+  const { signers } = await getSignerSet(config)
+  if (!signers.includes(signer.address)) {
+    throw new ApiError(`SETTLEMENT_SIGNER_PRIVATE_KEY is ${signer.address}, which is not a QuestFactory settlement signer`, 500)
+  }
+
+  const unsigned = await DB.prepare(`
+    SELECT s.id, s.quest_id, q.contract_quest_id, s.winners, s.winner_addresses, s.winners_root,
+      s.signature_deadline, s.tx_hash, s.block_number
+    FROM settlements s
+    JOIN quests q ON s.quest_id = q.id
+    WHERE q.contract_quest_id IS NOT NULL AND lower(q.contract_address) = lower(?)
+      AND s.tx_hash IS NULL AND s.winners_root IS NOT NULL AND s.signature_deadline > ?
+      AND NOT EXISTS (SELECT 1 FROM settlement_signatures g WHERE g.settlement_id = s.id AND g.signer = ?)
+    LIMIT ?
+  `).bind(config.contracts.questFactory, unixTime(now), signer.address, PAYLOAD_BATCH_SIZE).all<PayloadRow>()
+
+  const domain = settlementDomain(config)
+  for (const settlement of unsigned.results || []) {
+    const signature = await signer.signTypedData(domain, SETTLEMENT_TYPES, payloadMessage(settlement))
+    await storeSignature(DB, settlement.id, signer.address, signature)
+  }
+  return (unsigned.results || []).length
+}
+
+async function getPayloadRow(DB: D1Database, config: IndexerConfig, questId: string): Promise<PayloadRow> {
+  const settlement = await DB.prepare(`
+    SELECT s.id, s.quest_id, q.contract_quest_id, s.winners, s.winner_addresses, s.winners_root,
+      s.signature_deadline, s.tx_hash, s.block_number
+    FROM settlements s
+    JOIN quests q ON s.quest_id = q.id
+    WHERE s.quest_id = ? AND q.contract_quest_id IS NOT NULL AND lower(q.contract_address) = lower(?)
+    ORDER BY s.batch_number ASC
+    LIMIT 1
+  `).bind(questId, config.contracts.questFactory).first<PayloadRow>()
+
+  if (!settlement) {
+    throw new ApiError('Quest has no on-chain settlement', 404)
+  }
+  if (!settlement.winners_root) {
+    throw new ApiError('Settlement payload is not ready yet', 409)
+  }
+  return settlement
+}
+
+/**
+ * The signed payload for a settled on-chain quest: what the oracles sign, and
+ * the arguments for completeQuest once enough signatures are in
+ */
+export async function getSettlementPayload(DB: D1Database, config: IndexerConfig, questId: string, now = new Date()) {
+  const settlement = await getPayloadRow(DB, config, questId)
+  const [{ signers, threshold }, stored] = await Promise.all([
+    getSignerSet(config),
+    DB.prepare(`
+      SELECT signer, signature FROM settlement_signatures WHERE settlement_id = ?
+    `).bind(settlement.id).all<{ signer: string; signature: string }>()
+  ])
+
+  // Signers removed from the set since they signed no longer count
+  const signatures = (stored.results || [])
+    .filter(row => signers.includes(row.signer))
+    .sort((a, b) => byAddress(a.signer, b.signer))
+  const expired = settlement.signature_deadline! <= unixTime(now)
+
+  return {
+    settlement_id: settlement.id,
+    quest_id: settlement.quest_id,
+    chain_id: config.deployment.chainId,
+    contract_address: config.contracts.questFactory,
+    domain: settlementDomain(config),
+    types: SETTLEMENT_TYPES,
+    message: payloadMessage(settlement),
+    winners: JSON.parse(settlement.winner_addresses ?? '[]') as string[],
+    signers: signatures.map(row => row.signer),
+    signatures: signatures.map(row => row.signature),
+    threshold,
+    expired,
+    ready: !settlement.tx_hash && !expired && signatures.length >= threshold,
+    tx_hash: settlement.tx_hash,
+    block_number: settlement.block_number
+  }
+}
+
+/**
+ * Add an oracle's signature to a quest's live payload. Anyone may submit it;
+ * the signer must be in QuestFactory's settlement signer set.
+ */
+export async function addSettlementSignature(
+  DB: D1Database,
+  config: IndexerConfig,
+  questId: string,
+  signature: string | undefined,
+  now = new Date()
+) {
+  if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+    throw new ApiError('signature must be a 65-byte 0x-prefixed hex string')
+  }
+
+  const settlement = await getPayloadRow(DB, config, questId)
+  if (settlement.tx_hash) {
+    throw new ApiError('Quest is already settled on-chain', 409)
+  }
+  if (settlement.signature_deadline! <= unixTime(now)) {
+    throw new ApiError('Settlement payload has expired; the next settlement run renews it', 409)
+  }
+
+  let signer: string
+  try {
+    signer = verifyTypedData(settlementDomain(config), SETTLEMENT_TYPES, payloadMessage(settlement), signature)
+  } catch {
+    throw new ApiError('Invalid signature')
+  }
+  const { signers } = await getSignerSet(config)
+  if (!signers.includes(signer)) {
+    throw new ApiError(`${signer} is not a settlement signer`, 403)
+  }
+
+  await storeSignature(DB, settlement.id, signer, signature)
+  return getSettlementPayload(DB, config, questId, now)
+}
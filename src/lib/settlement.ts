@@ -0,0 +1,173 @@
+// 작심삼일 RUN DAO - Quest settlement service
+// Runs from the Cron Trigger: classifies participations of ended quests from the
+// progress rules, splits the stake pool like EscrowVault.distributeQuestRewards
+// and records the outcome in settlements.
+
+import { createId, fromSqlDateTime, toSqlDateTime } from './db'
+import { getQuestProgress } from './progress'
+import { assertTransition, transitionStatements, type QuestStatus } from './quest-lifecycle'
+
+export type SettlementResult = {
+  questId: string
+  settlementId: string
+  winners: string[]
+  losers: string[]
+  totalStake: number
+  winnerPayout: number
+  perWinnerPayout: number
+  daoPayout: number
+  protocolFee: number
+}
+
+export type SettlementRun = {
+  settled: SettlementResult[]
+  skipped: { questId: string; reason: string }[]
+}
+
+type EndedQuest = {
+  id: string
+  status: QuestStatus
+  start_at: string
+  end_at: string
+  creator_id: string | null
+  stake_amount: number
+  success_rate: number
+  dao_rate: number
+  protocol_fee_rate: number
+}
+
+type ParticipationRow = {
+  id: string
+  user_id: string
+  status: string
+  stake_amount: number | null
+}
+
+const SETTLEMENT_BATCH_SIZE = 20
+// Give crew leaders time to clear held runs before settling without them
+const REVIEW_GRACE_MS = 3 * 24 * 60 * 60 * 1000
+
+// Stake tokens are USDC-like, so keep 6 decimals
+const roundAmount = (value: number) => Math.round(value * 1e6) / 1e6
+
+/**
+ * Settle every active quest whose end_at has passed. Open quests are
+ * activated by the scheduler first, so they are picked up on the same run.
+ */
+export async function settleEndedQuests(DB: D1Database, now = new Date()): Promise<SettlementRun> {
+  const quests = await DB.prepare(`
+    SELECT id, status, start_at, end_at, creator_id, stake_amount, success_rate, dao_rate, protocol_fee_rate
+    FROM quests
+    WHERE status = 'active' AND datetime(end_at) <= datetime(?)
+    ORDER BY end_at ASC
+    LIMIT ?
+  `).bind(toSqlDateTime(now), SETTLEMENT_BATCH_SIZE).all<EndedQuest>()
+
+  const run: SettlementRun = { settled: [], skipped: [] }
+
+  for (const quest of quests.results || []) {
+    try {
+      const result = await settleQuest(DB, quest, now)
+      if (typeof result === 'string') {
+        run.skipped.push({ questId: quest.id, reason: result })
+      } else {
+        run.settled.push(result)
+      }
+    } catch (error) {
+      console.error(`Error settling quest ${quest.id}:`, error)
+      run.skipped.push({ questId: quest.id, reason: 'error' })
+    }
+  }
+
+  return run
+}
+
+/**
+ * Settle a single quest. Returns the reason when the quest is skipped.
+ */
+async function settleQuest(DB: D1Database, quest: EndedQuest, now: Date): Promise<SettlementResult | string> {
+  const rateSum = quest.success_rate + quest.dao_rate + quest.protocol_fee_rate
+  if (Math.abs(rateSum - 1) > 1e-9) {
+    return 'rates do not sum to 100%'
+  }
+
+  const pendingReviews = await DB.prepare(`
+    SELECT COUNT(*) as count FROM run_reviews WHERE quest_id = ? AND status = 'pending'
+  `).bind(quest.id).first<{ count: number }>()
+
+  const lifecycleQuest = { ...quest, leader_id: null }
+  assertTransition(lifecycleQuest, 'completed', now)
+
+  const graceOver = now.getTime() - fromSqlDateTime(quest.end_at).getTime() > REVIEW_GRACE_MS
+  if (pendingReviews?.count && !graceOver) {
+    return 'waiting for run reviews'
+  }
+
+  const [{ participants }, participations] = await Promise.all([
+    getQuestProgress(DB, quest.id, { now }),
+    DB.prepare(`
+      SELECT id, user_id, status, stake_amount FROM participations WHERE quest_id = ?
+    `).bind(quest.id).all<ParticipationRow>()
+  ])
+
+  const goalMet = new Map(participants.map(participant => [participant.user_id, participant.goal_met]))
+  const outcomes = (participations.results || []).map(participation => ({
+    ...participation,
+    // Forfeits and earlier decisions stand; active participations are judged now
+    outcome: participation.status === 'active'
+      ? (goalMet.get(participation.user_id) ? 'success' : 'fail')
+      : participation.status
+  }))
+
+  const winners = outcomes.filter(p => p.outcome === 'success').map(p => p.user_id)
+  const losers = outcomes.filter(p => p.outcome !== 'success').map(p => p.user_id)
+  const totalStake = roundAmount(outcomes.reduce((sum, p) => sum + (p.stake_amount ?? quest.stake_amount), 0))
+
+  // With no winners the vault keeps the winners' share in escrow, so nothing is paid out
+  const winnerPayout = winners.length ? roundAmount(totalStake * quest.success_rate) : 0
+  const perWinnerPayout = winners.length ? roundAmount(winnerPayout / winners.length) : 0
+  const daoPayout = roundAmount(totalStake * quest.dao_rate)
+  const protocolFee = roundAmount(totalStake * quest.protocol_fee_rate)
+
+  const settlementId = createId('settlement')
+  const statements = [
+    // Inserted first: a duplicate hits the unique index and rolls back the whole batch
+    DB.prepare(`
+      INSERT INTO settlements (
+        id, quest_id, batch_number, winners, losers,
+        total_stake_amount, winner_payout, dao_payout, protocol_fee
+      ) VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      settlementId, quest.id, JSON.stringify(winners), JSON.stringify(losers),
+      totalStake, winnerPayout, daoPayout, protocolFee
+    ),
+    ...outcomes.filter(p => p.status === 'active').map(p =>
+      DB.prepare(`
+        UPDATE participations SET status = ?, completed_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'active'
+      `).bind(p.outcome, p.id)
+    ),
+    ...transitionStatements(DB, lifecycleQuest, 'completed', { reason: 'settled', now })
+  ]
+
+  try {
+    await DB.batch(statements)
+  } catch (error) {
+    if (String(error).includes('UNIQUE constraint failed')) {
+      return 'already settled'
+    }
+    throw error
+  }
+
+  return {
+    questId: quest.id,
+    settlementId,
+    winners,
+    losers,
+    totalStake,
+    winnerPayout,
+    perWinnerPayout,
+    daoPayout,
+    protocolFee
+  }
+}
@@ -0,0 +1,262 @@
+// 작심삼일 RUN DAO - Social login (Google, Apple, Kakao)
+// OAuth 2.0 authorization-code flow with PKCE against each provider's OpenID
+// Connect endpoints. The ID token is verified here and the user is upserted by
+// (social_id, social_provider); the route then starts a normal session.
+
+import { createId, fromSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { randomToken, toBase64Url } from './crypto'
+import { discover, signEs256Jwt, verifyIdToken, type IdTokenClaims } from './oidc'
+import type { SessionUser } from './auth'
+
+export const SOCIAL_PROVIDERS = ['google', 'apple', 'kakao'] as const
+export type SocialProvider = typeof SOCIAL_PROVIDERS[number]
+
+export type SocialEnv = {
+  GOOGLE_ISSUER?: string
+  GOOGLE_CLIENT_ID?: string
+  GOOGLE_CLIENT_SECRET?: string
+  APPLE_ISSUER?: string
+  APPLE_CLIENT_ID?: string
+  APPLE_CLIENT_SECRET?: string
+  APPLE_TEAM_ID?: string
+  APPLE_KEY_ID?: string
+  APPLE_PRIVATE_KEY?: string
+  KAKAO_ISSUER?: string
+  KAKAO_CLIENT_ID?: string
+  KAKAO_CLIENT_SECRET?: string
+}
+
+export type SocialConfig = {
+  provider: SocialProvider
+  issuer: string
+  issuers: string[]
+  clientId: string
+  clientSecret?: string
+  scope: string
+  formPost: boolean
+  apple?: { teamId: string; keyId: string; privateKey: string }
+}
+
+type ProviderDefaults = {
+  issuer: string
+  aliases?: string[] // other iss values the provider uses
+  scope: string
+  formPost?: boolean // Apple posts the callback when name or email is requested
+}
+
+const PROVIDERS: Record<SocialProvider, ProviderDefaults> = {
+  google: { issuer: 'https://accounts.google.com', aliases: ['accounts.google.com'], scope: 'openid email profile' },
+  apple: { issuer: 'https://appleid.apple.com', scope: 'openid name email', formPost: true },
+  kakao: { issuer: 'https://kauth.kakao.com', scope: 'openid profile_nickname account_email' }
+}
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000
+const APPLE_SECRET_TTL_SEC = 5 * 60
+
+/**
+ * Read a provider's settings from the Worker environment. The issuer can be
+ * overridden so a local fake IdP can stand in for the real one.
+ */
+export function getSocialConfig(env: SocialEnv, provider: string): SocialConfig {
+  if (!SOCIAL_PROVIDERS.includes(provider as SocialProvider)) {
+    throw new ApiError('Unknown login provider', 404)
+  }
+  const defaults = PROVIDERS[provider as SocialProvider]
+  const prefix = provider.toUpperCase() as 'GOOGLE' | 'APPLE' | 'KAKAO'
+  const issuerOverride = env[`${prefix}_ISSUER`]?.replace(/\/+$/, '')
+  const clientId = env[`${prefix}_CLIENT_ID`]
+  const clientSecret = env[`${prefix}_CLIENT_SECRET`]
+
+  const apple = provider === 'apple' && env.APPLE_TEAM_ID && env.APPLE_KEY_ID && env.APPLE_PRIVATE_KEY
+    ? { teamId: env.APPLE_TEAM_ID, keyId: env.APPLE_KEY_ID, privateKey: env.APPLE_PRIVATE_KEY }
+    : undefined
+
+  // Kakao works without a client secret unless the app enables one
+  if (!clientId || (provider !== 'kakao' && !clientSecret && !apple)) {
+    throw new ApiError(`${provider} login is not configured`, 503)
+  }
+
+  const issuer = issuerOverride || defaults.issuer
+  return {
+    provider: provider as SocialProvider,
+    issuer,
+    issuers: issuerOverride ? [issuerOverride] : [defaults.issuer, ...(defaults.aliases ?? [])],
+    clientId,
+    clientSecret,
+    scope: defaults.scope,
+    formPost: defaults.formPost ?? false,
+    apple
+  }
+}
+
+/**
+ * Only same-site paths are accepted as post-login redirects
+ */
+function safeRedirect(redirectTo: string | null | undefined): string | null {
+  if (!redirectTo || !redirectTo.startsWith('/') || redirectTo.startsWith('//') || redirectTo.includes('\\')) {
+    return null
+  }
+  return redirectTo
+}
+
+/**
+ * Create the state, PKCE verifier and nonce for a login attempt and build the
+ * provider's authorization URL
+ */
+export async function createLoginUrl(
+  DB: D1Database,
+  config: SocialConfig,
+  redirectUri: string,
+  redirectTo?: string | null
+): Promise<string> {
+  const discovery = await discover(config.issuer)
+  const state = randomToken()
+  const nonce = randomToken()
+  const codeVerifier = toBase64Url(crypto.getRandomValues(new Uint8Array(32)))
+  const codeChallenge = toBase64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier)))
+
+  await DB.prepare(`
+    INSERT INTO oauth_login_states (state, provider, code_verifier, nonce, redirect_to) VALUES (?, ?, ?, ?, ?)
+  `).bind(state, config.provider, codeVerifier, nonce, safeRedirect(redirectTo)).run()
+
+  const params = new URLSearchParams({
+    client_id: config.clientId,
+    redirect_uri: redirectUri,
+    response_type: 'code',
+    scope: config.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  })
+  if (config.formPost) params.set('response_mode', 'form_post')
+  return `${discovery.authorization_endpoint}?${params}`
+}
+
+/**
+ * Apple wants a short-lived ES256 JWT as the client secret
+ */
+async function clientSecretFor(config: SocialConfig): Promise<string | undefined> {
+  if (!config.apple) return config.clientSecret
+
+  const now = Math.floor(Date.now() / 1000)
+  return signEs256Jwt(config.apple.privateKey, { kid: config.apple.keyId }, {
+    iss: config.apple.teamId,
+    iat: now,
+    exp: now + APPLE_SECRET_TTL_SEC,
+    aud: config.issuer,
+    sub: config.clientId
+  })
+}
+
+/**
+ * Display name from the ID token, or from the one-off `user` form field Apple
+ * sends on the first sign-in
+ */
+function displayName(claims: IdTokenClaims, appleUser?: string | null): string | null {
+  if (appleUser) {
+    try {
+      const { name } = JSON.parse(appleUser)
+      const fullName = [name?.firstName, name?.lastName].filter(Boolean).join(' ')
+      if (fullName) return fullName
+    } catch {
+      // Ignore a malformed user field; the name is optional
+    }
+  }
+  return claims.name || claims.nickname || null
+}
+
+/**
+ * Find or create the user for a verified ID token
+ */
+async function upsertSocialUser(
+  DB: D1Database,
+  provider: SocialProvider,
+  claims: IdTokenClaims,
+  appleUser?: string | null
+): Promise<{ user: SessionUser; created: boolean }> {
+  const existing = await DB.prepare(`
+    SELECT id, wallet_address, nickname, timezone FROM users WHERE social_id = ? AND social_provider = ?
+  `).bind(claims.sub, provider).first<SessionUser>()
+
+  if (existing) {
+    return { user: existing, created: false }
+  }
+
+  // Only keep a verified email, and leave it off if another account already uses it.
+  // Kakao only puts verified addresses in the token and omits email_verified.
+  const verified = claims.email_verified === undefined ? provider === 'kakao' : String(claims.email_verified) === 'true'
+  let email = claims.email && verified ? claims.email.toLowerCase() : null
+  if (email) {
+    const taken = await DB.prepare(`SELECT id FROM users WHERE email = ?`).bind(email).first()
+    if (taken) email = null
+  }
+
+  const user: SessionUser = { id: createId('user'), wallet_address: null, nickname: displayName(claims, appleUser), timezone: null }
+  await DB.prepare(`
+    INSERT INTO users (id, email, social_id, social_provider, custody_type, nickname)
+    VALUES (?, ?, ?, ?, 'custodial', ?)
+  `).bind(user.id, email, claims.sub, provider, user.nickname).run()
+
+  return { user, created: true }
+}
+
+/**
+ * Consume the login state, redeem the code with the PKCE verifier, verify the
+ * ID token and upsert the user
+ */
+export async function completeSocialLogin(
+  DB: D1Database,
+  config: SocialConfig,
+  input: { state: string; code: string; redirectUri: string; appleUser?: string | null },
+  now = new Date()
+): Promise<{ user: SessionUser; created: boolean; redirectTo: string | null }> {
+  const pending = await DB.prepare(`
+    DELETE FROM oauth_login_states WHERE state = ? AND provider = ?
+    RETURNING code_verifier, nonce, redirect_to, created_at
+  `).bind(input.state, config.provider).first<{
+    code_verifier: string
+    nonce: string
+    redirect_to: string | null
+    created_at: string
+  }>()
+
+  if (!pending || now.getTime() - fromSqlDateTime(pending.created_at).getTime() > LOGIN_STATE_TTL_MS) {
+    throw new ApiError('Invalid or expired login state')
+  }
+
+  const discovery = await discover(config.issuer)
+  const clientSecret = await clientSecretFor(config)
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: input.code,
+    redirect_uri: input.redirectUri,
+    client_id: config.clientId,
+    code_verifier: pending.code_verifier
+  })
+  if (clientSecret) body.set('client_secret', clientSecret)
+
+  const response = await fetch(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  })
+  if (!response.ok) {
+    throw new ApiError(`${config.provider} token exchange failed (${response.status})`, 502)
+  }
+  const tokens = await response.json() as { id_token?: string }
+  if (!tokens.id_token) {
+    throw new ApiError(`${config.provider} did not return an ID token`, 502)
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, {
+    issuers: config.issuers,
+    audience: config.clientId,
+    nonce: pending.nonce,
+    jwksUri: discovery.jwks_uri
+  }, now)
+
+  const { user, created } = await upsertSocialUser(DB, config.provider, claims, input.appleUser)
+  return { user, created, redirectTo: pending.redirect_to }
+}
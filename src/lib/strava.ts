@@ -0,0 +1,380 @@
+// 작심삼일 RUN DAO - Strava integration
+// OAuth token exchange/refresh, webhook event handling and activity ingestion.
+// STRAVA_BASE_URL can point at a local stand-in (see scripts/strava-mock.mjs).
+
+import { createId, fromSqlDateTime, toSqlDateTime } from './db'
+import { ApiError } from './errors'
+import { randomToken } from './crypto'
+import { downsamplePath } from './geo'
+import { scoreRun } from './integrity'
+import { saveRun, type CadenceSample, type GpsPoint, type HrSample } from './runs'
+import { MAX_TRACK_POINTS } from './track-files'
+
+export type StravaEnv = {
+  STRAVA_BASE_URL?: string
+  STRAVA_CLIENT_ID?: string
+  STRAVA_CLIENT_SECRET?: string
+  STRAVA_VERIFY_TOKEN?: string
+  STRAVA_SUBSCRIPTION_ID?: string
+}
+
+export type StravaConfig = {
+  baseUrl: string
+  clientId: string
+  clientSecret: string
+  verifyToken?: string
+  subscriptionId?: string
+}
+
+export type StravaWebhookEvent = {
+  object_type: 'activity' | 'athlete'
+  object_id: number
+  aspect_type: 'create' | 'update' | 'delete'
+  owner_id: number
+  subscription_id: number
+  event_time: number
+  updates?: Record<string, string>
+}
+
+type StravaConnection = {
+  id: string
+  user_id: string
+  provider_user_id: string
+  access_token: string
+  refresh_token: string
+  expires_at: string
+}
+
+type StravaTokenResponse = {
+  access_token: string
+  refresh_token: string
+  expires_at: number // epoch seconds
+  scope?: string
+  athlete?: { id: number }
+}
+
+type StravaActivity = {
+  id: number
+  type?: string
+  sport_type?: string
+  start_date: string
+  moving_time: number
+  elapsed_time: number
+  distance: number // metres
+}
+
+type StravaStreams = Partial<Record<'time' | 'latlng' | 'altitude' | 'heartrate' | 'cadence', { data: any[] }>>
+
+const DEFAULT_BASE_URL = 'https://www.strava.com'
+const OAUTH_SCOPE = 'read,activity:read_all'
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000
+const RUN_SPORT_TYPES = ['Run', 'TrailRun', 'VirtualRun']
+
+/**
+ * Read Strava settings from the Worker environment
+ */
+export function getStravaConfig(env: StravaEnv): StravaConfig {
+  if (!env.STRAVA_CLIENT_ID || !env.STRAVA_CLIENT_SECRET) {
+    throw new ApiError('Strava integration is not configured', 503)
+  }
+  return {
+    baseUrl: (env.STRAVA_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+    clientId: env.STRAVA_CLIENT_ID,
+    clientSecret: env.STRAVA_CLIENT_SECRET,
+    verifyToken: env.STRAVA_VERIFY_TOKEN,
+    subscriptionId: env.STRAVA_SUBSCRIPTION_ID
+  }
+}
+
+async function stravaFetch<T>(config: StravaConfig, path: string, init: RequestInit = {}): Promise<T> {
+  const response = await fetch(config.baseUrl + path, init)
+  if (!response.ok) {
+    throw new ApiError(`Strava request failed (${response.status})`, 502)
+  }
+  return response.json() as Promise<T>
+}
+
+/**
+ * Create a one-time state value and build the Strava authorization URL for a user
+ */
+export async function createAuthorizationUrl(
+  DB: D1Database,
+  config: StravaConfig,
+  userId: string,
+  redirectUri: string
+): Promise<string> {
+  const state = randomToken()
+  await DB.prepare(`
+    INSERT INTO provider_oauth_states (state, user_id, provider) VALUES (?, ?, 'strava')
+  `).bind(state, userId).run()
+
+  const params = new URLSearchParams({
+    client_id: config.clientId,
+    redirect_uri: redirectUri,
+    response_type: 'code',
+    approval_prompt: 'auto',
+    scope: OAUTH_SCOPE,
+    state
+  })
+  return `${config.baseUrl}/oauth/authorize?${params}`
+}
+
+/**
+ * Consume the OAuth state, exchange the authorization code and store the tokens.
+ * Returns the connected user's ID.
+ */
+export async function completeAuthorization(
+  DB: D1Database,
+  config: StravaConfig,
+  state: string,
+  code: string
+): Promise<string> {
+  const pending = await DB.prepare(`
+    DELETE FROM provider_oauth_states WHERE state = ? AND provider = 'strava'
+    RETURNING user_id, created_at
+  `).bind(state).first<{ user_id: string; created_at: string }>()
+
+  if (!pending || Date.now() - fromSqlDateTime(pending.created_at).getTime() > OAUTH_STATE_TTL_MS) {
+    throw new ApiError('Invalid or expired OAuth state')
+  }
+
+  const token = await stravaFetch<StravaTokenResponse>(config, '/oauth/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      code,
+      grant_type: 'authorization_code'
+    })
+  })
+
+  if (!token.athlete?.id) {
+    throw new ApiError('Strava did not return an athlete', 502)
+  }
+
+  // A Strava athlete can only be linked to one account at a time
+  await DB.batch([
+    DB.prepare(`
+      DELETE FROM provider_connections WHERE provider = 'strava' AND provider_user_id = ? AND user_id != ?
+    `).bind(String(token.athlete.id), pending.user_id),
+    DB.prepare(`
+      INSERT INTO provider_connections (
+        id, user_id, provider, provider_user_id, access_token, refresh_token, expires_at, scope
+      ) VALUES (?, ?, 'strava', ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, provider) DO UPDATE SET
+        provider_user_id = excluded.provider_user_id,
+        access_token = excluded.access_token,
+        refresh_token = excluded.refresh_token,
+        expires_at = excluded.expires_at,
+        scope = excluded.scope,
+        updated_at = CURRENT_TIMESTAMP
+    `).bind(
+      createId('conn'), pending.user_id, String(token.athlete.id),
+      token.access_token, token.refresh_token,
+      toSqlDateTime(new Date(token.expires_at * 1000)), token.scope ?? OAUTH_SCOPE
+    )
+  ])
+
+  return pending.user_id
+}
+
+/**
+ * Return a usable access token, refreshing it when it is about to expire
+ */
+async function getAccessToken(DB: D1Database, config: StravaConfig, connection: StravaConnection): Promise<string> {
+  if (fromSqlDateTime(connection.expires_at).getTime() - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+    return connection.access_token
+  }
+
+  const token = await stravaFetch<StravaTokenResponse>(config, '/oauth/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      refresh_token: connection.refresh_token,
+      grant_type: 'refresh_token'
+    })
+  })
+
+  await DB.prepare(`
+    UPDATE provider_connections
+    SET access_token = ?, refresh_token = ?, expires_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(
+    token.access_token, token.refresh_token,
+    toSqlDateTime(new Date(token.expires_at * 1000)), connection.id
+  ).run()
+
+  return token.access_token
+}
+
+/**
+ * Check the verify token of a webhook subscription handshake and return the challenge to echo
+ */
+export function verifyWebhookChallenge(config: StravaConfig, query: Record<string, string | undefined>): string {
+  if (query['hub.mode'] !== 'subscribe' || !query['hub.challenge']) {
+    throw new ApiError('Invalid subscription request')
+  }
+  if (!config.verifyToken || query['hub.verify_token'] !== config.verifyToken) {
+    throw new ApiError('Verify token mismatch', 403)
+  }
+  return query['hub.challenge']
+}
+
+/**
+ * Reject webhook events that do not belong to our push subscription.
+ * Strava does not sign events, so the subscription ID is the only check available.
+ */
+export function assertWebhookSubscription(config: StravaConfig, event: StravaWebhookEvent): void {
+  if (!event || !event.object_type || !event.owner_id || !event.object_id) {
+    throw new ApiError('Invalid webhook event')
+  }
+  if (config.subscriptionId && String(event.subscription_id) !== config.subscriptionId) {
+    throw new ApiError('Unknown subscription', 403)
+  }
+}
+
+/**
+ * Apply a webhook event: ingest created/updated runs, drop deleted ones,
+ * and forget athletes who revoked access.
+ */
+export async function handleWebhookEvent(DB: D1Database, config: StravaConfig, event: StravaWebhookEvent): Promise<void> {
+  const connection = await DB.prepare(`
+    SELECT id, user_id, provider_user_id, access_token, refresh_token, expires_at
+    FROM provider_connections WHERE provider = 'strava' AND provider_user_id = ?
+  `).bind(String(event.owner_id)).first<StravaConnection>()
+
+  if (!connection) return
+
+  if (event.object_type === 'athlete') {
+    if (event.updates?.authorized === 'false') {
+      await DB.prepare(`DELETE FROM provider_connections WHERE id = ?`).bind(connection.id).run()
+    }
+    return
+  }
+
+  if (event.aspect_type === 'delete') {
+    // Runs already counted towards a quest stay on record
+    await DB.prepare(`
+      DELETE FROM run_records
+      WHERE user_id = ? AND provider = 'strava' AND external_id = ?
+        AND id NOT IN (SELECT run_record_id FROM quest_runs)
+    `).bind(connection.user_id, String(event.object_id)).run()
+    return
+  }
+
+  await syncActivity(DB, config, connection, event.object_id)
+}
+
+/**
+ * Fetch a Strava activity with its streams and upsert it into run_records.
+ * Returns the run record ID, or null when the activity is not a run.
+ */
+export async function syncActivity(
+  DB: D1Database,
+  config: StravaConfig,
+  connection: StravaConnection,
+  activityId: number
+): Promise<string | null> {
+  const accessToken = await getAccessToken(DB, config, connection)
+  const headers = { Authorization: `Bearer ${accessToken}` }
+
+  const activity = await stravaFetch<StravaActivity>(config, `/api/v3/activities/${activityId}`, { headers })
+  if (!RUN_SPORT_TYPES.includes(activity.sport_type || activity.type || '')) return null
+
+  // Manual activities have no streams; Strava answers 404 for those
+  const streams = await stravaFetch<StravaStreams>(
+    config,
+    `/api/v3/activities/${activityId}/streams?keys=time,latlng,altitude,heartrate,cadence&key_by_type=true`,
+    { headers }
+  ).catch((): StravaStreams => ({}))
+
+  const startedAt = new Date(activity.start_date)
+  const { points, heartRate, cadence } = toSeries(startedAt.getTime(), streams)
+  const durationSec = activity.moving_time || activity.elapsed_time
+  const distanceKm = Math.round(activity.distance) / 1000
+  const externalId = String(activity.id)
+
+  const existing = await DB.prepare(`
+    SELECT id, proof_batch_id,
+      EXISTS (SELECT 1 FROM quest_runs qr WHERE qr.run_record_id = run_records.id) as credited
+    FROM run_records WHERE user_id = ? AND provider = 'strava' AND external_id = ?
+  `).bind(connection.user_id, externalId).first<{ id: string; proof_batch_id: string | null; credited: number }>()
+
+  if (!existing) {
+    const run = await saveRun(DB, {
+      userId: connection.user_id,
+      provider: 'strava',
+      externalId,
+      startedAt,
+      durationSec,
+      distanceKm,
+      gpsPath: points,
+      hrSeries: heartRate,
+      accelSeries: cadence
+    })
+    return run.id
+  }
+
+  // Like deletes, edits leave runs alone once they count towards a quest or are
+  // committed to a run proof: they were scored (and possibly reviewed) as first
+  // submitted, and the on-chain leaf hashes that data
+  if (existing.credited || existing.proof_batch_id) {
+    return existing.id
+  }
+
+  if (!(distanceKm > 0) || !(durationSec > 0)) {
+    throw new ApiError('Strava activity has no distance or duration', 422)
+  }
+
+  const integrity = await scoreRun(DB, {
+    userId: connection.user_id, durationSec, distanceKm, gpsPath: points, hrSeries: heartRate
+  })
+
+  await DB.prepare(`
+    UPDATE run_records
+    SET started_at = ?, duration_sec = ?, distance_km = ?, avg_pace_sec_per_km = ?,
+        gps_path = ?, hr_series = ?, accel_series = ?,
+        integrity_score = ?, is_suspicious = ?, fraud_flags = ?
+    WHERE id = ?
+  `).bind(
+    toSqlDateTime(startedAt), durationSec, distanceKm, Math.round(durationSec / distanceKm),
+    points.length ? JSON.stringify(points) : null,
+    heartRate.length ? JSON.stringify(heartRate) : null,
+    cadence.length ? JSON.stringify(cadence) : null,
+    integrity.score, integrity.isSuspicious ? 1 : 0,
+    integrity.flags.length ? JSON.stringify(integrity.flags) : null,
+    existing.id
+  ).run()
+
+  return existing.id
+}
+
+function toSeries(startMs: number, streams: StravaStreams) {
+  const offsets: number[] = streams.time?.data ?? []
+  const points: GpsPoint[] = []
+  const heartRate: HrSample[] = []
+  const cadence: CadenceSample[] = []
+
+  offsets.forEach((offset, i) => {
+    const time = startMs + offset * 1000
+    const latlng = streams.latlng?.data[i]
+    if (latlng) points.push({ lat: latlng[0], lng: latlng[1], time, ele: streams.altitude?.data[i] })
+
+    const bpm = streams.heartrate?.data[i]
+    if (bpm) heartRate.push({ time, bpm })
+
+    // Strava reports running cadence per foot, like FIT files
+    const rpm = streams.cadence?.data[i]
+    if (rpm) cadence.push({ time, spm: rpm * 2 })
+  })
+
+  return {
+    points: downsamplePath(points, MAX_TRACK_POINTS),
+    heartRate: downsamplePath(heartRate, MAX_TRACK_POINTS),
+    cadence: downsamplePath(cadence, MAX_TRACK_POINTS)
+  }
+}
@@ -0,0 +1,217 @@
+// 작심삼일 RUN DAO - GPX / TCX / FIT watch export parsing
+// Workers have no DOMParser, so trackpoints are pulled out with targeted regexes.
+// FIT files are binary and go through the decoder in ./fit.
+
+import { ApiError } from './errors'
+import { decodeFit, isFitFile } from './fit'
+import { downsamplePath, pathDistanceKm } from './geo'
+import type { CadenceSample, GpsPoint, HrSample } from './runs'
+
+export type TrackFormat = 'gpx' | 'tcx' | 'fit'
+
+export type ParsedTrack = {
+  format: TrackFormat
+  externalId?: string // device-assigned activity id, when the format has one
+  startedAt: Date
+  durationSec: number
+  distanceKm: number
+  avgPaceSecPerKm: number
+  points: GpsPoint[]
+  heartRate: HrSample[]
+  cadence: CadenceSample[]
+}
+
+export const MAX_TRACK_POINTS = 5000
+
+const tag = (name: string) => new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>\\s*([^<]*?)\\s*</(?:\\w+:)?${name}>`)
+const attr = (name: string) => new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`)
+
+const TIME = tag('Time')
+const GPX_TIME = tag('time')
+const GPX_ELE = tag('ele')
+const GPX_HR = tag('hr')
+const LAT = attr('lat')
+const LON = attr('lon')
+const TCX_LAT = tag('LatitudeDegrees')
+const TCX_LNG = tag('LongitudeDegrees')
+const TCX_ALT = tag('AltitudeMeters')
+const TCX_DIST = tag('DistanceMeters')
+const TCX_LAP_TIME = new RegExp(tag('TotalTimeSeconds').source, 'g')
+const TCX_HR = /<(?:\w+:)?HeartRateBpm\b[^>]*>\s*<(?:\w+:)?Value>\s*(\d+)/
+
+const parseTime = (value: string | undefined) => {
+  if (!value) return undefined
+  const time = Date.parse(value)
+  return Number.isNaN(time) ? undefined : time
+}
+
+const parseNumber = (value: string | undefined) => {
+  if (value === undefined) return undefined
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+/**
+ * Detect whether a file is GPX, TCX or FIT from its name, falling back to its contents
+ */
+export function detectTrackFormat(fileName: string, bytes: Uint8Array): TrackFormat | null {
+  const extension = fileName.toLowerCase().split('.').pop()
+  if (extension === 'gpx' || extension === 'tcx' || extension === 'fit') return extension
+
+  if (isFitFile(bytes)) return 'fit'
+  const head = new TextDecoder().decode(bytes.subarray(0, 2000))
+  if (/<gpx\b/i.test(head)) return 'gpx'
+  if (/<TrainingCenterDatabase\b/.test(head)) return 'tcx'
+  return null
+}
+
+/**
+ * Parse a GPX, TCX or FIT file into run summary data
+ */
+export function parseTrackFile(format: TrackFormat, bytes: Uint8Array): ParsedTrack {
+  if (format === 'fit') return parseFit(bytes)
+
+  const content = new TextDecoder().decode(bytes)
+  return format === 'gpx' ? parseGpx(content) : parseTcx(content)
+}
+
+function parseGpx(content: string): ParsedTrack {
+  const points: GpsPoint[] = []
+  const heartRate: HrSample[] = []
+
+  for (const match of content.matchAll(/<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g)) {
+    const lat = parseNumber(match[1].match(LAT)?.[1])
+    const lng = parseNumber(match[1].match(LON)?.[1])
+    if (lat === undefined || lng === undefined) continue
+
+    const body = match[2] || ''
+    const time = parseTime(body.match(GPX_TIME)?.[1])
+    points.push({ lat, lng, time, ele: parseNumber(body.match(GPX_ELE)?.[1]) })
+
+    const bpm = parseNumber(body.match(GPX_HR)?.[1])
+    if (time !== undefined && bpm) heartRate.push({ time, bpm })
+  }
+
+  return summarize('gpx', points, heartRate)
+}
+
+function parseTcx(content: string): ParsedTrack {
+  const points: GpsPoint[] = []
+  const heartRate: HrSample[] = []
+  const times: number[] = []
+  let recordedDistanceM = 0
+
+  for (const match of content.matchAll(/<(?:\w+:)?Trackpoint\b[^>]*>([\s\S]*?)<\/(?:\w+:)?Trackpoint>/g)) {
+    const body = match[1]
+    const time = parseTime(body.match(TIME)?.[1])
+    if (time !== undefined) times.push(time)
+
+    const distance = parseNumber(body.match(TCX_DIST)?.[1])
+    if (distance !== undefined) recordedDistanceM = Math.max(recordedDistanceM, distance)
+
+    const lat = parseNumber(body.match(TCX_LAT)?.[1])
+    const lng = parseNumber(body.match(TCX_LNG)?.[1])
+    if (lat !== undefined && lng !== undefined) {
+      points.push({ lat, lng, time, ele: parseNumber(body.match(TCX_ALT)?.[1]) })
+    }
+
+    const bpm = parseNumber(body.match(TCX_HR)?.[1])
+    if (time !== undefined && bpm) heartRate.push({ time, bpm })
+  }
+
+  // Lap totals are the device's own moving time, so prefer them over first/last timestamps
+  let lapSeconds = 0
+  for (const match of content.matchAll(TCX_LAP_TIME)) {
+    lapSeconds += parseNumber(match[1]) || 0
+  }
+  const lapStart = parseTime(content.match(/<(?:\w+:)?Lap\b[^>]*StartTime\s*=\s*["']([^"']+)["']/)?.[1])
+
+  return summarize('tcx', points, heartRate, {
+    startedAt: lapStart ?? times[0],
+    endedAt: times[times.length - 1],
+    durationSec: lapSeconds || undefined,
+    distanceKm: recordedDistanceM ? recordedDistanceM / 1000 : undefined
+  })
+}
+
+// FIT sport enum values that describe a run (generic devices often leave sport unset)
+const FIT_RUNNING_SPORTS = [0, 1]
+
+function parseFit(bytes: Uint8Array): ParsedTrack {
+  const { fileId, records, sessions } = decodeFit(bytes)
+
+  if (sessions.some(session => session.sport !== undefined && !FIT_RUNNING_SPORTS.includes(session.sport))) {
+    throw new ApiError('FIT activity is not a run', 422)
+  }
+
+  const points: GpsPoint[] = []
+  const heartRate: HrSample[] = []
+  const cadence: CadenceSample[] = []
+  let recordedDistanceM = 0
+
+  for (const record of records) {
+    if (record.lat !== undefined && record.lng !== undefined) {
+      points.push({ lat: record.lat, lng: record.lng, time: record.time, ele: record.altitude })
+    }
+    if (record.heartRate) heartRate.push({ time: record.time, bpm: record.heartRate })
+    if (record.cadence) cadence.push({ time: record.time, spm: record.cadence })
+    if (record.distanceM !== undefined) recordedDistanceM = Math.max(recordedDistanceM, record.distanceM)
+  }
+
+  // Session summaries carry the device's timer time and odometer distance
+  let sessionSeconds = 0
+  let sessionDistanceM = 0
+  for (const session of sessions) {
+    sessionSeconds += session.timerSec ?? session.elapsedSec ?? 0
+    sessionDistanceM += session.distanceM ?? 0
+  }
+  const distanceM = sessionDistanceM || recordedDistanceM
+  const sessionStarts = sessions.map(session => session.startTime).filter((time): time is number => time !== undefined)
+
+  const track = summarize('fit', points, heartRate, {
+    startedAt: sessionStarts.length ? Math.min(...sessionStarts) : records[0]?.time,
+    endedAt: records[records.length - 1]?.time,
+    durationSec: sessionSeconds || undefined,
+    distanceKm: distanceM ? distanceM / 1000 : undefined
+  })
+
+  const { serialNumber, timeCreated } = fileId
+  return {
+    ...track,
+    externalId: serialNumber !== undefined && timeCreated !== undefined ? `${serialNumber}_${timeCreated}` : undefined,
+    cadence: downsamplePath(cadence, MAX_TRACK_POINTS)
+  }
+}
+
+function summarize(
+  format: TrackFormat,
+  points: GpsPoint[],
+  heartRate: HrSample[],
+  recorded: { startedAt?: number; endedAt?: number; durationSec?: number; distanceKm?: number } = {}
+): ParsedTrack {
+  const timed = points.filter(p => p.time !== undefined).map(p => p.time as number)
+  const startedAt = recorded.startedAt ?? timed[0]
+  const endedAt = recorded.endedAt ?? timed[timed.length - 1]
+
+  if (startedAt === undefined || endedAt === undefined) {
+    throw new ApiError('Track file contains no timestamped trackpoints', 422)
+  }
+
+  const durationSec = Math.round(recorded.durationSec ?? (endedAt - startedAt) / 1000)
+  const distanceKm = Math.round((recorded.distanceKm ?? pathDistanceKm(points)) * 1000) / 1000
+
+  if (durationSec <= 0 || distanceKm <= 0) {
+    throw new ApiError('Track file does not describe a run with distance and duration', 422)
+  }
+
+  return {
+    format,
+    startedAt: new Date(startedAt),
+    durationSec,
+    distanceKm,
+    avgPaceSecPerKm: Math.round(durationSec / distanceKm),
+    points: downsamplePath(points, MAX_TRACK_POINTS),
+    heartRate: downsamplePath(heartRate, MAX_TRACK_POINTS),
+    cadence: []
+  }
+}